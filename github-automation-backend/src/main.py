@@ -9,10 +9,19 @@ from dotenv import load_dotenv
 # DON'T CHANGE THIS !!!
 sys.path.insert(0, os.path.dirname(os.path.dirname(__file__)))
 
-from src.models.repository import db
+from src.models.repository import db, add_missing_columns
 from src.routes.repository import repository_bp
 from src.routes.analysis import analysis_bp
+from src.routes.test_runs import test_runs_bp
+from src.routes.ai_proxy import ai_proxy_bp
+from src.routes.schedules import schedules_bp
+from src.routes.webhooks import webhooks_bp
 from src.models.analysis_result import AnalysisResult
+from src.models.test_run import TestRun
+from src.models.ai_usage import AIUsage
+from src.models.analysis_schedule import AnalysisSchedule
+from src.models.webhook_delivery import WebhookDelivery
+from src.services.scheduler import start_scheduler
 
 load_dotenv()
 
@@ -32,6 +41,7 @@ for i in range(max_retries):
     try:
         with app.app_context():
             db.create_all()
+            add_missing_columns()
         print("✅ Database tables created.")
         break
     except sqlalchemy.exc.OperationalError as e:
@@ -47,6 +57,13 @@ CORS(app)
 # Register blueprints
 app.register_blueprint(repository_bp, url_prefix='/api')
 app.register_blueprint(analysis_bp, url_prefix='/api')
+app.register_blueprint(test_runs_bp, url_prefix='/api')
+app.register_blueprint(ai_proxy_bp, url_prefix='/api')
+app.register_blueprint(schedules_bp, url_prefix='/api')
+app.register_blueprint(webhooks_bp, url_prefix='/api')
+
+# Recurring analyses run in the background of the API process
+start_scheduler(app)
 
 @app.route('/')
 def serve_index():
@@ -0,0 +1,33 @@
+from datetime import datetime, date
+from .repository import db
+
+class AIUsage(db.Model):
+    """Daily AI proxy usage per GitHub user, used to enforce quotas"""
+    __tablename__ = 'ai_usage'
+    __table_args__ = (db.UniqueConstraint('user_login', 'day', name='uq_ai_usage_user_day'),)
+
+    id = db.Column(db.Integer, primary_key=True)
+    user_login = db.Column(db.String(255), nullable=False, index=True)
+    day = db.Column(db.Date, nullable=False, default=date.today)
+
+    requests = db.Column(db.Integer, default=0)
+    prompt_tokens = db.Column(db.Integer, default=0)
+    completion_tokens = db.Column(db.Integer, default=0)
+    reserved_tokens = db.Column(db.Integer, default=0)  # held by requests still in flight
+
+    updated_at = db.Column(db.DateTime, default=datetime.utcnow, onupdate=datetime.utcnow)
+
+    @property
+    def total_tokens(self):
+        return (self.prompt_tokens or 0) + (self.completion_tokens or 0)
+
+    def to_dict(self):
+        return {
+            'user': self.user_login,
+            'day': self.day.isoformat() if self.day else None,
+            'requests': self.requests,
+            'prompt_tokens': self.prompt_tokens,
+            'completion_tokens': self.completion_tokens,
+            'total_tokens': self.total_tokens,
+            'reserved_tokens': self.reserved_tokens or 0
+        }
@@ -0,0 +1,51 @@
+from datetime import datetime
+from .repository import db
+
+class AnalysisSchedule(db.Model):
+    """Recurring headless analysis of a tracked repository; times are UTC"""
+    __tablename__ = 'analysis_schedules'
+
+    id = db.Column(db.Integer, primary_key=True)
+    repository_id = db.Column(db.Integer, db.ForeignKey('repositories.id'), nullable=False, unique=True)
+
+    frequency = db.Column(db.String(20), nullable=False, default='daily')  # 'daily', 'weekly'
+    hour = db.Column(db.Integer, nullable=False, default=2)  # 0-23
+    weekday = db.Column(db.Integer, nullable=False, default=0)  # 0 = Monday, used by weekly schedules
+    enabled = db.Column(db.Boolean, default=True)
+
+    # Analysis settings captured when the schedule was saved
+    ai_provider = db.Column(db.String(100), nullable=False, default='openai')
+    ai_model = db.Column(db.String(100), nullable=False, default='gpt-4o-mini')
+    max_files = db.Column(db.Integer, default=10)
+
+    next_run_at = db.Column(db.DateTime, index=True)
+    last_run_at = db.Column(db.DateTime)
+    last_status = db.Column(db.String(50))  # 'running', 'completed', 'failed'
+    last_error = db.Column(db.Text)
+    last_analysis_id = db.Column(db.Integer, db.ForeignKey('analyses.id'), nullable=True)
+
+    created_at = db.Column(db.DateTime, default=datetime.utcnow)
+    updated_at = db.Column(db.DateTime, default=datetime.utcnow, onupdate=datetime.utcnow)
+
+    repository = db.relationship(
+        'Repository',
+        backref=db.backref('schedule', uselist=False, cascade='all, delete-orphan')
+    )
+
+    def to_dict(self):
+        return {
+            'id': self.id,
+            'repository_id': self.repository_id,
+            'frequency': self.frequency,
+            'hour': self.hour,
+            'weekday': self.weekday,
+            'enabled': self.enabled,
+            'ai_provider': self.ai_provider,
+            'ai_model': self.ai_model,
+            'max_files': self.max_files,
+            'next_run_at': self.next_run_at.isoformat() if self.next_run_at else None,
+            'last_run_at': self.last_run_at.isoformat() if self.last_run_at else None,
+            'last_status': self.last_status,
+            'last_error': self.last_error,
+            'last_analysis_id': self.last_analysis_id
+        }
@@ -1,4 +1,5 @@
 from flask_sqlalchemy import SQLAlchemy
+from sqlalchemy import inspect, text
 from datetime import datetime
 import json
 
@@ -100,6 +101,11 @@ class Analysis(db.Model):
     # Recommendations
     recommendations = db.Column(db.Text)  # JSON string
 
+    # What was analyzed: the commit, and per-file results that later runs carry over for unchanged files
+    commit_sha = db.Column(db.String(40), index=True)
+    ref = db.Column(db.String(255))
+    file_results = db.Column(db.Text)  # JSON list of {path, sha, size, model, analysis, static}
+
     def set_bugs_detected(self, bugs_list):
         self.bugs_detected = json.dumps(bugs_list) if bugs_list else None
 
@@ -148,8 +154,49 @@ class Analysis(db.Model):
     def get_recommendations(self):
         return json.loads(self.recommendations) if self.recommendations else {}
 
-    def to_dict(self):
-        return {
+    def set_file_results(self, results_list):
+        self.file_results = json.dumps(results_list) if results_list else None
+
+    def get_file_results(self):
+        return json.loads(self.file_results) if self.file_results else []
+
+    @staticmethod
+    def latest_baseline(repository_id, ref=None):
+        """Latest whole-repository analysis with per-file results, the base of an incremental run"""
+        query = Analysis.query.filter(
+            Analysis.repository_id == repository_id,
+            Analysis.file_results.isnot(None),
+            Analysis.analysis_type != 'pr_review'
+        )
+        if ref:
+            query = query.filter(Analysis.ref == ref)
+        return query.order_by(Analysis.created_at.desc()).first()
+
+    def apply_results(self, data):
+        """Fill the analysis from a repository-level analysis in the frontend's shape"""
+        metrics = data.get('code_quality_metrics') or {}
+        self.analysis_type = data.get('analysis_type', self.analysis_type or 'comprehensive')
+        self.status = data.get('status', self.status or 'completed')
+        self.overall_health_score = data.get('overall_health_score')
+        self.architecture_analysis = data.get('architecture_analysis')
+        self.set_bugs_detected(data.get('bugs_detected'))
+        self.set_improvements_suggested(data.get('improvements_suggested'))
+        self.set_feature_ideas(data.get('feature_ideas'))
+        self.set_security_concerns(data.get('security_concerns'))
+        self.set_performance_issues(data.get('performance_issues'))
+        self.set_documentation_gaps(data.get('documentation_gaps'))
+        self.set_test_coverage_analysis(data.get('test_coverage_analysis'))
+        self.maintainability_score = metrics.get('maintainability')
+        self.readability_score = metrics.get('readability')
+        self.complexity_score = metrics.get('complexity')
+        self.duplication_score = metrics.get('duplication')
+        self.set_recommendations(data.get('recommendations'))
+        self.commit_sha = data.get('commit_sha')
+        self.ref = data.get('ref')
+        self.set_file_results(data.get('file_results'))
+
+    def to_dict(self, include_file_results=False):
+        analysis_dict = {
             'id': self.id,
             'repository_id': self.repository_id,
             'analysis_type': self.analysis_type,
@@ -170,8 +217,13 @@ class Analysis(db.Model):
                 'complexity': self.complexity_score,
                 'duplication': self.duplication_score
             },
-            'recommendations': self.get_recommendations()
+            'recommendations': self.get_recommendations(),
+            'commit_sha': self.commit_sha,
+            'ref': self.ref
         }
+        if include_file_results:
+            analysis_dict['file_results'] = self.get_file_results()
+        return analysis_dict
 
 class AutomationEntry(db.Model):
     __tablename__ = 'automation_entries'
@@ -219,3 +271,24 @@ class AutomationEntry(db.Model):
             'updated_at': self.updated_at.isoformat() if self.updated_at else None
         }
 
+# Columns added to tables after they were first created; db.create_all never alters existing tables
+ADDED_COLUMNS = {
+    'analyses': {
+        'commit_sha': 'VARCHAR(40)',
+        'ref': 'VARCHAR(255)',
+        'file_results': 'TEXT'
+    },
+    'ai_usage': {
+        'reserved_tokens': 'INTEGER DEFAULT 0'
+    }
+}
+
+def add_missing_columns():
+    """Add ADDED_COLUMNS that an existing database does not have yet"""
+    inspector = inspect(db.engine)
+    with db.engine.begin() as connection:
+        for table, columns in ADDED_COLUMNS.items():
+            existing = {column['name'] for column in inspector.get_columns(table)}
+            for name, column_type in columns.items():
+                if name not in existing:
+                    connection.execute(text(f'ALTER TABLE {table} ADD COLUMN {name} {column_type}'))
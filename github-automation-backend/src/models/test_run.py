@@ -0,0 +1,58 @@
+from datetime import datetime
+import json
+from .repository import db
+
+class TestRun(db.Model):
+    __tablename__ = 'test_runs'
+
+    id = db.Column(db.Integer, primary_key=True)
+    repository_full_name = db.Column(db.String(255), nullable=False, index=True)
+    ref = db.Column(db.String(255), nullable=False)
+    commit_sha = db.Column(db.String(40))
+
+    status = db.Column(db.String(50), default='queued')  # 'queued', 'running', 'completed', 'failed'
+    framework = db.Column(db.String(50))  # 'jest', 'mocha', 'pytest' or None when no tests were found
+    linter = db.Column(db.String(50))  # 'eslint', 'flake8' or None
+
+    # Results stored as JSON
+    test_results = db.Column(db.Text)  # JSON string: passed, failed, skipped, total, duration
+    coverage = db.Column(db.Float)  # Line coverage percentage, when the framework reported it
+    lint_results = db.Column(db.Text)  # JSON string: per-file diagnostics
+
+    log = db.Column(db.Text)  # Tail of the combined command output
+    error = db.Column(db.Text)
+
+    created_at = db.Column(db.DateTime, default=datetime.utcnow)
+    started_at = db.Column(db.DateTime)
+    finished_at = db.Column(db.DateTime)
+
+    def set_test_results(self, results_dict):
+        self.test_results = json.dumps(results_dict) if results_dict else None
+
+    def get_test_results(self):
+        return json.loads(self.test_results) if self.test_results else None
+
+    def set_lint_results(self, results_dict):
+        self.lint_results = json.dumps(results_dict) if results_dict else None
+
+    def get_lint_results(self):
+        return json.loads(self.lint_results) if self.lint_results else None
+
+    def to_dict(self):
+        return {
+            'id': self.id,
+            'repository': self.repository_full_name,
+            'ref': self.ref,
+            'commit_sha': self.commit_sha,
+            'status': self.status,
+            'framework': self.framework,
+            'linter': self.linter,
+            'tests': self.get_test_results(),
+            'coverage': self.coverage,
+            'lint': self.get_lint_results(),
+            'log': self.log,
+            'error': self.error,
+            'created_at': self.created_at.isoformat() if self.created_at else None,
+            'started_at': self.started_at.isoformat() if self.started_at else None,
+            'finished_at': self.finished_at.isoformat() if self.finished_at else None
+        }
@@ -0,0 +1,54 @@
+from datetime import datetime
+import json
+from .repository import db
+
+class WebhookDelivery(db.Model):
+    """A GitHub webhook delivery and what it triggered"""
+    __tablename__ = 'webhook_deliveries'
+
+    id = db.Column(db.Integer, primary_key=True)
+    delivery_id = db.Column(db.String(100), unique=True, index=True)  # X-GitHub-Delivery
+    event = db.Column(db.String(50), nullable=False)  # X-GitHub-Event
+    action = db.Column(db.String(50))  # payload action, e.g. 'opened'
+    repository_full_name = db.Column(db.String(255), index=True)
+
+    # 'rejected' (bad signature), 'ignored', 'queued', 'running', 'completed', 'failed'
+    status = db.Column(db.String(50), nullable=False, default='queued')
+    task = db.Column(db.String(50))  # 'incremental_analysis', 'pr_review'
+    reason = db.Column(db.Text)  # why it was ignored or rejected, or the task's error
+
+    ref = db.Column(db.String(255))
+    head_sha = db.Column(db.String(40))
+    base_sha = db.Column(db.String(40))
+    pr_number = db.Column(db.Integer)
+    changed_files = db.Column(db.Text)  # JSON list of paths the task covers
+    analysis_id = db.Column(db.Integer, db.ForeignKey('analyses.id'), nullable=True)
+
+    received_at = db.Column(db.DateTime, default=datetime.utcnow, index=True)
+    finished_at = db.Column(db.DateTime)
+
+    def set_changed_files(self, paths):
+        self.changed_files = json.dumps(paths) if paths else None
+
+    def get_changed_files(self):
+        return json.loads(self.changed_files) if self.changed_files else []
+
+    def to_dict(self):
+        return {
+            'id': self.id,
+            'delivery_id': self.delivery_id,
+            'event': self.event,
+            'action': self.action,
+            'repository': self.repository_full_name,
+            'status': self.status,
+            'task': self.task,
+            'reason': self.reason,
+            'ref': self.ref,
+            'head_sha': self.head_sha,
+            'base_sha': self.base_sha,
+            'pr_number': self.pr_number,
+            'changed_files': self.get_changed_files(),
+            'analysis_id': self.analysis_id,
+            'received_at': self.received_at.isoformat() if self.received_at else None,
+            'finished_at': self.finished_at.isoformat() if self.finished_at else None
+        }
@@ -0,0 +1,90 @@
+from flask import Blueprint, request, jsonify
+from src.models.repository import db
+from src.services.ai_proxy import (
+    ProxyError,
+    authorize_github_user,
+    rate_limiter,
+    estimate_reserved_tokens,
+    reserve_quota,
+    settle_usage,
+    release_quota,
+    get_usage,
+    quota_limits,
+    build_upstream_payload,
+    forward_chat_completion
+)
+from src.services.ai_providers import public_providers
+
+ai_proxy_bp = Blueprint('ai_proxy', __name__)
+
+def proxy_error_response(error):
+    response = jsonify({'success': False, 'error': error.to_dict()})
+    if error.retry_after:
+        response.headers['Retry-After'] = str(error.retry_after)
+    return response, error.status
+
+@ai_proxy_bp.route('/ai/chat/completions', methods=['POST'])
+def chat_completions():
+    """Forward a chat completion for the GitHub user behind X-GitHub-Token.
+
+    The upstream completion is returned unchanged so clients can read it like an OpenAI response.
+    """
+    try:
+        login = authorize_github_user(request.headers.get('X-GitHub-Token'))
+        provider, payload = build_upstream_payload(request.get_json(silent=True))
+        remaining = rate_limiter.check(login)
+        reservation = reserve_quota(login, estimate_reserved_tokens(payload))
+
+        try:
+            completion = forward_chat_completion(provider, payload)
+        except Exception:
+            release_quota(reservation)
+            raise
+        settle_usage(reservation, completion.get('usage'))
+
+        response = jsonify(completion)
+        response.headers['X-RateLimit-Remaining'] = str(remaining)
+        return response, 200
+    except ProxyError as e:
+        db.session.rollback()
+        return proxy_error_response(e)
+    except Exception as e:
+        db.session.rollback()
+        return jsonify({
+            'success': False,
+            'error': {'message': str(e), 'type': 'api_error'}
+        }), 500
+
+@ai_proxy_bp.route('/ai/providers', methods=['GET'])
+def get_ai_providers():
+    """Registered providers and their models, without credentials"""
+    try:
+        return jsonify({
+            'success': True,
+            'providers': public_providers()
+        }), 200
+    except Exception as e:
+        return jsonify({
+            'success': False,
+            'error': {'message': str(e), 'type': 'api_error'}
+        }), 500
+
+@ai_proxy_bp.route('/ai/usage', methods=['GET'])
+def get_ai_usage():
+    """Today's AI usage and the limits that apply to the calling user"""
+    try:
+        login = authorize_github_user(request.headers.get('X-GitHub-Token'))
+        return jsonify({
+            'success': True,
+            'usage': get_usage(login).to_dict(),
+            'limits': quota_limits()
+        }), 200
+    except ProxyError as e:
+        db.session.rollback()
+        return proxy_error_response(e)
+    except Exception as e:
+        db.session.rollback()
+        return jsonify({
+            'success': False,
+            'error': {'message': str(e), 'type': 'api_error'}
+        }), 500
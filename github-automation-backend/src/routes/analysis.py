@@ -1,5 +1,5 @@
 from flask import Blueprint, request, jsonify
-from src.models.repository import Repository, db
+from src.models.repository import Repository, Analysis, db
 from src.models.analysis import AnalysisResult
 from src.models.analysis_result import AnalysisResult
 
@@ -12,17 +12,16 @@ def create_analysis(repo_id):
         if not repo:
             return jsonify({'success': False, 'error': 'Repository not found'}), 404
 
-        # Simulated analysis data
-        new_analysis = AnalysisResult(
-            repository_id=repo_id,
-            lint_issues=5,
-            pull_requests=3,
-            ci_passed=True
-        )
+        data = request.get_json()
+        if not isinstance(data, dict):
+            return jsonify({'success': False, 'error': 'Analysis must be a JSON object'}), 400
+
+        new_analysis = Analysis(repository_id=repo_id)
+        new_analysis.apply_results(data)
         db.session.add(new_analysis)
         db.session.commit()
 
-        return jsonify({'success': True, 'result': new_analysis.to_dict()}), 200
+        return jsonify({'success': True, 'analysis': new_analysis.to_dict()}), 201
 
     except Exception as e:
         db.session.rollback()
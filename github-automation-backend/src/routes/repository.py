@@ -126,6 +126,25 @@ def get_analyses(repo_id):
             'error': str(e)
         }), 500
 
+@repository_bp.route('/repositories/<int:repo_id>/analyses/latest', methods=['GET'])
+def get_latest_analysis(repo_id):
+    """Latest analysis with per-file results (optionally of ?ref=), for incremental runs; null when there is none"""
+    try:
+        if not Repository.query.get(repo_id):
+            return jsonify({'success': False, 'error': 'Repository not found'}), 404
+
+        analysis = Analysis.latest_baseline(repo_id, request.args.get('ref'))
+
+        return jsonify({
+            'success': True,
+            'analysis': analysis.to_dict(include_file_results=True) if analysis else None
+        }), 200
+    except Exception as e:
+        return jsonify({
+            'success': False,
+            'error': str(e)
+        }), 500
+
 @repository_bp.route('/repositories/<int:repo_id>/analyses/<int:analysis_id>', methods=['GET'])
 def get_analysis(repo_id, analysis_id):
     """Get a specific analysis"""
@@ -0,0 +1,109 @@
+from datetime import datetime
+from flask import Blueprint, request, jsonify, current_app
+from src.models.repository import db, Repository, Analysis
+from src.models.analysis_schedule import AnalysisSchedule
+from src.services.scheduler import validate_schedule, compute_next_run, start_schedule_run, is_stale_run
+
+schedules_bp = Blueprint('schedules', __name__)
+
+def _repository_with_schedule(repo):
+    repo_dict = repo.to_dict()
+    repo_dict['schedule'] = repo.schedule.to_dict() if repo.schedule else None
+    latest_analysis = Analysis.query.filter_by(repository_id=repo.id).order_by(Analysis.created_at.desc()).first()
+    repo_dict['last_analysis_at'] = latest_analysis.created_at.isoformat() if latest_analysis and latest_analysis.created_at else None
+    return repo_dict
+
+@schedules_bp.route('/schedules', methods=['GET'])
+def list_schedules():
+    """Tracked repositories with their schedule (or null) and latest analysis time"""
+    try:
+        repositories = Repository.query.order_by(Repository.full_name).all()
+        return jsonify({
+            'success': True,
+            'repositories': [_repository_with_schedule(repo) for repo in repositories]
+        }), 200
+    except Exception as e:
+        return jsonify({
+            'success': False,
+            'error': str(e)
+        }), 500
+
+@schedules_bp.route('/repositories/<int:repo_id>/schedule', methods=['PUT'])
+def save_schedule(repo_id):
+    """Create or replace the schedule of a repository; the next run is computed from it"""
+    try:
+        repo = Repository.query.get(repo_id)
+        if not repo:
+            return jsonify({'success': False, 'error': 'Repository not found'}), 404
+
+        try:
+            fields = validate_schedule(request.get_json() or {})
+        except ValueError as e:
+            return jsonify({'success': False, 'error': str(e)}), 400
+
+        schedule = repo.schedule or AnalysisSchedule(repository_id=repo.id)
+        for key, value in fields.items():
+            setattr(schedule, key, value)
+        schedule.next_run_at = compute_next_run(schedule.frequency, schedule.hour, schedule.weekday) if schedule.enabled else None
+
+        db.session.add(schedule)
+        db.session.commit()
+
+        return jsonify({
+            'success': True,
+            'schedule': schedule.to_dict()
+        }), 200
+    except Exception as e:
+        db.session.rollback()
+        return jsonify({
+            'success': False,
+            'error': str(e)
+        }), 500
+
+@schedules_bp.route('/repositories/<int:repo_id>/schedule', methods=['DELETE'])
+def delete_schedule(repo_id):
+    """Stop scheduled analyses of a repository"""
+    try:
+        schedule = AnalysisSchedule.query.filter_by(repository_id=repo_id).first()
+        if not schedule:
+            return jsonify({'success': False, 'error': 'Schedule not found'}), 404
+
+        db.session.delete(schedule)
+        db.session.commit()
+
+        return jsonify({'success': True}), 200
+    except Exception as e:
+        db.session.rollback()
+        return jsonify({
+            'success': False,
+            'error': str(e)
+        }), 500
+
+@schedules_bp.route('/repositories/<int:repo_id>/schedule/run', methods=['POST'])
+def run_schedule_now(repo_id):
+    """Run a scheduled analysis right away; the regular next run is unchanged"""
+    try:
+        schedule = AnalysisSchedule.query.filter_by(repository_id=repo_id).first()
+        if not schedule:
+            return jsonify({'success': False, 'error': 'Schedule not found'}), 404
+        # A run left 'running' by a restart or crash does not block a new one
+        if schedule.last_status == 'running' and not is_stale_run(schedule):
+            return jsonify({'success': False, 'error': 'A scheduled analysis is already running'}), 409
+
+        schedule.last_run_at = datetime.utcnow()
+        schedule.last_status = 'running'
+        schedule.last_error = None
+        db.session.commit()
+
+        start_schedule_run(current_app._get_current_object(), schedule.id)
+
+        return jsonify({
+            'success': True,
+            'schedule': schedule.to_dict()
+        }), 202
+    except Exception as e:
+        db.session.rollback()
+        return jsonify({
+            'success': False,
+            'error': str(e)
+        }), 500
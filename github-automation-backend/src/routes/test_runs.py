@@ -0,0 +1,97 @@
+from flask import Blueprint, request, jsonify, current_app
+from src.models.repository import db
+from src.models.test_run import TestRun
+from src.services.ai_proxy import ProxyError, authorize_github_user
+from src.services.test_runner import SUPPORTED_FRAMEWORKS, validate_target, start_test_run
+
+test_runs_bp = Blueprint('test_runs', __name__)
+
+@test_runs_bp.route('/test-runs', methods=['POST'])
+def create_test_run():
+    """Queue a sandboxed test and lint run for a repository ref.
+
+    Only GitHub users allowed to use the server (see ai_proxy) may start runs. Their token is
+    read from the X-GitHub-Token header and handed to the run for private repositories; it is
+    never stored.
+    """
+    try:
+        token = request.headers.get('X-GitHub-Token')
+        authorize_github_user(token)
+
+        data = request.get_json() or {}
+        full_name = data.get('repository')
+        ref = data.get('ref')
+        commit_sha = data.get('commit_sha')
+
+        try:
+            validate_target(full_name, ref)
+            if commit_sha:
+                validate_target(full_name, commit_sha)
+        except ValueError as e:
+            return jsonify({'success': False, 'error': str(e)}), 400
+
+        frameworks = [name for name in data.get('frameworks') or SUPPORTED_FRAMEWORKS if name in SUPPORTED_FRAMEWORKS]
+        if not frameworks:
+            return jsonify({
+                'success': False,
+                'error': f"frameworks must include one of {', '.join(SUPPORTED_FRAMEWORKS)}"
+            }), 400
+
+        run = TestRun(repository_full_name=full_name, ref=ref, commit_sha=commit_sha)
+        db.session.add(run)
+        db.session.commit()
+
+        start_test_run(current_app._get_current_object(), run.id, token, frameworks)
+
+        return jsonify({
+            'success': True,
+            'test_run': run.to_dict()
+        }), 202
+    except ProxyError as e:
+        return jsonify({'success': False, 'error': str(e)}), e.status
+    except Exception as e:
+        db.session.rollback()
+        return jsonify({
+            'success': False,
+            'error': str(e)
+        }), 500
+
+@test_runs_bp.route('/test-runs/<int:run_id>', methods=['GET'])
+def get_test_run(run_id):
+    """Get a test run with its results"""
+    try:
+        run = TestRun.query.get(run_id)
+        if not run:
+            return jsonify({'success': False, 'error': 'Test run not found'}), 404
+
+        return jsonify({
+            'success': True,
+            'test_run': run.to_dict()
+        }), 200
+    except Exception as e:
+        return jsonify({
+            'success': False,
+            'error': str(e)
+        }), 500
+
+@test_runs_bp.route('/test-runs', methods=['GET'])
+def list_test_runs():
+    """List recent test runs, optionally for one repository"""
+    try:
+        query = TestRun.query
+        repository = request.args.get('repository')
+        if repository:
+            query = query.filter_by(repository_full_name=repository)
+
+        limit = min(request.args.get('limit', 20, type=int), 100)
+        runs = query.order_by(TestRun.created_at.desc()).limit(limit).all()
+
+        return jsonify({
+            'success': True,
+            'test_runs': [run.to_dict() for run in runs]
+        }), 200
+    except Exception as e:
+        return jsonify({
+            'success': False,
+            'error': str(e)
+        }), 500
@@ -0,0 +1,75 @@
+import json
+from flask import Blueprint, request, jsonify, current_app
+from src.models.repository import db
+from src.models.webhook_delivery import WebhookDelivery
+from src.services.webhooks import (
+    get_webhook_secret,
+    verify_signature,
+    record_delivery,
+    record_rejected,
+    start_delivery_task
+)
+
+webhooks_bp = Blueprint('webhooks', __name__)
+
+MAX_DELIVERY_LIMIT = 200
+
+@webhooks_bp.route('/webhooks/github', methods=['POST'])
+def receive_github_webhook():
+    """GitHub webhook endpoint; configure it with content type application/json and the GITHUB_WEBHOOK_SECRET"""
+    secret = get_webhook_secret()
+    if not secret:
+        return jsonify({'success': False, 'error': 'GITHUB_WEBHOOK_SECRET is not configured'}), 503
+
+    event = request.headers.get('X-GitHub-Event')
+    delivery_id = request.headers.get('X-GitHub-Delivery')
+    # The signature covers the raw bytes, so read them before any JSON parsing
+    body = request.get_data()
+
+    try:
+        if not verify_signature(secret, body, request.headers.get('X-Hub-Signature-256')):
+            record_rejected(event, 'Missing or invalid X-Hub-Signature-256')
+            return jsonify({'success': False, 'error': 'Invalid signature'}), 401
+
+        if delivery_id:
+            existing = WebhookDelivery.query.filter_by(delivery_id=delivery_id).first()
+            if existing:
+                return jsonify({'success': True, 'duplicate': True, 'delivery': existing.to_dict()}), 200
+
+        try:
+            payload = json.loads(body)
+        except ValueError:
+            return jsonify({'success': False, 'error': 'Payload must be JSON'}), 400
+
+        delivery = record_delivery(event or 'unknown', delivery_id, payload)
+        if delivery.status == 'queued':
+            start_delivery_task(current_app._get_current_object(), delivery.id)
+            return jsonify({'success': True, 'delivery': delivery.to_dict()}), 202
+        return jsonify({'success': True, 'delivery': delivery.to_dict()}), 200
+    except Exception as e:
+        db.session.rollback()
+        return jsonify({
+            'success': False,
+            'error': str(e)
+        }), 500
+
+@webhooks_bp.route('/webhooks/deliveries', methods=['GET'])
+def list_deliveries():
+    """Most recent deliveries first; ?repository=owner/name narrows to one repository"""
+    try:
+        limit = min(request.args.get('limit', 50, type=int), MAX_DELIVERY_LIMIT)
+        query = WebhookDelivery.query
+        repository = request.args.get('repository')
+        if repository:
+            query = query.filter_by(repository_full_name=repository)
+
+        deliveries = query.order_by(WebhookDelivery.received_at.desc()).limit(limit).all()
+        return jsonify({
+            'success': True,
+            'deliveries': [delivery.to_dict() for delivery in deliveries]
+        }), 200
+    except Exception as e:
+        return jsonify({
+            'success': False,
+            'error': str(e)
+        }), 500
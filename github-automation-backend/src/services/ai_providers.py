@@ -0,0 +1,136 @@
+"""
+Registry of LLM providers the AI proxy can forward to.
+
+Every provider speaks the OpenAI chat completions protocol; it declares its models with their
+context window, pricing (USD per million tokens) and JSON-mode support. OpenAI is built in.
+More providers, such as a self-hosted OpenAI-compatible server, are added with a JSON list in
+AI_PROVIDERS or in the file named by AI_PROVIDERS_FILE, for example:
+
+    [{"id": "local", "name": "Team GPU box", "base_url": "http://llm.internal:8080/v1",
+      "api_key_env": "LOCAL_LLM_KEY",
+      "models": [{"id": "llama-3.1-70b", "context_window": 131072, "json_mode": "json_object"}]}]
+
+API keys are read from the environment variable named by api_key_env and are never returned
+to clients; a provider without api_key_env is called without an Authorization header.
+"""
+import json
+import os
+
+JSON_MODES = ('json_schema', 'json_object', 'none')
+
+DEFAULT_PROVIDERS = [
+    {
+        'id': 'openai',
+        'name': 'OpenAI',
+        'base_url': os.environ.get('OPENAI_BASE_URL', 'https://api.openai.com/v1'),
+        'api_key_env': 'OPENAI_API_KEY',
+        'models': [
+            {'id': 'gpt-4o', 'context_window': 128000, 'pricing': {'input': 2.5, 'output': 10.0}, 'json_mode': 'json_schema'},
+            {'id': 'gpt-4o-mini', 'context_window': 128000, 'pricing': {'input': 0.15, 'output': 0.6}, 'json_mode': 'json_schema'},
+            {'id': 'gpt-4.1', 'context_window': 1047576, 'pricing': {'input': 2.0, 'output': 8.0}, 'json_mode': 'json_schema'},
+            {'id': 'gpt-4.1-mini', 'context_window': 1047576, 'pricing': {'input': 0.4, 'output': 1.6}, 'json_mode': 'json_schema'},
+            {'id': 'gpt-3.5-turbo', 'context_window': 16385, 'pricing': {'input': 0.5, 'output': 1.5}, 'json_mode': 'json_object'}
+        ]
+    }
+]
+
+
+class ProviderConfigError(Exception):
+    pass
+
+
+def _normalize_model(provider_id, model):
+    if not isinstance(model, dict) or not model.get('id'):
+        raise ProviderConfigError(f'Provider {provider_id} has a model without an id')
+
+    json_mode = model.get('json_mode', 'none')
+    if json_mode not in JSON_MODES:
+        raise ProviderConfigError(f"Model {provider_id}/{model['id']} has unknown json_mode {json_mode}")
+
+    pricing = model.get('pricing') or {}
+    return {
+        'id': model['id'],
+        'context_window': int(model.get('context_window', 8192)),
+        'pricing': {'input': float(pricing.get('input', 0)), 'output': float(pricing.get('output', 0))},
+        'json_mode': json_mode
+    }
+
+
+def _normalize_provider(provider):
+    if not isinstance(provider, dict) or not provider.get('id') or not provider.get('base_url'):
+        raise ProviderConfigError('Every provider needs an id and a base_url')
+    if '/' in provider['id']:
+        raise ProviderConfigError(f"Provider id {provider['id']} must not contain '/'")
+    if not provider.get('models'):
+        raise ProviderConfigError(f"Provider {provider['id']} declares no models")
+
+    return {
+        'id': provider['id'],
+        'name': provider.get('name', provider['id']),
+        'base_url': provider['base_url'].rstrip('/'),
+        'api_key_env': provider.get('api_key_env'),
+        'models': [_normalize_model(provider['id'], model) for model in provider['models']]
+    }
+
+
+def _configured_providers():
+    raw = os.environ.get('AI_PROVIDERS')
+    path = os.environ.get('AI_PROVIDERS_FILE')
+    if path:
+        with open(path, encoding='utf-8') as handle:
+            raw = handle.read()
+    if not raw:
+        return []
+
+    try:
+        providers = json.loads(raw)
+    except ValueError as e:
+        raise ProviderConfigError(f'AI provider configuration is not valid JSON: {e}')
+    if not isinstance(providers, list):
+        raise ProviderConfigError('AI provider configuration must be a JSON list')
+    return providers
+
+
+def load_providers():
+    """Built-in providers overlaid with configured ones; a configured id replaces a built-in"""
+    providers = {}
+    for provider in DEFAULT_PROVIDERS + _configured_providers():
+        normalized = _normalize_provider(provider)
+        providers[normalized['id']] = normalized
+    return providers
+
+
+PROVIDERS = load_providers()
+
+
+def get_provider(provider_id):
+    return PROVIDERS.get(provider_id)
+
+
+def get_model(provider_id, model_id):
+    provider = get_provider(provider_id)
+    if not provider:
+        return None
+    return next((model for model in provider['models'] if model['id'] == model_id), None)
+
+
+def get_api_key(provider):
+    return os.environ.get(provider['api_key_env']) if provider['api_key_env'] else None
+
+
+def is_available(provider):
+    """A provider that needs a key is only usable once the key is set"""
+    return not provider['api_key_env'] or bool(get_api_key(provider))
+
+
+def public_providers():
+    """Registry as returned to clients: no key names, no base URLs of internal servers"""
+    return [
+        {
+            'id': provider['id'],
+            'name': provider['name'],
+            'available': is_available(provider),
+            'models': provider['models']
+        }
+        for provider in PROVIDERS.values()
+    ]
@@ -0,0 +1,307 @@
+"""
+Server-side access to the LLM providers for the browser client.
+
+Provider API keys only live on the server (see ai_providers). Callers identify themselves with their GitHub token,
+which is resolved to a GitHub login; each login gets a per-minute rate limit (the same
+sliding window as the frontend's createRateLimiter) and a daily request and token quota.
+
+Only the logins in AI_PROXY_ALLOWED_USERS and members of AI_PROXY_ALLOWED_ORGS (comma-separated)
+may use the server's keys and its test runs; with neither set, nobody can. A request reserves its
+quota before it is forwarded, in one conditional UPDATE so concurrent requests cannot all pass the
+same check, and the reservation is settled with the reported usage afterwards or released when the
+request fails.
+"""
+import hashlib
+import json
+import os
+import threading
+import time
+import urllib.error
+import urllib.request
+from datetime import date
+
+from sqlalchemy.exc import IntegrityError
+
+from src.models.repository import db
+from src.models.ai_usage import AIUsage
+from src.services.ai_providers import PROVIDERS, get_provider, get_model, get_api_key, is_available
+
+DEFAULT_PROVIDER = 'openai'
+
+RATE_LIMIT_REQUESTS = int(os.environ.get('AI_PROXY_RATE_LIMIT', 50))
+RATE_LIMIT_WINDOW = int(os.environ.get('AI_PROXY_RATE_WINDOW', 60))
+DAILY_REQUEST_QUOTA = int(os.environ.get('AI_PROXY_DAILY_REQUESTS', 500))
+DAILY_TOKEN_QUOTA = int(os.environ.get('AI_PROXY_DAILY_TOKENS', 2000000))
+
+ALLOWED_USERS = {login.strip().lower() for login in os.environ.get('AI_PROXY_ALLOWED_USERS', '').split(',') if login.strip()}
+ALLOWED_ORGS = [org.strip() for org in os.environ.get('AI_PROXY_ALLOWED_ORGS', '').split(',') if org.strip()]
+
+# Tokens reserved for a completion whose request sets no max_tokens
+DEFAULT_RESERVED_COMPLETION_TOKENS = 4096
+CHARS_PER_TOKEN = 4
+
+UPSTREAM_TIMEOUT = int(os.environ.get('AI_PROXY_TIMEOUT', 120))
+IDENTITY_TTL = 600  # seconds a verified GitHub token is trusted before asking GitHub again
+
+# Only these request fields are forwarded; streaming, tools and anything else are dropped
+FORWARDED_FIELDS = (
+    'model', 'messages', 'response_format', 'temperature',
+    'max_tokens', 'max_completion_tokens', 'top_p', 'seed', 'stop'
+)
+
+
+class ProxyError(Exception):
+    """Error with the HTTP status and OpenAI-style error type returned to the client"""
+
+    def __init__(self, message, status=400, error_type='invalid_request_error', retry_after=None):
+        super().__init__(message)
+        self.status = status
+        self.error_type = error_type
+        self.retry_after = retry_after
+
+    def to_dict(self):
+        return {'message': str(self), 'type': self.error_type}
+
+
+_identity_cache = {}  # sha256(token) -> (login, expires_at)
+_membership_cache = {}  # sha256(token) -> (allowed, expires_at)
+_identity_lock = threading.Lock()
+
+
+def _github_user_get(path, token):
+    request = urllib.request.Request(f'https://api.github.com{path}', headers={
+        'Authorization': f'Bearer {token}',
+        'Accept': 'application/vnd.github+json',
+        'User-Agent': 'github-automation-ai-proxy'
+    })
+    return urllib.request.urlopen(request, timeout=15)
+
+
+def resolve_github_user(token):
+    """GitHub login for a token; the token itself is never stored"""
+    if not token:
+        raise ProxyError('X-GitHub-Token header is required', 401, 'authentication_error')
+
+    key = hashlib.sha256(token.encode()).hexdigest()
+    now = time.time()
+    with _identity_lock:
+        cached = _identity_cache.get(key)
+        if cached and cached[1] > now:
+            return cached[0]
+
+    try:
+        with _github_user_get('/user', token) as response:
+            login = json.load(response)['login']
+    except urllib.error.HTTPError as e:
+        if e.code == 401:
+            raise ProxyError('GitHub token was rejected', 401, 'authentication_error')
+        raise ProxyError(f'Could not verify GitHub token (GitHub returned {e.code})', 502, 'api_error')
+    except (urllib.error.URLError, ValueError, KeyError) as e:
+        raise ProxyError(f'Could not verify GitHub token: {e}', 502, 'api_error')
+
+    with _identity_lock:
+        _identity_cache[key] = (login, now + IDENTITY_TTL)
+    return login
+
+
+def _is_org_member(org, login, token):
+    """Membership as the user's own token sees it, so private memberships count too"""
+    try:
+        with _github_user_get(f'/orgs/{org}/members/{login}', token) as response:
+            return response.status == 204
+    except urllib.error.HTTPError as e:
+        if e.code in (302, 404):
+            return False
+        raise ProxyError(f'Could not check {org} membership (GitHub returned {e.code})', 502, 'api_error')
+    except urllib.error.URLError as e:
+        raise ProxyError(f'Could not check {org} membership: {e.reason}', 502, 'api_error')
+
+
+def authorize_github_user(token):
+    """GitHub login for a token that may use the server's AI keys and test runs; 403 for everyone else"""
+    login = resolve_github_user(token)
+    if login.lower() in ALLOWED_USERS:
+        return login
+
+    key = hashlib.sha256(token.encode()).hexdigest()
+    now = time.time()
+    with _identity_lock:
+        cached = _membership_cache.get(key)
+    if cached and cached[1] > now:
+        allowed = cached[0]
+    else:
+        allowed = any(_is_org_member(org, login, token) for org in ALLOWED_ORGS)
+        with _identity_lock:
+            _membership_cache[key] = (allowed, now + IDENTITY_TTL)
+
+    if not allowed:
+        raise ProxyError(f'GitHub user {login} is not allowed to use this server', 403, 'permission_error')
+    return login
+
+
+class SlidingWindowLimiter:
+    """Per-key sliding window, the server-side twin of createRateLimiter in security.js"""
+
+    def __init__(self, max_requests, window_seconds):
+        self.max_requests = max_requests
+        self.window_seconds = window_seconds
+        self._requests = {}
+        self._lock = threading.Lock()
+
+    def check(self, key):
+        now = time.time()
+        window_start = now - self.window_seconds
+
+        with self._lock:
+            recent = [timestamp for timestamp in self._requests.get(key, []) if timestamp > window_start]
+            if len(recent) >= self.max_requests:
+                self._requests[key] = recent
+                retry_after = int(recent[0] + self.window_seconds - now) + 1
+                raise ProxyError(
+                    f'Rate limit exceeded. Try again in {retry_after} seconds',
+                    429, 'rate_limit_error', retry_after
+                )
+
+            recent.append(now)
+            self._requests[key] = recent
+            return self.max_requests - len(recent)
+
+
+rate_limiter = SlidingWindowLimiter(RATE_LIMIT_REQUESTS, RATE_LIMIT_WINDOW)
+
+
+def get_usage(login):
+    """Today's usage row for a user, created on first use"""
+    usage = AIUsage.query.filter_by(user_login=login, day=date.today()).first()
+    if usage:
+        return usage
+
+    usage = AIUsage(user_login=login, day=date.today(), requests=0, prompt_tokens=0, completion_tokens=0, reserved_tokens=0)
+    db.session.add(usage)
+    try:
+        db.session.commit()
+    except IntegrityError:
+        # Another request created today's row first
+        db.session.rollback()
+        usage = AIUsage.query.filter_by(user_login=login, day=date.today()).first()
+    return usage
+
+
+def estimate_reserved_tokens(payload):
+    """Upper bound of the tokens a completion may use: its prompt plus the completion limit"""
+    prompt = len(json.dumps(payload.get('messages') or [])) // CHARS_PER_TOKEN
+    completion = payload.get('max_completion_tokens') or payload.get('max_tokens') or DEFAULT_RESERVED_COMPLETION_TOKENS
+    return prompt + completion
+
+
+def reserve_quota(login, tokens):
+    """Count one request and hold tokens against today's quota; raises 429 when either is used up.
+    Returns the reservation to settle or release: {usage_id, tokens}"""
+    usage = get_usage(login)
+    used_tokens = AIUsage.prompt_tokens + AIUsage.completion_tokens + db.func.coalesce(AIUsage.reserved_tokens, 0)
+    reserved = AIUsage.query.filter(
+        AIUsage.id == usage.id,
+        AIUsage.requests < DAILY_REQUEST_QUOTA,
+        used_tokens < DAILY_TOKEN_QUOTA
+    ).update({
+        'requests': AIUsage.requests + 1,
+        'reserved_tokens': db.func.coalesce(AIUsage.reserved_tokens, 0) + tokens
+    }, synchronize_session=False)
+    db.session.commit()
+
+    if not reserved:
+        db.session.refresh(usage)
+        if usage.requests >= DAILY_REQUEST_QUOTA:
+            raise ProxyError(f'Daily AI request quota of {DAILY_REQUEST_QUOTA} reached', 429, 'quota_exceeded')
+        raise ProxyError(f'Daily AI token quota of {DAILY_TOKEN_QUOTA} reached', 429, 'quota_exceeded')
+    return {'usage_id': usage.id, 'tokens': tokens}
+
+
+def settle_usage(reservation, completion_usage):
+    """Replace a reservation with the tokens the provider reports, on the day it was made"""
+    completion_usage = completion_usage or {}
+    AIUsage.query.filter_by(id=reservation['usage_id']).update({
+        'reserved_tokens': AIUsage.reserved_tokens - reservation['tokens'],
+        'prompt_tokens': AIUsage.prompt_tokens + completion_usage.get('prompt_tokens', 0),
+        'completion_tokens': AIUsage.completion_tokens + completion_usage.get('completion_tokens', 0)
+    }, synchronize_session=False)
+    db.session.commit()
+
+
+def release_quota(reservation):
+    """Give back the request and tokens of a reservation whose request failed"""
+    AIUsage.query.filter_by(id=reservation['usage_id']).update({
+        'requests': AIUsage.requests - 1,
+        'reserved_tokens': AIUsage.reserved_tokens - reservation['tokens']
+    }, synchronize_session=False)
+    db.session.commit()
+
+
+def quota_limits():
+    return {
+        'requests_per_window': RATE_LIMIT_REQUESTS,
+        'window_seconds': RATE_LIMIT_WINDOW,
+        'daily_requests': DAILY_REQUEST_QUOTA,
+        'daily_tokens': DAILY_TOKEN_QUOTA,
+        'models': [
+            f"{provider['id']}/{model['id']}"
+            for provider in PROVIDERS.values() if is_available(provider)
+            for model in provider['models']
+        ]
+    }
+
+
+def build_upstream_payload(body):
+    """Validate a request against the provider registry; returns (provider, payload)"""
+    if not isinstance(body, dict):
+        raise ProxyError('Request body must be a JSON object')
+    if body.get('stream'):
+        raise ProxyError('Streaming responses are not supported by the proxy')
+
+    provider_id = body.get('provider') or DEFAULT_PROVIDER
+    provider = get_provider(provider_id)
+    if not provider:
+        raise ProxyError(f'Unknown AI provider {provider_id}')
+    model = get_model(provider_id, body.get('model'))
+    if not model:
+        raise ProxyError(f"Model {body.get('model')} is not registered for provider {provider_id}")
+    if body.get('response_format') and model['json_mode'] == 'none':
+        raise ProxyError(f"Model {provider_id}/{model['id']} does not support response_format")
+    if not isinstance(body.get('messages'), list) or not body['messages']:
+        raise ProxyError('messages must be a non-empty list')
+
+    return provider, {field: body[field] for field in FORWARDED_FIELDS if field in body}
+
+
+def forward_chat_completion(provider, payload):
+    """POST the completion to the provider and return its JSON body unchanged"""
+    if not is_available(provider):
+        raise ProxyError(f"AI provider {provider['id']} is not configured on the server", 503, 'api_error')
+
+    headers = {'Content-Type': 'application/json'}
+    api_key = get_api_key(provider)
+    if api_key:
+        headers['Authorization'] = f'Bearer {api_key}'
+
+    request = urllib.request.Request(
+        f"{provider['base_url']}/chat/completions",
+        data=json.dumps(payload).encode(),
+        headers=headers,
+        method='POST'
+    )
+    try:
+        with urllib.request.urlopen(request, timeout=UPSTREAM_TIMEOUT) as response:
+            return json.load(response)
+    except urllib.error.HTTPError as e:
+        try:
+            error = json.load(e).get('error') or {}
+        except ValueError:
+            error = {}
+        retry_after = e.headers.get('Retry-After') if e.headers else None
+        raise ProxyError(
+            error.get('message') or f'Upstream returned {e.code}',
+            e.code, error.get('type') or 'api_error',
+            int(retry_after) if retry_after and retry_after.isdigit() else None
+        )
+    except urllib.error.URLError as e:
+        raise ProxyError(f'Upstream request failed: {e.reason}', 502, 'api_error')
@@ -0,0 +1,369 @@
+"""
+Headless repository analysis for scheduled and webhook-triggered runs.
+
+The same pipeline the browser runs, reduced to what the server can do on its own: read a
+commit's tree from the GitHub API, pick source files with the frontend's default
+filters, ask the configured model to review each file through the provider registry, and
+merge the file reviews into the repository-level shape stored on Analysis.
+
+Private repositories need GITHUB_TOKEN on the server. Files too large for one request are
+skipped here; the browser's chunked analysis covers them.
+"""
+import base64
+import json
+import os
+import re
+import urllib.error
+import urllib.request
+
+from src.models.repository import db, Analysis, AutomationEntry
+from src.services.ai_providers import get_provider, get_model, is_available
+from src.services.ai_proxy import ProxyError, forward_chat_completion
+
+GITHUB_API = 'https://api.github.com'
+GITHUB_TIMEOUT = 30
+NEXT_PAGE_LINK = re.compile(r'<([^>]+)>;\s*rel="next"')
+
+# Mirrors DEFAULT_AUTOMATION_CONFIG in the frontend
+ANALYZE_FILE_TYPES = ('.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.cpp', '.c', '.go', '.rs')
+IGNORE_PATTERNS = ('node_modules', '.git', 'dist', 'build', '__pycache__', '.pytest_cache')
+MAX_FILE_SIZE = 1000000
+
+CHARS_PER_TOKEN = 4
+RESERVED_TOKENS = 8000  # system prompt and answer
+
+FINDING_SECTIONS = (
+    'bugs_detected', 'improvements_suggested', 'feature_ideas',
+    'security_concerns', 'performance_issues', 'documentation_gaps'
+)
+SEVERITY_RANK = {'critical': 0, 'high': 1, 'medium': 2, 'low': 3}
+
+SYSTEM_PROMPT = """You are a senior code reviewer analyzing one file of a GitHub repository.
+The source is given with 1-based line numbers; use them for every "line" field (0 when a finding is not tied to a line).
+Report only real, specific problems in this file and return empty arrays rather than inventing findings.
+Answer with one JSON object with exactly these keys:
+- file_health_score: integer 0-100
+- architecture_notes: string
+- bugs_detected: [{description, severity, line, solution}]
+- improvements_suggested: [{description, priority, effort, line}]
+- feature_ideas: [{name, description, complexity, priority}]
+- security_concerns: [{description, severity, cwe_id, line, mitigation}]
+- performance_issues: [{description, impact, line, optimization}]
+- documentation_gaps: [{description, priority}]
+- test_coverage: {has_tests, missing_tests, test_quality}
+- code_quality_metrics: {maintainability, readability, complexity, duplication} as integers 0-100
+- recommendations: {immediate_actions, short_term, long_term} as lists of strings
+severity and priority are critical, high, medium or low; effort, complexity and impact are low, medium or high."""
+
+
+class AnalysisRunError(Exception):
+    pass
+
+
+def github_get(path, token=None):
+    return github_request('GET', path, token)
+
+
+def github_get_all(path, token=None):
+    """Every item of a paginated list endpoint, following the Link header's next page"""
+    items = []
+    url = f'{GITHUB_API}{path}'
+    while url:
+        page, headers = _github_fetch('GET', url, token)
+        items.extend(page)
+        next_page = NEXT_PAGE_LINK.search(headers.get('Link') or '')
+        # The token goes with every page, so only pages of the API itself are followed
+        url = next_page.group(1) if next_page and next_page.group(1).startswith(f'{GITHUB_API}/') else None
+    return items
+
+
+def github_request(method, path, token=None, body=None):
+    return _github_fetch(method, f'{GITHUB_API}{path}', token, body)[0]
+
+
+def _github_fetch(method, url, token=None, body=None):
+    """(parsed body, response headers) of a GitHub API request"""
+    headers = {
+        'Accept': 'application/vnd.github+json',
+        'User-Agent': 'github-automation-scheduler'
+    }
+    if token:
+        headers['Authorization'] = f'Bearer {token}'
+    data = None
+    if body is not None:
+        headers['Content-Type'] = 'application/json'
+        data = json.dumps(body).encode()
+
+    request = urllib.request.Request(url, data=data, headers=headers, method=method)
+    try:
+        with urllib.request.urlopen(request, timeout=GITHUB_TIMEOUT) as response:
+            return json.load(response), response.headers
+    except urllib.error.HTTPError as e:
+        raise AnalysisRunError(f"GitHub returned {e.code} for {url.removeprefix(GITHUB_API)}")
+    except urllib.error.URLError as e:
+        raise AnalysisRunError(f'GitHub request failed: {e.reason}')
+
+
+def _is_ignored(path):
+    segments = path.split('/')
+    return any(pattern in segments for pattern in IGNORE_PATTERNS)
+
+
+def select_files(entries, max_files, context_window, paths=None):
+    """Source blobs in tree order, up to max_files, that fit a single request; only `paths` when given"""
+    max_chars = max(context_window - RESERVED_TOKENS, 1000) * CHARS_PER_TOKEN
+    selected = []
+    for entry in entries:
+        if len(selected) >= max_files:
+            break
+        path = entry['path']
+        if (
+            entry['type'] != 'blob' or _is_ignored(path)
+            or (paths is not None and path not in paths)
+            or not path.lower().endswith(ANALYZE_FILE_TYPES)
+            or entry.get('size', 0) > min(MAX_FILE_SIZE, max_chars)
+        ):
+            continue
+        selected.append(entry)
+    return selected
+
+
+def fetch_blob(full_name, sha, token=None):
+    """Decoded text of a blob, or None for binary content"""
+    blob = github_get(f'/repos/{full_name}/git/blobs/{sha}', token)
+    try:
+        return base64.b64decode(blob['content']).decode('utf-8')
+    except (UnicodeDecodeError, KeyError, ValueError):
+        return None
+
+
+def _extract_json(content):
+    """The JSON object in a reply, also when a model without JSON mode wraps it in prose"""
+    start, end = content.find('{'), content.rfind('}')
+    if start == -1 or end < start:
+        raise AnalysisRunError('Model reply did not contain a JSON object')
+    try:
+        return json.loads(content[start:end + 1])
+    except ValueError as e:
+        raise AnalysisRunError(f'Model reply was not valid JSON: {e}')
+
+
+def _score(value):
+    return max(0, min(100, int(value))) if isinstance(value, (int, float)) else None
+
+
+def normalize_file_analysis(raw):
+    """Fill missing sections so merging never has to guess"""
+    metrics = raw.get('code_quality_metrics') or {}
+    coverage = raw.get('test_coverage') or {}
+    recommendations = raw.get('recommendations') or {}
+    analysis = {
+        'file_health_score': _score(raw.get('file_health_score')),
+        'architecture_notes': str(raw.get('architecture_notes') or ''),
+        'test_coverage': {
+            'has_tests': bool(coverage.get('has_tests')),
+            'missing_tests': list(coverage.get('missing_tests') or []),
+            'test_quality': str(coverage.get('test_quality') or '')
+        },
+        'code_quality_metrics': {key: _score(metrics.get(key)) for key in ('maintainability', 'readability', 'complexity', 'duplication')},
+        'recommendations': {key: list(recommendations.get(key) or []) for key in ('immediate_actions', 'short_term', 'long_term')}
+    }
+    for section in FINDING_SECTIONS:
+        analysis[section] = [item for item in raw.get(section) or [] if isinstance(item, dict)]
+    return analysis
+
+
+def analyze_file(provider, model, full_name, path, content):
+    """Review one file; returns (analysis, usage)"""
+    numbered = '\n'.join(f'{index}: {line}' for index, line in enumerate(content.split('\n'), start=1))
+    payload = {
+        'model': model['id'],
+        'temperature': 0.1,
+        'messages': [
+            {'role': 'system', 'content': SYSTEM_PROMPT},
+            {'role': 'user', 'content': f'Repository: {full_name}\nFile: {path}\n\n{numbered}'}
+        ]
+    }
+    if model['json_mode'] != 'none':
+        payload['response_format'] = {'type': 'json_object'}
+
+    completion = forward_chat_completion(provider, payload)
+    message = completion['choices'][0]['message']
+    if message.get('refusal'):
+        raise AnalysisRunError(f"Model refused: {message['refusal']}")
+    return normalize_file_analysis(_extract_json(message.get('content') or '')), completion.get('usage') or {}
+
+
+def _weighted_average(entries, pick):
+    values = [(pick(analysis), weight) for analysis, weight in entries if pick(analysis) is not None]
+    total = sum(weight for _, weight in values)
+    return round(sum(value * weight for value, weight in values) / total) if total else None
+
+
+def _dedupe(strings):
+    seen = []
+    for text in strings:
+        if text and text not in seen:
+            seen.append(text)
+    return seen
+
+
+def merge_file_analyses(file_analyses):
+    """Repository-level analysis from [(path, size, analysis)], like mergeFileAnalyses in the frontend"""
+    # Larger files weigh more in averaged scores; floor keeps tiny files relevant
+    weighted = [(analysis, max(size or 0, 1000)) for _, size, analysis in file_analyses]
+
+    merged = {}
+    for section in FINDING_SECTIONS:
+        items = [
+            {**item, 'file': path}
+            for path, _, analysis in file_analyses
+            for item in analysis[section]
+        ]
+        items.sort(key=lambda item: SEVERITY_RANK.get(item.get('severity') or item.get('priority'), len(SEVERITY_RANK)))
+        merged[section] = [{'id': f'{section}-{index}', **item} for index, item in enumerate(items, start=1)]
+
+    with_tests = sum(1 for _, _, analysis in file_analyses if analysis['test_coverage']['has_tests'])
+    qualities = [analysis['test_coverage']['test_quality'] for _, _, analysis in file_analyses if analysis['test_coverage']['test_quality']]
+
+    return {
+        'overall_health_score': _weighted_average(weighted, lambda analysis: analysis['file_health_score']),
+        'architecture_analysis': '\n'.join(
+            f"{path}: {analysis['architecture_notes'].strip()}"
+            for path, _, analysis in file_analyses if analysis['architecture_notes'].strip()
+        ),
+        **merged,
+        'test_coverage_analysis': {
+            'estimated_coverage': f'{round(with_tests / len(file_analyses) * 100)}%' if file_analyses else 'unknown',
+            'missing_tests': _dedupe(test for _, _, analysis in file_analyses for test in analysis['test_coverage']['missing_tests']),
+            'test_quality': max(set(qualities), key=qualities.count) if qualities else 'unknown'
+        },
+        'code_quality_metrics': {
+            key: _weighted_average(weighted, lambda analysis, key=key: analysis['code_quality_metrics'][key])
+            for key in ('maintainability', 'readability', 'complexity', 'duplication')
+        },
+        'recommendations': {
+            key: _dedupe(text for _, _, analysis in file_analyses for text in analysis['recommendations'][key])
+            for key in ('immediate_actions', 'short_term', 'long_term')
+        }
+    }
+
+
+def run_repository_analysis(full_name, provider_id, model_id, max_files=10, token=None, ref=None, paths=None, baseline=None):
+    """Analyze full_name at ref (the default branch when omitted), optionally only the given paths.
+
+    baseline maps paths to the file results of an earlier analysis (see load_baseline); files
+    whose blob is unchanged since then, and that the same model analyzed, keep their earlier
+    result instead of being analyzed again. With both paths and a baseline, only paths are
+    analyzed and every other file still in the tree keeps its baseline result, so the run
+    covers the repository again without max_files cutting the changed files out.
+
+    Returns (analysis, run_info): analysis in the shape Analysis.apply_results takes, run_info
+    with the analyzed commit, files, per-file results and errors, and token usage.
+    """
+    provider = get_provider(provider_id)
+    model = get_model(provider_id, model_id)
+    if not provider or not model:
+        raise AnalysisRunError(f'Model {provider_id}/{model_id} is not registered')
+    if not is_available(provider):
+        raise AnalysisRunError(f'AI provider {provider_id} is not configured on the server')
+
+    token = token or os.environ.get('GITHUB_TOKEN')
+    branch = ref or github_get(f'/repos/{full_name}', token)['default_branch']
+    commit = github_get(f'/repos/{full_name}/commits/{branch}', token)
+    tree = github_get(f"/repos/{full_name}/git/trees/{commit['commit']['tree']['sha']}?recursive=1", token)
+
+    usage = {'calls': 0, 'prompt_tokens': 0, 'completion_tokens': 0}
+    file_results = []
+    errors = []
+    reused = 0
+    model_key = f'{provider_id}/{model_id}'
+    entries = tree.get('tree', [])
+    for entry in select_files(entries, max_files, model['context_window'], paths):
+        previous = (baseline or {}).get(entry['path'])
+        if previous and previous.get('sha') == entry['sha'] and previous.get('model') == model_key:
+            file_results.append({**previous, 'size': entry.get('size')})
+            reused += 1
+            continue
+
+        content = fetch_blob(full_name, entry['sha'], token)
+        if not content:
+            continue
+        try:
+            analysis, file_usage = analyze_file(provider, model, full_name, entry['path'], content)
+        except (AnalysisRunError, ProxyError, KeyError, IndexError) as e:
+            errors.append({'file': entry['path'], 'error': str(e)})
+            continue
+        usage['calls'] += 1
+        usage['prompt_tokens'] += file_usage.get('prompt_tokens', 0)
+        usage['completion_tokens'] += file_usage.get('completion_tokens', 0)
+        file_results.append({'path': entry['path'], 'sha': entry['sha'], 'size': entry.get('size'), 'model': model_key, 'analysis': analysis, 'static': None})
+
+    if baseline and paths is not None:
+        # Carried over with their old blob sha, so a later run re-analyzes them once they differ
+        analyzed = {result['path'] for result in file_results}
+        for entry in entries:
+            previous = baseline.get(entry['path'])
+            if entry['type'] == 'blob' and previous and entry['path'] not in analyzed:
+                file_results.append({**previous, 'size': entry.get('size')})
+                reused += 1
+
+    file_analyses = [(result['path'], result['size'], result['analysis']) for result in file_results]
+
+    if not file_analyses:
+        detail = f" ({errors[0]['error']})" if errors else ''
+        raise AnalysisRunError(f'No files could be analyzed{detail}')
+
+    usage['total_tokens'] = usage['prompt_tokens'] + usage['completion_tokens']
+    usage['cost'] = (usage['prompt_tokens'] * model['pricing']['input'] + usage['completion_tokens'] * model['pricing']['output']) / 1000000
+    return merge_file_analyses(file_analyses), {
+        'ref': branch,
+        'commit_sha': commit['sha'],
+        'files_analyzed': [path for path, _, _ in file_analyses],
+        'files_reused': reused,
+        'file_results': file_results,
+        'analysis_errors': errors,
+        'ai_usage': usage
+    }
+
+
+def load_baseline(repository_id, ref=None):
+    """File results by path of the repository's latest whole-repository analysis, or None"""
+    analysis = Analysis.latest_baseline(repository_id, ref)
+    if not analysis:
+        return None
+    return {result['path']: result for result in analysis.get_file_results()}
+
+
+def save_analysis_run(repository_id, results, run_info, analysis_type, action, details, metadata=None):
+    """Store a headless run as an Analysis with its automation entry; returns the analysis"""
+    analysis = Analysis(repository_id=repository_id, analysis_type=analysis_type)
+    analysis.apply_results({
+        **results,
+        'commit_sha': run_info['commit_sha'],
+        'ref': run_info['ref'],
+        'file_results': run_info.get('file_results')
+    })
+    db.session.add(analysis)
+    db.session.flush()
+
+    entry = AutomationEntry(
+        repository_id=repository_id,
+        analysis_id=analysis.id,
+        action=action,
+        status='completed',
+        details=f"{details} ({len(run_info['files_analyzed'])} files, {run_info.get('files_reused', 0)} unchanged, health score {analysis.overall_health_score}%)"
+    )
+    # File results live on the analysis; the entry keeps the summary
+    summary = {key: value for key, value in run_info.items() if key != 'file_results'}
+    entry.set_metadata({**summary, **(metadata or {})})
+    db.session.add(entry)
+    db.session.commit()
+    return analysis
+
+
+def save_failed_run(repository_id, action, details, error, metadata=None):
+    entry = AutomationEntry(repository_id=repository_id, action=action, status='failed', details=details)
+    entry.set_metadata({**(metadata or {}), 'error': str(error)})
+    db.session.add(entry)
+    db.session.commit()
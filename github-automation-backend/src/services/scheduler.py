@@ -0,0 +1,184 @@
+"""
+Recurring analyses of tracked repositories.
+
+A daemon thread wakes every SCHEDULER_POLL_INTERVAL seconds and claims the schedules that are
+due. Claiming moves next_run_at forward with a compare-and-set on its old value, so when several
+server processes run the scheduler (the debug reloader, multiple workers) each run starts once.
+Claimed runs execute on their own threads, SCHEDULER_CONCURRENCY at a time, and store their
+results as an Analysis with an automation entry, exactly like analyses posted by the frontend.
+
+A run that started (last_run_at) more than SCHEDULER_RUN_TIMEOUT seconds ago and is still marked
+running was lost to a restart or crash; every poll marks such runs failed, and running now does
+not wait for them.
+"""
+import os
+import threading
+import time
+from datetime import datetime, timedelta
+
+from src.models.repository import db
+from src.models.analysis_schedule import AnalysisSchedule
+from src.services.ai_providers import get_model
+from src.services.repository_analyzer import run_repository_analysis, load_baseline, save_analysis_run, save_failed_run
+
+FREQUENCIES = ('daily', 'weekly')
+
+POLL_INTERVAL = int(os.environ.get('SCHEDULER_POLL_INTERVAL', 60))
+RUN_TIMEOUT = int(os.environ.get('SCHEDULER_RUN_TIMEOUT', 3 * 60 * 60))
+MAX_FILES_LIMIT = 100
+
+_run_slots = threading.BoundedSemaphore(int(os.environ.get('SCHEDULER_CONCURRENCY', 1)))
+_started = False
+_start_lock = threading.Lock()
+
+
+def validate_schedule(data):
+    """Schedule fields from a request body; raises ValueError on anything out of range"""
+    frequency = data.get('frequency', 'daily')
+    if frequency not in FREQUENCIES:
+        raise ValueError(f"frequency must be one of {', '.join(FREQUENCIES)}")
+
+    hour = data.get('hour', 2)
+    weekday = data.get('weekday', 0)
+    max_files = data.get('max_files', 10)
+    if not isinstance(hour, int) or not 0 <= hour <= 23:
+        raise ValueError('hour must be an integer from 0 to 23 (UTC)')
+    if not isinstance(weekday, int) or not 0 <= weekday <= 6:
+        raise ValueError('weekday must be an integer from 0 (Monday) to 6 (Sunday)')
+    if not isinstance(max_files, int) or not 1 <= max_files <= MAX_FILES_LIMIT:
+        raise ValueError(f'max_files must be an integer from 1 to {MAX_FILES_LIMIT}')
+
+    ai_provider = data.get('ai_provider', 'openai')
+    ai_model = data.get('ai_model', 'gpt-4o-mini')
+    if not get_model(ai_provider, ai_model):
+        raise ValueError(f'Model {ai_provider}/{ai_model} is not registered')
+
+    return {
+        'frequency': frequency,
+        'hour': hour,
+        'weekday': weekday,
+        'enabled': bool(data.get('enabled', True)),
+        'ai_provider': ai_provider,
+        'ai_model': ai_model,
+        'max_files': max_files
+    }
+
+
+def compute_next_run(frequency, hour, weekday, after=None):
+    """First run time strictly after `after` (UTC) for the schedule"""
+    after = after or datetime.utcnow()
+    candidate = after.replace(hour=hour, minute=0, second=0, microsecond=0)
+    if frequency == 'weekly':
+        candidate += timedelta(days=(weekday - candidate.weekday()) % 7)
+        step = timedelta(days=7)
+    else:
+        step = timedelta(days=1)
+    while candidate <= after:
+        candidate += step
+    return candidate
+
+
+def is_stale_run(schedule, now=None):
+    """Whether a schedule marked running started longer than RUN_TIMEOUT ago"""
+    now = now or datetime.utcnow()
+    return (
+        schedule.last_status == 'running'
+        and (schedule.last_run_at is None or schedule.last_run_at < now - timedelta(seconds=RUN_TIMEOUT))
+    )
+
+
+def recover_stale_runs(now=None):
+    """Mark runs that never finished as failed; returns how many were recovered"""
+    now = now or datetime.utcnow()
+    started_before = now - timedelta(seconds=RUN_TIMEOUT)
+    recovered = AnalysisSchedule.query.filter(
+        AnalysisSchedule.last_status == 'running',
+        db.or_(AnalysisSchedule.last_run_at.is_(None), AnalysisSchedule.last_run_at < started_before)
+    ).update({
+        'last_status': 'failed',
+        'last_error': f'Run did not finish within {RUN_TIMEOUT} seconds; the server restarted or the run crashed'
+    }, synchronize_session=False)
+    db.session.commit()
+    return recovered
+
+
+def claim_due_schedules(now=None):
+    """Ids of due schedules this process won; each is moved to its next slot as it is claimed"""
+    now = now or datetime.utcnow()
+    due = AnalysisSchedule.query.filter(
+        AnalysisSchedule.enabled.is_(True),
+        AnalysisSchedule.next_run_at <= now
+    ).all()
+
+    claimed = []
+    for schedule in due:
+        won = AnalysisSchedule.query.filter_by(id=schedule.id, next_run_at=schedule.next_run_at).update({
+            'next_run_at': compute_next_run(schedule.frequency, schedule.hour, schedule.weekday, now),
+            'last_run_at': now,
+            'last_status': 'running',
+            'last_error': None
+        }, synchronize_session=False)
+        db.session.commit()
+        if won:
+            claimed.append(schedule.id)
+    return claimed
+
+
+def _execute(app, schedule_id):
+    with app.app_context(), _run_slots:
+        schedule = AnalysisSchedule.query.get(schedule_id)
+        if not schedule:
+            return
+        repo = schedule.repository
+
+        try:
+            # Files unchanged since the last stored analysis are carried over, not analyzed again
+            results, run_info = run_repository_analysis(
+                repo.full_name, schedule.ai_provider, schedule.ai_model, schedule.max_files,
+                baseline=load_baseline(repo.id)
+            )
+            analysis = save_analysis_run(
+                repo.id, results, run_info, 'scheduled', 'scheduled_analysis',
+                f'Scheduled {schedule.frequency} analysis', {'schedule_id': schedule.id}
+            )
+
+            schedule.last_status = 'completed'
+            schedule.last_analysis_id = analysis.id
+            db.session.commit()
+        except Exception as e:
+            db.session.rollback()
+            schedule = AnalysisSchedule.query.get(schedule_id)
+            schedule.last_status = 'failed'
+            schedule.last_error = str(e)
+            save_failed_run(
+                schedule.repository_id, 'scheduled_analysis',
+                f'Scheduled {schedule.frequency} analysis failed', e, {'schedule_id': schedule.id}
+            )
+
+
+def start_schedule_run(app, schedule_id):
+    threading.Thread(target=_execute, args=(app, schedule_id), daemon=True).start()
+
+
+def _poll(app):
+    while True:
+        try:
+            with app.app_context():
+                recover_stale_runs()
+                for schedule_id in claim_due_schedules():
+                    start_schedule_run(app, schedule_id)
+        except Exception as e:
+            print(f'❌ Scheduler poll failed: {e}')
+        time.sleep(POLL_INTERVAL)
+
+
+def start_scheduler(app):
+    """Start the polling thread once per process; SCHEDULER_ENABLED=false turns it off"""
+    global _started
+    if os.environ.get('SCHEDULER_ENABLED', 'true').lower() == 'false':
+        return
+    with _start_lock:
+        if _started:
+            return
+        _started = True
+    threading.Thread(target=_poll, args=(app,), daemon=True, name='analysis-scheduler').start()
@@ -0,0 +1,476 @@
+"""
+Sandboxed test and lint execution.
+
+Every run gets its own throwaway container of TEST_RUN_IMAGE (built from sandbox/Dockerfile)
+on the Docker daemon at DOCKER_HOST: a read-only root filesystem, no capabilities, no host
+mounts and no server environment, with an anonymous volume as its only writable workspace,
+under memory, CPU and process limits. The commit is fetched and its dependencies installed
+(npm without lifecycle scripts) while the container is on TEST_RUN_INSTALL_NETWORK; the
+container is then cut off from every network before any test or lint command runs, and
+their machine-readable reports are read back out of it. The container and its volume are
+removed when the run ends. Only users allowed by AI_PROXY_ALLOWED_USERS or AI_PROXY_ALLOWED_ORGS
+may start runs.
+
+Point DOCKER_HOST at a daemon that runs nothing else (rootless Docker or a dedicated VM),
+since whoever can start containers on a daemon controls it.
+"""
+import base64
+import json
+import os
+import posixpath
+import re
+import signal
+import subprocess
+import threading
+import uuid
+import xml.etree.ElementTree as ET
+from datetime import datetime
+
+from src.models.repository import db
+from src.models.test_run import TestRun
+
+SUPPORTED_FRAMEWORKS = ('jest', 'mocha', 'pytest')
+
+CHECKOUT_TIMEOUT = int(os.environ.get('TEST_RUN_CHECKOUT_TIMEOUT', 120))
+INSTALL_TIMEOUT = int(os.environ.get('TEST_RUN_INSTALL_TIMEOUT', 600))
+COMMAND_TIMEOUT = int(os.environ.get('TEST_RUN_TIMEOUT', 600))
+DOCKER_TIMEOUT = 60
+
+SANDBOX_IMAGE = os.environ.get('TEST_RUN_IMAGE', 'github-automation-test-runner:latest')
+SANDBOX_INSTALL_NETWORK = os.environ.get('TEST_RUN_INSTALL_NETWORK', 'bridge')
+SANDBOX_MEMORY = os.environ.get('TEST_RUN_MEMORY', '2g')
+SANDBOX_CPUS = os.environ.get('TEST_RUN_CPUS', '2')
+SANDBOX_PIDS = os.environ.get('TEST_RUN_PIDS', '512')
+
+# Paths inside the sandbox; /workspace is the anonymous volume
+WORKSPACE = '/workspace'
+REPO_DIR = f'{WORKSPACE}/repo'
+OUTPUT_DIR = f'{WORKSPACE}/reports'
+VENV_DIR = f'{WORKSPACE}/venv'
+
+LOG_TAIL_CHARS = 20000
+MAX_DIAGNOSTICS_PER_FILE = 100
+
+REPOSITORY_PATTERN = re.compile(r'^[\w.-]+/[\w.-]+$')
+REF_PATTERN = re.compile(r'^[\w][\w./-]*$')
+
+# Only this many runs execute at once; the rest wait in 'queued'
+_run_slots = threading.BoundedSemaphore(int(os.environ.get('TEST_RUN_CONCURRENCY', 2)))
+
+
+class TestRunError(Exception):
+    pass
+
+
+def validate_target(full_name, ref):
+    """Reject repository names and refs that could be read as git options or paths"""
+    if not full_name or not REPOSITORY_PATTERN.match(full_name):
+        raise ValueError('repository must look like owner/repo')
+    if not ref or not REF_PATTERN.match(ref) or '..' in ref:
+        raise ValueError('ref is not a valid branch, tag or commit')
+
+
+# Environment inside the sandbox: no secrets from the server, only what tools need
+SANDBOX_ENV = {
+    'HOME': f'{WORKSPACE}/home',
+    'CI': 'true',
+    'LANG': 'C.UTF-8',
+    'NODE_ENV': 'test',
+    'npm_config_cache': f'{WORKSPACE}/home/.npm',
+    'PIP_CACHE_DIR': f'{WORKSPACE}/home/.pip',
+    'GIT_TERMINAL_PROMPT': '0'
+}
+
+
+def _docker_env():
+    """Environment for the docker CLI: where the daemon is, nothing else of the server's"""
+    return {
+        key: value for key, value in os.environ.items()
+        if key in ('PATH', 'DOCKER_HOST', 'DOCKER_TLS_VERIFY', 'DOCKER_CERT_PATH', 'DOCKER_CONFIG')
+    }
+
+
+def _run(command, log, timeout=COMMAND_TIMEOUT, display=None):
+    """Run a host command in its own process group; kill the whole group on timeout"""
+    try:
+        process = subprocess.Popen(
+            command,
+            env=_docker_env(),
+            stdout=subprocess.PIPE,
+            stderr=subprocess.PIPE,
+            stdin=subprocess.DEVNULL,
+            text=True,
+            errors='replace',
+            start_new_session=True
+        )
+    except FileNotFoundError:
+        raise TestRunError('Test runs need the docker CLI and a Docker daemon for their sandbox')
+
+    shown = display or ' '.join(command)
+    try:
+        stdout, stderr = process.communicate(timeout=timeout)
+    except subprocess.TimeoutExpired:
+        os.killpg(process.pid, signal.SIGKILL)
+        stdout, stderr = process.communicate()
+        if log is not None:
+            log.append(f'$ {shown}\n{stdout}{stderr}\n[killed after {timeout}s]')
+        raise TestRunError(f'{shown} timed out after {timeout}s')
+
+    if log is not None:
+        log.append(f'$ {shown}\n{stdout}{stderr}\n[exit {process.returncode}]')
+    return process.returncode, stdout
+
+
+class Sandbox:
+    """A run's container; commands execute inside it with docker exec"""
+
+    def __init__(self, log, name=None):
+        self.log = log
+        self.name = name or f'test-run-{uuid.uuid4().hex[:12]}'
+
+    def start(self):
+        env = [arg for key, value in SANDBOX_ENV.items() for arg in ('--env', f'{key}={value}')]
+        code, _ = _run([
+            'docker', 'create', '--name', self.name,
+            '--network', SANDBOX_INSTALL_NETWORK,
+            '--read-only', '--tmpfs', '/tmp:rw,exec,size=512m',
+            '--volume', WORKSPACE,
+            '--cap-drop', 'ALL', '--security-opt', 'no-new-privileges',
+            '--memory', SANDBOX_MEMORY, '--cpus', SANDBOX_CPUS, '--pids-limit', SANDBOX_PIDS,
+            *env,
+            SANDBOX_IMAGE, 'sleep', 'infinity'
+        ], self.log, DOCKER_TIMEOUT, display=f'docker create {SANDBOX_IMAGE}')
+        if code != 0:
+            raise TestRunError(f'Could not create a sandbox from {SANDBOX_IMAGE}')
+        _run(['docker', 'start', self.name], self.log, DOCKER_TIMEOUT)
+        self.exec(['mkdir', '-p', REPO_DIR, OUTPUT_DIR, SANDBOX_ENV['HOME']], DOCKER_TIMEOUT, quiet=True)
+
+    def exec(self, command, timeout=COMMAND_TIMEOUT, display=None, quiet=False):
+        """Run command in the checkout; on timeout the whole sandbox is killed with it"""
+        try:
+            return _run(
+                ['docker', 'exec', '--workdir', REPO_DIR, self.name, *command],
+                None if quiet else self.log, timeout, display=display or ' '.join(command)
+            )
+        except TestRunError:
+            _run(['docker', 'kill', self.name], None, DOCKER_TIMEOUT)
+            raise
+
+    def read_text(self, path):
+        code, stdout = self.exec(['cat', path], DOCKER_TIMEOUT, quiet=True)
+        return stdout if code == 0 else ''
+
+    def read_json(self, path):
+        try:
+            return json.loads(self.read_text(path))
+        except ValueError:
+            return None
+
+    def exists(self, path):
+        return self.exec(['test', '-e', path], DOCKER_TIMEOUT, quiet=True)[0] == 0
+
+    def disconnect_network(self):
+        """Cut the sandbox off before repository code runs; the run fails if that does not work"""
+        code, _ = _run(['docker', 'network', 'disconnect', '--force', SANDBOX_INSTALL_NETWORK, self.name], self.log, DOCKER_TIMEOUT)
+        if code != 0:
+            raise TestRunError('Could not disconnect the sandbox from the network')
+
+    def remove(self):
+        _run(['docker', 'rm', '--force', '--volumes', self.name], None, DOCKER_TIMEOUT)
+
+
+def checkout(sandbox, full_name, ref, token):
+    """Fetch only the requested commit; the token travels in a header, never in the URL or log"""
+    auth = []
+    if token:
+        credentials = base64.b64encode(f'x-access-token:{token}'.encode()).decode()
+        auth = ['-c', f'http.extraHeader=Authorization: Basic {credentials}']
+
+    sandbox.exec(['git', 'init', '-q', REPO_DIR], CHECKOUT_TIMEOUT)
+    code, _ = sandbox.exec(
+        ['git', *auth, 'fetch', '-q', '--depth', '1', f'https://github.com/{full_name}.git', ref],
+        CHECKOUT_TIMEOUT,
+        display=f'git fetch --depth 1 https://github.com/{full_name}.git {ref}'
+    )
+    if code != 0:
+        raise TestRunError(f'Could not fetch {ref} from {full_name}')
+
+    sandbox.exec(['git', 'checkout', '-q', 'FETCH_HEAD'], CHECKOUT_TIMEOUT)
+    _, sha = sandbox.exec(['git', 'rev-parse', 'HEAD'], CHECKOUT_TIMEOUT)
+    return sha.strip()
+
+
+def detect_tools(sandbox, allowed_frameworks):
+    """Pick the test framework (in the caller's preference order) and linter the repository uses"""
+    package = sandbox.read_json(f'{REPO_DIR}/package.json') or {}
+    dependencies = {**package.get('dependencies', {}), **package.get('devDependencies', {})}
+    test_script = package.get('scripts', {}).get('test', '')
+
+    python_markers = ''.join(
+        sandbox.read_text(f'{REPO_DIR}/{name}')
+        for name in ('requirements.txt', 'requirements-dev.txt', 'pyproject.toml', 'setup.cfg', 'tox.ini')
+    )
+    has_python_tests = (
+        sandbox.exists(f'{REPO_DIR}/pytest.ini') or
+        sandbox.exists(f'{REPO_DIR}/conftest.py') or
+        'pytest' in python_markers
+    )
+
+    available = {
+        'jest': 'jest' in dependencies or 'jest' in test_script,
+        'mocha': 'mocha' in dependencies or 'mocha' in test_script,
+        'pytest': has_python_tests
+    }
+    framework = next((name for name in allowed_frameworks if available.get(name)), None)
+
+    if 'eslint' in dependencies:
+        linter = 'eslint'
+    elif framework == 'pytest' or python_markers:
+        linter = 'flake8'
+    else:
+        linter = None
+
+    return framework, linter
+
+
+def install_node_dependencies(sandbox):
+    lockfile = sandbox.exists(f'{REPO_DIR}/package-lock.json')
+    command = ['npm', 'ci' if lockfile else 'install', '--ignore-scripts', '--no-audit', '--no-fund']
+    code, _ = sandbox.exec(command, INSTALL_TIMEOUT)
+    if code != 0:
+        raise TestRunError('npm dependency install failed')
+
+
+def create_python_env(sandbox):
+    """Virtualenv outside the checkout so the linter never walks it; returns its python"""
+    sandbox.exec(['python3', '-m', 'venv', VENV_DIR], INSTALL_TIMEOUT)
+    python = f'{VENV_DIR}/bin/python'
+
+    packages = ['pytest', 'pytest-cov', 'flake8']
+    if sandbox.exists(f'{REPO_DIR}/requirements.txt'):
+        packages = ['-r', 'requirements.txt', *packages]
+
+    code, _ = sandbox.exec([python, '-m', 'pip', 'install', '-q', *packages], INSTALL_TIMEOUT)
+    if code != 0:
+        raise TestRunError('pip dependency install failed')
+    return python
+
+
+def run_jest(sandbox):
+    report_path = f'{OUTPUT_DIR}/jest.json'
+    coverage_dir = f'{OUTPUT_DIR}/coverage'
+    sandbox.exec([
+        'npx', '--no-install', 'jest', '--ci', '--passWithNoTests',
+        '--json', f'--outputFile={report_path}',
+        '--coverage', '--coverageReporters=json-summary', f'--coverageDirectory={coverage_dir}'
+    ])
+
+    report = sandbox.read_json(report_path)
+    if not report:
+        raise TestRunError('jest did not produce a report')
+
+    coverage = sandbox.read_json(f'{coverage_dir}/coverage-summary.json')
+    durations = [suite['endTime'] - suite['startTime'] for suite in report.get('testResults', []) if 'endTime' in suite]
+    return {
+        'passed': report.get('numPassedTests', 0),
+        'failed': report.get('numFailedTests', 0),
+        'skipped': report.get('numPendingTests', 0) + report.get('numTodoTests', 0),
+        'total': report.get('numTotalTests', 0),
+        'duration': round(sum(durations) / 1000, 2)
+    }, coverage and coverage['total']['lines']['pct']
+
+
+def run_mocha(sandbox):
+    coverage_dir = f'{OUTPUT_DIR}/coverage'
+    command = ['npx', '--no-install', 'mocha', '--reporter', 'json']
+    has_nyc = sandbox.exists(f'{REPO_DIR}/node_modules/.bin/nyc')
+    if has_nyc:
+        command = ['npx', '--no-install', 'nyc', '--reporter=json-summary', f'--report-dir={coverage_dir}', *command[2:]]
+
+    _, stdout = sandbox.exec(command)
+
+    # The JSON reporter prints one document, but test code may log before it
+    start = stdout.find('{')
+    try:
+        report = json.loads(stdout[start:]) if start != -1 else None
+    except ValueError:
+        report = None
+    if not report:
+        raise TestRunError('mocha did not produce a report')
+
+    stats = report.get('stats', {})
+    coverage = sandbox.read_json(f'{coverage_dir}/coverage-summary.json') if has_nyc else None
+    return {
+        'passed': stats.get('passes', 0),
+        'failed': stats.get('failures', 0),
+        'skipped': stats.get('pending', 0),
+        'total': stats.get('tests', 0),
+        'duration': round(stats.get('duration', 0) / 1000, 2)
+    }, coverage and coverage['total']['lines']['pct']
+
+
+def run_pytest(sandbox, python):
+    junit_path = f'{OUTPUT_DIR}/junit.xml'
+    coverage_path = f'{OUTPUT_DIR}/coverage.json'
+    sandbox.exec([
+        python, '-m', 'pytest', '-q',
+        f'--junitxml={junit_path}',
+        '--cov=.', f'--cov-report=json:{coverage_path}'
+    ])
+
+    try:
+        root = ET.fromstring(sandbox.read_text(junit_path))
+    except ET.ParseError:
+        raise TestRunError('pytest did not produce a report')
+
+    suites = [root] if root.tag == 'testsuite' else root.findall('testsuite')
+    total = sum(int(suite.get('tests', 0)) for suite in suites)
+    failed = sum(int(suite.get('failures', 0)) + int(suite.get('errors', 0)) for suite in suites)
+    skipped = sum(int(suite.get('skipped', 0)) for suite in suites)
+    coverage = sandbox.read_json(coverage_path)
+    return {
+        'passed': total - failed - skipped,
+        'failed': failed,
+        'skipped': skipped,
+        'total': total,
+        'duration': round(sum(float(suite.get('time', 0)) for suite in suites), 2)
+    }, coverage and round(coverage['totals']['percent_covered'], 1)
+
+
+def _summarize_lint(diagnostics_by_file):
+    files = [
+        {'file': path, 'issues': len(diagnostics), 'diagnostics': diagnostics[:MAX_DIAGNOSTICS_PER_FILE]}
+        for path, diagnostics in sorted(diagnostics_by_file.items())
+        if diagnostics
+    ]
+    all_diagnostics = [d for diagnostics in diagnostics_by_file.values() for d in diagnostics]
+    return {
+        'total_files': len(diagnostics_by_file),
+        'total_issues': len(all_diagnostics),
+        'errors': sum(1 for d in all_diagnostics if d['severity'] == 'error'),
+        'warnings': sum(1 for d in all_diagnostics if d['severity'] == 'warning'),
+        'files': files
+    }
+
+
+def run_eslint(sandbox):
+    report_path = f'{OUTPUT_DIR}/eslint.json'
+    sandbox.exec(['npx', '--no-install', 'eslint', '.', '-f', 'json', '-o', report_path])
+
+    report = sandbox.read_json(report_path)
+    if report is None:
+        raise TestRunError('eslint did not produce a report')
+
+    return _summarize_lint({
+        posixpath.relpath(result['filePath'], REPO_DIR): [
+            {
+                'line': message.get('line'),
+                'column': message.get('column'),
+                'rule': message.get('ruleId'),
+                'severity': 'error' if message.get('severity') == 2 else 'warning',
+                'message': message.get('message')
+            }
+            for message in result.get('messages', [])
+        ]
+        for result in report
+    })
+
+
+def run_flake8(sandbox, python):
+    _, stdout = sandbox.exec([
+        python, '-m', 'flake8', '--exit-zero',
+        '--format=%(path)s::%(row)d::%(col)d::%(code)s::%(text)s', '.'
+    ])
+
+    diagnostics_by_file = {}
+    for line in stdout.splitlines():
+        parts = line.split('::', 4)
+        if len(parts) != 5:
+            continue
+        path, row, col, code, text = parts
+        diagnostics_by_file.setdefault(posixpath.normpath(path), []).append({
+            'line': int(row),
+            'column': int(col),
+            'rule': code,
+            # pyflakes (F) and syntax (E9) problems are real errors; the rest is style
+            'severity': 'error' if code.startswith(('F', 'E9')) else 'warning',
+            'message': text
+        })
+    return _summarize_lint(diagnostics_by_file)
+
+
+def run_in_sandbox(sandbox, full_name, ref, token, frameworks):
+    """Check out ref in a started sandbox and run the detected tools with its network cut off.
+    Returns the fields stored on TestRun."""
+    commit_sha = checkout(sandbox, full_name, ref, token)
+    framework, linter = detect_tools(sandbox, frameworks)
+
+    result = {
+        'commit_sha': commit_sha,
+        'framework': framework,
+        'linter': linter,
+        'tests': None,
+        'coverage': None,
+        'lint': None
+    }
+    if not framework and not linter:
+        return result
+
+    python = None
+    if framework in ('jest', 'mocha') or linter == 'eslint':
+        install_node_dependencies(sandbox)
+    if framework == 'pytest' or linter == 'flake8':
+        python = create_python_env(sandbox)
+
+    # Nothing from the repository has run yet; from here on it runs without a network
+    sandbox.disconnect_network()
+
+    if framework == 'jest':
+        result['tests'], result['coverage'] = run_jest(sandbox)
+    elif framework == 'mocha':
+        result['tests'], result['coverage'] = run_mocha(sandbox)
+    elif framework == 'pytest':
+        result['tests'], result['coverage'] = run_pytest(sandbox, python)
+
+    if linter == 'eslint':
+        result['lint'] = run_eslint(sandbox)
+    elif linter == 'flake8':
+        result['lint'] = run_flake8(sandbox, python)
+
+    return result
+
+
+def _execute(app, run_id, token, frameworks):
+    with app.app_context(), _run_slots:
+        run = TestRun.query.get(run_id)
+        run.status = 'running'
+        run.started_at = datetime.utcnow()
+        db.session.commit()
+
+        log = []
+        sandbox = Sandbox(log, name=f'test-run-{run_id}-{uuid.uuid4().hex[:8]}')
+        try:
+            sandbox.start()
+            result = run_in_sandbox(sandbox, run.repository_full_name, run.commit_sha or run.ref, token, frameworks)
+            run.commit_sha = result['commit_sha']
+            run.framework = result['framework']
+            run.linter = result['linter']
+            run.set_test_results(result['tests'])
+            run.coverage = result['coverage']
+            run.set_lint_results(result['lint'])
+            run.status = 'completed'
+        except Exception as e:
+            run.status = 'failed'
+            run.error = str(e)
+        finally:
+            sandbox.remove()
+            run.log = '\n'.join(log)[-LOG_TAIL_CHARS:]
+            run.finished_at = datetime.utcnow()
+            db.session.commit()
+
+
+def start_test_run(app, run_id, token, frameworks):
+    """Execute a queued TestRun on a background thread"""
+    thread = threading.Thread(target=_execute, args=(app, run_id, token, frameworks), daemon=True)
+    thread.start()
+    return thread
@@ -0,0 +1,265 @@
+"""
+GitHub webhook deliveries.
+
+Every delivery must carry an X-Hub-Signature-256 HMAC of its body made with GITHUB_WEBHOOK_SECRET.
+Verified deliveries are recorded and routed by plan_delivery:
+
+- push to the repository's default branch: incremental analysis of the files the push changed
+- pull_request opened or synchronize: review of the files the pull request changes, posted back
+  as a pull request review when the server has a GITHUB_TOKEN that may write to the repository
+
+Only repositories tracked in the database are acted on. plan_delivery reads nothing but the
+payload, so recorded payloads can be replayed against a local server without GitHub
+(see scripts/replay_webhook.py); only the queued task itself talks to GitHub and the model.
+"""
+import hashlib
+import hmac
+import os
+import threading
+from datetime import datetime
+
+from src.models.repository import db, Repository
+from src.models.webhook_delivery import WebhookDelivery
+from src.services.ai_proxy import DEFAULT_PROVIDER
+from src.services.repository_analyzer import (
+    ANALYZE_FILE_TYPES,
+    github_get,
+    github_get_all,
+    github_request,
+    load_baseline,
+    run_repository_analysis,
+    save_analysis_run,
+    save_failed_run
+)
+
+SIGNATURE_PREFIX = 'sha256='
+PR_REVIEW_ACTIONS = ('opened', 'synchronize')
+
+# GitHub lists at most this many commits in a push payload; longer pushes are compared instead
+PUSH_PAYLOAD_COMMIT_LIMIT = 20
+NULL_SHA = '0' * 40
+
+WEBHOOK_AI_MODEL = os.environ.get('WEBHOOK_AI_MODEL', 'gpt-4o-mini')
+WEBHOOK_MAX_FILES = int(os.environ.get('WEBHOOK_MAX_FILES', 20))
+
+_task_slots = threading.BoundedSemaphore(int(os.environ.get('WEBHOOK_CONCURRENCY', 1)))
+
+
+def get_webhook_secret():
+    return os.environ.get('GITHUB_WEBHOOK_SECRET')
+
+
+def sign_payload(secret, body):
+    """X-Hub-Signature-256 value GitHub sends for body"""
+    return SIGNATURE_PREFIX + hmac.new(secret.encode(), body, hashlib.sha256).hexdigest()
+
+
+def verify_signature(secret, body, signature):
+    if not secret or not signature or not signature.startswith(SIGNATURE_PREFIX):
+        return False
+    return hmac.compare_digest(sign_payload(secret, body), signature)
+
+
+def _is_source_file(path):
+    return path.lower().endswith(ANALYZE_FILE_TYPES)
+
+
+def _pushed_files(payload):
+    """Added and modified source files over the commits listed in a push payload"""
+    paths = []
+    for commit in payload.get('commits') or []:
+        for path in (commit.get('added') or []) + (commit.get('modified') or []):
+            if _is_source_file(path) and path not in paths:
+                paths.append(path)
+    return paths
+
+
+def plan_delivery(event, payload):
+    """What a verified delivery should do: a dict of WebhookDelivery fields with task set,
+    or with task None and the reason it is ignored"""
+    repository = payload.get('repository') or {}
+    plan = {
+        'action': payload.get('action'),
+        'repository_full_name': repository.get('full_name'),
+        'task': None,
+        'reason': None
+    }
+
+    if event == 'ping':
+        return {**plan, 'reason': 'Webhook ping'}
+
+    if event == 'push':
+        default_ref = f"refs/heads/{repository.get('default_branch')}"
+        plan.update(ref=payload.get('ref'), head_sha=payload.get('after'), base_sha=payload.get('before'))
+        if payload.get('ref') != default_ref:
+            return {**plan, 'reason': f"Push to {payload.get('ref')}, not the default branch"}
+        if payload.get('deleted') or payload.get('after') == NULL_SHA:
+            return {**plan, 'reason': 'Branch was deleted'}
+
+        changed = _pushed_files(payload)
+        # Long pushes list only some commits; the task compares before...after instead
+        if not changed and len(payload.get('commits') or []) < PUSH_PAYLOAD_COMMIT_LIMIT:
+            return {**plan, 'reason': 'Push changed no analyzable source files'}
+        return {**plan, 'task': 'incremental_analysis', 'changed_files': changed}
+
+    if event == 'pull_request':
+        pull_request = payload.get('pull_request') or {}
+        plan.update(
+            ref=(pull_request.get('head') or {}).get('ref'),
+            head_sha=(pull_request.get('head') or {}).get('sha'),
+            base_sha=(pull_request.get('base') or {}).get('sha'),
+            pr_number=payload.get('number') or pull_request.get('number')
+        )
+        if payload.get('action') not in PR_REVIEW_ACTIONS:
+            return {**plan, 'reason': f"Pull request action {payload.get('action')} is not reviewed"}
+        if pull_request.get('draft'):
+            return {**plan, 'reason': 'Draft pull requests are not reviewed'}
+        return {**plan, 'task': 'pr_review', 'changed_files': []}
+
+    return {**plan, 'reason': f'Event {event} is not handled'}
+
+
+def record_delivery(event, delivery_id, payload):
+    """Store a verified delivery with its plan; untracked repositories are ignored"""
+    plan = plan_delivery(event, payload)
+    changed_files = plan.pop('changed_files', None)
+
+    if plan['task'] and not Repository.query.filter_by(full_name=plan['repository_full_name']).first():
+        plan.update(task=None, reason=f"Repository {plan['repository_full_name']} is not tracked")
+
+    delivery = WebhookDelivery(
+        delivery_id=delivery_id,
+        event=event,
+        status='queued' if plan['task'] else 'ignored',
+        **plan
+    )
+    delivery.set_changed_files(changed_files)
+    if not plan['task']:
+        delivery.finished_at = datetime.utcnow()
+    db.session.add(delivery)
+    db.session.commit()
+    return delivery
+
+
+def record_rejected(event, reason):
+    """Log a delivery that failed verification. Its claimed delivery id is not stored, so a forged
+    request cannot make the genuine delivery look like a duplicate."""
+    delivery = WebhookDelivery(event=event or 'unknown', status='rejected', reason=reason, finished_at=datetime.utcnow())
+    db.session.add(delivery)
+    db.session.commit()
+    return delivery
+
+
+def _compare_files(full_name, base_sha, head_sha, token):
+    comparison = github_get(f'/repos/{full_name}/compare/{base_sha}...{head_sha}', token)
+    return [
+        item['filename'] for item in comparison.get('files') or []
+        if item.get('status') != 'removed' and _is_source_file(item['filename'])
+    ]
+
+
+def _pull_request_files(full_name, number, token):
+    files = github_get_all(f'/repos/{full_name}/pulls/{number}/files?per_page=100', token)
+    return [item['filename'] for item in files if item.get('status') != 'removed' and _is_source_file(item['filename'])]
+
+
+def _review_body(results, run_info):
+    counts = ', '.join(
+        f"{len(results[section])} {label}"
+        for section, label in (
+            ('bugs_detected', 'bugs'),
+            ('security_concerns', 'security concerns'),
+            ('performance_issues', 'performance issues'),
+            ('improvements_suggested', 'improvements')
+        )
+    )
+    top = []
+    for item in (results['bugs_detected'] + results['security_concerns'])[:10]:
+        location = f"{item['file']}:{item['line']}" if item.get('line') else item['file']
+        top.append(f"- **{item.get('severity', 'medium')}** `{location}` {item.get('description', '')}")
+    return '\n'.join([
+        f"Automated review of {len(run_info['files_analyzed'])} changed files: health score {results['overall_health_score']}%.",
+        f'Found {counts}.',
+        '',
+        *top
+    ])
+
+
+def _model_settings(repo):
+    """Webhook runs use the repository's scheduled model when it has one"""
+    if repo.schedule:
+        return repo.schedule.ai_provider, repo.schedule.ai_model
+    return os.environ.get('WEBHOOK_AI_PROVIDER', DEFAULT_PROVIDER), WEBHOOK_AI_MODEL
+
+
+def _execute(app, delivery_pk):
+    with app.app_context(), _task_slots:
+        delivery = WebhookDelivery.query.get(delivery_pk)
+        repo = Repository.query.filter_by(full_name=delivery.repository_full_name).first()
+        # Untracked between queueing and now: nothing to analyze or to record a failed run on
+        if not repo:
+            delivery.status = 'ignored'
+            delivery.reason = f'Repository {delivery.repository_full_name} is no longer tracked'
+            delivery.finished_at = datetime.utcnow()
+            db.session.commit()
+            return
+
+        token = os.environ.get('GITHUB_TOKEN')
+        delivery.status = 'running'
+        db.session.commit()
+
+        metadata = {'delivery_id': delivery.delivery_id, 'head_sha': delivery.head_sha}
+        try:
+            provider_id, model_id = _model_settings(repo)
+            baseline = None
+            if delivery.task == 'incremental_analysis':
+                paths = delivery.get_changed_files()
+                if not paths and delivery.base_sha and delivery.base_sha != NULL_SHA:
+                    paths = _compare_files(repo.full_name, delivery.base_sha, delivery.head_sha, token)
+                label = f'Incremental analysis of push {delivery.head_sha[:7]}'
+                # With an earlier analysis to build on, the run covers the whole repository again:
+                # the pushed files are analyzed and every other file keeps its baseline result
+                baseline = load_baseline(repo.id)
+            else:
+                paths = _pull_request_files(repo.full_name, delivery.pr_number, token)
+                label = f'Review of pull request #{delivery.pr_number}'
+                metadata['pr_number'] = delivery.pr_number
+
+            delivery.set_changed_files(paths)
+            if not paths:
+                delivery.status = 'ignored'
+                delivery.reason = 'No analyzable source files changed'
+                return
+
+            results, run_info = run_repository_analysis(
+                repo.full_name, provider_id, model_id, WEBHOOK_MAX_FILES,
+                token=token, ref=delivery.head_sha, paths=set(paths), baseline=baseline
+            )
+            # Stored under the branch, not the commit the run was pinned to
+            run_info['ref'] = delivery.ref.removeprefix('refs/heads/')
+
+            if delivery.task == 'pr_review' and token:
+                github_request('POST', f'/repos/{repo.full_name}/pulls/{delivery.pr_number}/reviews', token, {
+                    'commit_id': delivery.head_sha,
+                    'event': 'COMMENT',
+                    'body': _review_body(results, run_info)
+                })
+                metadata['review_posted'] = True
+
+            analysis = save_analysis_run(repo.id, results, run_info, delivery.task, delivery.task, label, metadata)
+            delivery = WebhookDelivery.query.get(delivery_pk)
+            delivery.analysis_id = analysis.id
+            delivery.status = 'completed'
+        except Exception as e:
+            db.session.rollback()
+            delivery = WebhookDelivery.query.get(delivery_pk)
+            delivery.status = 'failed'
+            delivery.reason = str(e)
+            save_failed_run(repo.id, delivery.task, f'Webhook {delivery.task} failed', e, metadata)
+        finally:
+            delivery.finished_at = datetime.utcnow()
+            db.session.commit()
+
+
+def start_delivery_task(app, delivery_pk):
+    threading.Thread(target=_execute, args=(app, delivery_pk), daemon=True).start()
@@ -0,0 +1,54 @@
+"""
+Shared fixtures: a Flask app on an in-memory SQLite database with only the blueprints under
+test registered, so no PostgreSQL, scheduler or GitHub access is needed.
+"""
+import json
+import os
+
+import pytest
+from flask import Flask
+
+from src.models.repository import db
+# Imported for their tables and the relationships other models name
+from src.models.analysis_schedule import AnalysisSchedule  # noqa: F401
+from src.models.webhook_delivery import WebhookDelivery  # noqa: F401
+from src.routes.ai_proxy import ai_proxy_bp
+from src.routes.test_runs import test_runs_bp
+from src.routes.webhooks import webhooks_bp
+
+FIXTURES_DIR = os.path.join(os.path.dirname(os.path.dirname(__file__)), 'fixtures')
+
+
+def load_fixture(*parts):
+    """Raw bytes of a recorded payload; signatures are made over these exact bytes"""
+    with open(os.path.join(FIXTURES_DIR, *parts), 'rb') as f:
+        return f.read()
+
+
+def load_json_fixture(*parts):
+    return json.loads(load_fixture(*parts))
+
+
+@pytest.fixture
+def app():
+    app = Flask(__name__)
+    app.config.update(
+        TESTING=True,
+        SQLALCHEMY_DATABASE_URI='sqlite://',
+        SQLALCHEMY_TRACK_MODIFICATIONS=False
+    )
+    db.init_app(app)
+    app.register_blueprint(webhooks_bp, url_prefix='/api')
+    app.register_blueprint(ai_proxy_bp, url_prefix='/api')
+    app.register_blueprint(test_runs_bp, url_prefix='/api')
+
+    with app.app_context():
+        db.create_all()
+        yield app
+        db.session.remove()
+        db.drop_all()
+
+
+@pytest.fixture
+def client(app):
+    return app.test_client()
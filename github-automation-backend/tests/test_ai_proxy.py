@@ -0,0 +1,129 @@
+import pytest
+
+from src.models.ai_usage import AIUsage
+from src.services import ai_proxy
+from src.services.ai_proxy import (
+    ProxyError,
+    authorize_github_user,
+    estimate_reserved_tokens,
+    release_quota,
+    reserve_quota,
+    settle_usage
+)
+
+COMPLETION_URL = '/api/ai/chat/completions'
+REQUEST = {'provider': 'openai', 'model': 'gpt-4o-mini', 'messages': [{'role': 'user', 'content': 'Review this'}], 'max_tokens': 100}
+
+
+@pytest.fixture(autouse=True)
+def identities(monkeypatch):
+    """octocat and hubot resolve without GitHub; only octocat is allowed by name"""
+    monkeypatch.setattr(ai_proxy, 'resolve_github_user', lambda token: {'octo-token': 'octocat', 'hubot-token': 'hubot'}[token])
+    monkeypatch.setattr(ai_proxy, 'ALLOWED_USERS', {'octocat'})
+    monkeypatch.setattr(ai_proxy, 'ALLOWED_ORGS', [])
+    monkeypatch.setattr(ai_proxy, '_membership_cache', {})
+
+
+def usage_of(login):
+    return AIUsage.query.filter_by(user_login=login).one()
+
+
+class TestAuthorizeGithubUser:
+    def test_allows_listed_users_case_insensitively(self, monkeypatch):
+        monkeypatch.setattr(ai_proxy, 'ALLOWED_USERS', {'octocat'})
+        monkeypatch.setattr(ai_proxy, 'resolve_github_user', lambda token: 'OctoCat')
+
+        assert authorize_github_user('octo-token') == 'OctoCat'
+
+    def test_rejects_users_outside_the_allow_list(self):
+        with pytest.raises(ProxyError) as error:
+            authorize_github_user('hubot-token')
+
+        assert error.value.status == 403
+
+    def test_allows_members_of_an_allowed_org_and_caches_the_answer(self, monkeypatch):
+        checks = []
+        monkeypatch.setattr(ai_proxy, 'ALLOWED_ORGS', ['acme'])
+        monkeypatch.setattr(ai_proxy, '_is_org_member', lambda org, login, token: checks.append(login) or login == 'hubot')
+
+        assert authorize_github_user('hubot-token') == 'hubot'
+        assert authorize_github_user('hubot-token') == 'hubot'
+        assert checks == ['hubot']
+
+    def test_allows_nobody_when_nothing_is_configured(self, monkeypatch):
+        monkeypatch.setattr(ai_proxy, 'ALLOWED_USERS', set())
+
+        with pytest.raises(ProxyError):
+            authorize_github_user('octo-token')
+
+
+class TestQuotaReservation:
+    def test_reserves_requests_until_the_daily_quota_is_used(self, app, monkeypatch):
+        monkeypatch.setattr(ai_proxy, 'DAILY_REQUEST_QUOTA', 2)
+
+        reserve_quota('octocat', 100)
+        reserve_quota('octocat', 100)
+        with pytest.raises(ProxyError) as error:
+            reserve_quota('octocat', 100)
+
+        assert error.value.status == 429
+        assert usage_of('octocat').requests == 2
+
+    def test_counts_tokens_held_by_requests_in_flight(self, app, monkeypatch):
+        monkeypatch.setattr(ai_proxy, 'DAILY_TOKEN_QUOTA', 1000)
+
+        reserve_quota('octocat', 1000)
+        with pytest.raises(ProxyError, match='token quota'):
+            reserve_quota('octocat', 10)
+
+    def test_settling_replaces_the_reservation_with_reported_usage(self, app):
+        reservation = reserve_quota('octocat', 500)
+
+        settle_usage(reservation, {'prompt_tokens': 120, 'completion_tokens': 30})
+
+        usage = usage_of('octocat')
+        assert (usage.requests, usage.reserved_tokens, usage.total_tokens) == (1, 0, 150)
+
+    def test_releasing_gives_the_request_and_tokens_back(self, app):
+        release_quota(reserve_quota('octocat', 500))
+
+        usage = usage_of('octocat')
+        assert (usage.requests, usage.reserved_tokens) == (0, 0)
+
+    def test_estimate_covers_the_prompt_and_the_completion_limit(self):
+        assert estimate_reserved_tokens(REQUEST) > 100
+        assert estimate_reserved_tokens({'messages': []}) >= ai_proxy.DEFAULT_RESERVED_COMPLETION_TOKENS
+
+
+class TestChatCompletions:
+    def test_forwards_for_allowed_users_and_records_reported_usage(self, client, monkeypatch):
+        monkeypatch.setattr('src.routes.ai_proxy.forward_chat_completion', lambda provider, payload: {
+            'choices': [{'message': {'content': '{}'}}],
+            'usage': {'prompt_tokens': 20, 'completion_tokens': 10}
+        })
+
+        response = client.post(COMPLETION_URL, json=REQUEST, headers={'X-GitHub-Token': 'octo-token'})
+
+        assert response.status_code == 200
+        usage = usage_of('octocat')
+        assert (usage.requests, usage.reserved_tokens, usage.total_tokens) == (1, 0, 30)
+
+    def test_refuses_users_outside_the_allow_list_before_forwarding(self, client, monkeypatch):
+        monkeypatch.setattr('src.routes.ai_proxy.forward_chat_completion', pytest.fail)
+
+        response = client.post(COMPLETION_URL, json=REQUEST, headers={'X-GitHub-Token': 'hubot-token'})
+
+        assert response.status_code == 403
+        assert AIUsage.query.count() == 0
+
+    def test_releases_the_reservation_when_the_provider_fails(self, client, monkeypatch):
+        def fail(provider, payload):
+            raise ProxyError('Upstream returned 500', 500, 'api_error')
+
+        monkeypatch.setattr('src.routes.ai_proxy.forward_chat_completion', fail)
+
+        response = client.post(COMPLETION_URL, json=REQUEST, headers={'X-GitHub-Token': 'octo-token'})
+
+        assert response.status_code == 500
+        usage = usage_of('octocat')
+        assert (usage.requests, usage.reserved_tokens) == (0, 0)
@@ -0,0 +1,114 @@
+import pytest
+
+from src.services import repository_analyzer
+from src.services.repository_analyzer import github_get_all, normalize_file_analysis, run_repository_analysis
+
+MODEL = {'id': 'gpt-4o-mini', 'context_window': 128000, 'json_mode': 'json_object', 'pricing': {'input': 0.15, 'output': 0.6}}
+
+
+def tree_entry(path, sha):
+    return {'path': path, 'type': 'blob', 'sha': sha, 'size': 200}
+
+
+@pytest.fixture
+def github(monkeypatch):
+    """A repository of 30 source files on main at commit c0ffee; records which files the model saw"""
+    entries = [tree_entry(f'src/module{index:02}.js', f'sha-{index}') for index in range(30)]
+    analyzed = []
+
+    def github_get(path, token=None):
+        if path.endswith('/commits/main'):
+            return {'sha': 'c0ffee', 'commit': {'tree': {'sha': 'tree-sha'}}}
+        if '/git/trees/' in path:
+            return {'tree': entries}
+        return {'default_branch': 'main'}
+
+    def analyze_file(provider, model, full_name, path, content):
+        analyzed.append(path)
+        return normalize_file_analysis({'file_health_score': 90}), {'prompt_tokens': 10, 'completion_tokens': 5}
+
+    monkeypatch.setattr(repository_analyzer, 'get_provider', lambda provider_id: {'id': provider_id})
+    monkeypatch.setattr(repository_analyzer, 'get_model', lambda provider_id, model_id: MODEL)
+    monkeypatch.setattr(repository_analyzer, 'is_available', lambda provider: True)
+    monkeypatch.setattr(repository_analyzer, 'github_get', github_get)
+    monkeypatch.setattr(repository_analyzer, 'fetch_blob', lambda full_name, sha, token=None: 'export default 1;')
+    monkeypatch.setattr(repository_analyzer, 'analyze_file', analyze_file)
+    return entries, analyzed
+
+
+def baseline_of(entries, model_key='openai/gpt-4o-mini'):
+    return {
+        entry['path']: {'path': entry['path'], 'sha': entry['sha'], 'model': model_key, 'analysis': normalize_file_analysis({'file_health_score': 70}), 'static': None}
+        for entry in entries
+    }
+
+
+class TestRunRepositoryAnalysis:
+    def test_analyzes_changed_paths_past_max_files_and_keeps_the_baseline_for_the_rest(self, github):
+        entries, analyzed = github
+        baseline = baseline_of(entries)
+        pushed = {'src/module25.js', 'src/module29.js'}
+        for entry in entries:
+            if entry['path'] in pushed:
+                entry['sha'] = entry['sha'] + '-pushed'
+
+        _, run_info = run_repository_analysis('acme/app', 'openai', 'gpt-4o-mini', 20, paths=pushed, baseline=baseline)
+
+        assert sorted(analyzed) == sorted(pushed)
+        assert len(run_info['files_analyzed']) == 30
+        assert run_info['files_reused'] == 28
+
+    def test_drops_baseline_files_no_longer_in_the_tree(self, github):
+        entries, analyzed = github
+        baseline = baseline_of(entries + [tree_entry('src/deleted.js', 'sha-gone')])
+
+        _, run_info = run_repository_analysis('acme/app', 'openai', 'gpt-4o-mini', 20, paths=set(), baseline=baseline)
+
+        assert analyzed == []
+        assert 'src/deleted.js' not in run_info['files_analyzed']
+        assert len(run_info['files_analyzed']) == 30
+
+    def test_without_a_baseline_analyzes_only_the_given_paths(self, github):
+        _, analyzed = github
+
+        _, run_info = run_repository_analysis('acme/app', 'openai', 'gpt-4o-mini', 20, paths={'src/module03.js'})
+
+        assert analyzed == ['src/module03.js']
+        assert run_info['files_analyzed'] == ['src/module03.js']
+
+
+class FakeHeaders(dict):
+    def get(self, key, default=None):
+        return super().get(key, default)
+
+
+class TestGithubGetAll:
+    def test_follows_next_links_until_the_last_page(self, monkeypatch):
+        pages = {
+            'https://api.github.com/repos/acme/app/pulls/7/files?per_page=100': (
+                [{'filename': 'a.js'}],
+                FakeHeaders(Link='<https://api.github.com/repositories/1/pulls/7/files?per_page=100&page=2>; rel="next", '
+                                 '<https://api.github.com/repositories/1/pulls/7/files?per_page=100&page=2>; rel="last"')
+            ),
+            'https://api.github.com/repositories/1/pulls/7/files?per_page=100&page=2': (
+                [{'filename': 'b.js'}],
+                FakeHeaders(Link='<https://api.github.com/repositories/1/pulls/7/files?per_page=100&page=1>; rel="prev"')
+            )
+        }
+        monkeypatch.setattr(repository_analyzer, '_github_fetch', lambda method, url, token=None, body=None: pages[url])
+
+        files = github_get_all('/repos/acme/app/pulls/7/files?per_page=100')
+
+        assert [item['filename'] for item in files] == ['a.js', 'b.js']
+
+    def test_does_not_follow_links_off_the_api_host(self, monkeypatch):
+        requested = []
+
+        def fetch(method, url, token=None, body=None):
+            requested.append(url)
+            return [{'filename': 'a.js'}], FakeHeaders(Link='<https://evil.example/next>; rel="next"')
+
+        monkeypatch.setattr(repository_analyzer, '_github_fetch', fetch)
+
+        assert len(github_get_all('/repos/acme/app/pulls/7/files', 'token')) == 1
+        assert requested == ['https://api.github.com/repos/acme/app/pulls/7/files']
@@ -0,0 +1,53 @@
+from datetime import datetime, timedelta
+
+import pytest
+
+from src.models.repository import db, Repository
+from src.models.analysis_schedule import AnalysisSchedule
+from src.services.scheduler import RUN_TIMEOUT, is_stale_run, recover_stale_runs
+
+NOW = datetime(2026, 10, 14, 12, 0)
+
+
+@pytest.fixture
+def schedule(app):
+    repo = Repository(name='notes', full_name='acme/notes', url='https://github.com/acme/notes')
+    db.session.add(repo)
+    db.session.flush()
+    schedule = AnalysisSchedule(repository_id=repo.id, next_run_at=NOW + timedelta(days=1))
+    db.session.add(schedule)
+    db.session.commit()
+    return schedule
+
+
+def started(schedule, seconds_ago, status='running'):
+    schedule.last_status = status
+    schedule.last_run_at = NOW - timedelta(seconds=seconds_ago)
+    db.session.commit()
+    return schedule
+
+
+class TestStaleRuns:
+    def test_a_run_within_the_timeout_is_still_running(self, schedule):
+        started(schedule, RUN_TIMEOUT - 60)
+
+        assert not is_stale_run(schedule, NOW)
+        assert recover_stale_runs(NOW) == 0
+        assert db.session.get(AnalysisSchedule, schedule.id).last_status == 'running'
+
+    def test_a_run_past_the_timeout_is_marked_failed(self, schedule):
+        started(schedule, RUN_TIMEOUT + 60)
+
+        assert is_stale_run(schedule, NOW)
+        assert recover_stale_runs(NOW) == 1
+
+        db.session.expire_all()
+        recovered = db.session.get(AnalysisSchedule, schedule.id)
+        assert recovered.last_status == 'failed'
+        assert 'did not finish' in recovered.last_error
+
+    def test_finished_runs_are_left_alone(self, schedule):
+        started(schedule, RUN_TIMEOUT * 10, status='completed')
+
+        assert not is_stale_run(schedule, NOW)
+        assert recover_stale_runs(NOW) == 0
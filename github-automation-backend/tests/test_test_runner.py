@@ -0,0 +1,119 @@
+import json
+
+import pytest
+
+from src.models import test_run
+from src.routes import test_runs
+from src.services import ai_proxy, test_runner
+from src.services.test_runner import Sandbox, checkout, run_in_sandbox
+
+JEST_REPORT = {'numPassedTests': 3, 'numFailedTests': 1, 'numPendingTests': 0, 'numTodoTests': 0, 'numTotalTests': 4, 'testResults': []}
+
+
+@pytest.fixture
+def docker(monkeypatch):
+    """Records every docker command; the checkout is a jest project with a lockfile"""
+    commands = []
+    files = {
+        '/workspace/repo/package.json': json.dumps({'devDependencies': {'jest': '^29.0.0'}}),
+        '/workspace/repo/package-lock.json': '{}',
+        '/workspace/reports/jest.json': json.dumps(JEST_REPORT)
+    }
+
+    def run(command, log, timeout=None, display=None):
+        commands.append(command)
+        if log is not None:
+            log.append(display or ' '.join(command))
+        inner = command[5:] if command[:2] == ['docker', 'exec'] else []
+        if inner[:1] == ['cat']:
+            return (0, files[inner[1]]) if inner[1] in files else (1, '')
+        if inner[:2] == ['test', '-e']:
+            return (0 if inner[2] in files else 1), ''
+        if inner[:2] == ['git', 'rev-parse']:
+            return 0, 'abc123\n'
+        return 0, ''
+
+    monkeypatch.setattr(test_runner, '_run', run)
+    return commands
+
+
+def index_of(commands, *words):
+    return next(index for index, command in enumerate(commands) if all(word in command for word in words))
+
+
+class TestSandbox:
+    def test_creates_an_isolated_container_without_host_mounts_or_server_environment(self, docker, monkeypatch):
+        monkeypatch.setenv('GITHUB_TOKEN', 'server-secret')
+
+        Sandbox([], name='test-run-1').start()
+
+        create = docker[0]
+        assert create[:2] == ['docker', 'create']
+        for flag in ('--read-only', '--cap-drop', 'no-new-privileges', '--pids-limit', '--memory'):
+            assert flag in create
+        volumes = [create[index + 1] for index, arg in enumerate(create) if arg == '--volume']
+        assert volumes == ['/workspace']
+        assert not any(':' in volume for volume in volumes)
+        assert not any('server-secret' in arg for arg in create)
+
+    def test_fails_the_run_when_the_network_cannot_be_cut_off(self, monkeypatch):
+        monkeypatch.setattr(test_runner, '_run', lambda command, log, timeout=None, display=None: (1, ''))
+
+        with pytest.raises(test_runner.TestRunError, match='disconnect'):
+            Sandbox([], name='test-run-1').disconnect_network()
+
+
+class TestRunInSandbox:
+    def test_installs_with_network_then_runs_tests_without_it(self, docker):
+        result = run_in_sandbox(Sandbox([], name='test-run-1'), 'acme/app', 'main', 'user-token', ['jest'])
+
+        assert result['commit_sha'] == 'abc123'
+        assert result['tests'] == {'passed': 3, 'failed': 1, 'skipped': 0, 'total': 4, 'duration': 0}
+        install = index_of(docker, 'npm', 'ci')
+        disconnect = index_of(docker, 'network', 'disconnect')
+        tests = index_of(docker, 'jest')
+        assert install < disconnect < tests
+
+    def test_keeps_the_token_out_of_the_log(self, docker):
+        log = []
+        checkout(Sandbox(log, name='test-run-1'), 'acme/app', 'main', 'user-token')
+
+        header = next(arg for arg in docker[index_of(docker, 'fetch')] if arg.startswith('http.extraHeader='))
+        assert 'https://github.com/acme/app.git' in '\n'.join(log)
+        assert header.split()[-1] not in '\n'.join(log)
+
+
+class TestCreateTestRun:
+    @pytest.fixture(autouse=True)
+    def identities(self, monkeypatch):
+        """octocat and hubot resolve without GitHub; a missing token still fails the real check"""
+        logins = {'octo-token': 'octocat', 'hubot-token': 'hubot'}
+        resolve = ai_proxy.resolve_github_user
+        monkeypatch.setattr(ai_proxy, 'resolve_github_user', lambda token: logins.get(token) or resolve(token))
+        monkeypatch.setattr(ai_proxy, 'ALLOWED_USERS', {'octocat'})
+        monkeypatch.setattr(ai_proxy, 'ALLOWED_ORGS', [])
+        monkeypatch.setattr(ai_proxy, '_membership_cache', {})
+
+    @pytest.fixture
+    def started(self, monkeypatch):
+        calls = []
+        monkeypatch.setattr(test_runs, 'start_test_run', lambda app, run_id, token, frameworks: calls.append((run_id, token)))
+        return calls
+
+    def test_requires_a_github_token(self, client, started):
+        response = client.post('/api/test-runs', json={'repository': 'acme/app', 'ref': 'main'})
+
+        assert response.status_code == 401
+        assert started == [] and test_run.TestRun.query.count() == 0
+
+    def test_refuses_users_outside_the_allow_list(self, client, started):
+        response = client.post('/api/test-runs', json={'repository': 'acme/app', 'ref': 'main'}, headers={'X-GitHub-Token': 'hubot-token'})
+
+        assert response.status_code == 403
+        assert started == []
+
+    def test_queues_runs_for_allowed_users(self, client, started):
+        response = client.post('/api/test-runs', json={'repository': 'acme/app', 'ref': 'main'}, headers={'X-GitHub-Token': 'octo-token'})
+
+        assert response.status_code == 202
+        assert started == [(response.get_json()['test_run']['id'], 'octo-token')]
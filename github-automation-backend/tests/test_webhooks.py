@@ -0,0 +1,215 @@
+import json
+
+import pytest
+
+from src.models.repository import db, Repository
+from src.models.webhook_delivery import WebhookDelivery
+from src.services.webhooks import _execute, plan_delivery, sign_payload, verify_signature
+from tests.conftest import load_fixture, load_json_fixture
+
+SECRET = 'test-webhook-secret'
+WEBHOOK_URL = '/api/webhooks/github'
+
+
+def deliver(client, event, body, delivery_id='delivery-1', signature=None):
+    headers = {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': event,
+        'X-GitHub-Delivery': delivery_id
+    }
+    signature = sign_payload(SECRET, body) if signature is None else signature
+    if signature:
+        headers['X-Hub-Signature-256'] = signature
+    return client.post(WEBHOOK_URL, data=body, headers=headers)
+
+
+@pytest.fixture
+def started(monkeypatch):
+    """Delivery ids whose task would have started; no background thread is run"""
+    started = []
+    monkeypatch.setattr('src.routes.webhooks.start_delivery_task', lambda app, pk: started.append(pk))
+    monkeypatch.setenv('GITHUB_WEBHOOK_SECRET', SECRET)
+    return started
+
+
+@pytest.fixture
+def tracked(app):
+    repo = Repository(
+        name='example-service',
+        full_name='octo-org/example-service',
+        url='https://github.com/octo-org/example-service'
+    )
+    db.session.add(repo)
+    db.session.commit()
+    return repo
+
+
+class TestVerifySignature:
+    body = load_fixture('webhooks', 'push.json')
+
+    def test_accepts_the_signature_github_sends(self):
+        assert verify_signature(SECRET, self.body, sign_payload(SECRET, self.body))
+
+    def test_rejects_a_signature_made_with_another_secret(self):
+        assert not verify_signature(SECRET, self.body, sign_payload('other-secret', self.body))
+
+    def test_rejects_a_signature_of_another_body(self):
+        assert not verify_signature(SECRET, self.body + b' ', sign_payload(SECRET, self.body))
+
+    @pytest.mark.parametrize('signature', [None, '', 'sha1=' + '0' * 40])
+    def test_rejects_missing_and_non_sha256_signatures(self, signature):
+        assert not verify_signature(SECRET, self.body, signature)
+
+    def test_rejects_a_digest_without_the_sha256_prefix(self):
+        digest = sign_payload(SECRET, self.body).removeprefix('sha256=')
+        assert not verify_signature(SECRET, self.body, digest)
+
+    def test_rejects_everything_without_a_secret(self):
+        assert not verify_signature(None, self.body, sign_payload(SECRET, self.body))
+
+
+class TestPlanDelivery:
+    def test_push_to_the_default_branch_analyzes_the_pushed_source_files(self):
+        plan = plan_delivery('push', load_json_fixture('webhooks', 'push.json'))
+
+        assert plan['task'] == 'incremental_analysis'
+        assert plan['changed_files'] == ['src/validation/url.js', 'src/routes/hooks.js', 'src/server.py']
+        assert plan['repository_full_name'] == 'octo-org/example-service'
+
+    def test_push_to_another_branch_is_ignored(self):
+        payload = {**load_json_fixture('webhooks', 'push.json'), 'ref': 'refs/heads/feature/hooks'}
+
+        plan = plan_delivery('push', payload)
+
+        assert plan['task'] is None
+        assert plan['reason'] == 'Push to refs/heads/feature/hooks, not the default branch'
+
+    def test_branch_deletion_is_ignored(self):
+        payload = {**load_json_fixture('webhooks', 'push.json'), 'deleted': True, 'after': '0' * 40}
+
+        assert plan_delivery('push', payload)['task'] is None
+
+    @pytest.mark.parametrize('fixture, head_sha', [
+        ('pull_request_opened.json', '6dcb09b5b57875f334f61aebed695e2e4193db5e'),
+        ('pull_request_synchronize.json', 'e4b2c9f07a1d3e5b6c8d0f2a4b6c8e0f1a3b5c7d')
+    ])
+    def test_opened_and_synchronized_pull_requests_are_reviewed(self, fixture, head_sha):
+        plan = plan_delivery('pull_request', load_json_fixture('webhooks', fixture))
+
+        assert plan['task'] == 'pr_review'
+        assert plan['pr_number'] == 42
+        assert plan['head_sha'] == head_sha
+
+    @pytest.mark.parametrize('action', ['closed', 'labeled', 'edited', 'reopened'])
+    def test_other_pull_request_actions_are_not_reviewed(self, action):
+        payload = {**load_json_fixture('webhooks', 'pull_request_opened.json'), 'action': action}
+
+        plan = plan_delivery('pull_request', payload)
+
+        assert plan['task'] is None
+        assert plan['reason'] == f'Pull request action {action} is not reviewed'
+
+    def test_draft_pull_requests_are_not_reviewed(self):
+        payload = load_json_fixture('webhooks', 'pull_request_opened.json')
+        payload['pull_request']['draft'] = True
+
+        assert plan_delivery('pull_request', payload)['task'] is None
+
+    def test_ping_and_unhandled_events_start_nothing(self):
+        assert plan_delivery('ping', load_json_fixture('webhooks', 'ping.json'))['task'] is None
+        assert plan_delivery('issues', {'action': 'opened'})['reason'] == 'Event issues is not handled'
+
+
+class TestReceiveGithubWebhook:
+    def test_queues_a_signed_delivery_for_a_tracked_repository(self, client, started, tracked):
+        response = deliver(client, 'push', load_fixture('webhooks', 'push.json'))
+
+        assert response.status_code == 202
+        assert response.get_json()['delivery']['status'] == 'queued'
+        assert len(started) == 1
+
+    def test_ignores_deliveries_for_untracked_repositories(self, client, started):
+        response = deliver(client, 'push', load_fixture('webhooks', 'push.json'))
+
+        assert response.status_code == 200
+        assert response.get_json()['delivery']['status'] == 'ignored'
+        assert started == []
+
+    @pytest.mark.parametrize('signature', [
+        sign_payload('other-secret', load_fixture('webhooks', 'push.json')),
+        '',
+        'sha1=' + '0' * 40
+    ])
+    def test_rejects_wrong_missing_and_non_sha256_signatures(self, client, started, tracked, signature):
+        response = deliver(client, 'push', load_fixture('webhooks', 'push.json'), signature=signature)
+
+        assert response.status_code == 401
+        assert started == []
+        rejected = WebhookDelivery.query.one()
+        assert rejected.status == 'rejected'
+        # A forged request must not claim the genuine delivery's id
+        assert rejected.delivery_id is None
+
+    def test_does_not_requeue_a_redelivered_delivery(self, client, started, tracked):
+        body = load_fixture('webhooks', 'push.json')
+
+        first = deliver(client, 'push', body, delivery_id='72d3162e-cc78-11e3-81ab-4c9367dc0958')
+        again = deliver(client, 'push', body, delivery_id='72d3162e-cc78-11e3-81ab-4c9367dc0958')
+
+        assert first.status_code == 202
+        assert again.status_code == 200
+        assert again.get_json()['duplicate'] is True
+        assert len(started) == 1
+        assert WebhookDelivery.query.count() == 1
+
+    def test_ignores_pushes_to_other_branches(self, client, started, tracked):
+        payload = {**load_json_fixture('webhooks', 'push.json'), 'ref': 'refs/heads/feature/hooks'}
+
+        response = deliver(client, 'push', json.dumps(payload).encode())
+
+        assert response.status_code == 200
+        assert response.get_json()['delivery']['status'] == 'ignored'
+        assert started == []
+
+    def test_routes_only_opened_and_synchronized_pull_requests(self, client, started, tracked):
+        closed = {**load_json_fixture('webhooks', 'pull_request_opened.json'), 'action': 'closed'}
+
+        opened = deliver(client, 'pull_request', load_fixture('webhooks', 'pull_request_opened.json'), 'delivery-1')
+        synchronized = deliver(client, 'pull_request', load_fixture('webhooks', 'pull_request_synchronize.json'), 'delivery-2')
+        ignored = deliver(client, 'pull_request', json.dumps(closed).encode(), 'delivery-3')
+
+        assert [response.status_code for response in (opened, synchronized, ignored)] == [202, 202, 200]
+        assert opened.get_json()['delivery']['task'] == 'pr_review'
+        assert ignored.get_json()['delivery']['status'] == 'ignored'
+        assert len(started) == 2
+
+    def test_refuses_deliveries_until_a_secret_is_configured(self, client, started, monkeypatch):
+        monkeypatch.delenv('GITHUB_WEBHOOK_SECRET')
+
+        response = deliver(client, 'push', load_fixture('webhooks', 'push.json'))
+
+        assert response.status_code == 503
+
+
+class TestExecuteDelivery:
+    def test_ignores_a_delivery_whose_repository_was_untracked_after_queueing(self, app, monkeypatch):
+        monkeypatch.setattr('src.services.webhooks.save_failed_run', pytest.fail)
+        delivery = WebhookDelivery(
+            delivery_id='delivery-untracked',
+            event='push',
+            status='queued',
+            task='incremental_analysis',
+            repository_full_name='octo-org/example-service',
+            ref='refs/heads/main',
+            head_sha='0d1a26e67d8f5eaf1f6ba5c57fc3c7d91ac0fd1c'
+        )
+        db.session.add(delivery)
+        db.session.commit()
+
+        _execute(app, delivery.id)
+
+        db.session.expire_all()
+        finished = db.session.get(WebhookDelivery, delivery.id)
+        assert finished.status == 'ignored'
+        assert finished.reason == 'Repository octo-org/example-service is no longer tracked'
+        assert finished.finished_at is not None
@@ -1,13 +1,22 @@
 import React, { useState, useEffect } from 'react';
-import { Github, Code, Bug, Lightbulb, GitBranch, CheckCircle, AlertTriangle, Play, Settings, Database, Activity, Eye, Shield, Zap, Target, FileText, Clock, Users, Star, GitPullRequest, AlertCircle } from 'lucide-react';
+import { Github, Code, Layers, CalendarClock, Bug, Lightbulb, GitBranch, CheckCircle, AlertTriangle, Play, Settings, Database, Activity, Eye, Shield, Zap, Target, FileText, Clock, Users, Star, GitPullRequest, AlertCircle } from 'lucide-react';
 import { useGitHubApi } from '../hooks/useGitHubApi';
 import { useAutomationActions } from '../hooks/useAutomationActions';
 import { useAutomationHistory } from '../hooks/useAutomationHistory';
 import { useNotifications } from '../hooks/useNotifications';
+import { useDatabase } from '../hooks/useDatabase';
 import AnalysisSection from './AnalysisSection';
 import AutomationHistorySection from './AutomationHistorySection';
 import SettingsSection from './SettingsSection';
 import StatisticsSection from './StatisticsSection';
+import ChangePlanSection from './ChangePlanSection';
+import ApiStatusBar from './ApiStatusBar';
+import BatchAnalysisSection from './BatchAnalysisSection';
+import ScheduleSection from './ScheduleSection';
+import PullRequestReviewSection from './PullRequestReviewSection';
+import WebhookDeliveryLog from './WebhookDeliveryLog';
+import AnalysisComparisonSection from './AnalysisComparisonSection';
+import { getCacheStats, startCacheCleanup, warmPersistentCaches } from '../utils/cache';
 
 
 const API_BASE = process.env.REACT_APP_API_URL || "http://localhost:8000";
@@ -41,13 +50,29 @@ const AIGitHubAutomation = () => {
     enablePerformanceOptimization: true,
     enableDocumentationUpdates: true,
     autoTestGeneration: true,
+    runTestsAfterAnalysis: false,
+    incrementalAnalysis: true,
+    reportFormat: 'markdown', // 'markdown', 'html', 'json', 'sarif'
+    aiProvider: 'openai',
+    aiModel: 'gpt-4o-mini',
+    aiBudgetPerRun: 0,
+    batchConcurrency: 3,
+    maxBatchRepositories: 50,
     codeReviewMode: 'thorough', // 'quick', 'thorough', 'comprehensive'
     priorityThreshold: 'medium' // 'low', 'medium', 'high'
   });
 
   const { showNotification } = useNotifications();
-  const { fetchRepoData, getRepositoryStructure } = useGitHubApi(githubToken, showNotification);
+  const {
+    fetchRepoData,
+    getRepositoryStructure,
+    rateLimitInfo,
+    searchRateLimitInfo,
+    circuitState,
+    rateLimitPausedUntil
+  } = useGitHubApi(githubToken, showNotification);
   const { automationHistory, addAutomationEntry, getStatistics } = useAutomationHistory();
+  const { saveRepository, getRepositoryByName, getAnalyses } = useDatabase(showNotification);
 
   const {
     analyzeRepository,
@@ -55,7 +80,22 @@ const AIGitHubAutomation = () => {
     executeImprovement,
     developFeature,
     executeBulkBugFixes,
-    executeBulkImprovements
+    executeBulkImprovements,
+    uploadCodeScanning,
+    commitReport,
+    pendingPlans,
+    approvePlan,
+    discardPlan,
+    analysisJob,
+    cancelAnalysis,
+    resumableRun,
+    discardCheckpoint,
+    batchRun,
+    findBatchRepositories,
+    analyzeBatch,
+    cancelBatch,
+    pullRequestReview,
+    reviewPullRequest
   } = useAutomationActions(
     repoUrl,
     githubToken,
@@ -79,6 +119,12 @@ const AIGitHubAutomation = () => {
     console.log('AIGitHubAutomation component mounted.');
   }, []);
 
+  // Restore persisted file contents and AI results, then periodically drop expired entries
+  useEffect(() => {
+    warmPersistentCaches().catch(err => console.warn('Failed to hydrate caches from disk', err));
+    return startCacheCleanup();
+  }, []);
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-blue-900 to-purple-900 text-white">
       {/* Enhanced Header */}
@@ -92,8 +138,16 @@ const AIGitHubAutomation = () => {
               </div>
               <h1 className="text-3xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-blue-400 to-purple-500">AI GitHub Automation</h1>
             </div>
+            <ApiStatusBar
+              rateLimitInfo={rateLimitInfo}
+              searchRateLimitInfo={searchRateLimitInfo}
+              circuitState={circuitState}
+              pausedUntil={rateLimitPausedUntil}
+            />
             <nav className="space-x-6">
               <button onClick={() => setActiveTab('analyze')} className={`text-lg font-medium transition-colors hover:text-blue-300 ${activeTab === 'analyze' ? 'text-blue-400' : 'text-gray-300'}`}>Analyze <Code className="inline-block ml-1" size={18} /></button>
+              <button onClick={() => setActiveTab('portfolio')} className={`text-lg font-medium transition-colors hover:text-blue-300 ${activeTab === 'portfolio' ? 'text-blue-400' : 'text-gray-300'}`}>Portfolio <Layers className="inline-block ml-1" size={18} /></button>
+              <button onClick={() => setActiveTab('schedules')} className={`text-lg font-medium transition-colors hover:text-blue-300 ${activeTab === 'schedules' ? 'text-blue-400' : 'text-gray-300'}`}>Schedules <CalendarClock className="inline-block ml-1" size={18} /></button>
               <button onClick={() => setActiveTab('history')} className={`text-lg font-medium transition-colors hover:text-blue-300 ${activeTab === 'history' ? 'text-blue-400' : 'text-gray-300'}`}>History <Clock className="inline-block ml-1" size={18} /></button>
               <button onClick={() => setActiveTab('settings')} className={`text-lg font-medium transition-colors hover:text-blue-300 ${activeTab === 'settings' ? 'text-blue-400' : 'text-gray-300'}`}>Settings <Settings className="inline-block ml-1" size={18} /></button>
               <button onClick={() => setActiveTab('stats')} className={`text-lg font-medium transition-colors hover:text-blue-300 ${activeTab === 'stats' ? 'text-blue-400' : 'text-gray-300'}`}>Stats <Activity className="inline-block ml-1" size={18} /></button>
@@ -103,6 +157,15 @@ const AIGitHubAutomation = () => {
       </div>
 
       <main className="container mx-auto px-6 py-8">
+        {activeTab === 'analyze' && (
+          <ChangePlanSection
+            plans={pendingPlans}
+            approvePlan={approvePlan}
+            discardPlan={discardPlan}
+            isProcessing={isProcessing}
+          />
+        )}
+
         {activeTab === 'analyze' && (
           <AnalysisSection
             repoUrl={repoUrl}
@@ -112,20 +175,75 @@ const AIGitHubAutomation = () => {
             isProcessing={isProcessing}
             processingMessage={processingMessage}
             analysisResults={analysisResults}
-            analyzeRepository={async () => {
-              await analyzeRepository();
+            analyzeRepository={async (options) => {
+              await analyzeRepository(options);
               if (repoData?.id) await fetchPastAnalyses(repoData.id);
             }}
+            analysisJob={analysisJob}
+            cancelAnalysis={cancelAnalysis}
+            resumableRun={resumableRun}
+            discardCheckpoint={discardCheckpoint}
 
             executeBugFix={executeBugFix}
             executeImprovement={executeImprovement}
             developFeature={developFeature}
             executeBulkBugFixes={executeBulkBugFixes}
             executeBulkImprovements={executeBulkImprovements}
+            uploadCodeScanning={uploadCodeScanning}
+            commitReport={commitReport}
+            automationConfig={automationConfig}
+          />
+        )}
+
+        {activeTab === 'analyze' && (
+          <PullRequestReviewSection
+            repoUrl={repoUrl}
+            githubToken={githubToken}
+            isProcessing={isProcessing}
+            reviewPullRequest={reviewPullRequest}
+            pullRequestReview={pullRequestReview}
             automationConfig={automationConfig}
           />
         )}
 
+        {activeTab === 'portfolio' && (
+          <BatchAnalysisSection
+            githubToken={githubToken}
+            isProcessing={isProcessing}
+            processingMessage={processingMessage}
+            batchRun={batchRun}
+            findBatchRepositories={findBatchRepositories}
+            analyzeBatch={analyzeBatch}
+            cancelBatch={cancelBatch}
+            openAnalysis={(entry) => {
+              setRepoUrl(`https://github.com/${entry.full_name}`);
+              setAnalysisResults(entry.analysis);
+              setActiveTab('analyze');
+            }}
+          />
+        )}
+
+        {activeTab === 'schedules' && (
+          <ScheduleSection
+            repoData={repoData}
+            automationConfig={automationConfig}
+            saveRepository={saveRepository}
+            showNotification={showNotification}
+          />
+        )}
+
+        {activeTab === 'history' && (
+          <AnalysisComparisonSection
+            repoData={repoData}
+            getRepositoryByName={getRepositoryByName}
+            getAnalyses={getAnalyses}
+          />
+        )}
+
+        {activeTab === 'history' && (
+          <WebhookDeliveryLog showNotification={showNotification} />
+        )}
+
         {activeTab === 'history' && (
           <AutomationHistorySection history={automationHistory} />
         )}
@@ -135,7 +253,7 @@ const AIGitHubAutomation = () => {
         )}
 
         {activeTab === 'stats' && (
-          <StatisticsSection stats={statistics} />
+          <StatisticsSection stats={statistics} getCacheStats={getCacheStats} />
         )}
 
         {/* Example usage of other icons - these can be integrated into specific sections as needed */}
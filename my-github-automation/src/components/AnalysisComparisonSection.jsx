@@ -0,0 +1,203 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { GitCompare, RefreshCw, Plus, Minus, Equal } from 'lucide-react';
+import { diffAnalyses, findingSeverity } from '../utils/analysisDiff';
+
+const SEVERITY_STYLES = {
+  critical: 'text-red-400',
+  high: 'text-orange-400',
+  medium: 'text-yellow-400',
+  low: 'text-gray-400'
+};
+
+// The backend sends naive UTC timestamps
+const formatUtc = (iso) => (iso ? new Date(iso.endsWith('Z') ? iso : `${iso}Z`).toLocaleString() : '—');
+
+const describeOption = (analysis) => [
+  `#${analysis.id}`,
+  formatUtc(analysis.created_at),
+  analysis.commit_sha && analysis.commit_sha.slice(0, 7),
+  analysis.analysis_type,
+  analysis.overall_health_score !== null && `${analysis.overall_health_score}%`
+].filter(Boolean).join(' · ');
+
+const formatDelta = (value) => {
+  if (value === null) return '—';
+  const rounded = Math.round(value * 10) / 10;
+  return rounded > 0 ? `+${rounded}` : `${rounded}`;
+};
+
+const deltaStyle = (improved) => {
+  if (improved === null) return 'text-gray-400';
+  return improved ? 'text-green-400' : 'text-red-400';
+};
+
+const FindingItem = ({ finding }) => (
+  <li className="bg-gray-800 p-3 rounded-md text-sm">
+    <span className={`font-semibold mr-2 ${SEVERITY_STYLES[findingSeverity(finding)] || ''}`}>{findingSeverity(finding)}</span>
+    {finding.file && <span className="font-mono text-xs text-gray-400 mr-2">{finding.line ? `${finding.file}:${finding.line}` : finding.file}</span>}
+    <span className="text-gray-200">{finding.description}</span>
+  </li>
+);
+
+const AnalysisComparisonSection = ({ repoData, getRepositoryByName, getAnalyses }) => {
+  const [analyses, setAnalyses] = useState([]);
+  const [beforeId, setBeforeId] = useState('');
+  const [afterId, setAfterId] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const fullName = repoData?.full_name;
+
+  const loadAnalyses = useCallback(async () => {
+    if (!fullName) return;
+    setIsLoading(true);
+    try {
+      const stored = await getRepositoryByName(fullName);
+      // Pull request reviews cover a diff, not the repository, so they are not compared
+      const repositoryAnalyses = stored
+        ? (await getAnalyses(stored.id)).filter(analysis => analysis.analysis_type !== 'pr_review')
+        : [];
+      setAnalyses(repositoryAnalyses);
+      setAfterId(repositoryAnalyses[0] ? String(repositoryAnalyses[0].id) : '');
+      setBeforeId(repositoryAnalyses[1] ? String(repositoryAnalyses[1].id) : '');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fullName, getRepositoryByName, getAnalyses]);
+
+  useEffect(() => {
+    loadAnalyses();
+  }, [loadAnalyses]);
+
+  const diff = useMemo(() => {
+    const before = analyses.find(analysis => String(analysis.id) === beforeId);
+    const after = analyses.find(analysis => String(analysis.id) === afterId);
+    if (!before || !after || before === after) return null;
+    // Always compare the older against the newer, whichever way round they were picked
+    return new Date(before.created_at) <= new Date(after.created_at)
+      ? diffAnalyses(before, after)
+      : diffAnalyses(after, before);
+  }, [analyses, beforeId, afterId]);
+
+  const selectClassName = 'w-full shadow border rounded py-2 px-3 bg-gray-700 border-gray-600 text-white';
+
+  return (
+    <section className="bg-gray-800 p-8 rounded-lg shadow-xl mb-8">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-3xl font-semibold text-blue-300 flex items-center"><GitCompare className="mr-3" /> Compare Analyses</h2>
+        <button
+          onClick={loadAnalyses}
+          disabled={isLoading || !fullName}
+          className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50"
+        >
+          <RefreshCw className="inline-block mr-1" size={18} /> Refresh
+        </button>
+      </div>
+
+      {!fullName ? (
+        <p className="text-gray-400">Analyze a repository to compare its stored analyses.</p>
+      ) : analyses.length < 2 ? (
+        <p className="text-gray-400">{fullName} needs at least two stored analyses to compare; {analyses.length} found.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+            <label className="block text-gray-300 text-sm">
+              Before
+              <select className={selectClassName} value={beforeId} onChange={(e) => setBeforeId(e.target.value)}>
+                {analyses.map(analysis => <option key={analysis.id} value={analysis.id}>{describeOption(analysis)}</option>)}
+              </select>
+            </label>
+            <label className="block text-gray-300 text-sm">
+              After
+              <select className={selectClassName} value={afterId} onChange={(e) => setAfterId(e.target.value)}>
+                {analyses.map(analysis => <option key={analysis.id} value={analysis.id}>{describeOption(analysis)}</option>)}
+              </select>
+            </label>
+          </div>
+
+          {!diff ? (
+            <p className="text-gray-400">Pick two different analyses.</p>
+          ) : (
+            <div className="bg-gray-700 p-6 rounded-lg shadow-inner">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                <div>
+                  <p className="text-gray-400 text-sm">Health score</p>
+                  <p className="text-white text-lg">
+                    {diff.health.before ?? '—'}% → {diff.health.after ?? '—'}%
+                    <span className={`ml-2 font-semibold ${deltaStyle(diff.health.improved)}`}>
+                      {formatDelta(diff.health.delta)}
+                    </span>
+                  </p>
+                </div>
+                <div>
+                  <p className="text-gray-400 text-sm">New findings</p>
+                  <p className="text-red-400 text-lg font-semibold">{diff.totals.added}</p>
+                </div>
+                <div>
+                  <p className="text-gray-400 text-sm">Resolved findings</p>
+                  <p className="text-green-400 text-lg font-semibold">{diff.totals.resolved}</p>
+                </div>
+                <div>
+                  <p className="text-gray-400 text-sm">Unchanged findings</p>
+                  <p className="text-gray-300 text-lg font-semibold">{diff.totals.unchanged}</p>
+                </div>
+              </div>
+
+              <table className="w-full text-left text-gray-300 text-sm mb-6">
+                <thead>
+                  <tr className="border-b border-gray-600 text-gray-400">
+                    <th className="py-2 pr-4">Metric</th>
+                    <th className="py-2 pr-4">Before</th>
+                    <th className="py-2 pr-4">After</th>
+                    <th className="py-2">Change</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.metrics.map(metric => (
+                    <tr key={metric.key} className="border-b border-gray-600">
+                      <td className="py-2 pr-4">{metric.label}</td>
+                      <td className="py-2 pr-4">{metric.before ?? '—'}</td>
+                      <td className="py-2 pr-4">{metric.after ?? '—'}</td>
+                      <td className={`py-2 font-semibold ${deltaStyle(metric.improved)}`}>{formatDelta(metric.delta)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {diff.sections.filter(section => section.added.length + section.resolved.length + section.unchanged.length > 0).map(section => (
+                <div key={section.key} className="mb-6">
+                  <h3 className="text-xl font-semibold text-blue-200 mb-2">{section.label}</h3>
+                  {section.added.length > 0 && (
+                    <>
+                      <p className="text-red-400 text-sm font-semibold mb-1 flex items-center"><Plus className="mr-1" size={16} /> New ({section.added.length})</p>
+                      <ul className="space-y-2 mb-3">
+                        {section.added.map((finding, index) => <FindingItem key={`added-${index}`} finding={finding} />)}
+                      </ul>
+                    </>
+                  )}
+                  {section.resolved.length > 0 && (
+                    <>
+                      <p className="text-green-400 text-sm font-semibold mb-1 flex items-center"><Minus className="mr-1" size={16} /> Resolved ({section.resolved.length})</p>
+                      <ul className="space-y-2 mb-3">
+                        {section.resolved.map((finding, index) => <FindingItem key={`resolved-${index}`} finding={finding} />)}
+                      </ul>
+                    </>
+                  )}
+                  {section.unchanged.length > 0 && (
+                    <details>
+                      <summary className="text-gray-400 text-sm font-semibold mb-1 cursor-pointer inline-flex items-center"><Equal className="mr-1" size={16} /> Unchanged ({section.unchanged.length})</summary>
+                      <ul className="space-y-2 mt-2">
+                        {section.unchanged.map(({ after }, index) => <FindingItem key={`unchanged-${index}`} finding={after} />)}
+                      </ul>
+                    </details>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default AnalysisComparisonSection;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { CheckCircle, Circle, Loader, XCircle, SkipForward, StopCircle } from 'lucide-react';
+
+const STEP_ICONS = {
+  pending: <Circle className="text-gray-500" size={18} />,
+  running: <Loader className="text-blue-400 animate-spin" size={18} />,
+  done: <CheckCircle className="text-green-400" size={18} />,
+  skipped: <SkipForward className="text-teal-400" size={18} />,
+  cancelled: <StopCircle className="text-yellow-400" size={18} />,
+  failed: <XCircle className="text-red-400" size={18} />
+};
+
+const JOB_STATUS_LABELS = {
+  running: 'Running',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  failed: 'Failed'
+};
+
+const AnalysisProgress = ({ job, onCancel }) => {
+  if (!job) return null;
+
+  return (
+    <div className="bg-gray-900 p-4 rounded-lg mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-white font-semibold">
+          {job.repo} — {JOB_STATUS_LABELS[job.status]}
+          {job.resumed && <span className="ml-2 text-xs text-teal-300">(resumed from checkpoint)</span>}
+        </p>
+        {job.status === 'running' && (
+          <button
+            onClick={onCancel}
+            className="bg-yellow-600 hover:bg-yellow-700 text-white text-sm font-bold py-1 px-3 rounded"
+          >
+            <StopCircle className="inline-block mr-1" size={16} /> Cancel
+          </button>
+        )}
+      </div>
+
+      <ol className="space-y-2">
+        {job.steps.map(step => (
+          <li key={step.id} className="flex items-center text-sm">
+            <span className="mr-2">{STEP_ICONS[step.status]}</span>
+            <span className={step.status === 'pending' ? 'text-gray-500' : 'text-gray-200'}>{step.label}</span>
+            {step.total !== null && (
+              <span className="ml-2 text-gray-400">{step.completed}/{step.total}</span>
+            )}
+            {step.status === 'skipped' && <span className="ml-2 text-teal-300">restored</span>}
+            {step.status === 'running' && step.detail && (
+              <span className="ml-2 text-gray-500 font-mono truncate">{step.detail}</span>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {job.error && job.status === 'failed' && <p className="text-red-400 text-sm mt-3">{job.error}</p>}
+    </div>
+  );
+};
+
+export default AnalysisProgress;
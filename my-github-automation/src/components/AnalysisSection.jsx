@@ -1,5 +1,30 @@
 import React from 'react';
-import { Code, Bug, Lightbulb, GitBranch, CheckCircle, AlertTriangle, Play, Zap, Target, FileText, Star, Shield } from 'lucide-react';
+import { Code, Bug, Lightbulb, GitBranch, CheckCircle, AlertTriangle, Play, Zap, Target, FileText, Star, Shield, Activity, DollarSign, Download, GitCommit } from 'lucide-react';
+import { formatCost } from '../utils/usageMeter';
+import { DEFAULT_AUTOMATION_CONFIG } from '../utils/automationConfig';
+import { REPORT_FORMATS, REPORT_DOCS_FOLDER, generateReport, reportDocsPath } from '../utils/reportGenerator';
+import AnalysisProgress from './AnalysisProgress';
+
+// file:line[:column] for findings that point at a location
+const formatLocation = (item) => {
+  if (!item.file) return null;
+  if (!item.line) return item.file;
+  return item.column ? `${item.file}:${item.line}:${item.column}` : `${item.file}:${item.line}`;
+};
+
+const SourceBadge = ({ item }) => (
+  item.rule_id ? <span className="ml-2 text-xs font-mono bg-gray-700 text-gray-300 px-2 py-0.5 rounded">{item.rule_id}</span> : null
+);
+
+// Save a generated report through a temporary object URL
+const downloadReport = ({ content, filename, mimeType }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 
 const AnalysisSection = ({
   repoUrl,
@@ -10,13 +35,21 @@ const AnalysisSection = ({
   processingMessage,
   analysisResults,
   analyzeRepository,
+  analysisJob,
+  cancelAnalysis,
+  resumableRun,
+  discardCheckpoint,
   executeBugFix,
   executeImprovement,
   developFeature,
   executeBulkBugFixes,
   executeBulkImprovements,
+  uploadCodeScanning,
+  commitReport,
   automationConfig
 }) => {
+  const reportFormat = automationConfig.reportFormat || DEFAULT_AUTOMATION_CONFIG.reportFormat;
+
   return (
     <section className="bg-gray-800 p-8 rounded-lg shadow-xl mb-8">
       <h2 className="text-3xl font-semibold text-blue-300 mb-6 flex items-center"><Code className="mr-3" /> Repository Analysis & Automation</h2>
@@ -58,8 +91,29 @@ const AnalysisSection = ({
           className="flex-1 bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg focus:outline-none focus:shadow-outline transition duration-200 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed"
         >
           <Play className="inline-block mr-2" size={20} />
-          {isProcessing ? processingMessage : 'Start Comprehensive Analysis'}
+          {isProcessing
+            ? processingMessage
+            : resumableRun
+              ? `Resume Analysis (${resumableRun.filesReviewed}/${resumableRun.totalFiles} files reviewed)`
+              : 'Start Comprehensive Analysis'}
         </button>
+        {resumableRun && !isProcessing && (
+          <button
+            onClick={() => analyzeRepository({ resume: false })}
+            disabled={!repoUrl || !githubToken}
+            className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-3 px-6 rounded-lg focus:outline-none focus:shadow-outline transition duration-200 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Start Over
+          </button>
+        )}
+        {resumableRun && !isProcessing && (
+          <button
+            onClick={discardCheckpoint}
+            className="bg-gray-700 hover:bg-gray-600 text-gray-300 font-bold py-3 px-6 rounded-lg focus:outline-none focus:shadow-outline transition duration-200 ease-in-out"
+          >
+            Discard Checkpoint
+          </button>
+        )}
         {analysisResults && automationConfig.autoBugFix && analysisResults.bugs_detected?.length > 0 && (
           <button
             onClick={() => {
@@ -86,6 +140,17 @@ const AnalysisSection = ({
             Auto-Implement Improvements ({analysisResults.improvements_suggested.filter(i => i.priority === 'critical' || i.priority === 'high').length})
           </button>
         )}
+        {analysisResults?.commit_sha && (
+          <button
+            onClick={uploadCodeScanning}
+            disabled={isProcessing}
+            title="Upload the findings as SARIF so they appear in the repository's Security tab"
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-6 rounded-lg focus:outline-none focus:shadow-outline transition duration-200 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Shield className="inline-block mr-2" size={20} />
+            Upload to Code Scanning
+          </button>
+        )}
       </div>
 
       {isProcessing && (
@@ -94,9 +159,31 @@ const AnalysisSection = ({
         </div>
       )}
 
+      <AnalysisProgress job={analysisJob} onCancel={cancelAnalysis} />
+
       {analysisResults && (
         <div className="bg-gray-700 p-6 rounded-lg shadow-inner">
-          <h3 className="text-2xl font-semibold text-blue-200 mb-4">Analysis Results:</h3>
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h3 className="text-2xl font-semibold text-blue-200">Analysis Results:</h3>
+            <div className="flex gap-2">
+              <button
+                onClick={() => downloadReport(generateReport(analysisResults, reportFormat))}
+                className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg"
+              >
+                <Download className="inline-block mr-1" size={18} /> Export Report ({REPORT_FORMATS[reportFormat]?.label || reportFormat})
+              </button>
+              {analysisResults.commit_sha && (
+                <button
+                  onClick={commitReport}
+                  disabled={isProcessing}
+                  title={`Commit the report to ${reportDocsPath(reportFormat)}`}
+                  className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <GitCommit className="inline-block mr-1" size={18} /> Commit to {REPORT_DOCS_FOLDER}/
+                </button>
+              )}
+            </div>
+          </div>
 
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
             <div className="bg-gray-800 p-4 rounded-lg flex items-center justify-between">
@@ -214,8 +301,9 @@ const AnalysisSection = ({
               <div className="space-y-4">
                 {analysisResults.security_concerns.map((concern, index) => (
                   <div key={index} className="bg-gray-800 p-4 rounded-md border border-orange-700">
-                    <p className="text-lg font-medium text-orange-200">{concern.description}</p>
+                    <p className="text-lg font-medium text-orange-200">{concern.description}<SourceBadge item={concern} /></p>
                     <p className="text-sm text-gray-400">Severity: <span className={`font-bold ${concern.severity === 'critical' ? 'text-red-500' : concern.severity === 'high' ? 'text-orange-500' : 'text-yellow-500'}`}>{concern.severity}</span></p>
+                    {formatLocation(concern) && <p className="text-sm text-gray-400 font-mono">{formatLocation(concern)}</p>}
                     <p className="text-sm text-gray-400">CWE ID: {concern.cwe_id}</p>
                     <p className="text-sm text-gray-400">Mitigation: {concern.mitigation}</p>
                   </div>
@@ -230,8 +318,9 @@ const AnalysisSection = ({
               <div className="space-y-4">
                 {analysisResults.performance_issues.map((issue, index) => (
                   <div key={index} className="bg-gray-800 p-4 rounded-md border border-teal-700">
-                    <p className="text-lg font-medium text-teal-200">{issue.description}</p>
+                    <p className="text-lg font-medium text-teal-200">{issue.description}<SourceBadge item={issue} /></p>
                     <p className="text-sm text-gray-400">Impact: {issue.impact}</p>
+                    {formatLocation(issue) && <p className="text-sm text-gray-400 font-mono">{formatLocation(issue)}</p>}
                     <p className="text-sm text-gray-400">Optimization: {issue.optimization}</p>
                   </div>
                 ))}
@@ -266,6 +355,48 @@ const AnalysisSection = ({
             </div>
           )}
 
+          {analysisResults.test_run && (
+            <div className="mb-6">
+              <h4 className="text-xl font-semibold text-green-300 mb-2 flex items-center"><Play className="mr-2" size={20} /> Test Run:</h4>
+              <div className="bg-gray-800 p-4 rounded-md">
+                {analysisResults.test_run.status === 'failed' ? (
+                  <p className="text-red-400">Test run failed: {analysisResults.test_run.error}</p>
+                ) : (
+                  <>
+                    {analysisResults.test_run.tests ? (
+                      <p className="text-gray-300">
+                        {analysisResults.test_run.framework}: <span className="text-green-400 font-bold">{analysisResults.test_run.tests.passed} passed</span>,{' '}
+                        <span className={`font-bold ${analysisResults.test_run.tests.failed > 0 ? 'text-red-400' : 'text-gray-300'}`}>{analysisResults.test_run.tests.failed} failed</span>,{' '}
+                        {analysisResults.test_run.tests.skipped} skipped in {analysisResults.test_run.tests.duration}s
+                      </p>
+                    ) : (
+                      <p className="text-gray-400">No supported test framework detected.</p>
+                    )}
+                    {analysisResults.test_run.coverage !== null && (
+                      <p className="text-gray-300">Line coverage: <span className="font-bold">{analysisResults.test_run.coverage}%</span></p>
+                    )}
+                    {analysisResults.test_run.lint && (
+                      <details className="mt-2">
+                        <summary className="text-gray-300 cursor-pointer">
+                          {analysisResults.test_run.linter}: {analysisResults.test_run.lint.errors} errors, {analysisResults.test_run.lint.warnings} warnings in {analysisResults.test_run.lint.files.length} files
+                        </summary>
+                        <ul className="mt-2 space-y-1">
+                          {analysisResults.test_run.lint.files.flatMap(file => file.diagnostics.map((diagnostic, index) => (
+                            <li key={`${file.file}-${index}`} className="text-sm text-gray-400">
+                              <span className="font-mono">{file.file}:{diagnostic.line}:{diagnostic.column}</span>{' '}
+                              <span className={diagnostic.severity === 'error' ? 'text-red-400' : 'text-yellow-400'}>{diagnostic.severity}</span>{' '}
+                              {diagnostic.message} {diagnostic.rule && <span className="font-mono text-gray-500">({diagnostic.rule})</span>}
+                            </li>
+                          )))}
+                        </ul>
+                      </details>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
           {analysisResults.code_quality_metrics && (
             <div className="mb-6">
               <h4 className="text-xl font-semibold text-blue-300 mb-2 flex items-center"><AlertTriangle className="mr-2" size={20} /> Code Quality Metrics:</h4>
@@ -278,6 +409,67 @@ const AnalysisSection = ({
             </div>
           )}
 
+          {analysisResults.static_analysis && (
+            <div className="mb-6">
+              <h4 className="text-xl font-semibold text-cyan-300 mb-2 flex items-center"><Activity className="mr-2" size={20} /> Static Analysis:</h4>
+              <div className="bg-gray-800 p-4 rounded-md">
+                {analysisResults.static_analysis.metrics && (
+                  <div className="grid grid-cols-2 gap-2 mb-4">
+                    <p className="text-gray-300">Files parsed: <span className="font-bold">{analysisResults.static_analysis.files_analyzed}</span></p>
+                    <p className="text-gray-300">Functions: <span className="font-bold">{analysisResults.static_analysis.metrics.functions}</span></p>
+                    <p className="text-gray-300">Average complexity: <span className="font-bold">{analysisResults.static_analysis.metrics.average_complexity}</span></p>
+                    <p className="text-gray-300">Max complexity: <span className="font-bold">{analysisResults.static_analysis.metrics.max_complexity}</span></p>
+                    <p className="text-gray-300">Max nesting: <span className="font-bold">{analysisResults.static_analysis.metrics.max_nesting}</span></p>
+                    <p className="text-gray-300">Maintainability: <span className="font-bold">{analysisResults.static_analysis.metrics.maintainability}</span></p>
+                  </div>
+                )}
+                {analysisResults.static_analysis.maintainability_issues.length > 0 && (
+                  <ul className="space-y-1 mb-2">
+                    {analysisResults.static_analysis.maintainability_issues.map((issue) => (
+                      <li key={issue.id} className="text-sm text-gray-300">
+                        <span className="font-mono text-gray-400">{formatLocation(issue)}</span> {issue.description}<SourceBadge item={issue} />
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {analysisResults.static_analysis.parse_errors.length > 0 && (
+                  <p className="text-sm text-yellow-400">Could not fully parse: {analysisResults.static_analysis.parse_errors.map(error => error.file).join(', ')}</p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {analysisResults.ai_usage && (
+            <div className="mb-6">
+              <h4 className="text-xl font-semibold text-emerald-300 mb-2 flex items-center"><DollarSign className="mr-2" size={20} /> AI Usage:</h4>
+              <div className="bg-gray-800 p-4 rounded-md">
+                <div className="grid grid-cols-2 gap-2">
+                  <p className="text-gray-300">Model calls: <span className="font-bold">{analysisResults.ai_usage.calls}</span></p>
+                  <p className="text-gray-300">Estimated cost: <span className="font-bold">{formatCost(analysisResults.ai_usage.cost)}</span></p>
+                  <p className="text-gray-300">Prompt tokens: <span className="font-bold">{analysisResults.ai_usage.prompt_tokens.toLocaleString()}</span></p>
+                  <p className="text-gray-300">Completion tokens: <span className="font-bold">{analysisResults.ai_usage.completion_tokens.toLocaleString()}</span></p>
+                </div>
+                {analysisResults.budget_exceeded && (
+                  <p className="text-sm text-yellow-400 mt-2">
+                    The {formatCost(analysisResults.ai_usage.budget)} budget ran out; only {analysisResults.files_analyzed.length} files were analyzed by AI.
+                  </p>
+                )}
+                {analysisResults.incremental && (
+                  <p className="text-sm text-gray-400 mt-2">
+                    Incremental run: {analysisResults.incremental.files_reused} files unchanged since
+                    {' '}<span className="font-mono">{analysisResults.incremental.base_commit_sha.slice(0, 7)}</span> kept their earlier results.
+                  </p>
+                )}
+                {analysisResults.suppressed_findings?.length > 0 && (
+                  <p className="text-sm text-gray-400 mt-2">
+                    {analysisResults.suppressed_findings.length} findings are hidden because their issues were closed as won't fix
+                    ({[...new Set(analysisResults.suppressed_findings.map(item => `#${item.issue_number}`))].join(', ')}); reopen an issue to report its finding again.
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
+
           {analysisResults.recommendations && (
             <div>
               <h4 className="text-xl font-semibold text-gray-300 mb-2 flex items-center"><Lightbulb className="mr-2" size={20} /> Recommendations:</h4>
@@ -0,0 +1,44 @@
+import React from 'react';
+import { Activity, Clock, Shield } from 'lucide-react';
+
+const BREAKER_STYLES = {
+  CLOSED: 'bg-green-600/30 text-green-300',
+  HALF_OPEN: 'bg-yellow-600/30 text-yellow-300',
+  OPEN: 'bg-red-600/30 text-red-300'
+};
+
+const formatReset = (reset) => (reset ? new Date(reset * 1000).toLocaleTimeString() : '—');
+
+const ApiStatusBar = ({ rateLimitInfo, searchRateLimitInfo, circuitState, pausedUntil }) => {
+  if (!rateLimitInfo) return null;
+
+  const remainingRatio = rateLimitInfo.limit ? rateLimitInfo.remaining / rateLimitInfo.limit : 1;
+  const remainingColor = remainingRatio < 0.1 ? 'text-red-400' : remainingRatio < 0.3 ? 'text-yellow-400' : 'text-green-400';
+
+  return (
+    <div className="flex items-center space-x-4 text-sm text-gray-300">
+      <span className="flex items-center" title={`Resets at ${formatReset(rateLimitInfo.reset)}`}>
+        <Activity className="mr-1" size={16} />
+        <span className={remainingColor}>{rateLimitInfo.remaining}</span>/{rateLimitInfo.limit}
+        {searchRateLimitInfo && (
+          <span className="ml-2 text-gray-400">search {searchRateLimitInfo.remaining}/{searchRateLimitInfo.limit}</span>
+        )}
+      </span>
+      <span className="flex items-center text-gray-400">
+        <Clock className="mr-1" size={16} /> {formatReset(rateLimitInfo.reset)}
+      </span>
+      {Object.entries(circuitState).map(([service, state]) => (
+        <span key={service} className={`flex items-center px-2 py-0.5 rounded ${BREAKER_STYLES[state] || BREAKER_STYLES.CLOSED}`} title={`GitHub ${service} circuit breaker`}>
+          <Shield className="mr-1" size={14} /> {service}: {state}
+        </span>
+      ))}
+      {pausedUntil && (
+        <span className="px-2 py-0.5 rounded bg-orange-600/30 text-orange-300">
+          Paused until {new Date(pausedUntil).toLocaleTimeString()}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default ApiStatusBar;
@@ -1,5 +1,6 @@
 import React from 'react';
 import { Clock, CheckCircle, AlertCircle } from 'lucide-react';
+import { formatCost } from '../utils/usageMeter';
 
 const AutomationHistorySection = ({ history }) => {
   return (
@@ -25,9 +26,14 @@ const AutomationHistorySection = ({ history }) => {
                 <p className="text-sm text-gray-400">Timestamp: {new Date(entry.timestamp).toLocaleString()}</p>
                 {entry.branch && <p className="text-sm text-gray-400">Branch: <span className="font-mono bg-gray-600 px-2 py-1 rounded text-xs">{entry.branch}</span></p>}
                 {entry.pr_title && <p className="text-sm text-gray-400">PR: {entry.pr_title}</p>}
+                {entry.metadata?.ai_usage && (
+                  <p className="text-sm text-gray-400">
+                    AI: {entry.metadata.ai_usage.calls} calls · {entry.metadata.ai_usage.total_tokens.toLocaleString()} tokens · {formatCost(entry.metadata.ai_usage.cost)}
+                  </p>
+                )}
                 {entry.metadata && (
                   <div className="mt-2 text-xs text-gray-500">
-                    {Object.entries(entry.metadata).map(([key, value]) => (
+                    {Object.entries(entry.metadata).filter(([key]) => key !== 'ai_usage').map(([key, value]) => (
                       <span key={key} className="mr-3">{key}: {JSON.stringify(value)}</span>
                     ))}
                   </div>
@@ -0,0 +1,235 @@
+import React, { useMemo, useState } from 'react';
+import { Layers, Search, Play, StopCircle, ArrowUp, ArrowDown, Eye } from 'lucide-react';
+import { BATCH_MODES, sortPortfolio } from '../utils/portfolio';
+import { formatCost } from '../utils/usageMeter';
+
+const COLUMNS = [
+  { key: 'full_name', label: 'Repository' },
+  { key: 'health', label: 'Health' },
+  { key: 'bugs', label: 'Bugs' },
+  { key: 'security', label: 'Security' },
+  { key: 'performance', label: 'Performance' },
+  { key: 'improvements', label: 'Improvements' },
+  { key: 'severe', label: 'Critical/High' },
+  { key: 'files', label: 'Files' },
+  { key: 'cost', label: 'AI Cost' }
+];
+
+const STATUS_STYLES = {
+  pending: 'text-gray-400',
+  queued: 'text-gray-300',
+  running: 'text-blue-400',
+  completed: 'text-green-400',
+  failed: 'text-red-400',
+  cancelled: 'text-yellow-400',
+  skipped: 'text-yellow-400'
+};
+
+const healthColor = (score) => {
+  if (score >= 80) return 'text-green-400';
+  if (score >= 60) return 'text-yellow-400';
+  return 'text-red-400';
+};
+
+const formatCell = (key, summary) => {
+  if (key === 'cost') return formatCost(summary.cost);
+  if (key === 'health') return `${summary.health}%`;
+  return summary[key];
+};
+
+const BatchAnalysisSection = ({
+  githubToken,
+  isProcessing,
+  processingMessage,
+  batchRun,
+  findBatchRepositories,
+  analyzeBatch,
+  cancelBatch,
+  openAnalysis
+}) => {
+  const [mode, setMode] = useState('org');
+  const [value, setValue] = useState('');
+  const [selected, setSelected] = useState(new Set());
+  const [sort, setSort] = useState({ key: 'health', direction: 'asc' });
+
+  const repositories = useMemo(
+    () => (batchRun ? sortPortfolio(batchRun.repositories, sort.key, sort.direction) : []),
+    [batchRun, sort]
+  );
+  const isRunning = batchRun?.status === 'running';
+
+  const handleFind = async () => {
+    await findBatchRepositories(mode, value);
+    setSelected(new Set());
+  };
+
+  const toggle = (fullName) => setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(fullName)) next.delete(fullName);
+    else next.add(fullName);
+    return next;
+  });
+
+  const toggleAll = () => setSelected(prev => (
+    prev.size === repositories.length ? new Set() : new Set(repositories.map(entry => entry.full_name))
+  ));
+
+  // Clicking the sorted column flips its direction
+  const sortBy = (key) => setSort(prev => ({
+    key,
+    direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+  }));
+
+  return (
+    <section className="bg-gray-800 p-8 rounded-lg shadow-xl mb-8">
+      <h2 className="text-3xl font-semibold text-blue-300 mb-6 flex items-center"><Layers className="mr-3" /> Portfolio Analysis</h2>
+
+      {!githubToken && (
+        <p className="bg-yellow-900 text-yellow-200 p-3 rounded mb-6">Enter a GitHub token on the Analyze tab to search and analyze repositories.</p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <div>
+          <label htmlFor="batchMode" className="block text-gray-300 text-sm font-bold mb-2">Batch By:</label>
+          <select
+            id="batchMode"
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            disabled={isProcessing}
+            className="shadow appearance-none border rounded w-full py-3 px-4 leading-tight focus:outline-none focus:shadow-outline bg-gray-700 border-gray-600 text-white"
+          >
+            {Object.entries(BATCH_MODES).map(([id, batchMode]) => (
+              <option key={id} value={id}>{batchMode.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="md:col-span-2">
+          <label htmlFor="batchValue" className="block text-gray-300 text-sm font-bold mb-2">{BATCH_MODES[mode].label}:</label>
+          <input
+            type="text"
+            id="batchValue"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder={BATCH_MODES[mode].placeholder}
+            disabled={isProcessing}
+            className="shadow appearance-none border rounded w-full py-3 px-4 leading-tight focus:outline-none focus:shadow-outline bg-gray-700 border-gray-600 text-white"
+          />
+        </div>
+        <div className="flex items-end">
+          <button
+            onClick={handleFind}
+            disabled={isProcessing || !githubToken || !value.trim()}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg focus:outline-none focus:shadow-outline transition duration-200 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Search className="inline-block mr-2" size={20} /> Find Repositories
+          </button>
+        </div>
+      </div>
+
+      {batchRun && (
+        <>
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-4">
+            <p className="text-gray-300">
+              <span className="font-mono text-gray-400">{batchRun.query}</span> — {batchRun.repositories.length} repositories
+              {batchRun.ai_usage && <span className="ml-2 text-green-400">AI cost {formatCost(batchRun.ai_usage.cost)}</span>}
+            </p>
+            <div className="flex gap-4">
+              {isRunning ? (
+                <button
+                  onClick={cancelBatch}
+                  className="bg-yellow-600 hover:bg-yellow-700 text-white font-bold py-2 px-4 rounded-lg"
+                >
+                  <StopCircle className="inline-block mr-2" size={18} /> Cancel Batch
+                </button>
+              ) : (
+                <button
+                  onClick={() => analyzeBatch([...selected])}
+                  disabled={isProcessing || selected.size === 0}
+                  className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Play className="inline-block mr-2" size={18} /> Analyze {selected.size} Selected
+                </button>
+              )}
+            </div>
+          </div>
+
+          {isRunning && (
+            <div className="bg-blue-900 text-white p-3 rounded-lg mb-4 text-center font-semibold">{processingMessage}</div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-gray-300">
+              <thead>
+                <tr className="border-b border-gray-600 text-gray-400 text-sm">
+                  <th className="py-2 pr-4">
+                    <input
+                      type="checkbox"
+                      checked={repositories.length > 0 && selected.size === repositories.length}
+                      onChange={toggleAll}
+                      disabled={isRunning}
+                      aria-label="Select all repositories"
+                    />
+                  </th>
+                  {COLUMNS.map(column => (
+                    <th key={column.key} className="py-2 pr-4">
+                      <button onClick={() => sortBy(column.key)} className="hover:text-white">
+                        {column.label}
+                        {sort.key === column.key && (sort.direction === 'asc'
+                          ? <ArrowUp className="inline-block ml-1" size={14} />
+                          : <ArrowDown className="inline-block ml-1" size={14} />)}
+                      </button>
+                    </th>
+                  ))}
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {repositories.map(entry => (
+                  <tr key={entry.full_name} className="border-b border-gray-700">
+                    <td className="py-2 pr-4">
+                      <input
+                        type="checkbox"
+                        checked={selected.has(entry.full_name)}
+                        onChange={() => toggle(entry.full_name)}
+                        disabled={isRunning}
+                        aria-label={`Select ${entry.full_name}`}
+                      />
+                    </td>
+                    <td className="py-2 pr-4">
+                      <span className="text-white">{entry.full_name}</span>
+                      {entry.language && <span className="ml-2 text-xs text-gray-500">{entry.language}</span>}
+                    </td>
+                    {COLUMNS.slice(1).map(column => (
+                      <td
+                        key={column.key}
+                        className={`py-2 pr-4 ${column.key === 'health' && entry.summary ? healthColor(entry.summary.health) : ''}`}
+                      >
+                        {entry.summary ? formatCell(column.key, entry.summary) : '—'}
+                      </td>
+                    ))}
+                    <td className={`py-2 pr-4 ${STATUS_STYLES[entry.status]}`} title={entry.error || undefined}>
+                      {entry.status}
+                    </td>
+                    <td className="py-2">
+                      {entry.analysis && (
+                        <button
+                          onClick={() => openAnalysis(entry)}
+                          className="text-blue-400 hover:text-blue-300 text-sm"
+                        >
+                          <Eye className="inline-block mr-1" size={16} /> Open
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default BatchAnalysisSection;
@@ -0,0 +1,131 @@
+import React from 'react';
+import { GitBranch, GitCommit, GitPullRequest, FileText, AlertCircle, CheckCircle, Eye, MessageSquare, PenLine, XCircle, Shield } from 'lucide-react';
+import { CHANGE_TYPES, describeChange } from '../utils/changePlan';
+
+const CHANGE_ICONS = {
+  [CHANGE_TYPES.BRANCH]: <GitBranch className="h-5 w-5 text-green-400" />,
+  [CHANGE_TYPES.FILE_UPDATE]: <FileText className="h-5 w-5 text-teal-400" />,
+  [CHANGE_TYPES.COMMIT]: <GitCommit className="h-5 w-5 text-teal-400" />,
+  [CHANGE_TYPES.ISSUE]: <AlertCircle className="h-5 w-5 text-orange-400" />,
+  [CHANGE_TYPES.ISSUE_UPDATE]: <PenLine className="h-5 w-5 text-orange-400" />,
+  [CHANGE_TYPES.ISSUE_CLOSE]: <XCircle className="h-5 w-5 text-green-400" />,
+  [CHANGE_TYPES.PULL_REQUEST]: <GitPullRequest className="h-5 w-5 text-purple-400" />,
+  [CHANGE_TYPES.REVIEW]: <MessageSquare className="h-5 w-5 text-purple-400" />,
+  [CHANGE_TYPES.SARIF_UPLOAD]: <Shield className="h-5 w-5 text-indigo-400" />
+};
+
+// Current vs proposed content of one file
+const FilePreview = ({ path, previousContent, content }) => (
+  <>
+    {path && <p className="text-sm font-mono text-gray-300 mt-3">{path}</p>}
+    {previousContent !== null && (
+      <>
+        <p className="text-xs text-gray-500 mt-2">Current content</p>
+        <pre className="text-xs text-gray-400 bg-gray-900 p-3 rounded max-h-64 overflow-auto whitespace-pre-wrap">{previousContent}</pre>
+      </>
+    )}
+    <p className="text-xs text-gray-500 mt-2">{content === null ? 'File will be deleted' : 'Proposed content'}</p>
+    {content !== null && (
+      <pre className="text-xs text-gray-300 bg-gray-900 p-3 rounded max-h-64 overflow-auto whitespace-pre-wrap">{content}</pre>
+    )}
+  </>
+);
+
+const ChangePlanSection = ({ plans, approvePlan, discardPlan, isProcessing }) => {
+  if (!plans.length) return null;
+
+  return (
+    <section className="bg-gray-800 p-8 rounded-lg shadow-xl mb-8">
+      <h2 className="text-3xl font-semibold text-blue-300 mb-2 flex items-center"><Eye className="mr-3" /> Pending Change Plans</h2>
+      <p className="text-gray-400 mb-6">Nothing below has been written to GitHub yet. Review each plan and approve it to apply the changes.</p>
+
+      <div className="space-y-6">
+        {plans.map((plan) => (
+          <div key={plan.id} className="bg-gray-700 p-6 rounded-lg shadow-md">
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <p className="text-lg font-semibold text-white">{plan.title}</p>
+                <p className="text-sm text-gray-400">Repo: {plan.repository.owner}/{plan.repository.repo} | Planned: {new Date(plan.createdAt).toLocaleString()}</p>
+                {plan.failure && (
+                  <p className="text-sm text-red-400 mt-1">
+                    Applying failed: {plan.failure.error}. {plan.failure.applied} change(s) were already applied and are no longer listed; approving again applies the rest.
+                  </p>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => approvePlan(plan.id)}
+                  disabled={isProcessing}
+                  className="bg-green-600 hover:bg-green-700 text-white text-sm py-2 px-4 rounded-md transition duration-200 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <CheckCircle className="inline-block mr-1" size={16} /> Approve & Apply
+                </button>
+                <button
+                  onClick={() => discardPlan(plan.id)}
+                  disabled={isProcessing}
+                  className="bg-gray-600 hover:bg-gray-500 text-white text-sm py-2 px-4 rounded-md transition duration-200 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Discard
+                </button>
+              </div>
+            </div>
+
+            <ol className="space-y-3">
+              {plan.changes.map((change) => (
+                <li key={change.id} className="bg-gray-800 p-3 rounded-md">
+                  <div className="flex items-center space-x-3">
+                    {CHANGE_ICONS[change.type]}
+                    <span className="text-gray-200">{describeChange(change)}</span>
+                  </div>
+                  {change.type === CHANGE_TYPES.FILE_UPDATE && (
+                    <details className="mt-2">
+                      <summary className="text-sm text-gray-400 cursor-pointer">Commit: {change.message}</summary>
+                      <FilePreview previousContent={change.previousContent} content={change.content} />
+                    </details>
+                  )}
+                  {change.type === CHANGE_TYPES.COMMIT && (
+                    <details className="mt-2">
+                      <summary className="text-sm text-gray-400 cursor-pointer">Single commit: {change.message}</summary>
+                      {change.files.map(file => (
+                        <FilePreview key={file.path} path={file.path} previousContent={file.previousContent} content={file.content} />
+                      ))}
+                    </details>
+                  )}
+                  {change.type === CHANGE_TYPES.REVIEW && (
+                    <details className="mt-2">
+                      <summary className="text-sm text-gray-400 cursor-pointer">Review body and comments</summary>
+                      <pre className="text-xs text-gray-300 bg-gray-900 p-3 rounded max-h-64 overflow-auto whitespace-pre-wrap">{change.body}</pre>
+                      {change.comments.map(comment => (
+                        <div key={`${comment.path}:${comment.line}:${comment.body}`} className="mt-2">
+                          <p className="text-sm font-mono text-gray-300">{comment.path}:{comment.line}</p>
+                          <pre className="text-xs text-gray-300 bg-gray-900 p-3 rounded max-h-32 overflow-auto whitespace-pre-wrap">{comment.body}</pre>
+                        </div>
+                      ))}
+                    </details>
+                  )}
+                  {change.type === CHANGE_TYPES.SARIF_UPLOAD && (
+                    <details className="mt-2">
+                      <summary className="text-sm text-gray-400 cursor-pointer">SARIF log</summary>
+                      <pre className="text-xs text-gray-300 bg-gray-900 p-3 rounded max-h-64 overflow-auto whitespace-pre-wrap">{JSON.stringify(JSON.parse(change.sarif), null, 2)}</pre>
+                    </details>
+                  )}
+                  {change.type === CHANGE_TYPES.ISSUE_CLOSE && change.comment && (
+                    <pre className="text-xs text-gray-300 bg-gray-900 p-3 rounded mt-2 whitespace-pre-wrap">{change.comment}</pre>
+                  )}
+                  {[CHANGE_TYPES.ISSUE, CHANGE_TYPES.ISSUE_UPDATE, CHANGE_TYPES.PULL_REQUEST].includes(change.type) && change.body && (
+                    <details className="mt-2">
+                      <summary className="text-sm text-gray-400 cursor-pointer">Body</summary>
+                      <pre className="text-xs text-gray-300 bg-gray-900 p-3 rounded max-h-64 overflow-auto whitespace-pre-wrap">{change.body}</pre>
+                    </details>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default ChangePlanSection;
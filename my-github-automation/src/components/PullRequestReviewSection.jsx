@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { GitPullRequest, MessageSquare, AlertTriangle, CheckCircle } from 'lucide-react';
+import { formatCost } from '../utils/usageMeter';
+
+const SEVERITY_STYLES = {
+  critical: 'text-red-400',
+  high: 'text-orange-400',
+  medium: 'text-yellow-400',
+  low: 'text-gray-400'
+};
+
+const PullRequestReviewSection = ({ repoUrl, githubToken, isProcessing, reviewPullRequest, pullRequestReview, automationConfig }) => {
+  const [pullRequestInput, setPullRequestInput] = useState('');
+
+  const review = pullRequestReview;
+  const requestsChanges = review?.event === 'REQUEST_CHANGES';
+
+  return (
+    <section className="bg-gray-800 p-8 rounded-lg shadow-xl mb-8">
+      <h2 className="text-3xl font-semibold text-blue-300 mb-6 flex items-center"><GitPullRequest className="mr-3" /> Pull Request Review</h2>
+
+      <p className="text-gray-400 text-sm mb-4">
+        Reviews only the lines a pull request changes. Findings on those lines are posted as inline comments in a single review;
+        any finding at or above the <span className="font-semibold">{automationConfig.priorityThreshold}</span> priority threshold requests changes.
+      </p>
+
+      <div className="flex flex-col sm:flex-row gap-4 mb-6">
+        <input
+          type="text"
+          aria-label="Pull request"
+          className="flex-1 shadow appearance-none border rounded py-3 px-4 leading-tight focus:outline-none focus:shadow-outline bg-gray-700 border-gray-600 text-white"
+          placeholder={repoUrl ? 'Pull request number, e.g. 42, or URL' : 'e.g., https://github.com/owner/repo/pull/42'}
+          value={pullRequestInput}
+          onChange={(e) => setPullRequestInput(e.target.value)}
+          disabled={isProcessing}
+        />
+        <button
+          onClick={() => reviewPullRequest(pullRequestInput)}
+          disabled={isProcessing || !pullRequestInput.trim() || !githubToken}
+          className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-6 rounded-lg focus:outline-none focus:shadow-outline transition duration-200 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <MessageSquare className="inline-block mr-2" size={20} /> Review PR
+        </button>
+      </div>
+
+      {review && (
+        <div className="bg-gray-700 p-6 rounded-lg shadow-inner">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <a href={review.pullRequest.url} target="_blank" rel="noopener noreferrer" className="text-xl font-semibold text-blue-200 hover:underline">
+              {review.repository}#{review.pullRequest.number}: {review.pullRequest.title}
+            </a>
+            <span className={`font-semibold flex items-center ${requestsChanges ? 'text-red-400' : 'text-green-400'}`}>
+              {requestsChanges ? <AlertTriangle className="mr-1" size={18} /> : <CheckCircle className="mr-1" size={18} />}
+              {requestsChanges ? `Changes requested (${review.blocking} at or above threshold)` : 'Comment'}
+            </span>
+          </div>
+
+          <p className="text-sm text-gray-400 mb-4">
+            {review.files_reviewed.length} files reviewed at <span className="font-mono">{review.pullRequest.commitId.slice(0, 7)}</span>,
+            {' '}{review.findings.length} findings, {review.comments.length} inline comments, AI cost {formatCost(review.ai_usage.cost)}
+            {review.budget_exceeded && ' (budget exceeded, review is partial)'}
+          </p>
+
+          {review.analysis_errors.length > 0 && (
+            <p className="text-sm text-yellow-400 mb-4">
+              Could not review: {review.analysis_errors.map(error => error.file).join(', ')}
+            </p>
+          )}
+
+          {review.findings.length === 0 ? (
+            <p className="text-gray-300">No problems found in the changed lines.</p>
+          ) : (
+            <ul className="space-y-2">
+              {review.findings.map((finding, index) => (
+                <li key={`${finding.file}-${finding.line}-${index}`} className="bg-gray-800 p-3 rounded-md">
+                  <p className="text-sm">
+                    <span className={`font-semibold mr-2 ${SEVERITY_STYLES[finding.severity] || ''}`}>{finding.severity}</span>
+                    <span className="text-gray-300 mr-2">{finding.label}</span>
+                    <span className="font-mono text-xs text-gray-400">{finding.line ? `${finding.file}:${finding.line}` : finding.file}</span>
+                    {review.outsideDiff.includes(finding) && <span className="ml-2 text-xs text-gray-500">(in review body)</span>}
+                  </p>
+                  <p className="text-gray-200 mt-1">{finding.description}</p>
+                  {finding.advice && <p className="text-sm text-gray-400 mt-1">{finding.advice}</p>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default PullRequestReviewSection;
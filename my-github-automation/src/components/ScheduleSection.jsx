@@ -0,0 +1,215 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CalendarClock, Save, Play, RefreshCw, Plus } from 'lucide-react';
+import { AnalysisScheduler, DEFAULT_AUTOMATION_CONFIG, SCHEDULE_FREQUENCIES, WEEKDAYS } from '../utils/automationConfig';
+
+// How often the list is refreshed while a scheduled analysis is running
+const RUNNING_REFRESH_INTERVAL = 10000;
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const STATUS_STYLES = {
+  running: 'text-blue-400',
+  completed: 'text-green-400',
+  failed: 'text-red-400'
+};
+
+// The backend sends naive UTC timestamps
+const formatUtc = (iso) => (iso ? new Date(iso.endsWith('Z') ? iso : `${iso}Z`).toLocaleString() : '—');
+
+const toDraft = (schedule) => ({
+  frequency: schedule?.enabled ? schedule.frequency : 'off',
+  hour: schedule?.hour ?? 2,
+  weekday: schedule?.weekday ?? 0
+});
+
+const ScheduleSection = ({ repoData, automationConfig, saveRepository, showNotification }) => {
+  const [repositories, setRepositories] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [busy, setBusy] = useState(false);
+
+  const loadRepositories = useCallback(async () => {
+    try {
+      const tracked = await AnalysisScheduler.listRepositories();
+      setRepositories(tracked);
+      setDrafts(Object.fromEntries(tracked.map(repo => [repo.id, toDraft(repo.schedule)])));
+    } catch (error) {
+      showNotification(`Failed to load schedules: ${error.message}`, 'error');
+    }
+  }, [showNotification]);
+
+  useEffect(() => {
+    loadRepositories();
+  }, [loadRepositories]);
+
+  // Keep the last-run column current while a run is in progress
+  const hasRunning = repositories.some(repo => repo.schedule?.last_status === 'running');
+  useEffect(() => {
+    if (!hasRunning) return undefined;
+    const timer = setTimeout(loadRepositories, RUNNING_REFRESH_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [hasRunning, repositories, loadRepositories]);
+
+  const updateDraft = (repoId, changes) => setDrafts(prev => ({ ...prev, [repoId]: { ...prev[repoId], ...changes } }));
+
+  // Run an action against the backend, then reload the list
+  const perform = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      if (successMessage) showNotification(successMessage, 'success');
+      await loadRepositories();
+    } catch (error) {
+      showNotification(error.message, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveSchedule = (repo) => {
+    const draft = drafts[repo.id];
+    if (draft.frequency === 'off') {
+      if (!repo.schedule) return;
+      perform(() => AnalysisScheduler.deleteSchedule(repo.id), `Schedule removed for ${repo.full_name}`);
+      return;
+    }
+    perform(() => AnalysisScheduler.saveSchedule(repo.id, {
+      frequency: draft.frequency,
+      hour: Number(draft.hour),
+      weekday: Number(draft.weekday),
+      aiProvider: automationConfig.aiProvider,
+      aiModel: automationConfig.aiModel,
+      maxFiles: Number(automationConfig.maxFilesPerAnalysis || DEFAULT_AUTOMATION_CONFIG.maxFilesPerAnalysis)
+    }), `Schedule saved for ${repo.full_name}`);
+  };
+
+  const isTracked = repoData && repositories.some(repo => repo.full_name === repoData.full_name);
+
+  return (
+    <section className="bg-gray-800 p-8 rounded-lg shadow-xl mb-8">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-3xl font-semibold text-blue-300 flex items-center"><CalendarClock className="mr-3" /> Scheduled Analyses</h2>
+        <div className="flex gap-3">
+          {repoData && !isTracked && (
+            <button
+              onClick={() => perform(() => saveRepository(repoData), `Tracking ${repoData.full_name}`)}
+              disabled={busy}
+              className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50"
+            >
+              <Plus className="inline-block mr-1" size={18} /> Track {repoData.full_name}
+            </button>
+          )}
+          <button
+            onClick={() => perform(loadRepositories)}
+            disabled={busy}
+            className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50"
+          >
+            <RefreshCw className="inline-block mr-1" size={18} /> Refresh
+          </button>
+        </div>
+      </div>
+
+      <p className="text-gray-400 text-sm mb-4">
+        Scheduled runs use the AI model selected in Settings ({automationConfig.aiProvider}/{automationConfig.aiModel}) at the time the schedule is saved. Times are UTC.
+      </p>
+
+      {repositories.length === 0 ? (
+        <p className="text-gray-400">No tracked repositories yet. Analyze a repository, then track it here.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-gray-300">
+            <thead>
+              <tr className="border-b border-gray-600 text-gray-400 text-sm">
+                <th className="py-2 pr-4">Repository</th>
+                <th className="py-2 pr-4">Schedule</th>
+                <th className="py-2 pr-4">Next Run</th>
+                <th className="py-2 pr-4">Last Run</th>
+                <th className="py-2 pr-4">Last Analysis</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {repositories.map(repo => {
+                const draft = drafts[repo.id] || toDraft(repo.schedule);
+                const schedule = repo.schedule;
+                return (
+                  <tr key={repo.id} className="border-b border-gray-700 align-top">
+                    <td className="py-3 pr-4 text-white">{repo.full_name}</td>
+                    <td className="py-3 pr-4">
+                      <div className="flex flex-wrap gap-2">
+                        <select
+                          value={draft.frequency}
+                          onChange={(e) => updateDraft(repo.id, { frequency: e.target.value })}
+                          aria-label={`Frequency for ${repo.full_name}`}
+                          className="bg-gray-700 border border-gray-600 rounded py-1 px-2 text-white"
+                        >
+                          <option value="off">Off</option>
+                          {SCHEDULE_FREQUENCIES.map(frequency => (
+                            <option key={frequency} value={frequency}>{frequency}</option>
+                          ))}
+                        </select>
+                        {draft.frequency === 'weekly' && (
+                          <select
+                            value={draft.weekday}
+                            onChange={(e) => updateDraft(repo.id, { weekday: e.target.value })}
+                            aria-label={`Weekday for ${repo.full_name}`}
+                            className="bg-gray-700 border border-gray-600 rounded py-1 px-2 text-white"
+                          >
+                            {WEEKDAYS.map((day, index) => <option key={day} value={index}>{day}</option>)}
+                          </select>
+                        )}
+                        {draft.frequency !== 'off' && (
+                          <select
+                            value={draft.hour}
+                            onChange={(e) => updateDraft(repo.id, { hour: e.target.value })}
+                            aria-label={`Hour for ${repo.full_name}`}
+                            className="bg-gray-700 border border-gray-600 rounded py-1 px-2 text-white"
+                          >
+                            {HOURS.map(hour => <option key={hour} value={hour}>{String(hour).padStart(2, '0')}:00 UTC</option>)}
+                          </select>
+                        )}
+                      </div>
+                      {schedule && (
+                        <p className="text-xs text-gray-500 mt-1">{schedule.ai_provider}/{schedule.ai_model}, up to {schedule.max_files} files</p>
+                      )}
+                    </td>
+                    <td className="py-3 pr-4">{schedule?.enabled ? formatUtc(schedule.next_run_at) : '—'}</td>
+                    <td className="py-3 pr-4">
+                      {schedule?.last_run_at ? (
+                        <>
+                          {formatUtc(schedule.last_run_at)}
+                          <span className={`ml-2 ${STATUS_STYLES[schedule.last_status] || ''}`}>{schedule.last_status}</span>
+                          {schedule.last_error && <p className="text-xs text-red-400 mt-1">{schedule.last_error}</p>}
+                        </>
+                      ) : '—'}
+                    </td>
+                    <td className="py-3 pr-4">{formatUtc(repo.last_analysis_at)}</td>
+                    <td className="py-3 whitespace-nowrap">
+                      <button
+                        onClick={() => saveSchedule(repo)}
+                        disabled={busy}
+                        className="text-blue-400 hover:text-blue-300 text-sm mr-3 disabled:opacity-50"
+                      >
+                        <Save className="inline-block mr-1" size={16} /> Save
+                      </button>
+                      {schedule && (
+                        <button
+                          onClick={() => perform(() => AnalysisScheduler.runNow(repo.id), `Scheduled analysis of ${repo.full_name} started`)}
+                          disabled={busy || schedule.last_status === 'running'}
+                          className="text-green-400 hover:text-green-300 text-sm disabled:opacity-50"
+                        >
+                          <Play className="inline-block mr-1" size={16} /> Run Now
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ScheduleSection;
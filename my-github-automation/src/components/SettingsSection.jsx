@@ -1,7 +1,28 @@
-import React from 'react';
-import { Settings, Shield, Zap, FileText, CheckCircle, Code, Target } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { Settings, Shield, Zap, FileText, CheckCircle, Code, Target, Play, Cpu, GitCommit } from 'lucide-react';
+import { getProviders, getModel, loadProvidersFromBackend, toModelKey, fromModelKey } from '../utils/llmProviders';
+import { REPORT_FORMATS } from '../utils/reportGenerator';
 
 const SettingsSection = ({ config, setConfig }) => {
+  const [providers, setProviders] = useState(getProviders);
+  const selectedModel = getModel(config.aiProvider, config.aiModel);
+
+  // Offer whatever the backend proxy has registered; keep the built-in list if it is unreachable
+  useEffect(() => {
+    const controller = new AbortController();
+    loadProvidersFromBackend({ signal: controller.signal })
+      .then(setProviders)
+      .catch(error => {
+        if (error.name !== 'AbortError') console.warn('Could not load AI providers:', error.message);
+      });
+    return () => controller.abort();
+  }, []);
+
+  const handleModelChange = (e) => {
+    const { aiProvider, aiModel } = fromModelKey(e.target.value);
+    setConfig(prevConfig => ({ ...prevConfig, aiProvider, aiModel }));
+  };
+
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
     setConfig(prevConfig => ({
@@ -93,6 +114,73 @@ const SettingsSection = ({ config, setConfig }) => {
               min="1"
             />
           </div>
+          <div className="mb-4">
+            <label htmlFor="aiModel" className="block text-gray-300 text-sm font-bold mb-2">AI Model <Cpu className="inline-block ml-1" size={16} />:</label>
+            <select
+              id="aiModel"
+              name="aiModel"
+              value={toModelKey(config.aiProvider, config.aiModel)}
+              onChange={handleModelChange}
+              className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline bg-gray-600 border-gray-500 text-white"
+            >
+              {!selectedModel && (
+                <option value={toModelKey(config.aiProvider, config.aiModel)}>{config.aiProvider}/{config.aiModel} (not registered)</option>
+              )}
+              {providers.map(provider => (
+                <optgroup key={provider.id} label={provider.available ? provider.name : `${provider.name} (not configured)`}>
+                  {provider.models.map(model => (
+                    <option key={model.id} value={toModelKey(provider.id, model.id)} disabled={!provider.available}>
+                      {model.id}
+                    </option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+            {selectedModel && (
+              <p className="text-gray-400 text-xs mt-1">
+                {selectedModel.contextWindow.toLocaleString()} token context · ${selectedModel.pricing.input} / ${selectedModel.pricing.output} per 1M input / output tokens · JSON: {selectedModel.jsonMode.replace('_', ' ')}
+              </p>
+            )}
+          </div>
+          <div className="mb-4">
+            <label htmlFor="aiBudgetPerRun" className="block text-gray-300 text-sm font-bold mb-2">AI Budget Per Run (USD, 0 = unlimited):</label>
+            <input
+              type="number"
+              id="aiBudgetPerRun"
+              name="aiBudgetPerRun"
+              value={config.aiBudgetPerRun}
+              onChange={handleChange}
+              className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline bg-gray-600 border-gray-500 text-white"
+              min="0"
+              step="0.01"
+            />
+          </div>
+          <div className="mb-4">
+            <label htmlFor="batchConcurrency" className="block text-gray-300 text-sm font-bold mb-2">Batch Concurrency (repositories at once):</label>
+            <input
+              type="number"
+              id="batchConcurrency"
+              name="batchConcurrency"
+              value={config.batchConcurrency}
+              onChange={handleChange}
+              className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline bg-gray-600 border-gray-500 text-white"
+              min="1"
+              max="10"
+            />
+          </div>
+          <div className="mb-4">
+            <label htmlFor="maxBatchRepositories" className="block text-gray-300 text-sm font-bold mb-2">Max Repositories Per Batch:</label>
+            <input
+              type="number"
+              id="maxBatchRepositories"
+              name="maxBatchRepositories"
+              value={config.maxBatchRepositories}
+              onChange={handleChange}
+              className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline bg-gray-600 border-gray-500 text-white"
+              min="1"
+              max="1000"
+            />
+          </div>
           <div className="mb-4">
             <label htmlFor="codeReviewMode" className="block text-gray-300 text-sm font-bold mb-2">Code Review Mode:</label>
             <select
@@ -108,7 +196,21 @@ const SettingsSection = ({ config, setConfig }) => {
             </select>
           </div>
           <div className="mb-4">
-            <label htmlFor="priorityThreshold" className="block text-gray-300 text-sm font-bold mb-2">Priority Threshold for Auto-Actions:</label>
+            <label htmlFor="reportFormat" className="block text-gray-300 text-sm font-bold mb-2">Report Format:</label>
+            <select
+              id="reportFormat"
+              name="reportFormat"
+              value={config.reportFormat}
+              onChange={handleChange}
+              className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline bg-gray-600 border-gray-500 text-white"
+            >
+              {Object.entries(REPORT_FORMATS).map(([format, { label }]) => (
+                <option key={format} value={format}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="mb-4">
+            <label htmlFor="priorityThreshold" className="block text-gray-300 text-sm font-bold mb-2">Priority Threshold for Auto-Actions and PR Reviews:</label>
             <select
               id="priorityThreshold"
               name="priorityThreshold"
@@ -174,6 +276,30 @@ const SettingsSection = ({ config, setConfig }) => {
               <span className="ml-2 text-gray-300">Enable Auto Test Generation <CheckCircle className="inline-block ml-1" size={16} /></span>
             </label>
           </div>
+          <div className="mb-4">
+            <label className="inline-flex items-center">
+              <input
+                type="checkbox"
+                name="runTestsAfterAnalysis"
+                checked={config.runTestsAfterAnalysis}
+                onChange={handleChange}
+                className="form-checkbox h-5 w-5 text-blue-600"
+              />
+              <span className="ml-2 text-gray-300">Run Tests and Linter After Analysis <Play className="inline-block ml-1" size={16} /></span>
+            </label>
+          </div>
+          <div className="mb-4">
+            <label className="inline-flex items-center">
+              <input
+                type="checkbox"
+                name="incrementalAnalysis"
+                checked={config.incrementalAnalysis}
+                onChange={handleChange}
+                className="form-checkbox h-5 w-5 text-blue-600"
+              />
+              <span className="ml-2 text-gray-300">Re-analyze Only Files Changed Since the Last Analysis <GitCommit className="inline-block ml-1" size={16} /></span>
+            </label>
+          </div>
         </div>
       </div>
     </section>
@@ -1,7 +1,29 @@
-import React from 'react';
-import { Activity, Bug, Lightbulb, Star, Clock, GitPullRequest } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { Activity, Bug, Lightbulb, Star, Clock, GitPullRequest, Database, DollarSign } from 'lucide-react';
+import { formatCost } from '../utils/usageMeter';
+
+const CACHE_LABELS = {
+  api: 'API Responses',
+  repo: 'Repository Data',
+  analysis: 'AI Analyses',
+  content: 'File Contents'
+};
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const StatisticsSection = ({ stats, getCacheStats }) => {
+  const [cacheStats, setCacheStats] = useState(() => getCacheStats());
+
+  // Cache counters change outside React, so poll while the tab is open
+  useEffect(() => {
+    const intervalId = setInterval(() => setCacheStats(getCacheStats()), 2000);
+    return () => clearInterval(intervalId);
+  }, [getCacheStats]);
 
-const StatisticsSection = ({ stats }) => {
   return (
     <section className="bg-gray-800 p-8 rounded-lg shadow-xl mb-8">
       <h2 className="text-3xl font-semibold text-blue-300 mb-6 flex items-center"><Activity className="mr-3" /> Automation Statistics</h2>
@@ -36,6 +58,68 @@ const StatisticsSection = ({ stats }) => {
           </div>
         </div>
       )}
+
+      {stats?.aiUsage.total.calls > 0 && (
+        <>
+          <h3 className="text-2xl font-semibold text-blue-200 mt-8 mb-4 flex items-center"><DollarSign className="mr-2" /> AI Usage</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-gray-300">
+              <thead>
+                <tr className="border-b border-gray-600 text-gray-400 text-sm">
+                  <th className="py-2 pr-4">Repository</th>
+                  <th className="py-2 pr-4">Calls</th>
+                  <th className="py-2 pr-4">Prompt Tokens</th>
+                  <th className="py-2 pr-4">Completion Tokens</th>
+                  <th className="py-2">Estimated Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...Object.entries(stats.aiUsage.byRepository), ['Total', stats.aiUsage.total]].map(([repo, usage]) => (
+                  <tr key={repo} className={`border-b border-gray-700 ${repo === 'Total' ? 'font-bold' : ''}`}>
+                    <td className="py-2 pr-4">{repo}</td>
+                    <td className="py-2 pr-4">{usage.calls}</td>
+                    <td className="py-2 pr-4">{usage.prompt_tokens.toLocaleString()}</td>
+                    <td className="py-2 pr-4">{usage.completion_tokens.toLocaleString()}</td>
+                    <td className="py-2 text-green-400">{formatCost(usage.cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      <h3 className="text-2xl font-semibold text-blue-200 mt-8 mb-4 flex items-center"><Database className="mr-2" /> Cache Performance</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-gray-300">
+          <thead>
+            <tr className="border-b border-gray-600 text-gray-400 text-sm">
+              <th className="py-2 pr-4">Cache</th>
+              <th className="py-2 pr-4">Hits</th>
+              <th className="py-2 pr-4">Disk Hits</th>
+              <th className="py-2 pr-4">Misses</th>
+              <th className="py-2 pr-4">Hit Rate</th>
+              <th className="py-2 pr-4">Entries</th>
+              <th className="py-2 pr-4">Memory</th>
+              <th className="py-2">Evictions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(cacheStats).map(([name, cache]) => (
+              <tr key={name} className="border-b border-gray-700">
+                <td className="py-2 pr-4">{CACHE_LABELS[name] || name}</td>
+                <td className="py-2 pr-4 text-green-400">{cache.hits}</td>
+                <td className="py-2 pr-4 text-teal-400">{cache.diskHits}</td>
+                <td className="py-2 pr-4 text-red-400">{cache.misses}</td>
+                <td className="py-2 pr-4 font-bold">{(cache.hitRate * 100).toFixed(1)}%</td>
+                <td className="py-2 pr-4">{cache.size}</td>
+                <td className="py-2 pr-4">{formatBytes(cache.memoryUsage)}</td>
+                <td className="py-2">{cache.evictions}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
     </section>
   );
 };
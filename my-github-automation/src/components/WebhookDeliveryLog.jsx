@@ -0,0 +1,112 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Webhook, RefreshCw } from 'lucide-react';
+import { WebhookDeliveries } from '../utils/automationConfig';
+
+// How often the log is refreshed while a delivery is still queued or running
+const PENDING_REFRESH_INTERVAL = 10000;
+
+const STATUS_STYLES = {
+  rejected: 'text-red-400',
+  ignored: 'text-gray-400',
+  queued: 'text-yellow-400',
+  running: 'text-blue-400',
+  completed: 'text-green-400',
+  failed: 'text-red-400'
+};
+
+const TASK_LABELS = {
+  incremental_analysis: 'Incremental analysis',
+  pr_review: 'PR review'
+};
+
+// The backend sends naive UTC timestamps
+const formatUtc = (iso) => (iso ? new Date(iso.endsWith('Z') ? iso : `${iso}Z`).toLocaleString() : '—');
+
+const WebhookDeliveryLog = ({ showNotification }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadDeliveries = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setDeliveries(await WebhookDeliveries.list());
+    } catch (error) {
+      showNotification(`Failed to load webhook deliveries: ${error.message}`, 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [showNotification]);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  const hasPending = deliveries.some(delivery => delivery.status === 'queued' || delivery.status === 'running');
+  useEffect(() => {
+    if (!hasPending) return undefined;
+    const timer = setTimeout(loadDeliveries, PENDING_REFRESH_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [hasPending, deliveries, loadDeliveries]);
+
+  return (
+    <section className="bg-gray-800 p-8 rounded-lg shadow-xl mb-8">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-3xl font-semibold text-blue-300 flex items-center"><Webhook className="mr-3" /> Webhook Deliveries</h2>
+        <button
+          onClick={loadDeliveries}
+          disabled={isLoading}
+          className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50"
+        >
+          <RefreshCw className="inline-block mr-1" size={18} /> Refresh
+        </button>
+      </div>
+
+      <p className="text-gray-400 text-sm mb-4">
+        Point a GitHub webhook for push and pull_request events at <span className="font-mono">/api/webhooks/github</span> with the backend's webhook secret. Pushes to the default branch of tracked repositories queue an incremental analysis; opened and updated pull requests queue a review.
+      </p>
+
+      {deliveries.length === 0 ? (
+        <p className="text-gray-400">No webhook deliveries received yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-gray-300 text-sm">
+            <thead>
+              <tr className="border-b border-gray-600 text-gray-400">
+                <th className="py-2 pr-4">Received</th>
+                <th className="py-2 pr-4">Event</th>
+                <th className="py-2 pr-4">Repository</th>
+                <th className="py-2 pr-4">Target</th>
+                <th className="py-2 pr-4">Task</th>
+                <th className="py-2">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map(delivery => (
+                <tr key={delivery.id} className="border-b border-gray-700 align-top">
+                  <td className="py-2 pr-4 whitespace-nowrap">{formatUtc(delivery.received_at)}</td>
+                  <td className="py-2 pr-4">{delivery.action ? `${delivery.event}.${delivery.action}` : delivery.event}</td>
+                  <td className="py-2 pr-4 text-white">{delivery.repository || '—'}</td>
+                  <td className="py-2 pr-4">
+                    {delivery.pr_number && <span className="mr-2">#{delivery.pr_number}</span>}
+                    {delivery.head_sha && <span className="font-mono bg-gray-700 px-1 rounded text-xs">{delivery.head_sha.slice(0, 7)}</span>}
+                    {delivery.changed_files.length > 0 && (
+                      <p className="text-xs text-gray-500 mt-1">{delivery.changed_files.length} changed files</p>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4">{TASK_LABELS[delivery.task] || '—'}</td>
+                  <td className="py-2">
+                    <span className={STATUS_STYLES[delivery.status] || ''}>{delivery.status}</span>
+                    {delivery.analysis_id && <span className="text-gray-500 ml-2">analysis #{delivery.analysis_id}</span>}
+                    {delivery.reason && <p className="text-xs text-gray-500 mt-1">{delivery.reason}</p>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default WebhookDeliveryLog;
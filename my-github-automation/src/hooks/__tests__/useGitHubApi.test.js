@@ -0,0 +1,184 @@
+import { renderHook } from '@testing-library/react';
+import { Octokit } from '@octokit/rest';
+import { useGitHubApi } from '../useGitHubApi';
+import { contentCache, getCacheStats, repoCache } from '../../utils/cache';
+
+jest.mock('@octokit/rest', () => ({ Octokit: jest.fn() }));
+
+const base64 = (text) => Buffer.from(text, 'utf-8').toString('base64');
+
+// Octokit with only the endpoints these tests use; the request hook is not installed
+const createClient = () => ({
+  hook: { wrap: jest.fn() },
+  rest: {
+    // The initial rate limit check never answers, so no request waits on a reserve
+    rateLimit: { get: jest.fn(() => new Promise(() => {})) },
+    repos: {
+      get: jest.fn().mockResolvedValue({ data: { default_branch: 'main' } }),
+      getCommit: jest.fn().mockResolvedValue({ data: { sha: 'c0ffee', commit: { tree: { sha: 'tree-sha' } } } })
+    },
+    git: {
+      getTree: jest.fn(),
+      getBlob: jest.fn(),
+      getRef: jest.fn().mockResolvedValue({ data: { object: { sha: 'head-sha' } } }),
+      getCommit: jest.fn().mockResolvedValue({ data: { tree: { sha: 'head-tree' } } }),
+      createBlob: jest.fn(async ({ content }) => ({ data: { sha: `blob-${content}` } })),
+      createTree: jest.fn().mockResolvedValue({ data: { sha: 'new-tree' } }),
+      createCommit: jest.fn().mockResolvedValue({ data: { sha: 'new-commit' } }),
+      updateRef: jest.fn().mockResolvedValue({ data: {} })
+    }
+  }
+});
+
+let client;
+
+const mountGitHubApi = () => renderHook(() => useGitHubApi('token', jest.fn())).result.current;
+
+beforeEach(() => {
+  client = createClient();
+  Octokit.mockImplementation(() => client);
+  repoCache.clear();
+  contentCache.clear();
+});
+
+describe('getRepositoryStructure', () => {
+  test('reads the whole tree in one request and selects files from every directory', async () => {
+    client.rest.git.getTree.mockResolvedValue({
+      data: {
+        truncated: false,
+        tree: [
+          { path: 'src', type: 'tree', sha: 't1' },
+          { path: 'src/app.js', type: 'blob', size: 300, sha: 'b1' },
+          { path: 'src/lib/deep/util.py', type: 'blob', size: 200, sha: 'b2' },
+          { path: 'build/app.js', type: 'blob', size: 300, sha: 'b3' },
+          { path: 'README.md', type: 'blob', size: 100, sha: 'b4' }
+        ]
+      }
+    });
+    const github = mountGitHubApi();
+
+    const structure = await github.getRepositoryStructure('acme', 'app', { ref: 'main' });
+
+    expect(client.rest.git.getTree).toHaveBeenCalledTimes(1);
+    expect(client.rest.git.getTree).toHaveBeenCalledWith(expect.objectContaining({ tree_sha: 'tree-sha', recursive: 'true' }));
+    expect(structure.commitSha).toBe('c0ffee');
+    expect(structure.files.map(file => file.path)).toEqual(['src/app.js', 'src/lib/deep/util.py']);
+    expect(structure.files.every(file => file.content === null)).toBe(true);
+    expect(structure.skipped).toMatchObject({ ignored: 1, unsupportedType: 1 });
+    expect(structure.totalFiles).toBe(4);
+    expect(structure.directories).toEqual([{ name: 'src', path: 'src', type: 'directory' }]);
+  });
+});
+
+describe('loadFileContents', () => {
+  const files = [
+    { path: 'src/app.js', sha: 'b1', content: null },
+    { path: 'assets/logo.js', sha: 'b2', content: null },
+    { path: 'src/broken.js', sha: 'b3', content: null }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    client.rest.git.getBlob.mockImplementation(async ({ file_sha: sha }) => {
+      if (sha === 'b1') return { data: { content: base64('export default 1;\n'), encoding: 'base64' } };
+      if (sha === 'b2') return { data: { content: base64('GIF89a\u0000\u0001'), encoding: 'base64' } };
+      throw Object.assign(new Error('Not Found'), { status: 404 });
+    });
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('decodes text blobs and leaves binary and failing blobs without content', async () => {
+    const github = mountGitHubApi();
+    const loaded = [];
+
+    const result = await github.loadFileContents('acme', 'app', files, { onLoaded: file => loaded.push(file.path) });
+
+    expect(result.map(file => file.content)).toEqual(['export default 1;\n', null, null]);
+    expect(loaded).toEqual(['src/app.js', 'assets/logo.js', 'src/broken.js']);
+  });
+});
+
+describe('read caching', () => {
+  beforeEach(() => {
+    client.rest.git.getBlob.mockImplementation(async ({ file_sha: sha }) => ({
+      data: { content: base64(`// blob ${sha}\n`), encoding: 'base64' }
+    }));
+  });
+
+  test('fetches a blob once per SHA and again once the file changes', async () => {
+    const github = mountGitHubApi();
+    const file = { path: 'src/app.js', sha: 'b1', content: null };
+
+    await github.loadFileContents('acme', 'app', [file]);
+    const [cached] = await github.loadFileContents('acme', 'app', [file]);
+    const [changed] = await github.loadFileContents('acme', 'app', [{ ...file, sha: 'b2' }]);
+
+    expect(cached.content).toBe('// blob b1\n');
+    expect(changed.content).toBe('// blob b2\n');
+    expect(client.rest.git.getBlob).toHaveBeenCalledTimes(2);
+    expect(getCacheStats().content).toMatchObject({ hits: 1, size: 2 });
+  });
+
+  test('shares cached repository data between hook instances', async () => {
+    await mountGitHubApi().fetchRepoData('acme', 'app');
+    const data = await mountGitHubApi().fetchRepoData('acme', 'app');
+
+    expect(data).toEqual({ default_branch: 'main' });
+    expect(client.rest.repos.get).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('batchFileOperations in atomic mode', () => {
+  const operations = [
+    { type: 'update', path: 'src/app.js', content: 'fixed' },
+    { type: 'create', path: 'src/util.js', content: 'new' },
+    { type: 'delete', path: 'src/old.js' }
+  ];
+
+  test('puts every operation into one commit on the branch head', async () => {
+    const results = await mountGitHubApi().batchFileOperations('acme', 'app', operations, {
+      atomic: true,
+      branch: 'auto-fix-1',
+      message: 'Auto-fix: three files'
+    });
+
+    expect(client.rest.git.createTree).toHaveBeenCalledWith(expect.objectContaining({
+      base_tree: 'head-tree',
+      tree: [
+        { path: 'src/app.js', mode: '100644', type: 'blob', sha: `blob-${base64('fixed')}` },
+        { path: 'src/util.js', mode: '100644', type: 'blob', sha: `blob-${base64('new')}` },
+        { path: 'src/old.js', mode: '100644', type: 'blob', sha: null }
+      ]
+    }));
+    expect(client.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Auto-fix: three files',
+      tree: 'new-tree',
+      parents: ['head-sha']
+    }));
+    expect(client.rest.git.updateRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'heads/auto-fix-1', sha: 'new-commit', force: false }));
+    expect(results.every(result => result.success && result.result.sha === 'new-commit')).toBe(true);
+  });
+
+  test('leaves the branch untouched when any step fails', async () => {
+    client.rest.git.createBlob.mockRejectedValueOnce(Object.assign(new Error('Validation Failed'), { status: 422 }));
+
+    await expect(mountGitHubApi().batchFileOperations('acme', 'app', operations, {
+      atomic: true,
+      branch: 'auto-fix-1',
+      message: 'Auto-fix: three files'
+    })).rejects.toThrow('Validation Failed');
+
+    expect(client.rest.git.createCommit).not.toHaveBeenCalled();
+    expect(client.rest.git.updateRef).not.toHaveBeenCalled();
+  });
+
+  test('needs a branch and a commit message', async () => {
+    await expect(mountGitHubApi().batchFileOperations('acme', 'app', operations, { atomic: true }))
+      .rejects.toThrow('need a branch and a commit message');
+  });
+});
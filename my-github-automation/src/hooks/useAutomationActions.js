@@ -1,8 +1,44 @@
-import { useCallback, useState, useRef } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { useGitHubApi } from './useGitHubApi';
 import { useDatabase } from './useDatabase';
-import OpenAI from 'openai';
-import { validateRepositoryUrl, validateApiKey } from '../utils/security';
+import { validateRepositoryUrl, validateApiKey, safeJSONParse } from '../utils/security';
+import { DEFAULT_AUTOMATION_CONFIG, TestRunner, formatCommitMessage, selectAnalyzableFiles } from '../utils/automationConfig';
+import { buildSarifLog } from '../utils/sarif';
+import { generateReport } from '../utils/reportGenerator';
+import { FILE_ANALYSIS_RESPONSE_FORMAT, validateFileAnalysis, mergeChunkAnalyses, mergeFileAnalyses } from '../utils/analysisSchema';
+import { CHANGE_TYPES, createChangePlan, addChange, applyChangePlan } from '../utils/changePlan';
+import { analyzeFiles, analyzeSource, summarizeStaticResults, isStaticallyAnalyzable } from '../utils/staticAnalyzer';
+import { createAIClient } from '../utils/aiClient';
+import { getModel, buildJsonRequest, extractJsonContent } from '../utils/llmProviders';
+import { createUsageMeter, BudgetExceededError, formatCost } from '../utils/usageMeter';
+import { chunkSourceFile, mapChunkLines } from '../utils/codeChunker';
+import { buildSearchQuery, runWithConcurrency, summarizePortfolioEntry } from '../utils/portfolio';
+import { parsePatch, getDiffLines, buildHunkChunks } from '../utils/diffParser';
+import { parsePullRequestReference, collectReviewFindings, buildPullRequestReview } from '../utils/pullRequestReview';
+import { changedPathsFromComparison, planIncrementalRun, toFileResult } from '../utils/incrementalAnalysis';
+import { fingerprintFileAnalysis, fingerprintStaticResult, hasFingerprints } from '../utils/findingFingerprint';
+import {
+  AUTOMATED_LABEL,
+  REPORT_ISSUE_TITLE,
+  REPORT_FINGERPRINT,
+  indexIssuesByFingerprint,
+  planFindingIssues,
+  withFingerprint,
+  findWontFixIssues,
+  suppressWontFixFindings,
+  findResolvedIssues,
+  buildResolutionComment
+} from '../utils/findingIssues';
+import {
+  createAnalysisJob,
+  AnalysisCancelledError,
+  isCancellation,
+  loadCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint,
+  describeCheckpoint
+} from '../utils/analysisJob';
+import { analysisCache, cacheKeys, AI_ANALYSIS_TTL } from '../utils/cache';
 
 const handleError = (error, context, showNotification) => {
   console.error(`Error in ${context}:`, error);
@@ -10,6 +46,125 @@ const handleError = (error, context, showNotification) => {
   throw error;
 };
 
+// How each automation action is labelled in branches, PRs and history
+const ACTION_TYPES = {
+  bug_fix: { label: 'Bug fix', prPrefix: 'Fix' },
+  improvement: { label: 'Improvement', prPrefix: 'Improve' },
+  feature: { label: 'Feature', prPrefix: 'Feature' }
+};
+
+const PATCH_SYSTEM_PROMPT = `You are a senior software engineer making a focused change to a GitHub repository.
+You receive a task and the current content of the files involved.
+Return a JSON object with:
+- summary: one-line description of the change, suitable for a commit message
+- pr_body: markdown explaining what was changed and why
+- files: array of { path, content } with the COMPLETE new content of every file you change or create
+
+Only touch files needed for the task. Keep the existing code style. Never return partial files or diffs.`;
+
+const ANALYSIS_SYSTEM_PROMPT = `You are a senior code reviewer analyzing one file of a GitHub repository.
+The source is given with 1-based line numbers; use them for every "line" field (0 when a finding is not tied to a line).
+Report only real, specific problems in this file:
+- bugs_detected: defects that produce wrong behaviour, with a concrete solution
+- improvements_suggested: refactors or cleanups worth doing
+- feature_ideas: features this file's responsibility naturally suggests
+- security_concerns: vulnerabilities with a CWE identifier such as "CWE-79"
+- performance_issues: inefficiencies with their impact and a fix
+- documentation_gaps: missing or misleading documentation
+Scores are 0-100 where higher is better, except complexity and duplication where higher means more.
+Return empty arrays rather than inventing findings.`;
+
+// Tells the model which part of a large file it is looking at
+const describeChunk = (chunk) => {
+  if (chunk.diff) {
+    const part = chunk.total > 1 ? ` (part ${chunk.index + 1} of ${chunk.total})` : '';
+    return `\nChanged hunks of this file in a pull request${part}, numbered with the file's new line numbers; added lines are marked "+" and hunks are separated by "...". Review only the changed code.`;
+  }
+  return chunk.total > 1
+    ? `\nPart ${chunk.index + 1} of ${chunk.total} (lines ${chunk.startLine}-${chunk.endLine} of the file, after the file's imports). Review only this part.`
+    : '';
+};
+
+// Body of the analysis report issue
+const buildAnalysisSummary = (analysis) => `Automated scan of ${analysis.files_analyzed.length} files completed.
+
+| Metric | Value |
+| --- | --- |
+| Overall health score | ${analysis.overall_health_score}% |
+| Bugs detected | ${analysis.bugs_detected.length} |
+| Security concerns | ${analysis.security_concerns.length} |
+| Performance issues | ${analysis.performance_issues.length} |
+| Improvements suggested | ${analysis.improvements_suggested.length} |
+| Documentation gaps | ${analysis.documentation_gaps.length} |
+`;
+
+// "2 new, 1 updated, 3 already filed" for the finding issues of a run
+const describeIssuePlan = (issuePlan) => [
+  `${issuePlan.create.length} new`,
+  `${issuePlan.update.length} updated`,
+  `${issuePlan.unchanged.length} already filed`,
+  ...(issuePlan.deferred > 0 ? [`${issuePlan.deferred} left for later runs`] : [])
+].join(', ');
+
+// Repository analysis from the reviewed files and the static pass. fileResults are stored
+// with it for the next incremental run; incremental describes the stored analysis this one built on.
+const buildRepositoryAnalysis = ({ owner, repo, repoMeta, structure, review, staticAnalysis, meter, fileResults, incremental = null }) => ({
+  repository: { owner, repo },
+  ...mergeFileAnalyses(review.fileAnalyses, staticAnalysis),
+  files_analyzed: review.fileAnalyses.map(({ file }) => file.path),
+  static_files_analyzed: staticAnalysis?.files_analyzed || [],
+  commit_sha: structure.commitSha,
+  ref: structure.ref,
+  ...(fileResults && { file_results: fileResults }),
+  ...(incremental && { incremental }),
+  analysis_errors: review.analysisErrors,
+  ai_usage: meter.summary(),
+  budget_exceeded: Boolean(review.budgetError),
+  meta: {
+    stars: repoMeta.stargazers_count,
+    forks: repoMeta.forks_count
+  },
+  timestamp: new Date().toISOString()
+});
+
+// Loaded file contents are checkpointed after every this many files
+const CONTENT_CHECKPOINT_INTERVAL = 10;
+
+const findPullRequest = (results) => results?.find(r => r.change.type === CHANGE_TYPES.PULL_REQUEST)?.result;
+
+const describeItem = (item) => item.description || item.name || item.title || 'automated change';
+
+// Files an analysis item points at, in whichever field the analysis used
+const getItemPaths = (item) => {
+  const paths = [item.file, ...(item.files || []), ...(item.affected_files || [])];
+  return [...new Set(paths.filter(path => typeof path === 'string' && path.trim()))];
+};
+
+const slugify = (text) => text
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .substring(0, 40) || 'change';
+
+const parsePatchResponse = (rawContent) => {
+  const patch = safeJSONParse(rawContent);
+  
+  if (!Array.isArray(patch.files) || patch.files.length === 0) {
+    throw new Error('AI response did not contain any file changes');
+  }
+  
+  for (const file of patch.files) {
+    if (typeof file.path !== 'string' || !file.path || typeof file.content !== 'string') {
+      throw new Error('AI response contained an invalid file entry');
+    }
+    if (file.path.startsWith('/') || file.path.split('/').includes('..')) {
+      throw new Error(`AI response contained an unsafe path: ${file.path}`);
+    }
+  }
+  
+  return patch;
+};
+
 export const useAutomationActions = (
   repoUrl,
   githubToken,
@@ -26,31 +181,335 @@ export const useAutomationActions = (
   const {
     fetchRepoData,
     getRepositoryStructure,
+    loadFileContents,
     createGitHubIssue,
+    listIssues,
+    updateGitHubIssue,
+    commentOnIssue,
     createPullRequest,
+    getPullRequest,
+    listPullRequestFiles,
+    createPullRequestReview,
+    uploadCodeScanningSarif,
+    compareCommits,
     updateFile,
-    getBranchContents
+    getFileContent,
+    createBranch,
+    batchFileOperations,
+    searchAllRepositories,
+    waitForRequestBudget
   } = useGitHubApi(githubToken, showNotification);
 
-  const { saveAutomationEntry: saveAutomationEntryToDB } = useDatabase(showNotification);
-  const openaiRef = useRef(null);
-  const [isOpenAIConfigured, setIsOpenAIConfigured] = useState(false);
+  const { saveRepository, saveAnalysis, getRepositoryByName, getLatestAnalysis } = useDatabase(showNotification);
+  const config = useMemo(() => ({ ...DEFAULT_AUTOMATION_CONFIG, ...automationConfig }), [automationConfig]);
+  const [pendingPlans, setPendingPlans] = useState([]);
+  const [analysisJob, setAnalysisJob] = useState(null);
+  const [resumableRun, setResumableRun] = useState(null);
+  const jobRef = useRef(null);
+  const [batchRun, setBatchRun] = useState(null);
+  const batchControllerRef = useRef(null);
+  const [pullRequestReview, setPullRequestReview] = useState(null);
+
+  // AI calls go through the backend proxy, authenticated with the user's GitHub token
+  const aiClient = useMemo(() => (githubToken ? createAIClient({ githubToken }) : null), [githubToken]);
+
+  // Each run gets its own meter; the budget is shared by everything the run asks the model
+  const createRunMeter = useCallback(
+    () => createUsageMeter({ budget: Number(config.aiBudgetPerRun) || 0 }),
+    [config.aiBudgetPerRun]
+  );
+
+  // Every model call goes through here so its tokens and cost land on the run's meter
+  const createMeteredCompletion = useCallback(async (params, meter, purpose, { signal } = {}) => {
+    meter.checkBudget();
+    const response = await aiClient.chat.completions.create({
+      provider: config.aiProvider,
+      model: config.aiModel,
+      ...params
+    }, { signal });
+    meter.record({ provider: config.aiProvider, model: config.aiModel, usage: response.usage, purpose });
+    return response;
+  }, [aiClient, config.aiProvider, config.aiModel]);
+
+  // Analyze a single file against the strict analysis schema.
+  // Files too large for the model's context window are analyzed chunk by chunk and merged;
+  // given chunks (such as a pull request's changed hunks) are analyzed instead of the whole file.
+  const requestFileAnalysis = useCallback(async (file, repoMeta, meter, signal, chunks = null) => {
+    if (!aiClient) throw new Error('A GitHub token is required for AI analysis');
+
+    const model = getModel(config.aiProvider, config.aiModel);
+    const { systemPrompt, ...jsonOptions } = buildJsonRequest(model, {
+      systemPrompt: ANALYSIS_SYSTEM_PROMPT,
+      responseFormat: FILE_ANALYSIS_RESPONSE_FORMAT
+    });
+
+    const chunkAnalyses = [];
+    for (const chunk of chunks || chunkSourceFile(file.path, file.content, { contextWindow: model?.contextWindow })) {
+      const response = await createMeteredCompletion({
+        ...jsonOptions,
+        temperature: 0.1,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          {
+            role: 'user',
+            content: `Repository: ${repoMeta.full_name}${repoMeta.description ? ` - ${repoMeta.description}` : ''}\nFile: ${file.path}${describeChunk(chunk)}\n\n${chunk.text}`
+          }
+        ]
+      }, meter, 'file_analysis', { signal });
+
+      const message = response.choices[0].message;
+      if (message.refusal) throw new Error(`Model refused: ${message.refusal}`);
+
+      const analysis = validateFileAnalysis(safeJSONParse(extractJsonContent(message.content)));
+      chunkAnalyses.push({
+        analysis: mapChunkLines(analysis, chunk),
+        weight: chunk.endLine - chunk.startLine + 1
+      });
+    }
+
+    return mergeChunkAnalyses(chunkAnalyses);
+  }, [aiClient, config.aiProvider, config.aiModel, createMeteredCompletion]);
+
+  // Results are cached by content hash, so unchanged files cost nothing on re-analysis
+  const analyzeFileWithAI = useCallback((file, repoMeta, meter, signal) => analysisCache.getOrSet(
+    cacheKeys.aiAnalysis(file.content, `${config.aiProvider}/${config.aiModel}`),
+    () => requestFileAnalysis(file, repoMeta, meter, signal),
+    AI_ANALYSIS_TTL
+  ), [config.aiProvider, config.aiModel, requestFileAnalysis]);
+
+  // Analyze only the changed hunks of a pull request file (file.chunks from buildHunkChunks)
+  const analyzeDiffWithAI = useCallback((file, repoMeta, meter, signal) => analysisCache.getOrSet(
+    cacheKeys.aiAnalysis(file.chunks.map(chunk => chunk.text).join('\n'), `${config.aiProvider}/${config.aiModel}`),
+    () => requestFileAnalysis(file, repoMeta, meter, signal, file.chunks),
+    AI_ANALYSIS_TTL
+  ), [config.aiProvider, config.aiModel, requestFileAnalysis]);
+
+  // Review files one by one. Files found in `reviewed` are reused; a failing file is recorded
+  // and skipped, and a used-up budget ends the review with what was analyzed so far.
+  const reviewFiles = useCallback(async (files, repoMeta, {
+    meter,
+    signal,
+    reviewed = new Map(),
+    analyze = analyzeFileWithAI,
+    onFileStart = () => {},
+    onFileReviewed = async () => {}
+  }) => {
+    const review = { fileAnalyses: [], analysisErrors: [], budgetError: null };
 
-  const initializeOpenAI = useCallback(() => {
-    if (openaiRef.current) return openaiRef.current;
-    let apiKey;
+    for (const [index, file] of files.entries()) {
+      if (reviewed.has(file.path)) {
+        review.fileAnalyses.push({ file, analysis: reviewed.get(file.path) });
+        continue;
+      }
+      // Past a used-up budget only files reviewed before are still collected
+      if (review.budgetError) continue;
+
+      if (signal?.aborted) throw new AnalysisCancelledError();
+      onFileStart(file, index, review.fileAnalyses.length + review.analysisErrors.length);
+      try {
+        const analysis = await analyze(file, repoMeta, meter, signal);
+        review.fileAnalyses.push({ file, analysis });
+        await onFileReviewed(file, analysis);
+      } catch (error) {
+        if (isCancellation(error)) throw error;
+        if (error instanceof BudgetExceededError) {
+          review.budgetError = error;
+          continue;
+        }
+        console.error(`AI analysis failed for ${file.path}:`, error);
+        review.analysisErrors.push({ file: file.path, error: error.message });
+      }
+    }
+
+    if (review.fileAnalyses.length === 0) {
+      throw review.budgetError || new Error(`AI analysis failed for every file (${review.analysisErrors[0]?.error})`);
+    }
+    return review;
+  }, [analyzeFileWithAI]);
+
+  // Issue changes are planned from the issues open when their analysis ran, and the plan can
+  // wait for approval while other runs file or close the same findings. Re-list the open
+  // finding issues first: a finding filed since updates that issue instead of opening another,
+  // and issues that are no longer open are not closed again.
+  const refreshIssueChanges = useCallback(async (plan) => {
+    const tracksIssues = plan.changes.some(change => (
+      (change.type === CHANGE_TYPES.ISSUE && change.fingerprint) || change.type === CHANGE_TYPES.ISSUE_CLOSE
+    ));
+    if (!tracksIssues) return plan;
+
+    const { owner, repo } = plan.repository;
+    const openIssues = await listIssues(owner, repo, { state: 'open', labels: AUTOMATED_LABEL });
+    const filed = indexIssuesByFingerprint(openIssues);
+    const openNumbers = new Set(openIssues.map(issue => issue.number));
+
+    const changes = plan.changes.flatMap(change => {
+      if (change.type === CHANGE_TYPES.ISSUE && change.fingerprint && filed.has(change.fingerprint)) {
+        const { labels, ...issue } = change;
+        return [{ ...issue, type: CHANGE_TYPES.ISSUE_UPDATE, number: filed.get(change.fingerprint).number }];
+      }
+      if (change.type === CHANGE_TYPES.ISSUE_CLOSE && !openNumbers.has(change.number)) return [];
+      return [change];
+    });
+    return { ...plan, changes };
+  }, [listIssues]);
+
+  // Apply a plan against the target repository and record its automation entry
+  const executePlan = useCallback(async (pendingPlan) => {
+    let plan = pendingPlan;
     try {
-      apiKey = validateApiKey(process.env.REACT_APP_OPENAI_API_KEY, 'openai');
-    } catch (err) {
-      showNotification(`OpenAI Key Error: ${err.message}`, 'error');
+      plan = await refreshIssueChanges(pendingPlan);
+      const results = await applyChangePlan(plan, {
+        createBranch,
+        updateFile,
+        batchFileOperations,
+        createGitHubIssue,
+        updateGitHubIssue,
+        commentOnIssue,
+        createPullRequest,
+        createPullRequestReview,
+        uploadCodeScanningSarif
+      });
+
+      if (plan.entry) {
+        const pr = findPullRequest(results);
+        const branch = plan.changes.find(c => c.type === CHANGE_TYPES.BRANCH)?.name;
+        const issueNumbers = results
+          .filter(r => r.change.type === CHANGE_TYPES.ISSUE)
+          .map(r => r.result.number);
+        const commit = results.find(r => r.change.type === CHANGE_TYPES.COMMIT)?.result[0]?.result;
+
+        addAutomationEntry({
+          ...plan.entry,
+          status: 'completed',
+          branch,
+          pr_title: pr?.title || plan.entry.pr_title,
+          pr_url: pr?.html_url || plan.entry.pr_url,
+          metadata: {
+            ...plan.entry.metadata,
+            ...(pr && { pr_number: pr.number }),
+            ...(issueNumbers.length > 0 && { issue_numbers: issueNumbers }),
+            ...(commit && { commit_sha: commit.sha }),
+            changes_applied: results.length
+          }
+        });
+      }
+
+      return results;
+    } catch (error) {
+      if (plan.entry) {
+        addAutomationEntry({
+          ...plan.entry,
+          status: 'failed',
+          metadata: { ...plan.entry.metadata, error: error.message }
+        });
+      }
+      throw error;
+    }
+  }, [refreshIssueChanges, createBranch, updateFile, batchFileOperations, createGitHubIssue, updateGitHubIssue, commentOnIssue, createPullRequest, createPullRequestReview, uploadCodeScanningSarif, addAutomationEntry]);
+
+  // Apply a plan right away, or hold it for review when approval is required
+  const submitPlan = useCallback(async (plan) => {
+    if (config.requireApproval) {
+      setPendingPlans(prev => [...prev, plan]);
       return null;
     }
-    openaiRef.current = new OpenAI({ apiKey, dangerouslyAllowBrowser: true });
-    setIsOpenAIConfigured(true);
-    return openaiRef.current;
-  }, [showNotification]);
+    return executePlan(plan);
+  }, [config.requireApproval, executePlan]);
+
+  const approvePlan = useCallback(async (planId) => {
+    const plan = pendingPlans.find(p => p.id === planId);
+    if (!plan) return;
+
+    setIsProcessing(true);
+    setProcessingMessage(`Applying change plan: ${plan.title}`);
+
+    try {
+      await executePlan(plan);
+      setPendingPlans(prev => prev.filter(p => p.id !== planId));
+      showNotification(`Applied ${plan.changes.length} changes: ${plan.title}`, 'success');
+    } catch (error) {
+      // applyChangePlan stops at the first failure without undoing what it applied. Keep only
+      // the changes still to make, so approving again does not repeat the ones that went through.
+      const applied = new Set((error.results || []).filter(result => result.success).map(result => result.change.id));
+      setPendingPlans(prev => prev.map(p => (p.id === planId
+        ? {
+          ...p,
+          changes: p.changes.filter(change => !applied.has(change.id)),
+          failure: { error: error.message, applied: applied.size + (p.failure?.applied || 0) }
+        }
+        : p)));
+      handleError(error, 'Applying change plan', showNotification);
+    } finally {
+      setIsProcessing(false);
+      setProcessingMessage('');
+    }
+  }, [pendingPlans, executePlan, setIsProcessing, setProcessingMessage, showNotification]);
+
+  const discardPlan = useCallback((planId) => {
+    setPendingPlans(prev => prev.filter(p => p.id !== planId));
+  }, []);
+
+  // Offer to resume when the entered repository has an interrupted run
+  useEffect(() => {
+    let repoKey;
+    try {
+      const { owner, repo } = validateRepositoryUrl(repoUrl);
+      repoKey = `${owner}/${repo}`;
+    } catch {
+      setResumableRun(null);
+      return undefined;
+    }
+
+    let stale = false;
+    loadCheckpoint(repoKey).then(checkpoint => {
+      if (!stale) setResumableRun(describeCheckpoint(checkpoint));
+    });
+    return () => {
+      stale = true;
+    };
+  }, [repoUrl]);
+
+  // Abort the running analysis; its checkpoint is kept for resuming
+  const cancelAnalysis = useCallback(() => {
+    jobRef.current?.cancel();
+  }, []);
+
+  const discardCheckpoint = useCallback(async () => {
+    if (!resumableRun) return;
+    await clearCheckpoint(resumableRun.repo);
+    setResumableRun(null);
+  }, [resumableRun]);
+
+  // The latest stored analysis of the branch and the paths changed since its commit (null when
+  // they cannot be listed). Returns null when nothing is stored; the run then analyzes every file.
+  const loadIncrementalBase = useCallback(async (owner, repo, repoMeta, structure, signal) => {
+    const stored = await getRepositoryByName(repoMeta.full_name);
+    const baseline = stored && await getLatestAnalysis(stored.id, structure.ref);
+    if (!baseline?.commit_sha) return null;
+
+    if (baseline.commit_sha === structure.commitSha) return { baseline, changedPaths: new Set() };
+    const comparison = await compareCommits(owner, repo, baseline.commit_sha, structure.commitSha, { signal });
+    return { baseline, changedPaths: changedPathsFromComparison(comparison) };
+  }, [getRepositoryByName, getLatestAnalysis, compareCommits]);
+
+  // Store the analysis with its per-file results, tracking the repository first if needed
+  const storeAnalysis = useCallback(async (repoMeta, analysis) => {
+    try {
+      const stored = await getRepositoryByName(repoMeta.full_name) || await saveRepository(repoMeta);
+      await saveAnalysis(stored.id, {
+        ...analysis,
+        analysis_type: analysis.incremental ? 'incremental' : 'comprehensive'
+      });
+    } catch (error) {
+      // saveRepository and saveAnalysis have already notified; the next run analyzes every file
+      console.error('Storing the analysis failed:', error);
+    }
+  }, [getRepositoryByName, saveRepository, saveAnalysis]);
 
-  const analyzeRepository = useCallback(async () => {
+  // Analyze the repository as a job of named steps. With resume (the default) a checkpoint
+  // left by an interrupted run is picked up: its tree, loaded contents and reviewed files are reused.
+  // With incrementalAnalysis, files unchanged since the latest stored analysis keep its results.
+  const analyzeRepository = useCallback(async ({ resume = true } = {}) => {
     if (!repoUrl || !githubToken) {
       showNotification('Repository URL and GitHub token are required', 'error');
       return;
@@ -73,71 +532,1047 @@ export const useAutomationActions = (
       return;
     }
 
+    const repoKey = `${owner}/${repo}`;
+    const aiModel = `${config.aiProvider}/${config.aiModel}`;
+    const saved = resume ? await loadCheckpoint(repoKey) : null;
+    if (!resume) await clearCheckpoint(repoKey);
+
+    // Progress carried across interruptions; reviews by another model are redone
+    const checkpoint = {
+      repo: repoKey,
+      repoMeta: saved?.repoMeta,
+      structure: saved?.structure,
+      aiModel,
+      fileAnalyses: saved?.aiModel === aiModel ? saved.fileAnalyses : [],
+      contents: saved?.contents || {}
+    };
+    const saveProgress = ({ withContents = false } = {}) => saveCheckpoint(repoKey, {
+      ...checkpoint,
+      contents: withContents ? checkpoint.contents : undefined
+    });
+
+    const job = createAnalysisJob({ repo: repoKey, resumed: Boolean(saved), onChange: setAnalysisJob });
+    const { signal } = job;
+    jobRef.current = job;
+    setAnalysisJob(job.getState());
     setIsProcessing(true);
-    setProcessingMessage('Fetching repository structure...');
+
+    const meter = createRunMeter();
 
     try {
-      const structure = await getRepositoryStructure(owner, repo);
-      const branchContent = await getBranchContents(owner, repo);
-      const repoMeta = await fetchRepoData(owner, repo);
+      if (checkpoint.structure) {
+        job.completeStep('fetch_tree', { skipped: true });
+      } else {
+        job.startStep('fetch_tree');
+        setProcessingMessage('Fetching repository structure...');
+        checkpoint.repoMeta = await fetchRepoData(owner, repo, { signal });
+        checkpoint.structure = await getRepositoryStructure(owner, repo, {
+          ref: checkpoint.repoMeta.default_branch,
+          config,
+          signal
+        });
+        job.completeStep('fetch_tree');
+        await saveProgress();
+      }
+      const { repoMeta, structure } = checkpoint;
       setRepoData(repoMeta);
 
-      const readmeFile = (branchContent || []).find(f => f.name.toLowerCase() === 'readme.md');
-      if (readmeFile && readmeFile.sha) {
-        const decodedContent = atob(readmeFile.content || '');
-        const updatedContent = decodedContent + '\n\n_Auto-patched by GitHub Automation Tool._';
-        await updateFile(owner, repo, readmeFile.path, updatedContent, 'chore: auto-patch README', readmeFile.sha);
-        showNotification('README.md updated successfully.', 'success');
+      const base = config.incrementalAnalysis
+        ? await loadIncrementalBase(owner, repo, repoMeta, structure, signal)
+        : null;
+      const { reused } = planIncrementalRun({
+        files: structure.files,
+        baseline: base?.baseline,
+        changedPaths: base?.changedPaths,
+        model: aiModel
+      });
+      const incremental = base && {
+        base_commit_sha: base.baseline.commit_sha,
+        files_reused: reused.size
+      };
+
+      // Carried-over files are only fetched when their stored result lacks the static pass
+      const filesToLoad = structure.files.filter(file => (
+        !reused.has(file.path) || (!reused.get(file.path).static && isStaticallyAnalyzable(file.path))
+      ));
+      const missingFiles = filesToLoad.filter(file => !(file.path in checkpoint.contents));
+      const alreadyLoaded = filesToLoad.length - missingFiles.length;
+      job.startStep('fetch_blobs', { total: filesToLoad.length, completed: alreadyLoaded });
+      setProcessingMessage(`Fetching ${missingFiles.length} of ${structure.totalFiles} files...`);
+      await loadFileContents(owner, repo, missingFiles, {
+        signal,
+        onLoaded: async (file, index) => {
+          checkpoint.contents[file.path] = file.content;
+          job.progress('fetch_blobs', alreadyLoaded + index + 1, file.path);
+          if ((index + 1) % CONTENT_CHECKPOINT_INTERVAL === 0) await saveProgress({ withContents: true });
+        }
+      });
+      job.completeStep('fetch_blobs', { skipped: missingFiles.length === 0 });
+      if (missingFiles.length > 0) await saveProgress({ withContents: true });
+
+      const analyzableFiles = structure.files
+        .map(file => ({ ...file, content: checkpoint.contents[file.path] }))
+        .filter(file => file.content || reused.has(file.path));
+
+      if (analyzableFiles.length === 0) {
+        throw new Error('No analyzable source files found');
       }
 
-      const analysis = {
-        repository: { owner, repo },
-        structure,
-        meta: {
-          stars: repoMeta.stargazers_count,
-          forks: repoMeta.forks_count
+      job.startStep('static_analysis', { total: analyzableFiles.length });
+      setProcessingMessage('Running static analysis...');
+      const staticResults = new Map();
+      for (const file of analyzableFiles) {
+        const stored = reused.get(file.path)?.static;
+        if (stored) {
+          staticResults.set(file.path, stored);
+        } else if (file.content && isStaticallyAnalyzable(file.path)) {
+          staticResults.set(file.path, fingerprintStaticResult(analyzeSource(file.path, file.content), file.content));
+        }
+      }
+      const staticAnalysis = summarizeStaticResults([...staticResults.values()]);
+      job.completeStep('static_analysis');
+
+      // Results stored by server runs have no fingerprints; they are added where the content
+      // was loaded, and the rest are never used to close issues (see findResolvedIssues)
+      const reviewed = new Map([
+        ...[...reused].map(([path, result]) => [path, hasFingerprints(result.analysis) || !checkpoint.contents[path]
+          ? result.analysis
+          : fingerprintFileAnalysis(result.analysis, path, checkpoint.contents[path])]),
+        ...checkpoint.fileAnalyses.map(({ path, analysis }) => [path, analysis])
+      ]);
+      job.startStep('ai_review', {
+        total: analyzableFiles.length,
+        completed: analyzableFiles.filter(file => reviewed.has(file.path)).length
+      });
+      const review = await reviewFiles(analyzableFiles, repoMeta, {
+        meter,
+        signal,
+        reviewed,
+        // Fingerprinted while the content is at hand; the fingerprints are stored with the results
+        analyze: async (file, ...args) => fingerprintFileAnalysis(await analyzeFileWithAI(file, ...args), file.path, file.content),
+        onFileStart: (file, index, completed) => {
+          setProcessingMessage(`Analyzing ${file.path} (${index + 1}/${analyzableFiles.length})...`);
+          job.progress('ai_review', completed, file.path);
         },
-        timestamp: new Date().toISOString()
-      };
+        onFileReviewed: async (file, analysis) => {
+          checkpoint.fileAnalyses.push({ path: file.path, analysis });
+          await saveProgress();
+        }
+      });
+      const { fileAnalyses, budgetError } = review;
+      job.progress('ai_review', fileAnalyses.length + review.analysisErrors.length);
+      job.completeStep('ai_review');
 
-      setAnalysisResults(analysis);
-      await createGitHubIssue(owner, repo, 'Automated Analysis', 'Initial automated scan completed.', ['automated']);
-      await saveAutomationEntryToDB({ repoUrl, analysis, timestamp: new Date().toISOString() });
+      if (budgetError) {
+        showNotification(
+          `${budgetError.message}. Analyzed ${fileAnalyses.length} of ${analyzableFiles.length} files.`,
+          'warning'
+        );
+      }
+
+      const fileResults = fileAnalyses.map(({ file, analysis: fileAnalysis }) => toFileResult(file, {
+        model: aiModel,
+        analysis: fileAnalysis,
+        staticResult: staticResults.get(file.path)
+      }));
+
+      // Issues filed by earlier runs, open and closed. They are found by fingerprint so no
+      // problem is filed twice, and a finding whose issue was closed as won't fix is dropped.
+      let filedIssues = null;
+      try {
+        filedIssues = await listIssues(owner, repo, { state: 'all', labels: AUTOMATED_LABEL, signal });
+      } catch (error) {
+        if (isCancellation(error)) throw error;
+        console.error('Listing issues failed; issues are neither filed nor synced this run:', error);
+      }
+
+      const analysis = suppressWontFixFindings(buildRepositoryAnalysis({
+        owner,
+        repo,
+        repoMeta,
+        structure,
+        review,
+        staticAnalysis,
+        meter,
+        fileResults,
+        incremental
+      }), findWontFixIssues(filedIssues || []));
 
-      const pr = await createPullRequest(owner, repo, {
-        title: 'Auto-analysis baseline',
-        head: 'main',
-        base: 'main',
-        body: 'Automated analysis results added.'
+      job.throwIfCancelled();
+      if (config.runTestsAfterAnalysis) {
+        setProcessingMessage('Running tests and linter on the analyzed commit...');
+        try {
+          analysis.test_run = await TestRunner.runTests({
+            owner,
+            repo,
+            ref: structure.ref,
+            commitSha: structure.commitSha,
+            frameworks: config.testFrameworks,
+            githubToken
+          }, {
+            onUpdate: run => setProcessingMessage(`Test run ${run.status}...`)
+          });
+          // Measured coverage replaces the model's estimate
+          if (analysis.test_run.coverage !== null) {
+            analysis.test_coverage_analysis = {
+              ...analysis.test_coverage_analysis,
+              estimated_coverage: `${analysis.test_run.coverage}%`,
+              measured: true
+            };
+          }
+        } catch (error) {
+          console.error('Test run failed:', error);
+          analysis.test_run = { status: 'failed', error: error.message };
+        }
+      }
+
+      job.startStep('persist');
+      setProcessingMessage('Saving results...');
+      setAnalysisResults(analysis);
+      addAutomationEntry({
+        id: `comprehensive_analysis-${Date.now()}`,
+        action: 'comprehensive_analysis',
+        repo: `${owner}/${repo}`,
+        status: 'completed',
+        details: incremental
+          ? `Analyzed ${fileAnalyses.length - incremental.files_reused} changed files since ${incremental.base_commit_sha.slice(0, 7)}, ${incremental.files_reused} unchanged (health score ${analysis.overall_health_score}%, AI cost ${formatCost(analysis.ai_usage.cost)})`
+          : `Analyzed ${fileAnalyses.length} files (health score ${analysis.overall_health_score}%, AI cost ${formatCost(analysis.ai_usage.cost)})`,
+        timestamp: analysis.timestamp,
+        metadata: {
+          commit_sha: analysis.commit_sha,
+          ai_usage: analysis.ai_usage,
+          ...(incremental && { incremental }),
+          ...(budgetError && { budget_exceeded: true })
+        }
       });
+      await storeAnalysis(repoMeta, analysis);
+
+      const suppressed = analysis.suppressed_findings;
+      if (suppressed.length > 0) {
+        addAutomationEntry({
+          id: `finding_suppressed-${Date.now()}`,
+          action: 'finding_suppressed',
+          repo: `${owner}/${repo}`,
+          status: 'completed',
+          details: `Suppressed ${suppressed.length} findings whose issues were closed as won't fix (${[...new Set(suppressed.map(item => `#${item.issue_number}`))].join(', ')})`,
+          timestamp: analysis.timestamp,
+          metadata: {
+            commit_sha: analysis.commit_sha,
+            suppressed: suppressed.map(({ fingerprint, issue_number }) => ({ fingerprint, issue_number }))
+          }
+        });
+      }
+
+      let applied = null;
+      let resolvedIssues = [];
+      if (filedIssues) {
+        const openIssues = filedIssues.filter(issue => issue.state === 'open');
+        const reportIssue = indexIssuesByFingerprint(openIssues).get(REPORT_FINGERPRINT);
+        const issuePlan = config.autoCreateIssues
+          ? planFindingIssues({
+            analysis,
+            openIssues,
+            threshold: config.priorityThreshold,
+            maxNew: Number(config.maxIssuesPerRun) || 0
+          })
+          : { create: [], update: [], unchanged: [], deferred: 0 };
+
+        let plan = createChangePlan({
+          title: `Analysis report for ${owner}/${repo}`,
+          owner,
+          repo,
+          entry: {
+            id: `analysis_report-${Date.now()}`,
+            action: 'analysis_report',
+            repo: `${owner}/${repo}`,
+            details: `Analysis report issue ${reportIssue ? `#${reportIssue.number} updated` : 'opened'}, finding issues: ${describeIssuePlan(issuePlan)} (health score ${analysis.overall_health_score}%)`,
+            timestamp: analysis.timestamp,
+            metadata: {
+              issues_unchanged: issuePlan.unchanged.map(issue => issue.number),
+              issues_deferred: issuePlan.deferred
+            }
+          }
+        });
+        const report = { title: REPORT_ISSUE_TITLE, body: withFingerprint(buildAnalysisSummary(analysis), REPORT_FINGERPRINT), fingerprint: REPORT_FINGERPRINT };
+        plan = addChange(plan, reportIssue
+          ? { type: CHANGE_TYPES.ISSUE_UPDATE, number: reportIssue.number, ...report }
+          : { type: CHANGE_TYPES.ISSUE, labels: [AUTOMATED_LABEL], ...report });
+        for (const issue of issuePlan.create) {
+          plan = addChange(plan, { type: CHANGE_TYPES.ISSUE, ...issue });
+        }
+        for (const issue of issuePlan.update) {
+          plan = addChange(plan, { type: CHANGE_TYPES.ISSUE_UPDATE, ...issue });
+        }
+
+        applied = await submitPlan(plan);
+
+        // Close the issues of findings this analysis shows to be fixed
+        resolvedIssues = findResolvedIssues({ analysis, openIssues });
+        if (resolvedIssues.length > 0) {
+          let syncPlan = createChangePlan({
+            title: `Close fixed issues in ${owner}/${repo}`,
+            owner,
+            repo,
+            entry: {
+              id: `issue_sync-${Date.now()}`,
+              action: 'issue_sync',
+              repo: `${owner}/${repo}`,
+              details: `Closed ${resolvedIssues.length} issues no longer reported as of ${analysis.commit_sha.slice(0, 7)} (${resolvedIssues.map(issue => `#${issue.number}`).join(', ')})`,
+              timestamp: analysis.timestamp,
+              metadata: {
+                commit_sha: analysis.commit_sha,
+                closed_issues: resolvedIssues.map(issue => issue.number)
+              }
+            }
+          });
+          for (const issue of resolvedIssues) {
+            syncPlan = addChange(syncPlan, {
+              type: CHANGE_TYPES.ISSUE_CLOSE,
+              number: issue.number,
+              title: issue.title,
+              comment: buildResolutionComment(issue, analysis.commit_sha),
+              stateReason: 'completed'
+            });
+          }
+          await submitPlan(syncPlan);
+        }
+      }
+      job.completeStep('persist');
+      job.finish('completed');
+      await clearCheckpoint(repoKey);
+      setResumableRun(null);
 
-      showNotification(`Analysis complete. PR created: #${pr.number}`, 'success');
+      if (!filedIssues) {
+        showNotification('Analysis complete. Existing issues could not be listed, so issues were neither filed nor synced.', 'warning');
+      } else {
+        const closed = resolvedIssues.length > 0 ? ` ${resolvedIssues.length} fixed issues ${applied ? 'closed' : 'to close'}.` : '';
+        showNotification(
+          applied ? `Analysis complete. Report and finding issues filed.${closed}` : `Analysis complete. Review the change plans to apply them.${closed}`,
+          'success'
+        );
+      }
     } catch (error) {
+      const cancelled = isCancellation(error);
+      job.finish(cancelled ? 'cancelled' : 'failed', error);
+      if (checkpoint.structure) {
+        await saveProgress({ withContents: true });
+        setResumableRun(describeCheckpoint(checkpoint));
+      }
+
+      const usage = meter.summary();
+      if (usage.calls > 0) {
+        addAutomationEntry({
+          id: `comprehensive_analysis-${Date.now()}`,
+          action: 'comprehensive_analysis',
+          repo: repoKey,
+          status: cancelled ? 'cancelled' : 'failed',
+          details: `Analysis ${cancelled ? 'cancelled' : 'failed'} after ${checkpoint.fileAnalyses.length} reviewed files`,
+          timestamp: new Date().toISOString(),
+          metadata: { ai_usage: usage, ...(!cancelled && { error: error.message }) }
+        });
+      }
+
+      if (cancelled) {
+        showNotification('Analysis cancelled. Completed steps are saved; start the analysis again to resume.', 'warning');
+        return;
+      }
       handleError(error, 'Repository analysis', showNotification);
     } finally {
+      jobRef.current = null;
       setIsProcessing(false);
       setProcessingMessage('');
     }
   }, [
     repoUrl,
     githubToken,
+    config,
+    createRunMeter,
+    reviewFiles,
     getRepositoryStructure,
-    getBranchContents,
+    loadFileContents,
     fetchRepoData,
-    updateFile,
-    createGitHubIssue,
-    createPullRequest,
+    loadIncrementalBase,
+    storeAnalysis,
+    analyzeFileWithAI,
+    listIssues,
+    submitPlan,
     setRepoData,
     setAnalysisResults,
-    saveAutomationEntryToDB,
+    addAutomationEntry,
+    setIsProcessing,
+    setProcessingMessage,
+    showNotification
+  ]);
+
+  // List the repositories a batch would cover: an organization, a topic or a search query
+  const findBatchRepositories = useCallback(async (mode, value) => {
+    if (!githubToken) {
+      showNotification('A GitHub token is required for batch analysis', 'error');
+      return;
+    }
+
+    let query;
+    try {
+      query = buildSearchQuery(mode, value);
+    } catch (error) {
+      showNotification(error.message, 'error');
+      return;
+    }
+
+    setIsProcessing(true);
+    setProcessingMessage(`Searching repositories: ${query}`);
+    try {
+      const found = await searchAllRepositories(query, { limit: Number(config.maxBatchRepositories) });
+      setBatchRun({
+        status: 'ready',
+        query,
+        repositories: found.map(item => ({
+          full_name: item.full_name,
+          description: item.description,
+          language: item.language,
+          stars: item.stargazers_count,
+          status: 'pending',
+          summary: null,
+          analysis: null,
+          error: null
+        }))
+      });
+      showNotification(`Found ${found.length} repositories for ${query}`, found.length > 0 ? 'info' : 'warning');
+    } catch (error) {
+      // searchRepositories has already notified
+      console.error('Batch repository search failed:', error);
+    } finally {
+      setIsProcessing(false);
+      setProcessingMessage('');
+    }
+  }, [githubToken, config.maxBatchRepositories, searchAllRepositories, setIsProcessing, setProcessingMessage, showNotification]);
+
+  // One repository of a batch: the same pipeline as analyzeRepository without the job,
+  // checkpoints or report issue. Waits for the rate limit before fetching file contents.
+  const analyzeBatchRepository = useCallback(async (fullName, { meter, signal }) => {
+    const [owner, repo] = fullName.split('/');
+    const repoMeta = await fetchRepoData(owner, repo, { signal });
+    const structure = await getRepositoryStructure(owner, repo, { ref: repoMeta.default_branch, config, signal });
+
+    await waitForRequestBudget(structure.files.length, { buffer: config.rateLimitBuffer, signal });
+    const files = (await loadFileContents(owner, repo, structure.files, { signal })).filter(file => file.content);
+    if (files.length === 0) {
+      throw new Error('No analyzable source files found');
+    }
+
+    const staticAnalysis = analyzeFiles(files);
+    const review = await reviewFiles(files, repoMeta, { meter, signal });
+    return buildRepositoryAnalysis({ owner, repo, repoMeta, structure, review, staticAnalysis, meter });
+  }, [config, fetchRepoData, getRepositoryStructure, loadFileContents, waitForRequestBudget, reviewFiles]);
+
+  // Analyze the selected repositories of the batch, batchConcurrency at a time, under one
+  // AI budget. Each repository records its own automation entry; no issues are created.
+  const analyzeBatch = useCallback(async (fullNames) => {
+    if (!batchRun || fullNames.length === 0) return;
+
+    const updateEntry = (fullName, changes) => setBatchRun(prev => ({
+      ...prev,
+      repositories: prev.repositories.map(entry => (entry.full_name === fullName ? { ...entry, ...changes } : entry))
+    }));
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    batchControllerRef.current = controller;
+    const runMeter = createRunMeter();
+    let finished = 0;
+    let budgetError = null;
+
+    setBatchRun(prev => ({
+      ...prev,
+      status: 'running',
+      ai_usage: null,
+      repositories: prev.repositories.map(entry => (fullNames.includes(entry.full_name)
+        ? { ...entry, status: 'queued', summary: null, analysis: null, error: null }
+        : entry))
+    }));
+    setIsProcessing(true);
+    setProcessingMessage(`Analyzing 0/${fullNames.length} repositories...`);
+
+    try {
+      await runWithConcurrency(fullNames, Number(config.batchConcurrency), async (fullName) => {
+        if (budgetError) {
+          updateEntry(fullName, { status: 'skipped', error: budgetError.message });
+          return;
+        }
+
+        updateEntry(fullName, { status: 'running' });
+        const meter = createUsageMeter({ parent: runMeter });
+        try {
+          const analysis = await analyzeBatchRepository(fullName, { meter, signal });
+          if (analysis.budget_exceeded) budgetError = new BudgetExceededError(runMeter.summary().cost, runMeter.budget);
+          updateEntry(fullName, { status: 'completed', analysis, summary: summarizePortfolioEntry(analysis) });
+          addAutomationEntry({
+            id: `comprehensive_analysis-${fullName}-${Date.now()}`,
+            action: 'comprehensive_analysis',
+            repo: fullName,
+            status: 'completed',
+            details: `Batch analysis of ${analysis.files_analyzed.length} files (health score ${analysis.overall_health_score}%, AI cost ${formatCost(analysis.ai_usage.cost)})`,
+            timestamp: analysis.timestamp,
+            metadata: {
+              commit_sha: analysis.commit_sha,
+              ai_usage: analysis.ai_usage,
+              batch_query: batchRun.query,
+              ...(analysis.budget_exceeded && { budget_exceeded: true })
+            }
+          });
+        } catch (error) {
+          const cancelled = isCancellation(error);
+          if (error instanceof BudgetExceededError) budgetError = error;
+          updateEntry(fullName, { status: cancelled ? 'cancelled' : 'failed', error: cancelled ? null : error.message });
+
+          const usage = meter.summary();
+          if (usage.calls > 0) {
+            addAutomationEntry({
+              id: `comprehensive_analysis-${fullName}-${Date.now()}`,
+              action: 'comprehensive_analysis',
+              repo: fullName,
+              status: cancelled ? 'cancelled' : 'failed',
+              details: `Batch analysis ${cancelled ? 'cancelled' : 'failed'}`,
+              timestamp: new Date().toISOString(),
+              metadata: { ai_usage: usage, batch_query: batchRun.query, ...(!cancelled && { error: error.message }) }
+            });
+          }
+        } finally {
+          finished++;
+          setProcessingMessage(`Analyzing ${finished}/${fullNames.length} repositories...`);
+        }
+      }, { signal });
+
+      // Repositories the pool never reached because the batch was cancelled
+      setBatchRun(prev => ({
+        ...prev,
+        status: signal.aborted ? 'cancelled' : 'completed',
+        ai_usage: runMeter.summary(),
+        repositories: prev.repositories.map(entry => (entry.status === 'queued' ? { ...entry, status: 'cancelled' } : entry))
+      }));
+
+      if (signal.aborted) {
+        showNotification(`Batch cancelled after ${finished} of ${fullNames.length} repositories`, 'warning');
+      } else if (budgetError) {
+        showNotification(`${budgetError.message}. Remaining repositories were skipped.`, 'warning');
+      } else {
+        showNotification(`Batch analysis of ${fullNames.length} repositories complete (AI cost ${formatCost(runMeter.summary().cost)})`, 'success');
+      }
+    } finally {
+      batchControllerRef.current = null;
+      setIsProcessing(false);
+      setProcessingMessage('');
+    }
+  }, [
+    batchRun,
+    config.batchConcurrency,
+    createRunMeter,
+    analyzeBatchRepository,
+    addAutomationEntry,
+    setIsProcessing,
+    setProcessingMessage,
+    showNotification
+  ]);
+
+  // Stop starting repositories and abort the ones in flight
+  const cancelBatch = useCallback(() => {
+    batchControllerRef.current?.abort();
+  }, []);
+
+  // Review a pull request: the static and AI analyzers look only at its changed hunks, and the
+  // findings become one review with inline comments, posted through a change plan
+  const reviewPullRequest = useCallback(async (pullRequestInput) => {
+    if (!githubToken) {
+      showNotification('A GitHub token is required to review pull requests', 'error');
+      return;
+    }
+
+    let owner, repo, number;
+    try {
+      let repository = null;
+      try {
+        repository = validateRepositoryUrl(repoUrl);
+      } catch {
+        // A pull request URL names its own repository
+      }
+      ({ owner, repo, number } = parsePullRequestReference(pullRequestInput, repository));
+    } catch (error) {
+      showNotification(error.message, 'error');
+      return;
+    }
+
+    setIsProcessing(true);
+    setPullRequestReview(null);
+    const meter = createRunMeter();
+
+    try {
+      setProcessingMessage(`Fetching pull request #${number}...`);
+      const [repoMeta, pullRequest] = await Promise.all([
+        fetchRepoData(owner, repo),
+        getPullRequest(owner, repo, number)
+      ]);
+      if (pullRequest.state !== 'open') {
+        throw new Error(`Pull request #${number} is ${pullRequest.state}`);
+      }
+      const commitId = pullRequest.head.sha;
+
+      // Removed files and files without a patch (binary or too large) have no hunks to review
+      const changedFiles = (await listPullRequestFiles(owner, repo, number))
+        .filter(file => file.status !== 'removed' && file.patch)
+        .map(file => ({ path: file.filename, size: file.patch.length, patch: file.patch }));
+      const model = getModel(config.aiProvider, config.aiModel);
+      const files = selectAnalyzableFiles(changedFiles, config).selected
+        .map(file => {
+          const hunks = parsePatch(file.patch);
+          return { ...file, diffLines: getDiffLines(hunks), chunks: buildHunkChunks(hunks, { contextWindow: model?.contextWindow }) };
+        })
+        .filter(file => file.chunks.length > 0);
+
+      if (files.length === 0) {
+        throw new Error(`Pull request #${number} changes no analyzable source files`);
+      }
+
+      // Static rules need the whole file to parse; only findings on added lines are kept
+      setProcessingMessage('Running static analysis on the changed lines...');
+      const staticSources = [];
+      for (const file of files.filter(item => isStaticallyAnalyzable(item.path))) {
+        const source = await getFileContent(owner, repo, file.path, commitId);
+        if (source) staticSources.push({ path: file.path, size: file.size, content: source.content });
+      }
+      const fullStaticAnalysis = analyzeFiles(staticSources);
+      const addedLines = new Map(files.map(file => [file.path, file.diffLines.added]));
+      const staticAnalysis = {
+        ...fullStaticAnalysis,
+        findings: fullStaticAnalysis.findings.filter(finding => addedLines.get(finding.file)?.has(finding.line))
+      };
+
+      const review = await reviewFiles(files, repoMeta, {
+        meter,
+        analyze: analyzeDiffWithAI,
+        onFileStart: (file, index) => setProcessingMessage(`Reviewing changes to ${file.path} (${index + 1}/${files.length})...`)
+      });
+      if (review.budgetError) {
+        showNotification(`${review.budgetError.message}. Reviewed ${review.fileAnalyses.length} of ${files.length} files.`, 'warning');
+      }
+
+      const findings = collectReviewFindings(mergeFileAnalyses(review.fileAnalyses, staticAnalysis));
+      const reviewRequest = buildPullRequestReview({
+        findings,
+        diffLines: new Map(files.map(file => [file.path, file.diffLines.commentable])),
+        threshold: config.priorityThreshold,
+        filesReviewed: review.fileAnalyses.length,
+        commitId
+      });
+      const aiUsage = meter.summary();
+      const timestamp = new Date().toISOString();
+
+      setPullRequestReview({
+        repository: `${owner}/${repo}`,
+        pullRequest: { number, title: pullRequest.title, url: pullRequest.html_url, commitId },
+        ...reviewRequest,
+        findings,
+        files_reviewed: review.fileAnalyses.map(({ file }) => file.path),
+        analysis_errors: review.analysisErrors,
+        ai_usage: aiUsage,
+        budget_exceeded: Boolean(review.budgetError),
+        timestamp
+      });
+
+      let plan = createChangePlan({
+        title: `Review of ${owner}/${repo}#${number}`,
+        owner,
+        repo,
+        entry: {
+          id: `pr_review-${Date.now()}`,
+          action: 'pr_review',
+          repo: `${owner}/${repo}`,
+          details: `Reviewed #${number}: ${findings.length} findings, ${reviewRequest.comments.length} inline comments (${reviewRequest.event}, AI cost ${formatCost(aiUsage.cost)})`,
+          pr_title: pullRequest.title,
+          pr_url: pullRequest.html_url,
+          timestamp,
+          metadata: {
+            pr_number: number,
+            commit_sha: commitId,
+            review_event: reviewRequest.event,
+            ai_usage: aiUsage
+          }
+        }
+      });
+      plan = addChange(plan, {
+        type: CHANGE_TYPES.REVIEW,
+        pullNumber: number,
+        commitId,
+        event: reviewRequest.event,
+        body: reviewRequest.body,
+        comments: reviewRequest.comments
+      });
+
+      setProcessingMessage('Posting review...');
+      const applied = await submitPlan(plan);
+      showNotification(
+        applied ? `Review posted on #${number}.` : 'Review ready. Approve the change plan to post it.',
+        'success'
+      );
+    } catch (error) {
+      handleError(error, 'Pull request review', showNotification);
+    } finally {
+      setIsProcessing(false);
+      setProcessingMessage('');
+    }
+  }, [
+    repoUrl,
+    githubToken,
+    config,
+    createRunMeter,
+    fetchRepoData,
+    getPullRequest,
+    listPullRequestFiles,
+    getFileContent,
+    reviewFiles,
+    analyzeDiffWithAI,
+    submitPlan,
     setIsProcessing,
     setProcessingMessage,
     showNotification
   ]);
 
+  // Ask the model for complete new contents of the files involved in an item
+  const requestPatch = useCallback(async (actionType, item, files, meter) => {
+    if (!aiClient) throw new Error('A GitHub token is required for AI changes');
+    
+    const fileSections = files.length > 0
+      ? files.map(file => `File: ${file.path}\n\`\`\`\n${file.content}\n\`\`\``).join('\n\n')
+      : 'No existing files were referenced. Create whatever new files the task needs.';
+    
+    const { systemPrompt, ...jsonOptions } = buildJsonRequest(getModel(config.aiProvider, config.aiModel), {
+      systemPrompt: PATCH_SYSTEM_PROMPT,
+      responseFormat: { type: 'json_object' }
+    });
+
+    const response = await createMeteredCompletion({
+      ...jsonOptions,
+      temperature: 0.1,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        {
+          role: 'user',
+          content: `Task type: ${ACTION_TYPES[actionType].label}\nTask details:\n${JSON.stringify(item, null, 2)}\n\n${fileSections}`
+        }
+      ]
+    }, meter, actionType);
+    
+    return parsePatchResponse(extractJsonContent(response.choices[0].message.content));
+  }, [aiClient, config.aiProvider, config.aiModel, createMeteredCompletion]);
+
+  // Generate a patch for one analysis item and plan a branch, commits and PR for it.
+  // Resolves to the applied results, or null when the plan is waiting for approval.
+  // Bulk runs pass a meter per item whose parent holds the run's budget.
+  const applyAutomationChange = useCallback(async (actionType, item, meter = createRunMeter()) => {
+    const { owner, repo } = validateRepositoryUrl(repoUrl);
+    const baseBranch = repoData?.default_branch || config.defaultBranch;
+    const description = describeItem(item);
+    const entry = {
+      id: `${actionType}-${Date.now()}`,
+      action: actionType,
+      repo: `${owner}/${repo}`,
+      details: `${ACTION_TYPES[actionType].label}: ${description}`,
+      timestamp: new Date().toISOString()
+    };
+    
+    let plan;
+    try {
+      const originals = (await Promise.all(
+        getItemPaths(item).map(path => getFileContent(owner, repo, path, baseBranch))
+      )).filter(Boolean);
+      
+      setProcessingMessage(`Generating ${ACTION_TYPES[actionType].label.toLowerCase()} for: ${description}`);
+      const patch = await requestPatch(actionType, item, originals, meter);
+      const summary = patch.summary || description;
+      const commitMessage = formatCommitMessage(config.commitMessageTemplate, {
+        description: summary,
+        action: ACTION_TYPES[actionType].label
+      });
+      const branchName = `${config.branchPrefix}${slugify(description)}-${Date.now().toString(36)}`;
+      const prTitle = `${ACTION_TYPES[actionType].prPrefix}: ${summary}`.substring(0, 250);
+      
+      plan = createChangePlan({
+        title: prTitle,
+        owner,
+        repo,
+        entry: { ...entry, metadata: { files: patch.files.map(f => f.path), ai_usage: meter.summary() } }
+      });
+      plan = addChange(plan, { type: CHANGE_TYPES.BRANCH, name: branchName, from: baseBranch });
+      
+      const files = [];
+      for (const file of patch.files) {
+        const original = originals.find(o => o.path === file.path)
+          || await getFileContent(owner, repo, file.path, baseBranch);
+        files.push({
+          path: file.path,
+          content: file.content,
+          previousContent: original?.content ?? null,
+          sha: original?.sha
+        });
+      }
+      plan = addChange(plan, {
+        type: CHANGE_TYPES.COMMIT,
+        branch: branchName,
+        message: commitMessage,
+        files
+      });
+      
+      plan = addChange(plan, {
+        type: CHANGE_TYPES.PULL_REQUEST,
+        title: prTitle,
+        head: branchName,
+        base: baseBranch,
+        body: `${patch.pr_body || summary}\n\n---\n_Generated by GitHub Automation Tool._`
+      });
+    } catch (error) {
+      addAutomationEntry({ ...entry, status: 'failed', metadata: { error: error.message, ai_usage: meter.summary() } });
+      throw error;
+    }
+    
+    return submitPlan(plan);
+  }, [
+    repoUrl,
+    repoData,
+    config,
+    createRunMeter,
+    getFileContent,
+    requestPatch,
+    submitPlan,
+    addAutomationEntry,
+    setProcessingMessage
+  ]);
+
+  // Run one action with the shared processing state and notifications
+  const runSingleAction = useCallback(async (actionType, item) => {
+    setIsProcessing(true);
+    
+    try {
+      const results = await applyAutomationChange(actionType, item);
+      const pr = findPullRequest(results);
+      showNotification(
+        pr
+          ? `${ACTION_TYPES[actionType].label} PR created: #${pr.number}`
+          : `${ACTION_TYPES[actionType].label} change plan ready for review`,
+        'success'
+      );
+      return results;
+    } catch (error) {
+      handleError(error, ACTION_TYPES[actionType].label, showNotification);
+    } finally {
+      setIsProcessing(false);
+      setProcessingMessage('');
+    }
+  }, [applyAutomationChange, setIsProcessing, setProcessingMessage, showNotification]);
+
+  // Run several actions one after another; a failure does not stop the rest
+  const runBulkActions = useCallback(async (actionType, items) => {
+    const label = ACTION_TYPES[actionType].label.toLowerCase();
+    
+    if (items.length === 0) {
+      showNotification(`No high-priority items for ${label}`, 'info');
+      return [];
+    }
+    
+    setIsProcessing(true);
+    const runMeter = createRunMeter();
+    let succeeded = 0;
+    let planned = 0;
+    
+    try {
+      for (const [index, item] of items.entries()) {
+        setProcessingMessage(`${ACTION_TYPES[actionType].label} ${index + 1}/${items.length}: ${describeItem(item)}`);
+        try {
+          const results = await applyAutomationChange(actionType, item, createUsageMeter({ parent: runMeter }));
+          if (results) {
+            succeeded++;
+          } else {
+            planned++;
+          }
+        } catch (error) {
+          if (error instanceof BudgetExceededError) {
+            showNotification(`${error.message}. Stopped after ${index} of ${items.length} ${label} actions.`, 'warning');
+            break;
+          }
+          console.error(`Failed ${label} for "${describeItem(item)}":`, error);
+        }
+      }
+      
+      showNotification(
+        planned > 0
+          ? `${planned}/${items.length} ${label} change plans ready for review`
+          : `Completed ${succeeded}/${items.length} ${label} actions`,
+        succeeded + planned > 0 ? 'success' : 'warning'
+      );
+      return { succeeded, planned, total: items.length, aiUsage: runMeter.summary() };
+    } finally {
+      setIsProcessing(false);
+      setProcessingMessage('');
+    }
+  }, [applyAutomationChange, createRunMeter, setIsProcessing, setProcessingMessage, showNotification]);
+
+  const executeBugFix = useCallback(
+    (bug) => runSingleAction('bug_fix', bug),
+    [runSingleAction]
+  );
+
+  const executeImprovement = useCallback(
+    (improvement) => runSingleAction('improvement', improvement),
+    [runSingleAction]
+  );
+
+  const developFeature = useCallback(
+    (feature) => runSingleAction('feature', feature),
+    [runSingleAction]
+  );
+
+  // Upload the current analysis as SARIF so its findings show up as code scanning alerts
+  const uploadCodeScanning = useCallback(async () => {
+    if (!analysisResults?.commit_sha) {
+      showNotification('Run an analysis first; code scanning results belong to an analyzed commit', 'error');
+      return;
+    }
+
+    const { owner, repo } = analysisResults.repository;
+    const sarifLog = buildSarifLog(analysisResults);
+    const resultCount = sarifLog.runs[0].results.length;
+    let plan = createChangePlan({
+      title: `Code scanning upload for ${owner}/${repo}`,
+      owner,
+      repo,
+      entry: {
+        id: `sarif_upload-${Date.now()}`,
+        action: 'sarif_upload',
+        repo: `${owner}/${repo}`,
+        details: `Uploaded ${resultCount} code scanning results for ${analysisResults.commit_sha.slice(0, 7)} on ${analysisResults.ref}`,
+        timestamp: new Date().toISOString(),
+        metadata: {
+          commit_sha: analysisResults.commit_sha,
+          results: resultCount,
+          rules: sarifLog.runs[0].tool.driver.rules.length
+        }
+      }
+    });
+    plan = addChange(plan, {
+      type: CHANGE_TYPES.SARIF_UPLOAD,
+      commitSha: analysisResults.commit_sha,
+      ref: analysisResults.ref,
+      sarif: JSON.stringify(sarifLog),
+      resultCount
+    });
+
+    setIsProcessing(true);
+    setProcessingMessage(`Uploading ${resultCount} findings to code scanning...`);
+
+    try {
+      const results = await submitPlan(plan);
+      if (!results) showNotification('Code scanning upload is ready for review', 'success');
+      return results;
+    } catch (error) {
+      handleError(error, 'Code scanning upload', showNotification);
+    } finally {
+      setIsProcessing(false);
+      setProcessingMessage('');
+    }
+  }, [analysisResults, submitPlan, setIsProcessing, setProcessingMessage, showNotification]);
+
+  // Commit the report of the current analysis, in the configured format, to the docs folder
+  // of the analyzed branch; exporting again overwrites it
+  const commitReport = useCallback(async () => {
+    if (!analysisResults?.commit_sha) {
+      showNotification('Run an analysis first to export its report', 'error');
+      return;
+    }
+
+    const { owner, repo } = analysisResults.repository;
+    const report = generateReport(analysisResults, config.reportFormat);
+    setIsProcessing(true);
+    setProcessingMessage(`Preparing ${report.docsPath}...`);
+
+    try {
+      const existing = await getFileContent(owner, repo, report.docsPath, analysisResults.ref);
+      if (existing?.content === report.content) {
+        showNotification(`${report.docsPath} already holds this report`, 'info');
+        return null;
+      }
+
+      let plan = createChangePlan({
+        title: `Analysis report for ${owner}/${repo}`,
+        owner,
+        repo,
+        entry: {
+          id: `report_export-${Date.now()}`,
+          action: 'report_export',
+          repo: `${owner}/${repo}`,
+          details: `Committed the ${config.reportFormat} report of ${analysisResults.commit_sha.slice(0, 7)} to ${report.docsPath}`,
+          timestamp: new Date().toISOString(),
+          metadata: {
+            path: report.docsPath,
+            format: config.reportFormat,
+            analyzed_commit_sha: analysisResults.commit_sha
+          }
+        }
+      });
+      plan = addChange(plan, {
+        type: CHANGE_TYPES.FILE_UPDATE,
+        path: report.docsPath,
+        content: report.content,
+        previousContent: existing?.content ?? null,
+        sha: existing?.sha,
+        branch: analysisResults.ref,
+        message: `Update analysis report for ${analysisResults.commit_sha.slice(0, 7)}`
+      });
+
+      const results = await submitPlan(plan);
+      showNotification(results ? `Committed ${report.docsPath}` : 'Report commit is ready for review', 'success');
+      return results;
+    } catch (error) {
+      handleError(error, 'Report export', showNotification);
+    } finally {
+      setIsProcessing(false);
+      setProcessingMessage('');
+    }
+  }, [analysisResults, config.reportFormat, getFileContent, submitPlan, setIsProcessing, setProcessingMessage, showNotification]);
+
+  const executeBulkBugFixes = useCallback(() => {
+    const bugs = (analysisResults?.bugs_detected || [])
+      .filter(bug => bug.severity === 'critical' || bug.severity === 'high')
+      .slice(0, config.maxBugsPerRun);
+    return runBulkActions('bug_fix', bugs);
+  }, [analysisResults, config.maxBugsPerRun, runBulkActions]);
+
+  const executeBulkImprovements = useCallback(() => {
+    const improvements = (analysisResults?.improvements_suggested || [])
+      .filter(imp => imp.priority === 'critical' || imp.priority === 'high')
+      .slice(0, config.maxImprovementsPerRun);
+    return runBulkActions('improvement', improvements);
+  }, [analysisResults, config.maxImprovementsPerRun, runBulkActions]);
+
   return {
     analyzeRepository,
-    initializeOpenAI,
-    isOpenAIConfigured
+    executeBugFix,
+    executeImprovement,
+    developFeature,
+    executeBulkBugFixes,
+    executeBulkImprovements,
+    uploadCodeScanning,
+    commitReport,
+    pendingPlans,
+    approvePlan,
+    discardPlan,
+    analysisJob,
+    cancelAnalysis,
+    resumableRun,
+    discardCheckpoint,
+    batchRun,
+    findBatchRepositories,
+    analyzeBatch,
+    cancelBatch,
+    pullRequestReview,
+    reviewPullRequest,
+    isAIConfigured: Boolean(aiClient)
   };
 };
@@ -1,4 +1,5 @@
 import { useState, useCallback } from 'react';
+import { summarizeUsage } from '../utils/usageMeter';
 
 export const useAutomationHistory = () => {
   const [automationHistory, setAutomationHistory] = useState([]);
@@ -10,15 +11,18 @@ export const useAutomationHistory = () => {
   const getStatistics = useCallback(() => {
     if (!automationHistory.length) return null;
 
+    const completed = (action) => automationHistory.filter(h => h.action === action && h.status !== 'failed').length;
+
     const stats = {
       totalActions: automationHistory.length,
-      bugsFixes: automationHistory.filter(h => h.action === 'bug_fix').length,
-      improvements: automationHistory.filter(h => h.action === 'improvement').length,
-      features: automationHistory.filter(h => h.action === 'feature').length,
+      bugsFixes: completed('bug_fix'),
+      improvements: completed('improvement'),
+      features: completed('feature'),
       analyses: automationHistory.filter(h => h.action === 'comprehensive_analysis').length,
       lastWeek: automationHistory.filter(h =>
         new Date(h.timestamp) > new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
-      ).length
+      ).length,
+      aiUsage: summarizeUsage(automationHistory)
     };
 
     return stats;
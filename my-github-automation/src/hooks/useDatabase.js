@@ -1,11 +1,9 @@
-import React, { useCallback, useEffect, useState, useMemo } from 'react';
+import { useCallback } from 'react';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const API_BASE_URL = `${process.env.REACT_APP_API_URL || 'http://localhost:8000'}/api`;
 
 export const useDatabase = (showNotification) => {
 
-
-  const API_BASE_URL = useMemo(() => process.env.REACT_APP_API_URL || "http://backend:8000", []);
   // Repository operations
   const saveRepository = useCallback(async (repoData) => {
     try {
@@ -36,10 +34,6 @@ export const useDatabase = (showNotification) => {
         }),
       });
 
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Request failed (${response.status}): ${errorText}`);
-        }
       const result = await response.json();
 
       if (!response.ok) {
@@ -71,10 +65,6 @@ export const useDatabase = (showNotification) => {
         body: JSON.stringify(analysisData),
       });
 
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Request failed (${response.status}): ${errorText}`);
-        }
       const result = await response.json();
 
       if (!response.ok) {
@@ -179,6 +169,24 @@ export const useDatabase = (showNotification) => {
     }
   }, [showNotification]);
 
+  // Latest analysis of a branch with its per-file results, the base of an incremental run; null when there is none
+  const getLatestAnalysis = useCallback(async (repositoryId, ref) => {
+    try {
+      const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+      const response = await fetch(`${API_BASE_URL}/repositories/${repositoryId}/analyses/latest${query}`);
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to fetch latest analysis');
+      }
+
+      return result.analysis;
+    } catch (error) {
+      console.error('Error fetching latest analysis:', error);
+      return null;
+    }
+  }, []);
+
   // Save automation entry
   const saveAutomationEntry = useCallback(async (repositoryId, entryData) => {
     try {
@@ -283,6 +291,7 @@ export const useDatabase = (showNotification) => {
     getAllRepositories,
     getRepositoryWithAnalyses,
     getAnalyses,
+    getLatestAnalysis,
     saveAutomationEntry,
     getAutomationEntries,
     getStatistics,
@@ -1,24 +1,303 @@
-import { useCallback, useState } from 'react';
+import { useCallback, useEffect, useMemo, useSyncExternalStore } from 'react';
 import { Octokit } from '@octokit/rest';
+import { DEFAULT_AUTOMATION_CONFIG, selectAnalyzableFiles } from '../utils/automationConfig';
+import { apiCache, repoCache, contentCache, cacheKeys, cacheMiddleware } from '../utils/cache';
+import { retry, sleep, CircuitBreaker } from '../utils/retry';
+import { encodeSarif, SARIF_TOOL_NAME } from '../utils/sarif';
 
-export const useGitHubApi = (githubToken, showNotification) => {
-  const [octokit] = useState(() => {
-    if (!githubToken) {
-      showNotification('GitHub token is required', 'error');
-      return null;
+/**
+ * Request layer shared by every Octokit client: each request waits out a depleted rate limit,
+ * runs through a per-service CircuitBreaker and is retried with backoff. Rate limit headers
+ * and breaker states are kept in a small store the UI subscribes to.
+ */
+
+// Longest retry-after we are willing to sleep through inside a single request
+const MAX_RETRY_WAIT = 60 * 1000;
+
+const breakers = {
+  core: null,
+  search: null
+};
+
+let requestLayerState = {
+  rateLimits: {},
+  breakers: { core: 'CLOSED', search: 'CLOSED' },
+  pausedUntil: null
+};
+const requestLayerListeners = new Set();
+
+const updateRequestLayerState = (changes) => {
+  requestLayerState = { ...requestLayerState, ...changes };
+  requestLayerListeners.forEach(listener => listener());
+};
+
+const subscribeToRequestLayer = (listener) => {
+  requestLayerListeners.add(listener);
+  return () => requestLayerListeners.delete(listener);
+};
+
+const getRequestLayerState = () => requestLayerState;
+
+// Octokit rethrows a cancelled fetch as AbortError (with status 500)
+const isAbortError = (error) => error?.name === 'AbortError';
+
+// GitHub keeps separate rate limit buckets; search has its own much smaller one
+const getService = (url = '') => (url.startsWith('/search/') ? 'search' : 'core');
+
+// Only server-side and network trouble says the service is unhealthy
+const isServiceFailure = (error) => !isAbortError(error) && (!error.status || error.status >= 500);
+
+const getBreaker = (service) => {
+  if (!breakers[service]) {
+    breakers[service] = new CircuitBreaker({ failureThreshold: 5, resetTimeout: 60000, isFailure: isServiceFailure });
+  }
+  return breakers[service];
+};
+
+const recordRateLimit = (headers = {}) => {
+  if (headers['x-ratelimit-remaining'] === undefined) return;
+  
+  const resource = headers['x-ratelimit-resource'] || 'core';
+  updateRequestLayerState({
+    rateLimits: {
+      ...requestLayerState.rateLimits,
+      [resource]: {
+        limit: Number(headers['x-ratelimit-limit']),
+        remaining: Number(headers['x-ratelimit-remaining']),
+        used: Number(headers['x-ratelimit-used']),
+        reset: Number(headers['x-ratelimit-reset'])
+      }
+    }
+  });
+};
+
+const isRateLimitError = (error) => (
+  (error.status === 403 || error.status === 429) &&
+  (error.response?.headers?.['retry-after'] !== undefined ||
+   error.response?.headers?.['x-ratelimit-remaining'] === '0')
+);
+
+// How long GitHub asked us to wait before retrying, in ms
+const getRateLimitWait = (error) => {
+  const headers = error.response?.headers || {};
+  if (headers['retry-after'] !== undefined) {
+    return Number(headers['retry-after']) * 1000;
+  }
+  if (headers['x-ratelimit-reset'] !== undefined) {
+    return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now()) + 1000;
+  }
+  return null;
+};
+
+const isRetryableGitHubError = (error) => {
+  if (isAbortError(error)) return false;
+  if (isRateLimitError(error)) {
+    return getRateLimitWait(error) <= MAX_RETRY_WAIT;
+  }
+  return isServiceFailure(error) && error.message !== 'Circuit breaker is OPEN';
+};
+
+// Methods that are safe to send again. GitHub may have applied a POST or PATCH it answered
+// with a 5xx or a dropped connection, and sending it again would file a second issue or review;
+// a rate-limited request was not applied, so every method retries those.
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE']);
+
+const isRetryableRequest = (method, error) => (
+  isRetryableGitHubError(error) && (IDEMPOTENT_METHODS.has(method) || isRateLimitError(error))
+);
+
+// Hold requests while the bucket is below the reserve; small buckets keep a 10% reserve instead
+const waitForRateLimit = async (service, buffer = DEFAULT_AUTOMATION_CONFIG.rateLimitBuffer, signal) => {
+  const info = requestLayerState.rateLimits[service];
+  if (!info) return;
+  
+  const reserve = Math.min(buffer, Math.floor(info.limit * 0.1));
+  const resetAt = info.reset * 1000;
+  
+  if (info.remaining < reserve && resetAt > Date.now()) {
+    console.warn(`GitHub ${service} rate limit low (${info.remaining} left); pausing until ${new Date(resetAt).toLocaleTimeString()}`);
+    updateRequestLayerState({ pausedUntil: resetAt });
+    try {
+      await sleep(resetAt - Date.now(), signal);
+    } finally {
+      updateRequestLayerState({ pausedUntil: null });
+    }
+  }
+};
+
+// Before a run of `requests` calls, wait for the reset if they would dig into the core reserve.
+// Concurrent runs each check before starting, so the reserve absorbs their overlap.
+const waitForRequestBudget = async (requests, { buffer = DEFAULT_AUTOMATION_CONFIG.rateLimitBuffer, signal } = {}) => {
+  const info = requestLayerState.rateLimits.core;
+  if (!info) return;
+
+  const reserve = Math.min(buffer, Math.floor(info.limit * 0.1));
+  const resetAt = info.reset * 1000;
+
+  if (info.remaining - requests < reserve && requests <= info.limit - reserve && resetAt > Date.now()) {
+    console.warn(`GitHub rate limit cannot cover ${requests} requests (${info.remaining} left); pausing until ${new Date(resetAt).toLocaleTimeString()}`);
+    updateRequestLayerState({ pausedUntil: resetAt });
+    try {
+      await sleep(resetAt - Date.now(), signal);
+    } finally {
+      updateRequestLayerState({ pausedUntil: null });
+    }
+  }
+};
+
+const githubRequest = async (request, options) => {
+  const service = getService(options.url);
+  const breaker = getBreaker(service);
+  
+  if (options.url !== '/rate_limit') {
+    await waitForRateLimit(service, undefined, options.request?.signal);
+  }
+  
+  try {
+    return await retry(() => breaker.execute(async () => {
+      try {
+        const response = await request(options);
+        recordRateLimit(response.headers);
+        return response;
+      } catch (error) {
+        recordRateLimit(error.response?.headers);
+        throw error;
+      }
+    }), {
+      retryCondition: (error) => isRetryableRequest((options.method || 'GET').toUpperCase(), error),
+      getRetryDelay: (error) => (isRateLimitError(error) ? getRateLimitWait(error) : null),
+      signal: options.request?.signal,
+      onRetry: (error, attempt) => {
+        console.warn(`GitHub ${options.method} ${options.url} retry ${attempt}: ${error.message}`);
+      }
+    });
+  } finally {
+    if (requestLayerState.breakers[service] !== breaker.state) {
+      updateRequestLayerState({ breakers: { ...requestLayerState.breakers, [service]: breaker.state } });
+    }
+  }
+};
+
+const createOctokit = (githubToken) => {
+  const octokit = new Octokit({ auth: githubToken });
+  octokit.hook.wrap('request', githubRequest);
+  return octokit;
+};
+
+// Branch refs move, so resolved trees are only trusted briefly
+const STRUCTURE_TTL = 5 * 60 * 1000;
+
+// Cached raw reads. The client is the first argument so every hook instance shares one cache;
+// key generators ignore it.
+// A trailing AbortSignal argument cancels the underlying request.
+const cachedRepoData = cacheMiddleware(repoCache, (octokit, owner, repo) => cacheKeys.repoData(owner, repo))(
+  async (octokit, owner, repo, signal) => (await octokit.rest.repos.get({ owner, repo, request: { signal } })).data
+);
+
+const cachedTree = cacheMiddleware(repoCache, (octokit, owner, repo, ref) => cacheKeys.repoStructure(owner, repo, ref), STRUCTURE_TTL)(
+  async (octokit, owner, repo, ref, signal) => {
+    const { data: commit } = await octokit.rest.repos.getCommit({ owner, repo, ref, request: { signal } });
+    const { data: tree } = await octokit.rest.git.getTree({
+      owner,
+      repo,
+      tree_sha: commit.commit.tree.sha,
+      recursive: 'true',
+      request: { signal }
+    });
+    return { commitSha: commit.sha, truncated: tree.truncated, entries: tree.tree };
+  }
+);
+
+// Blob contents are immutable for a given SHA, so a hit never needs revalidation
+const cachedBlob = cacheMiddleware(contentCache, (octokit, owner, repo, path, sha) => cacheKeys.fileContent(owner, repo, path, sha))(
+  async (octokit, owner, repo, path, sha, signal) => {
+    const { data } = await octokit.rest.git.getBlob({ owner, repo, file_sha: sha, request: { signal } });
+    const content = Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf-8').toString('utf-8');
+    return content.includes('\u0000') ? null : content;
+  }
+);
+
+const cachedInsights = cacheMiddleware(apiCache, (octokit, owner, repo) => cacheKeys.repoInsights(owner, repo))(
+  async (octokit, owner, repo) => {
+    const [repoData, contributorsData, languagesData, commitsData] = await Promise.allSettled([
+      octokit.rest.repos.get({ owner, repo }),
+      octokit.rest.repos.listContributors({ owner, repo, per_page: 100 }),
+      octokit.rest.repos.listLanguages({ owner, repo }),
+      octokit.rest.repos.listCommits({ owner, repo, per_page: 100 })
+    ]);
+    
+    return {
+      repository: repoData.status === 'fulfilled' ? repoData.value.data : null,
+      contributors: contributorsData.status === 'fulfilled' ? contributorsData.value.data : [],
+      languages: languagesData.status === 'fulfilled' ? languagesData.value.data : {},
+      recentCommits: commitsData.status === 'fulfilled' ? commitsData.value.data : []
+    };
+  }
+);
+
+// Put every operation into one commit on top of the branch head using the Git Data API.
+// Blobs, tree and commit are unreachable until the final ref update, so a failure at any
+// step leaves the branch untouched.
+const createAtomicCommit = async (octokit, owner, repo, { branch, message, operations }) => {
+  const { data: ref } = await octokit.rest.git.getRef({ owner, repo, ref: `heads/${branch}` });
+  const parentSha = ref.object.sha;
+  const { data: parent } = await octokit.rest.git.getCommit({ owner, repo, commit_sha: parentSha });
+  
+  // Blobs are created one at a time; GitHub's secondary limits penalize parallel content creation
+  const tree = [];
+  for (const operation of operations) {
+    if (operation.type === 'delete') {
+      tree.push({ path: operation.path, mode: '100644', type: 'blob', sha: null });
+    } else if (operation.type === 'create' || operation.type === 'update') {
+      const { data: blob } = await octokit.rest.git.createBlob({
+        owner,
+        repo,
+        content: Buffer.from(operation.content, 'utf-8').toString('base64'),
+        encoding: 'base64'
+      });
+      tree.push({ path: operation.path, mode: operation.mode || '100644', type: 'blob', sha: blob.sha });
+    } else {
+      throw new Error(`Unknown operation type: ${operation.type}`);
     }
-    return new Octokit({ auth: githubToken });
+  }
+  
+  const { data: newTree } = await octokit.rest.git.createTree({ owner, repo, base_tree: parent.tree.sha, tree });
+  const { data: commit } = await octokit.rest.git.createCommit({
+    owner,
+    repo,
+    message,
+    tree: newTree.sha,
+    parents: [parentSha]
   });
+  
+  // Not forced: if the branch moved since we read it, the update is rejected and nothing lands
+  await octokit.rest.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha, force: false });
+  
+  return commit;
+};
 
-  const [rateLimitInfo, setRateLimitInfo] = useState(null);
+export const useGitHubApi = (githubToken, showNotification) => {
+  // Rebuild the client whenever the token changes; the token field starts empty
+  const octokit = useMemo(() => {
+    if (!githubToken) return null;
+    return createOctokit(githubToken);
+  }, [githubToken]);
+
+  const requestLayer = useSyncExternalStore(subscribeToRequestLayer, getRequestLayerState);
 
-  // Check rate limit
+  // Check rate limit (this endpoint does not count against the limit)
   const checkRateLimit = useCallback(async () => {
     if (!octokit) return null;
     
     try {
       const { data } = await octokit.rest.rateLimit.get();
-      setRateLimitInfo(data.rate);
+      updateRequestLayerState({
+        rateLimits: {
+          ...requestLayerState.rateLimits,
+          core: data.resources.core,
+          search: data.resources.search
+        }
+      });
       return data.rate;
     } catch (error) {
       console.error('Rate limit check failed:', error);
@@ -26,85 +305,99 @@ export const useGitHubApi = (githubToken, showNotification) => {
     }
   }, [octokit]);
 
+  // Know the budget before the first real request
+  useEffect(() => {
+    checkRateLimit();
+  }, [checkRateLimit]);
+
   // Fetch repository data
-  const fetchRepoData = useCallback(async (owner, repo) => {
+  const fetchRepoData = useCallback(async (owner, repo, { signal } = {}) => {
     if (!octokit) throw new Error('GitHub API not initialized');
     
     try {
-      const { data } = await octokit.rest.repos.get({ owner, repo });
-      return data;
+      return await cachedRepoData(octokit, owner, repo, signal);
     } catch (error) {
+      if (isAbortError(error)) throw error;
       showNotification(`Failed to fetch repository data: ${error.message}`, 'error');
       throw error;
     }
   }, [octokit, showNotification]);
 
-  // Get repository structure with file contents
-  const getRepositoryStructure = useCallback(async (owner, repo, path = '') => {
+  // Get the full repository tree for a ref in one request, selecting the files worth analyzing.
+  // File contents are not fetched here; pass the selected files to loadFileContents.
+  const getRepositoryStructure = useCallback(async (owner, repo, { ref, config = DEFAULT_AUTOMATION_CONFIG, signal } = {}) => {
     if (!octokit) throw new Error('GitHub API not initialized');
     
     try {
-      const { data } = await octokit.rest.repos.getContent({
-        owner,
-        repo,
-        path
-      });
+      const branch = ref || (await cachedRepoData(octokit, owner, repo, signal)).default_branch;
+      const tree = await cachedTree(octokit, owner, repo, branch, signal);
       
-      const files = [];
-      const directories = [];
+      if (tree.truncated) {
+        console.warn(`Tree for ${owner}/${repo}@${branch} was truncated by GitHub; some files are missing`);
+      }
       
-      const items = Array.isArray(data) ? data : [data];
+      const blobs = tree.entries.filter(item => item.type === 'blob');
+      const directories = tree.entries
+        .filter(item => item.type === 'tree')
+        .map(item => ({
+          name: item.path.split('/').pop(),
+          path: item.path,
+          type: 'directory'
+        }));
       
-      for (const item of items) {
-        if (item.type === 'file') {
-          // Fetch file content for analysis
-          let content = '';
-          if (item.size < 1000000) { // Only fetch files smaller than 1MB
-            try {
-              const fileResponse = await octokit.rest.repos.getContent({
-                owner,
-                repo,
-                path: item.path
-              });
-              
-              if (fileResponse.data.content) {
-                content = Buffer.from(fileResponse.data.content, 'base64').toString('utf-8');
-              }
-            } catch (contentError) {
-              console.warn(`Failed to fetch content for ${item.path}:`, contentError);
-            }
-          }
-          
-          files.push({
-            name: item.name,
-            path: item.path,
-            size: item.size,
-            content,
-            sha: item.sha,
-            download_url: item.download_url
-          });
-        } else if (item.type === 'dir') {
-          directories.push({
-            name: item.name,
-            path: item.path,
-            type: 'directory'
-          });
-        }
-      }
+      const { selected, skipped } = selectAnalyzableFiles(blobs, config);
       
       return {
-        files,
+        ref: branch,
+        commitSha: tree.commitSha,
+        truncated: tree.truncated,
+        files: selected.map(item => ({
+          name: item.path.split('/').pop(),
+          path: item.path,
+          size: item.size,
+          sha: item.sha,
+          content: null
+        })),
+        allPaths: blobs.map(item => item.path),
         directories,
-        totalFiles: files.length,
+        skipped,
+        totalFiles: blobs.length,
         totalDirectories: directories.length
       };
       
     } catch (error) {
+      if (isAbortError(error)) throw error;
       showNotification(`Failed to get repository structure: ${error.message}`, 'error');
       throw error;
     }
   }, [octokit, showNotification]);
 
+  // Get a blob's decoded text content by SHA; resolves to null for binary blobs
+  const getFileBlob = useCallback(async (owner, repo, path, sha, signal) => {
+    if (!octokit) throw new Error('GitHub API not initialized');
+    
+    return cachedBlob(octokit, owner, repo, path, sha, signal);
+  }, [octokit]);
+
+  // Pull blob contents for the given structure files; files that fail to load keep content null.
+  // onLoaded(file, index) runs after each file; an aborted signal stops the loop with an AbortError.
+  const loadFileContents = useCallback(async (owner, repo, files, { signal, onLoaded } = {}) => {
+    const loaded = [];
+    
+    for (const file of files) {
+      try {
+        loaded.push({ ...file, content: await getFileBlob(owner, repo, file.path, file.sha, signal) });
+      } catch (contentError) {
+        if (isAbortError(contentError)) throw contentError;
+        console.warn(`Failed to fetch content for ${file.path}:`, contentError);
+        loaded.push({ ...file, content: null });
+      }
+      if (onLoaded) await onLoaded(loaded[loaded.length - 1], loaded.length - 1);
+    }
+    
+    return loaded;
+  }, [getFileBlob]);
+
   // Create GitHub issue
   const createGitHubIssue = useCallback(async (owner, repo, title, body, labels = []) => {
     if (!octokit) throw new Error('GitHub API not initialized');
@@ -126,6 +419,66 @@ export const useGitHubApi = (githubToken, showNotification) => {
     }
   }, [octokit, showNotification]);
 
+  // List issues (not pull requests), optionally only those with the given comma-separated labels
+  const listIssues = useCallback(async (owner, repo, { state = 'open', labels, signal } = {}) => {
+    if (!octokit) throw new Error('GitHub API not initialized');
+    
+    try {
+      const issues = await octokit.paginate(octokit.rest.issues.listForRepo, {
+        owner,
+        repo,
+        state,
+        ...(labels && { labels }),
+        per_page: 100,
+        request: { signal }
+      });
+      
+      return issues.filter(issue => !issue.pull_request);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      showNotification(`Failed to list issues: ${error.message}`, 'error');
+      throw error;
+    }
+  }, [octokit, showNotification]);
+
+  // Update the title, body or state of an issue
+  const updateGitHubIssue = useCallback(async (owner, repo, issueNumber, fields) => {
+    if (!octokit) throw new Error('GitHub API not initialized');
+    
+    try {
+      const { data } = await octokit.rest.issues.update({
+        owner,
+        repo,
+        issue_number: issueNumber,
+        ...fields
+      });
+      
+      return data;
+    } catch (error) {
+      showNotification(`Failed to update issue #${issueNumber}: ${error.message}`, 'error');
+      throw error;
+    }
+  }, [octokit, showNotification]);
+
+  // Comment on an issue or pull request
+  const commentOnIssue = useCallback(async (owner, repo, issueNumber, body) => {
+    if (!octokit) throw new Error('GitHub API not initialized');
+    
+    try {
+      const { data } = await octokit.rest.issues.createComment({
+        owner,
+        repo,
+        issue_number: issueNumber,
+        body
+      });
+      
+      return data;
+    } catch (error) {
+      showNotification(`Failed to comment on #${issueNumber}: ${error.message}`, 'error');
+      throw error;
+    }
+  }, [octokit, showNotification]);
+
   // Create pull request
   const createPullRequest = useCallback(async (owner, repo, { title, head, base, body }) => {
     if (!octokit) throw new Error('GitHub API not initialized');
@@ -148,8 +501,126 @@ export const useGitHubApi = (githubToken, showNotification) => {
     }
   }, [octokit, showNotification]);
 
-  // Update file content
-  const updateFile = useCallback(async (owner, repo, path, content, message, sha) => {
+  // Get a single pull request
+  const getPullRequest = useCallback(async (owner, repo, pullNumber, { signal } = {}) => {
+    if (!octokit) throw new Error('GitHub API not initialized');
+    
+    try {
+      const { data } = await octokit.rest.pulls.get({
+        owner,
+        repo,
+        pull_number: pullNumber,
+        request: { signal }
+      });
+      
+      return data;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      showNotification(`Failed to get pull request #${pullNumber}: ${error.message}`, 'error');
+      throw error;
+    }
+  }, [octokit, showNotification]);
+
+  // List every file a pull request changes, with its patch (GitHub omits patches of binary and very large diffs)
+  const listPullRequestFiles = useCallback(async (owner, repo, pullNumber, { signal } = {}) => {
+    if (!octokit) throw new Error('GitHub API not initialized');
+    
+    try {
+      return await octokit.paginate(octokit.rest.pulls.listFiles, {
+        owner,
+        repo,
+        pull_number: pullNumber,
+        per_page: 100,
+        request: { signal }
+      });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      showNotification(`Failed to list files of pull request #${pullNumber}: ${error.message}`, 'error');
+      throw error;
+    }
+  }, [octokit, showNotification]);
+
+  // Compare two commits; null when they cannot be compared, e.g. after the base commit was force-pushed away
+  const compareCommits = useCallback(async (owner, repo, base, head, { signal } = {}) => {
+    if (!octokit) throw new Error('GitHub API not initialized');
+    
+    try {
+      const { data } = await octokit.rest.repos.compareCommits({
+        owner,
+        repo,
+        base,
+        head,
+        request: { signal }
+      });
+      
+      return data;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Could not compare ${base}...${head}:`, error.message);
+      return null;
+    }
+  }, [octokit]);
+
+  // Post a review with inline comments on the given commit of a pull request
+  const createPullRequestReview = useCallback(async (owner, repo, pullNumber, { commitId, event, body, comments = [] }) => {
+    if (!octokit) throw new Error('GitHub API not initialized');
+    
+    const submit = (reviewEvent) => octokit.rest.pulls.createReview({
+      owner,
+      repo,
+      pull_number: pullNumber,
+      commit_id: commitId,
+      event: reviewEvent,
+      body,
+      comments
+    });
+    
+    try {
+      let response;
+      try {
+        response = await submit(event);
+      } catch (error) {
+        // GitHub does not let anyone request changes on their own pull request
+        if (event !== 'REQUEST_CHANGES' || error.status !== 422 || !/own pull request/i.test(error.message)) throw error;
+        response = await submit('COMMENT');
+      }
+      
+      showNotification(`Review posted on pull request #${pullNumber}`, 'success');
+      return response.data;
+    } catch (error) {
+      showNotification(`Failed to post review: ${error.message}`, 'error');
+      throw error;
+    }
+  }, [octokit, showNotification]);
+
+  // Upload a SARIF log to code scanning for a commit; its results appear in the Security tab
+  const uploadCodeScanningSarif = useCallback(async (owner, repo, { commitSha, ref, sarif }) => {
+    if (!octokit) throw new Error('GitHub API not initialized');
+    
+    try {
+      const { data } = await octokit.rest.codeScanning.uploadSarif({
+        owner,
+        repo,
+        commit_sha: commitSha,
+        ref: ref.startsWith('refs/') ? ref : `refs/heads/${ref}`,
+        sarif: await encodeSarif(sarif),
+        tool_name: SARIF_TOOL_NAME
+      });
+      
+      showNotification('SARIF uploaded to code scanning; GitHub processes it in the background', 'success');
+      return data;
+    } catch (error) {
+      // Private repositories need code scanning (GitHub Advanced Security) enabled first
+      const reason = error.status === 403 || error.status === 404
+        ? 'code scanning is not enabled for this repository or the token lacks the security_events scope'
+        : error.message;
+      showNotification(`Failed to upload SARIF: ${reason}`, 'error');
+      throw error;
+    }
+  }, [octokit, showNotification]);
+
+  // Update file content (optionally on a specific branch)
+  const updateFile = useCallback(async (owner, repo, path, content, message, sha, branch) => {
     if (!octokit) throw new Error('GitHub API not initialized');
     
     try {
@@ -159,7 +630,8 @@ export const useGitHubApi = (githubToken, showNotification) => {
         path,
         message,
         content: Buffer.from(content, 'utf-8').toString('base64'),
-        sha
+        sha,
+        branch
       });
       
       showNotification(`File updated: ${path}`, 'success');
@@ -170,6 +642,42 @@ export const useGitHubApi = (githubToken, showNotification) => {
     }
   }, [octokit, showNotification]);
 
+  // Get a single file's decoded content; resolves to null when the file does not exist
+  const getFileContent = useCallback(async (owner, repo, path, ref) => {
+    if (!octokit) throw new Error('GitHub API not initialized');
+    
+    try {
+      const { data } = await octokit.rest.repos.getContent({
+        owner,
+        repo,
+        path,
+        ref
+      });
+      
+      if (Array.isArray(data) || data.type !== 'file') {
+        throw new Error(`${path} is not a file`);
+      }
+      
+      // Files over 1 MB come back with encoding "none" and no content; the blob API serves them
+      const content = data.encoding === 'none'
+        ? await cachedBlob(octokit, owner, repo, data.path, data.sha)
+        : Buffer.from(data.content || '', 'base64').toString('utf-8');
+      if (content === null) {
+        throw new Error(`${path} is a binary file`);
+      }
+      
+      return {
+        path: data.path,
+        sha: data.sha,
+        content
+      };
+    } catch (error) {
+      if (error.status === 404) return null;
+      showNotification(`Failed to get file ${path}: ${error.message}`, 'error');
+      throw error;
+    }
+  }, [octokit, showNotification]);
+
   // Get branch contents
   const getBranchContents = useCallback(async (owner, repo, branch = 'main') => {
     if (!octokit) throw new Error('GitHub API not initialized');
@@ -221,21 +729,7 @@ export const useGitHubApi = (githubToken, showNotification) => {
     if (!octokit) throw new Error('GitHub API not initialized');
     
     try {
-      const [repoData, contributorsData, languagesData, commitsData] = await Promise.allSettled([
-        octokit.rest.repos.get({ owner, repo }),
-        octokit.rest.repos.listContributors({ owner, repo, per_page: 100 }),
-        octokit.rest.repos.listLanguages({ owner, repo }),
-        octokit.rest.repos.listCommits({ owner, repo, per_page: 100 })
-      ]);
-      
-      const insights = {
-        repository: repoData.status === 'fulfilled' ? repoData.value.data : null,
-        contributors: contributorsData.status === 'fulfilled' ? contributorsData.value.data : [],
-        languages: languagesData.status === 'fulfilled' ? languagesData.value.data : {},
-        recentCommits: commitsData.status === 'fulfilled' ? commitsData.value.data : []
-      };
-      
-      return insights;
+      return await cachedInsights(octokit, owner, repo);
     } catch (error) {
       showNotification(`Failed to get repository insights: ${error.message}`, 'error');
       throw error;
@@ -251,7 +745,9 @@ export const useGitHubApi = (githubToken, showNotification) => {
         q: query,
         sort: options.sort || 'stars',
         order: options.order || 'desc',
-        per_page: options.per_page || 30
+        per_page: options.per_page || 30,
+        page: options.page || 1,
+        request: { signal: options.signal }
       });
       
       return data;
@@ -261,6 +757,20 @@ export const useGitHubApi = (githubToken, showNotification) => {
     }
   }, [octokit, showNotification]);
 
+  // Collect search results page by page, up to limit (search returns at most 1000)
+  const searchAllRepositories = useCallback(async (query, { limit = 100, signal } = {}) => {
+    const perPage = Math.min(limit, 100);
+    const repositories = [];
+    
+    for (let page = 1; repositories.length < Math.min(limit, 1000); page++) {
+      const data = await searchRepositories(query, { per_page: perPage, page, signal });
+      repositories.push(...data.items);
+      if (data.items.length < perPage || repositories.length >= data.total_count) break;
+    }
+    
+    return repositories.slice(0, limit);
+  }, [searchRepositories]);
+
   // Get workflow runs
   const getWorkflowRuns = useCallback(async (owner, repo) => {
     if (!octokit) throw new Error('GitHub API not initialized');
@@ -280,9 +790,26 @@ export const useGitHubApi = (githubToken, showNotification) => {
   }, [octokit, showNotification]);
 
   // Batch operations for multiple files
-  const batchFileOperations = useCallback(async (owner, repo, operations) => {
+  // With { atomic: true, branch, message } all operations become a single commit on branch
+  // that either lands completely or not at all; otherwise each operation is its own commit.
+  const batchFileOperations = useCallback(async (owner, repo, operations, { atomic = false, branch, message } = {}) => {
     if (!octokit) throw new Error('GitHub API not initialized');
     
+    if (atomic) {
+      if (!branch || !message) {
+        throw new Error('Atomic batch operations need a branch and a commit message');
+      }
+      
+      try {
+        const commit = await createAtomicCommit(octokit, owner, repo, { branch, message, operations });
+        showNotification(`Committed ${operations.length} file change(s) to ${branch}`, 'success');
+        return operations.map(operation => ({ ...operation, success: true, result: commit }));
+      } catch (error) {
+        showNotification(`Batch commit failed, no changes were applied: ${error.message}`, 'error');
+        throw error;
+      }
+    }
+    
     const results = [];
     
     for (const operation of operations) {
@@ -291,7 +818,7 @@ export const useGitHubApi = (githubToken, showNotification) => {
         
         switch (operation.type) {
           case 'update':
-            result = await updateFile(owner, repo, operation.path, operation.content, operation.message, operation.sha);
+            result = await updateFile(owner, repo, operation.path, operation.content, operation.message, operation.sha, branch);
             break;
           case 'create':
             result = await octokit.rest.repos.createOrUpdateFileContents({
@@ -299,7 +826,8 @@ export const useGitHubApi = (githubToken, showNotification) => {
               repo,
               path: operation.path,
               message: operation.message,
-              content: Buffer.from(operation.content, 'utf-8').toString('base64')
+              content: Buffer.from(operation.content, 'utf-8').toString('base64'),
+              branch
             });
             break;
           case 'delete':
@@ -308,7 +836,8 @@ export const useGitHubApi = (githubToken, showNotification) => {
               repo,
               path: operation.path,
               message: operation.message,
-              sha: operation.sha
+              sha: operation.sha,
+              branch
             });
             break;
           default:
@@ -330,17 +859,33 @@ export const useGitHubApi = (githubToken, showNotification) => {
   return {
     fetchRepoData,
     getRepositoryStructure,
+    getFileBlob,
+    loadFileContents,
     createGitHubIssue,
+    listIssues,
+    updateGitHubIssue,
+    commentOnIssue,
     createPullRequest,
+    getPullRequest,
+    listPullRequestFiles,
+    createPullRequestReview,
+    uploadCodeScanningSarif,
+    compareCommits,
     updateFile,
+    getFileContent,
     getBranchContents,
     createBranch,
     getRepositoryInsights,
     searchRepositories,
+    searchAllRepositories,
+    waitForRequestBudget,
     getWorkflowRuns,
     batchFileOperations,
     checkRateLimit,
-    rateLimitInfo,
+    rateLimitInfo: requestLayer.rateLimits.core || null,
+    searchRateLimitInfo: requestLayer.rateLimits.search || null,
+    circuitState: requestLayer.breakers,
+    rateLimitPausedUntil: requestLayer.pausedUntil,
     isConfigured: !!octokit
   };
 };
\ No newline at end of file
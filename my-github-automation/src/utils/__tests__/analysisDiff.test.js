@@ -0,0 +1,119 @@
+import { diffAnalyses, matchFindings, normalizeDescription } from '../analysisDiff';
+
+// Two stored analyses of the same repository a week apart. Between them the N+1 query was
+// fixed, a new XSS appeared, and the model reworded or moved the findings that remain.
+const previous = {
+  id: 11,
+  created_at: '2026-10-05T09:00:00.000Z',
+  commit_sha: 'aaaaaaa1111111111111111111111111111111111',
+  analysis_type: 'repository_analysis',
+  overall_health_score: 64,
+  code_quality_metrics: { maintainability: 60, readability: 75, complexity: 40, duplication: 8 },
+  bugs_detected: [
+    { severity: 'medium', file: 'api/orders.js', line: 22, description: 'Missing await on db.save() at line 22' }
+  ],
+  security_concerns: [
+    { severity: 'high', cwe_id: 'CWE-89', file: 'api/users.js', line: 40, description: 'SQL built by string concatenation' }
+  ],
+  performance_issues: [
+    { impact: 'high', file: 'api/orders.js', line: 57, description: 'N+1 query loading order items' }
+  ],
+  improvements_suggested: [
+    { priority: 'low', file: 'api/users.js', line: 0, description: 'Split the users controller into smaller route handlers' }
+  ]
+};
+
+const current = {
+  id: 12,
+  timestamp: '2026-10-12T09:00:00.000Z',
+  commit_sha: 'bbbbbbb2222222222222222222222222222222222',
+  analysis_type: 'incremental_analysis',
+  overall_health_score: 71,
+  code_quality_metrics: { maintainability: 66, readability: 75, complexity: 31 },
+  bugs_detected: [
+    { severity: 'medium', file: 'api/orders.js', line: 25, description: 'Missing await on db.save() at line 25.' }
+  ],
+  security_concerns: [
+    { severity: 'high', cwe_id: 'CWE-89', file: 'api/users.js', line: 43, description: 'User input reaches a raw SQL query' },
+    { severity: 'high', cwe_id: 'CWE-79', file: 'web/profile.js', line: 9, description: 'Bio rendered with innerHTML' }
+  ],
+  performance_issues: [],
+  improvements_suggested: [
+    { priority: 'low', file: 'api/users.js', line: 0, description: 'Split the users controller into smaller handlers' }
+  ]
+};
+
+const sectionOf = (diff, key) => diff.sections.find(section => section.key === key);
+
+describe('diffAnalyses', () => {
+  const diff = diffAnalyses(previous, current);
+
+  test('splits findings into new, resolved and unchanged', () => {
+    expect(diff.totals).toEqual({ added: 1, resolved: 1, unchanged: 3 });
+    expect(sectionOf(diff, 'security_concerns').added.map(item => item.cwe_id)).toEqual(['CWE-79']);
+    expect(sectionOf(diff, 'performance_issues').resolved).toEqual(previous.performance_issues);
+  });
+
+  test('matches a finding whose line moved and whose numbers changed in the description', () => {
+    expect(sectionOf(diff, 'bugs_detected').unchanged).toEqual([
+      { before: previous.bugs_detected[0], after: current.bugs_detected[0] }
+    ]);
+  });
+
+  test('matches a reworded finding by its CWE and a lightly edited one by shared words', () => {
+    const [security] = sectionOf(diff, 'security_concerns').unchanged;
+    const [improvement] = sectionOf(diff, 'improvements_suggested').unchanged;
+
+    expect(security.before.description).toBe('SQL built by string concatenation');
+    expect(security.after.description).toBe('User input reaches a raw SQL query');
+    expect(improvement.before).toBe(previous.improvements_suggested[0]);
+  });
+
+  test('compares health and metrics in the direction that is better for each', () => {
+    expect(diff.health).toEqual({ before: 64, after: 71, delta: 7, improved: true });
+
+    const metrics = Object.fromEntries(diff.metrics.map(metric => [metric.key, metric]));
+    expect(metrics.maintainability).toMatchObject({ delta: 6, improved: true });
+    expect(metrics.complexity).toMatchObject({ delta: -9, improved: true });
+    expect(metrics.readability).toMatchObject({ delta: 0, improved: null });
+    expect(metrics.duplication).toMatchObject({ before: 8, after: null, delta: null, improved: null });
+  });
+
+  test('describes both analyses, falling back to the timestamp of an unsaved one', () => {
+    expect(diff.before).toEqual({ id: 11, created_at: previous.created_at, commit_sha: previous.commit_sha, analysis_type: 'repository_analysis' });
+    expect(diff.after.created_at).toBe(current.timestamp);
+  });
+});
+
+describe('matchFindings', () => {
+  test('never matches findings in different files', () => {
+    const before = [{ file: 'a.js', line: 3, description: 'Unused variable total' }];
+    const after = [{ file: 'b.js', line: 3, description: 'Unused variable total' }];
+
+    expect(matchFindings(before, after)).toEqual({ added: after, resolved: before, unchanged: [] });
+  });
+
+  test('pairs same-rule findings with the nearest line', () => {
+    const before = [
+      { file: 'app.js', line: 10, rule_id: 'SEC001', description: 'eval() call' },
+      { file: 'app.js', line: 90, rule_id: 'SEC001', description: 'eval() call' }
+    ];
+    const after = [{ file: 'app.js', line: 88, rule_id: 'SEC001', description: 'eval() executes request data' }];
+
+    const { unchanged, resolved } = matchFindings(before, after);
+
+    expect(unchanged[0].before.line).toBe(90);
+    expect(resolved.map(item => item.line)).toEqual([10]);
+  });
+
+  test('treats every finding as new or resolved when the other side is missing', () => {
+    expect(matchFindings(undefined, [{ description: 'x' }]).added).toHaveLength(1);
+    expect(matchFindings([{ description: 'x' }], undefined).resolved).toHaveLength(1);
+  });
+});
+
+describe('normalizeDescription', () => {
+  test('ignores case, numbers and punctuation', () => {
+    expect(normalizeDescription('Missing await on db.save() at line 22')).toBe(normalizeDescription('missing AWAIT on db save at line 25.'));
+  });
+});
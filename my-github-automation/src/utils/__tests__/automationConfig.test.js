@@ -0,0 +1,49 @@
+import { DEFAULT_AUTOMATION_CONFIG, formatCommitMessage, matchesIgnorePattern, selectAnalyzableFiles } from '../automationConfig';
+
+const blob = (path, size = 1200) => ({ path, type: 'blob', size, sha: `sha-${path}` });
+
+describe('selectAnalyzableFiles', () => {
+  test('keeps nested source files and counts every skipped entry by reason', () => {
+    const entries = [
+      blob('src/index.js'),
+      blob('src/api/deep/nested/client.ts'),
+      blob('node_modules/react/index.js'),
+      blob('docs/logo.png'),
+      blob('src/generated/bundle.js', DEFAULT_AUTOMATION_CONFIG.maxFileSize + 1)
+    ];
+
+    const { selected, skipped } = selectAnalyzableFiles(entries);
+
+    expect(selected.map(entry => entry.path)).toEqual(['src/index.js', 'src/api/deep/nested/client.ts']);
+    expect(skipped).toEqual({ ignored: 1, unsupportedType: 1, tooLarge: 1, overLimit: 0 });
+  });
+
+  test('stops at maxFilesPerAnalysis in tree order', () => {
+    const entries = ['a.py', 'b.py', 'c.py', 'd.py'].map(path => blob(path));
+
+    const { selected, skipped } = selectAnalyzableFiles(entries, { ...DEFAULT_AUTOMATION_CONFIG, maxFilesPerAnalysis: 2 });
+
+    expect(selected.map(entry => entry.path)).toEqual(['a.py', 'b.py']);
+    expect(skipped.overLimit).toBe(2);
+  });
+
+  test('matches extensions case-insensitively', () => {
+    expect(selectAnalyzableFiles([blob('src/Main.JAVA')]).selected).toHaveLength(1);
+  });
+});
+
+describe('matchesIgnorePattern', () => {
+  test('matches plain names as whole path segments and slashed patterns as prefixes', () => {
+    expect(matchesIgnorePattern('packages/app/dist/index.js', ['dist'])).toBe(true);
+    expect(matchesIgnorePattern('src/distance.js', ['dist'])).toBe(false);
+    expect(matchesIgnorePattern('docs/api/index.js', ['docs/api/'])).toBe(true);
+    expect(matchesIgnorePattern('docs/apis/index.js', ['docs/api'])).toBe(false);
+  });
+});
+
+describe('formatCommitMessage', () => {
+  test('fills known placeholders and leaves unknown ones as written', () => {
+    expect(formatCommitMessage(undefined, { description: 'Fix SQL injection in users.js' })).toBe('Auto-fix: Fix SQL injection in users.js');
+    expect(formatCommitMessage('{type}: {description} ({issue})', { type: 'fix', description: 'Escape bio' })).toBe('fix: Escape bio ({issue})');
+  });
+});
@@ -0,0 +1,82 @@
+import { Cache } from '../cache';
+import { MemoryStorageBackend } from '../cacheStorage';
+
+// Backend writes are fire-and-forget; let them land before looking at the backend
+const flushWrites = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const fillCache = (cache, count) => {
+  for (let index = 0; index < count; index++) {
+    cache.set(`ai:${index}`, { file_health_score: index });
+  }
+};
+
+describe('LRU eviction', () => {
+  test('evicts from memory but keeps evicted entries on disk', async () => {
+    const backend = new MemoryStorageBackend();
+    const cache = new Cache({ maxSize: 10, backend });
+
+    fillCache(cache, 25);
+    await flushWrites();
+
+    expect(cache.getStats().size).toBeLessThanOrEqual(10);
+    expect(cache.getStats().evictions).toBeGreaterThan(0);
+    expect(backend.entries.size).toBe(25);
+  });
+
+  test('reads an evicted entry back from disk on a memory miss', async () => {
+    const backend = new MemoryStorageBackend();
+    const cache = new Cache({ maxSize: 10, backend });
+    const fetchAnalysis = jest.fn();
+
+    fillCache(cache, 25);
+    await flushWrites();
+
+    expect(cache.has('ai:0')).toBe(false);
+    await expect(cache.getOrSet('ai:0', fetchAnalysis)).resolves.toEqual({ file_health_score: 0 });
+    expect(fetchAnalysis).not.toHaveBeenCalled();
+    expect(cache.getStats().diskHits).toBe(1);
+  });
+
+  test('deleting an entry removes it from disk as well', async () => {
+    const backend = new MemoryStorageBackend();
+    const cache = new Cache({ backend });
+
+    cache.set('ai:1', { file_health_score: 1 });
+    cache.delete('ai:1');
+    await flushWrites();
+
+    expect(backend.entries.has('ai:1')).toBe(false);
+  });
+});
+
+describe('hydrate', () => {
+  test('drops expired entries and the least recently used ones past maxPersistedSize', async () => {
+    const backend = new MemoryStorageBackend();
+    const now = Date.now();
+    for (let index = 0; index < 6; index++) {
+      backend.entries.set(`ai:${index}`, { value: index, createdAt: now - 1000 + index, expiresAt: now + 60000, size: 8, lastAccessedAt: now - 1000 + index });
+    }
+    backend.entries.set('ai:stale', { value: 'old', createdAt: now - 120000, expiresAt: now - 60000, size: 6 });
+    const cache = new Cache({ maxSize: 10, maxPersistedSize: 4, backend });
+
+    await expect(cache.hydrate()).resolves.toEqual({ loaded: 4, expired: 1, pruned: 2 });
+    await flushWrites();
+
+    expect([...backend.entries.keys()].sort()).toEqual(['ai:2', 'ai:3', 'ai:4', 'ai:5']);
+    expect(cache.get('ai:5')).toBe(5);
+    expect(cache.get('ai:0')).toBeNull();
+  });
+});
+
+describe('getOrSet', () => {
+  test('returns a cached null without fetching again', async () => {
+    const cache = new Cache();
+    const fetchMissing = jest.fn().mockResolvedValue(null);
+
+    await cache.getOrSet('file:acme/app:README.md:abc', fetchMissing);
+    await expect(cache.getOrSet('file:acme/app:README.md:abc', fetchMissing)).resolves.toBeNull();
+
+    expect(fetchMissing).toHaveBeenCalledTimes(1);
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1 });
+  });
+});
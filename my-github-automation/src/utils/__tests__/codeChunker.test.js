@@ -0,0 +1,94 @@
+import { chunkSourceFile, mapChunkLines } from '../codeChunker';
+
+// Lines of a function body, long enough that a few functions fill a chunk
+const body = (name, count) => Array.from({ length: count }, (_, index) => `  const ${name}Value${index} = compute('${name}', ${index}, options);`);
+
+const jsSource = (functions, bodyLines = 30) => [
+  "import { compute } from './compute';",
+  "import options from './options';",
+  '',
+  ...functions.flatMap(name => [`export function ${name}() {`, ...body(name, bodyLines), '}', ''])
+].join('\n');
+
+const lineOf = (content, text) => content.split('\n').findIndex(line => line.includes(text)) + 1;
+
+// Original file lines a chunk covers below its repeated header
+const bodyLines = (chunk) => chunk.lineMap.filter(line => line >= chunk.startLine);
+
+describe('chunkSourceFile', () => {
+  test('keeps a file that fits in one chunk with its own line numbers', () => {
+    const content = jsSource(['parse']);
+    const [chunk, ...rest] = chunkSourceFile('src/parse.js', content, { contextWindow: 128000 });
+
+    expect(rest).toEqual([]);
+    expect(chunk).toMatchObject({ index: 0, total: 1, startLine: 1 });
+    expect(chunk.lineMap).toEqual(content.split('\n').map((_, index) => index + 1));
+  });
+
+  test('cuts at function boundaries and repeats the imports in every chunk', () => {
+    const functions = ['parse', 'validate', 'transform', 'render', 'serialize', 'publish'];
+    const content = jsSource(functions);
+
+    const chunks = chunkSourceFile('src/pipeline.js', content, { contextWindow: 8192 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.text.split('\n').slice(0, 2)).toEqual([
+        "1: import { compute } from './compute';",
+        "2: import options from './options';"
+      ]);
+      expect(content.split('\n')[chunk.startLine - 1]).toMatch(/^(export function|$)/);
+    }
+    // Every line after the header lands in exactly one chunk, in order
+    expect(chunks.flatMap(bodyLines)).toEqual(content.split('\n').map((_, index) => index + 1).slice(2));
+  });
+
+  test('maps finding lines back to the original file', () => {
+    const content = jsSource(['parse', 'validate', 'transform', 'render', 'serialize', 'publish']);
+    const chunks = chunkSourceFile('src/pipeline.js', content, { contextWindow: 8192 });
+    const chunk = chunks[chunks.length - 1];
+    const declarationLine = lineOf(content, 'export function publish');
+    const chunkLine = chunk.lineMap.indexOf(declarationLine) + 1;
+
+    const mapped = mapChunkLines({
+      bugs_detected: [{ description: 'publish ignores failures', line: chunkLine }, { description: 'header', line: 1 }],
+      security_concerns: [{ description: 'beyond the chunk', line: chunk.lineMap.length + 5 }],
+      file_health_score: 80
+    }, chunk);
+
+    expect(mapped.bugs_detected.map(item => item.line)).toEqual([declarationLine, 1]);
+    expect(mapped.security_concerns[0].line).toBe(0);
+    expect(mapped.file_health_score).toBe(80);
+  });
+
+  test('cuts a function too large for one chunk by lines', () => {
+    const content = jsSource(['migrate'], 400);
+
+    const chunks = chunkSourceFile('src/migrate.js', content, { contextWindow: 8192 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.flatMap(bodyLines)).toEqual(content.split('\n').map((_, index) => index + 1).slice(2));
+  });
+
+  test('cuts Python files at top-level definitions with their decorators', () => {
+    const content = [
+      'import os',
+      'from app import db',
+      '',
+      ...['load', 'save', 'sync', 'purge'].flatMap(name => [
+        '@retry',
+        `def ${name}(record):`,
+        ...Array.from({ length: 40 }, (_, index) => `    value_${index} = db.${name}(record, os.environ.get('KEY_${index}'))`),
+        ''
+      ])
+    ].join('\n');
+
+    const chunks = chunkSourceFile('app/jobs.py', content, { contextWindow: 8192 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.text.startsWith('1: import os\n2: from app import db')).toBe(true);
+      expect(content.split('\n')[chunk.startLine - 1]).toMatch(/^(@retry|$)/);
+    }
+  });
+});
@@ -0,0 +1,78 @@
+import { parsePatch, getDiffLines, buildHunkChunks } from '../diffParser';
+
+const lineNumbers = (hunk) => hunk.lines.map(line => [line.type, line.oldLine, line.newLine]);
+
+describe('parsePatch', () => {
+  test('numbers context, added and deleted lines across hunks', () => {
+    const hunks = parsePatch([
+      '@@ -1,3 +1,4 @@',
+      ' import db from \'./db\';',
+      '+import log from \'./log\';',
+      ' ',
+      ' export function findUser(id) {',
+      '@@ -10,2 +11,2 @@ export function findUser(id) {',
+      '-  return db.query(id);',
+      '+  return db.query(\'SELECT * FROM users WHERE id = ?\', [id]);',
+      ' }'
+    ].join('\n'));
+
+    expect(hunks.map(({ oldStart, oldLines, newStart, newLines }) => [oldStart, oldLines, newStart, newLines]))
+      .toEqual([[1, 3, 1, 4], [10, 2, 11, 2]]);
+    expect(lineNumbers(hunks[0])).toEqual([
+      ['context', 1, 1],
+      ['add', null, 2],
+      ['context', 2, 3],
+      ['context', 3, 4]
+    ]);
+    expect(lineNumbers(hunks[1])).toEqual([
+      ['delete', 10, null],
+      ['add', null, 11],
+      ['context', 11, 12]
+    ]);
+  });
+
+  test('reads a header without line counts as a single line', () => {
+    const [hunk] = parsePatch('@@ -7 +7 @@\n-const retries = 3;\n+const retries = 5;');
+
+    expect(hunk).toMatchObject({ oldStart: 7, oldLines: 1, newStart: 7, newLines: 1 });
+    expect(lineNumbers(hunk)).toEqual([['delete', 7, null], ['add', null, 7]]);
+  });
+
+  test('skips "No newline at end of file" markers without shifting line numbers', () => {
+    const [hunk] = parsePatch([
+      '@@ -1,2 +1,2 @@',
+      ' module.exports = {',
+      '-}',
+      '\\ No newline at end of file',
+      '+};',
+      '\\ No newline at end of file'
+    ].join('\n'));
+
+    expect(hunk.lines.map(line => line.content)).toEqual(['module.exports = {', '}', '};']);
+    expect(lineNumbers(hunk)).toEqual([['context', 1, 1], ['delete', 2, null], ['add', null, 2]]);
+  });
+
+  test('leaves nothing to comment on or review in a hunk that only deletes', () => {
+    const hunks = parsePatch('@@ -4,2 +3,0 @@\n-// TODO: remove\n-debugger;');
+    const { added, commentable } = getDiffLines(hunks);
+
+    expect(lineNumbers(hunks[0])).toEqual([['delete', 4, null], ['delete', 5, null]]);
+    expect(added.size).toBe(0);
+    expect(commentable.size).toBe(0);
+    expect(buildHunkChunks(hunks)).toEqual([]);
+  });
+
+  test('returns no hunks for an empty or missing patch', () => {
+    expect(parsePatch('')).toEqual([]);
+    expect(parsePatch()).toEqual([]);
+  });
+});
+
+describe('getDiffLines', () => {
+  test('lets comments target added and context lines but marks only additions as added', () => {
+    const { added, commentable } = getDiffLines(parsePatch('@@ -1,2 +1,3 @@\n const a = 1;\n-const b = 2;\n+const b = 3;\n+const c = 4;'));
+
+    expect([...added]).toEqual([2, 3]);
+    expect([...commentable]).toEqual([1, 2, 3]);
+  });
+});
@@ -0,0 +1,227 @@
+import { fingerprintFileAnalysis, fingerprintMarker, extractFingerprints, hasFingerprints } from '../findingFingerprint';
+import {
+  buildFindingIssue,
+  buildResolutionComment,
+  planFindingIssues,
+  findResolvedIssues,
+  findWontFixIssues,
+  suppressWontFixFindings,
+  WONT_FIX_REASON
+} from '../findingIssues';
+import { collectReviewFindings } from '../pullRequestReview';
+
+const SOURCE = [
+  "import db from './db';",
+  '',
+  'export function findUser(id) {',
+  "  return db.query('SELECT * FROM users WHERE id = ' + id);",
+  '}'
+].join('\n');
+
+const sqlInjection = (line) => ({
+  description: `User id is interpolated into the SQL query on line ${line}`,
+  severity: 'high',
+  cwe_id: 'CWE-89',
+  line,
+  mitigation: 'Use a parameterized query'
+});
+
+const emptyFileAnalysis = {
+  bugs_detected: [],
+  improvements_suggested: [],
+  performance_issues: [],
+  documentation_gaps: []
+};
+
+// The merged repository analysis for users.js, as mergeFileAnalyses shapes it
+const analyzeUsers = (source, finding) => {
+  const fileAnalysis = fingerprintFileAnalysis({ ...emptyFileAnalysis, security_concerns: [finding] }, 'src/users.js', source);
+  return {
+    ...fileAnalysis,
+    security_concerns: fileAnalysis.security_concerns.map(item => ({ ...item, file: 'src/users.js' })),
+    files_analyzed: ['src/users.js']
+  };
+};
+
+// An issue as the GitHub API lists it, filed by an earlier run for the finding
+const filedIssue = (finding, fields = {}) => {
+  const issue = buildFindingIssue(finding);
+  return { number: 7, state: 'open', state_reason: null, title: issue.title, body: issue.body, ...fields };
+};
+
+const firstFinding = (analysis) => collectReviewFindings(analysis)[0];
+
+describe('finding fingerprints', () => {
+  test('stay the same when lines above the finding shift', () => {
+    const before = analyzeUsers(SOURCE, sqlInjection(4));
+    const shifted = analyzeUsers(`// Users\n// Lookups by id\n${SOURCE}`, sqlInjection(6));
+
+    expect(shifted.security_concerns[0].fingerprint).toBe(before.security_concerns[0].fingerprint);
+  });
+
+  test('change when the code on the finding line changes', () => {
+    const before = analyzeUsers(SOURCE, sqlInjection(4));
+    const edited = analyzeUsers(SOURCE.replace('SELECT *', 'SELECT name'), sqlInjection(4));
+
+    expect(edited.security_concerns[0].fingerprint).not.toBe(before.security_concerns[0].fingerprint);
+  });
+
+  test('round-trip through the issue body marker', () => {
+    const body = `Some text\n\n${fingerprintMarker('00a1b2c3d4e5f6')}\n${fingerprintMarker('0123456789abcd')}`;
+
+    expect(extractFingerprints(body)).toEqual(['00a1b2c3d4e5f6', '0123456789abcd']);
+    expect(extractFingerprints(null)).toEqual([]);
+  });
+});
+
+describe('planFindingIssues', () => {
+  test('updates the open issue of a finding whose details changed instead of filing another', () => {
+    const earlier = analyzeUsers(SOURCE, sqlInjection(4));
+    const later = analyzeUsers(`\n${SOURCE}`, { ...sqlInjection(5), mitigation: 'Pass id as a query parameter' });
+    const openIssues = [filedIssue(firstFinding(earlier))];
+
+    const plan = planFindingIssues({ analysis: later, openIssues, threshold: 'medium', maxNew: 5 });
+
+    expect(plan.create).toHaveLength(0);
+    expect(plan.update).toHaveLength(1);
+    expect(plan.update[0].number).toBe(7);
+    expect(plan.update[0].body).toContain('Pass id as a query parameter');
+  });
+
+  test('leaves an up-to-date issue alone', () => {
+    const analysis = analyzeUsers(SOURCE, sqlInjection(4));
+    const openIssues = [filedIssue(firstFinding(analysis))];
+
+    const plan = planFindingIssues({ analysis, openIssues, threshold: 'medium', maxNew: 5 });
+
+    expect(plan.create).toHaveLength(0);
+    expect(plan.update).toHaveLength(0);
+    expect(plan.unchanged.map(issue => issue.number)).toEqual([7]);
+  });
+
+  test('files new findings up to maxNew and defers the rest', () => {
+    const analysis = analyzeUsers(SOURCE, sqlInjection(4));
+    const nothingFiled = planFindingIssues({ analysis, openIssues: [], threshold: 'medium', maxNew: 0 });
+    const belowThreshold = planFindingIssues({ analysis, openIssues: [], threshold: 'critical', maxNew: 5 });
+
+    expect(nothingFiled.create).toHaveLength(0);
+    expect(nothingFiled.deferred).toBe(1);
+    expect(belowThreshold.create).toHaveLength(0);
+    expect(belowThreshold.deferred).toBe(0);
+  });
+
+  test('does not match pull requests that carry a fingerprint', () => {
+    const analysis = analyzeUsers(SOURCE, sqlInjection(4));
+    const openIssues = [filedIssue(firstFinding(analysis), { pull_request: { url: 'https://api.github.com/pulls/7' } })];
+
+    const plan = planFindingIssues({ analysis, openIssues, threshold: 'medium', maxNew: 5 });
+
+    expect(plan.create).toHaveLength(1);
+  });
+});
+
+describe('findResolvedIssues', () => {
+  const reported = analyzeUsers(SOURCE, sqlInjection(4));
+  const issue = filedIssue(firstFinding(reported));
+  const fixed = { ...emptyFileAnalysis, security_concerns: [], files_analyzed: ['src/users.js'] };
+
+  test('closes the issue of a finding its analyzed file no longer reports', () => {
+    expect(findResolvedIssues({ analysis: fixed, openIssues: [issue] })).toEqual([issue]);
+  });
+
+  test('keeps issues that are still reported', () => {
+    expect(findResolvedIssues({ analysis: reported, openIssues: [issue] })).toEqual([]);
+  });
+
+  test('leaves issues of files this run did not analyze alone', () => {
+    const otherFiles = { ...fixed, files_analyzed: ['src/orders.js'] };
+
+    expect(findResolvedIssues({ analysis: otherFiles, openIssues: [issue] })).toEqual([]);
+  });
+
+  test('closes static rule issues of files only the static pass re-checked', () => {
+    const staticIssue = filedIssue({
+      label: 'Security concern',
+      severity: 'high',
+      file: 'src/legacy.js',
+      line: 12,
+      description: 'eval() executes a string as code',
+      rule_id: 'SEC001',
+      fingerprint: '00000000000abc'
+    });
+    const aiIssue = filedIssue({ ...firstFinding(reported), file: 'src/legacy.js' }, { number: 8 });
+    const skippedByModel = { ...fixed, files_analyzed: [], static_files_analyzed: ['src/legacy.js'] };
+
+    expect(findResolvedIssues({ analysis: skippedByModel, openIssues: [staticIssue, aiIssue] })).toEqual([staticIssue]);
+  });
+
+  test('leaves issues of files carried over from a result without fingerprints open', () => {
+    // A scheduled run stored users.js with the finding, but without fingerprints to match it by
+    const serverResult = { ...emptyFileAnalysis, security_concerns: [sqlInjection(4)] };
+    const carriedOver = {
+      ...fixed,
+      security_concerns: [{ ...sqlInjection(4), file: 'src/users.js' }],
+      file_results: [{ path: 'src/users.js', analysis: serverResult }]
+    };
+
+    expect(findResolvedIssues({ analysis: carriedOver, openIssues: [issue] })).toEqual([]);
+  });
+
+  test('matches carried-over results once they are fingerprinted from the file content', () => {
+    const serverResult = { ...emptyFileAnalysis, security_concerns: [sqlInjection(4)] };
+    const stamped = fingerprintFileAnalysis(serverResult, 'src/users.js', SOURCE);
+    const carriedOver = {
+      ...reported,
+      file_results: [{ path: 'src/users.js', analysis: stamped }]
+    };
+    const fixedSince = { ...fixed, file_results: [{ path: 'src/users.js', analysis: emptyFileAnalysis }] };
+
+    expect(hasFingerprints(serverResult)).toBe(false);
+    expect(hasFingerprints(stamped)).toBe(true);
+    expect(findResolvedIssues({ analysis: carriedOver, openIssues: [issue] })).toEqual([]);
+    expect(findResolvedIssues({ analysis: fixedSince, openIssues: [issue] })).toEqual([issue]);
+  });
+
+  test('ignores issues without a finding marker', () => {
+    const manual = { number: 3, state: 'open', title: 'Docs', body: 'Please document src/users.js' };
+
+    expect(findResolvedIssues({ analysis: fixed, openIssues: [manual] })).toEqual([]);
+  });
+});
+
+describe('won\'t fix suppression', () => {
+  const analysis = analyzeUsers(SOURCE, sqlInjection(4));
+  const wontFix = filedIssue(firstFinding(analysis), { number: 9, state: 'closed', state_reason: WONT_FIX_REASON });
+
+  test('removes findings whose issue was closed as not planned', () => {
+    const suppressed = suppressWontFixFindings(analysis, findWontFixIssues([wontFix]));
+
+    expect(suppressed.security_concerns).toHaveLength(0);
+    expect(suppressed.suppressed_findings).toEqual([
+      expect.objectContaining({ section: 'security_concerns', file: 'src/users.js', issue_number: 9 })
+    ]);
+  });
+
+  test('keeps findings whose issue was closed as completed', () => {
+    const completed = { ...wontFix, state_reason: 'completed' };
+
+    expect(suppressWontFixFindings(analysis, findWontFixIssues([completed])).security_concerns).toHaveLength(1);
+  });
+
+  test('never closes an open issue of a suppressed finding', () => {
+    const suppressed = suppressWontFixFindings(analysis, findWontFixIssues([wontFix]));
+    const duplicate = filedIssue(firstFinding(analysis), { number: 12 });
+
+    expect(findResolvedIssues({ analysis: suppressed, openIssues: [duplicate] })).toEqual([]);
+  });
+});
+
+describe('buildResolutionComment', () => {
+  test('names the analyzed commit by its short sha without calling it the fix', () => {
+    const issue = filedIssue(firstFinding(analyzeUsers(SOURCE, sqlInjection(4))));
+    const comment = buildResolutionComment(issue, '0123456789abcdef0123456789abcdef01234567');
+
+    expect(comment).toMatch(/^No longer reported by the analysis of 0123456 in `src\/users.js`/);
+    expect(comment).not.toContain('0123456789abcdef');
+  });
+});
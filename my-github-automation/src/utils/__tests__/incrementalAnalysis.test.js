@@ -0,0 +1,72 @@
+import { COMPARE_FILE_LIMIT, changedPathsFromComparison, planIncrementalRun, toFileResult } from '../incrementalAnalysis';
+
+const MODEL = 'openai/gpt-4o-mini';
+
+const file = (path, sha) => ({ path, sha, size: 400 });
+
+// A stored analysis of three files at the previous commit
+const baseline = {
+  commit_sha: 'aaaaaaa',
+  file_results: [
+    toFileResult(file('src/app.js', 'a1'), { model: MODEL, analysis: { file_health_score: 80 } }),
+    toFileResult(file('src/api.js', 'b1'), { model: MODEL, analysis: { file_health_score: 60 } }),
+    toFileResult(file('src/db.js', 'c1'), { model: 'anthropic/claude-sonnet-4', analysis: { file_health_score: 70 } })
+  ]
+};
+
+describe('changedPathsFromComparison', () => {
+  test('lists added, modified and renamed files of a fast-forward', () => {
+    const comparison = {
+      status: 'ahead',
+      files: [
+        { filename: 'src/api.js', status: 'modified' },
+        { filename: 'src/new.js', status: 'added' },
+        { filename: 'src/renamed.js', status: 'renamed' },
+        { filename: 'src/gone.js', status: 'removed' }
+      ]
+    };
+
+    expect([...changedPathsFromComparison(comparison)]).toEqual(['src/api.js', 'src/new.js', 'src/renamed.js']);
+    expect(changedPathsFromComparison({ status: 'identical', files: [] }).size).toBe(0);
+  });
+
+  test('gives up when history diverged or the file list was cut off', () => {
+    const cutOff = Array.from({ length: COMPARE_FILE_LIMIT }, (_, index) => ({ filename: `f${index}.js`, status: 'modified' }));
+
+    expect(changedPathsFromComparison({ status: 'diverged', files: [] })).toBeNull();
+    expect(changedPathsFromComparison({ status: 'ahead', files: cutOff })).toBeNull();
+    expect(changedPathsFromComparison(null)).toBeNull();
+  });
+});
+
+describe('planIncrementalRun', () => {
+  const files = [file('src/app.js', 'a1'), file('src/api.js', 'b2'), file('src/db.js', 'c1'), file('src/new.js', 'd1')];
+
+  test('re-analyzes changed and new files and carries over the rest', () => {
+    const { reused, changed } = planIncrementalRun({
+      files,
+      baseline,
+      changedPaths: new Set(['src/api.js', 'src/new.js']),
+      model: MODEL
+    });
+
+    expect([...reused.keys()]).toEqual(['src/app.js']);
+    expect(reused.get('src/app.js').analysis).toEqual({ file_health_score: 80 });
+    // db.js is unchanged, but its stored result came from another model
+    expect(changed.map(item => item.path)).toEqual(['src/api.js', 'src/db.js', 'src/new.js']);
+  });
+
+  test('compares blob SHAs when there is no comparison', () => {
+    const { reused, changed } = planIncrementalRun({ files, baseline, model: MODEL });
+
+    expect([...reused.keys()]).toEqual(['src/app.js']);
+    expect(changed.map(item => item.path)).toEqual(['src/api.js', 'src/db.js', 'src/new.js']);
+  });
+
+  test('analyzes everything without a baseline', () => {
+    const { reused, changed } = planIncrementalRun({ files, baseline: null, model: MODEL });
+
+    expect(reused.size).toBe(0);
+    expect(changed).toEqual(files);
+  });
+});
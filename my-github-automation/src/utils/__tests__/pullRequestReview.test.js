@@ -0,0 +1,82 @@
+import { buildPullRequestReview, MAX_REVIEW_COMMENTS, REVIEW_EVENTS } from '../pullRequestReview';
+import { parsePatch, getDiffLines } from '../diffParser';
+
+// src/api.js gains lines 3-5; everything else in the file is outside the diff
+const PATCH = [
+  '@@ -1,3 +1,6 @@',
+  ' const express = require(\'express\');',
+  ' ',
+  '+const { exec } = require(\'child_process\');',
+  '+',
+  '+app.get(\'/run\', (req, res) => exec(req.query.cmd));',
+  ' module.exports = app;'
+].join('\n');
+
+const diffLines = new Map([['src/api.js', getDiffLines(parsePatch(PATCH)).commentable]]);
+
+const finding = (line, fields = {}) => ({
+  label: 'Security',
+  severity: 'medium',
+  file: 'src/api.js',
+  line,
+  description: `Finding on line ${line}`,
+  advice: '',
+  ...fields
+});
+
+const review = (findings, threshold = 'high') => buildPullRequestReview({
+  findings,
+  diffLines,
+  threshold,
+  filesReviewed: 1,
+  commitId: 'abc1234'
+});
+
+describe('buildPullRequestReview', () => {
+  test('comments inline on diff lines and lists the rest in the review body', () => {
+    const onDiff = finding(5, { description: 'Command injection through req.query.cmd' });
+    const unchangedLine = finding(40, { description: 'Unchanged handler swallows errors' });
+    const noLine = finding(0, { description: 'No rate limiting on the API' });
+    const otherFile = finding(3, { file: 'src/server.js', description: 'Port is hardcoded' });
+
+    const result = review([onDiff, unchangedLine, noLine, otherFile]);
+
+    expect(result.comments).toEqual([
+      expect.objectContaining({ path: 'src/api.js', line: 5, side: 'RIGHT' })
+    ]);
+    expect(result.outsideDiff).toEqual([unchangedLine, noLine, otherFile]);
+    expect(result.body).toContain('Findings not tied to a line of the diff:');
+    expect(result.body).toContain('`src/api.js:40`: Unchanged handler swallows errors');
+    expect(result.body).toContain('`src/api.js`: No rate limiting on the API');
+    expect(result.body).toContain('`src/server.js:3`: Port is hardcoded');
+    expect(result.body).not.toContain('Command injection');
+  });
+
+  test(`moves findings past ${MAX_REVIEW_COMMENTS} inline comments into the body`, () => {
+    const findings = Array.from({ length: MAX_REVIEW_COMMENTS + 2 }, (_, index) => (
+      finding(3 + (index % 3), { description: `Finding ${index + 1}` })
+    ));
+
+    const result = review(findings);
+
+    expect(result.comments).toHaveLength(MAX_REVIEW_COMMENTS);
+    expect(result.outsideDiff.map(item => item.description))
+      .toEqual([`Finding ${MAX_REVIEW_COMMENTS + 1}`, `Finding ${MAX_REVIEW_COMMENTS + 2}`]);
+    expect(result.body).toContain(`Finding ${MAX_REVIEW_COMMENTS + 2}`);
+  });
+
+  test('requests changes only when a finding reaches the threshold', () => {
+    const findings = [finding(5, { severity: 'high' }), finding(3, { severity: 'low' })];
+
+    expect(review(findings, 'high')).toMatchObject({ event: REVIEW_EVENTS.REQUEST_CHANGES, blocking: 1 });
+    expect(review(findings, 'critical')).toMatchObject({ event: REVIEW_EVENTS.COMMENT, blocking: 0 });
+    expect(review([finding(5, { severity: 'critical' })], 'critical').event).toBe(REVIEW_EVENTS.REQUEST_CHANGES);
+  });
+
+  test('posts a plain comment when nothing was found', () => {
+    const result = review([]);
+
+    expect(result).toMatchObject({ event: REVIEW_EVENTS.COMMENT, comments: [], outsideDiff: [], commitId: 'abc1234' });
+    expect(result.body).toBe('Automated review of the changes to 1 files found no problems.');
+  });
+});
@@ -0,0 +1,118 @@
+import { ReportGenerator, REPORT_FORMATS, buildReportBlocks, generateReport, reportDocsPath } from '../reportGenerator';
+
+// An incremental run of acme/notes as it is stored, with model text that is not safe to
+// paste into markdown or HTML as is
+const latestRun = {
+  repository: { owner: 'acme', repo: 'notes' },
+  commit_sha: '9e1b7c44a0d2f35b6c8e9a1f0d2c3b4a5e6f7081',
+  ref: 'main',
+  timestamp: '2026-10-14T08:30:00.000Z',
+  files_analyzed: ['src/render.js', 'src/store.js', 'src/search.js'],
+  incremental: { files_reused: 2, base_commit_sha: '41c0ffee5d3a2b1c0d9e8f7a6b5c4d3e2f1a0b9c' },
+  overall_health_score: 72,
+  architecture_analysis: 'Single-page app\n\nState lives in src/store.js',
+  bugs_detected: [
+    { severity: 'high', file: 'src/store.js', line: 31, description: 'Saves drop notes whose title contains a | character', solution: 'Escape | before splitting' }
+  ],
+  security_concerns: [
+    {
+      severity: 'critical',
+      cwe_id: 'CWE-79',
+      file: 'src/render.js',
+      line: 14,
+      column: 5,
+      rule_id: 'SEC003',
+      description: 'Note body is assigned to <div>.innerHTML',
+      mitigation: 'Use textContent'
+    }
+  ],
+  performance_issues: [],
+  improvements_suggested: [
+    { priority: 'low', effort: 'small', file: '', line: 0, description: 'Add a CONTRIBUTING guide' }
+  ],
+  feature_ideas: [],
+  documentation_gaps: [],
+  code_quality_metrics: { maintainability: 70, readability: 80, complexity: 35, duplication: 5 },
+  test_coverage_analysis: { estimated_coverage: '40%', test_quality: 'fair', missing_tests: ['src/search.js', 'src/store.js'] },
+  recommendations: { immediate_actions: ['Sanitize rendered notes'], short_term: [], long_term: [] }
+};
+
+const blockTitled = (title) => buildReportBlocks(latestRun).find(block => block.title === title);
+
+describe('buildReportBlocks', () => {
+  test('summarizes the run, including what an incremental run reused', () => {
+    expect(blockTitled('Summary').table.rows).toEqual(expect.arrayContaining([
+      ['Repository', 'acme/notes'],
+      ['Commit', '9e1b7c44a0d2f35b6c8e9a1f0d2c3b4a5e6f7081 (main)'],
+      ['Files analyzed', '3 (2 unchanged since 41c0ffe)'],
+      ['Overall health score', '72%'],
+      ['Security Concerns', 1],
+      ['Performance Issues', 0]
+    ]));
+  });
+
+  test('locates findings by file, line and column and names their static rule', () => {
+    const [row] = blockTitled('Security Concerns').table.rows;
+
+    expect(row).toEqual(['critical', 'CWE-79', 'src/render.js:14:5', 'Note body is assigned to <div>.innerHTML [SEC003]', 'Use textContent']);
+    expect(blockTitled('Suggested Improvements').table.rows[0][2]).toBe('');
+  });
+
+  test('states when a section or recommendation list is empty', () => {
+    expect(blockTitled('Performance Issues')).toEqual({ title: 'Performance Issues', empty: 'No performance issues found.' });
+    expect(blockTitled('Recommendations: Long Term')).toEqual({ title: 'Recommendations: Long Term', empty: 'None.' });
+    expect(blockTitled('Static Analysis').empty).toBe('No static analysis available.');
+  });
+});
+
+describe('ReportGenerator', () => {
+  test('markdown keeps table rows intact and escapes HTML from findings', () => {
+    const markdown = ReportGenerator.generateMarkdownReport(latestRun);
+
+    expect(markdown).toMatch(/^# Code Analysis Report: acme\/notes\n/);
+    expect(markdown).toContain('| high | `src/store.js:31` | Saves drop notes whose title contains a \\| character | Escape \\| before splitting |');
+    expect(markdown).toContain('Note body is assigned to &lt;div&gt;.innerHTML [SEC003]');
+    expect(markdown).not.toContain('<div>');
+    expect(markdown).toContain('- Single-page app\n- State lives in src/store.js');
+    expect(markdown).toContain('| Missing tests | src/search.js, src/store.js |');
+  });
+
+  test('HTML escapes findings and shows missing values as a dash', () => {
+    const html = ReportGenerator.generateHTMLReport(latestRun);
+
+    expect(html).toContain('<title>Code Analysis Report: acme/notes</title>');
+    expect(html).toContain('<td>Note body is assigned to &lt;div&gt;.innerHTML [SEC003]</td>');
+    expect(html).toContain('<td><code>src/render.js:14:5</code></td>');
+    expect(html).toContain('<td>—</td>');
+    expect(html).not.toContain('<div>');
+  });
+
+  test('JSON and SARIF reports parse back', () => {
+    expect(JSON.parse(ReportGenerator.generateJSONReport(latestRun))).toEqual(latestRun);
+    expect(JSON.parse(ReportGenerator.generateSARIFReport(latestRun))).toMatchObject({ version: '2.1.0' });
+  });
+});
+
+describe('generateReport', () => {
+  test.each(Object.keys(REPORT_FORMATS))('exports %s named after the analyzed commit', (format) => {
+    const { extension, mimeType } = REPORT_FORMATS[format];
+
+    expect(generateReport(latestRun, format)).toEqual({
+      content: REPORT_FORMATS[format].generate(latestRun),
+      filename: `notes-analysis-9e1b7c4.${extension}`,
+      docsPath: reportDocsPath(format),
+      mimeType
+    });
+    expect(reportDocsPath(format)).toBe(`docs/analysis-report.${extension}`);
+  });
+
+  test('names a report without a commit after the repository only', () => {
+    const { commit_sha: _, ...uncommitted } = latestRun;
+
+    expect(generateReport(uncommitted, 'markdown').filename).toBe('notes-analysis.md');
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => generateReport(latestRun, 'pdf')).toThrow('Unknown report format: pdf');
+  });
+});
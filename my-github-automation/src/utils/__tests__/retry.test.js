@@ -0,0 +1,48 @@
+import { retry, sleep } from '../retry';
+
+const failing = () => {
+  const error = new Error('Service unavailable');
+  error.response = { status: 503 };
+  return Promise.reject(error);
+};
+
+describe('sleep', () => {
+  test('rejects with the abort reason when the signal aborts', async () => {
+    const controller = new AbortController();
+    const waiting = sleep(60 * 1000, controller.signal);
+    controller.abort();
+
+    await expect(waiting).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('rejects right away when the signal already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(sleep(60 * 1000, controller.signal)).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('retry', () => {
+  test('stops waiting for the next attempt once cancelled', async () => {
+    const controller = new AbortController();
+    const attempt = jest.fn(failing);
+    const started = Date.now();
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(retry(attempt, {
+      getRetryDelay: () => 60 * 1000,
+      onRetry: null,
+      signal: controller.signal
+    })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(attempt).toHaveBeenCalledTimes(1);
+    expect(Date.now() - started).toBeLessThan(5000);
+  });
+
+  test('does not retry errors the condition rejects', async () => {
+    const attempt = jest.fn(failing);
+
+    await expect(retry(attempt, { retryCondition: () => false })).rejects.toThrow('Service unavailable');
+    expect(attempt).toHaveBeenCalledTimes(1);
+  });
+});
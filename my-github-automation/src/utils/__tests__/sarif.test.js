@@ -0,0 +1,116 @@
+import { buildSarifLog, SARIF_SCHEMA, SARIF_VERSION } from '../sarif';
+
+const SARIF_LEVELS = ['none', 'note', 'warning', 'error'];
+
+// A stored analysis of octo-org/shop at one commit: a static finding with a column, an AI
+// finding without a line, and a finding without a file
+const storedAnalysis = {
+  repository: { owner: 'octo-org', repo: 'shop' },
+  commit_sha: '5c2f0e1d9a8b7c6d5e4f3a2b1c0d9e8f7a6b5c4d',
+  ref: 'main',
+  security_concerns: [
+    {
+      description: 'eval() executes arbitrary strings as code',
+      severity: 'critical',
+      cwe_id: 'CWE-95',
+      file: 'src/checkout/price.js',
+      line: 12,
+      column: 9,
+      source: 'static',
+      rule_id: 'SEC001',
+      fingerprint: '0f3a9c2e71b4d8',
+      mitigation: 'Remove eval()'
+    },
+    {
+      description: 'Order totals are trusted from the client',
+      severity: 'high',
+      cwe_id: 'CWE-602',
+      file: 'src/checkout/order.js',
+      line: 0,
+      fingerprint: '1b7e44d09ac3f5',
+      mitigation: 'Recompute totals on the server'
+    }
+  ],
+  bugs_detected: [
+    { description: 'Dependency versions are not pinned', severity: 'low', file: '', line: 0, solution: 'Commit a lockfile' }
+  ],
+  performance_issues: [
+    { description: 'Cart is re-sorted on every render', impact: 'medium', file: 'src/cart/Cart.jsx', line: 48, fingerprint: '2c81f0aa5e6d19', optimization: 'Memoize the sorted cart' }
+  ],
+  improvements_suggested: []
+};
+
+const resultFor = (log, uri) => log.runs[0].results.find(result => (
+  result.locations[0].physicalLocation.artifactLocation.uri === uri
+));
+
+describe('buildSarifLog', () => {
+  const log = buildSarifLog(storedAnalysis);
+  const [run] = log.runs;
+
+  test('is a SARIF 2.1.0 log with one run of the tool and its rules', () => {
+    expect(log.$schema).toBe(SARIF_SCHEMA);
+    expect(log.version).toBe('2.1.0');
+    expect(SARIF_VERSION).toBe('2.1.0');
+    expect(log.runs).toHaveLength(1);
+    expect(typeof run.tool.driver.name).toBe('string');
+    expect(run.versionControlProvenance).toEqual([{
+      repositoryUri: 'https://github.com/octo-org/shop',
+      revisionId: storedAnalysis.commit_sha,
+      branch: 'main'
+    }]);
+
+    for (const rule of run.tool.driver.rules) {
+      expect(rule.id).toEqual(expect.any(String));
+      expect(rule.shortDescription.text).toEqual(expect.any(String));
+      expect(SARIF_LEVELS).toContain(rule.defaultConfiguration.level);
+    }
+  });
+
+  test('gives every result a message, a level and a ruleId that indexes its rule', () => {
+    expect(run.results).toHaveLength(3);
+
+    for (const result of run.results) {
+      expect(result.ruleId).toEqual(expect.any(String));
+      expect(run.tool.driver.rules[result.ruleIndex].id).toBe(result.ruleId);
+      expect(result.message.text).toEqual(expect.any(String));
+      expect(SARIF_LEVELS).toContain(result.level);
+      expect(result.locations[0].physicalLocation.artifactLocation).toMatchObject({ uriBaseId: '%SRCROOT%' });
+    }
+  });
+
+  test('carries each finding fingerprint as a partial fingerprint', () => {
+    expect(run.results.map(result => result.partialFingerprints)).toEqual([
+      { 'findingFingerprint/v1': '0f3a9c2e71b4d8' },
+      { 'findingFingerprint/v1': '1b7e44d09ac3f5' },
+      { 'findingFingerprint/v1': '2c81f0aa5e6d19' }
+    ]);
+  });
+
+  test('never emits a region with a start line below 1', () => {
+    const unlocated = resultFor(log, 'src/checkout/order.js');
+
+    const startLines = run.results
+      .map(result => result.locations[0].physicalLocation.region?.startLine)
+      .filter(startLine => startLine !== undefined);
+
+    expect(unlocated.locations[0].physicalLocation).not.toHaveProperty('region');
+    expect(startLines).toEqual([12, 48]);
+    expect(Math.min(...startLines)).toBeGreaterThanOrEqual(1);
+  });
+
+  test('keeps static rules and columns, and groups AI security findings by CWE', () => {
+    const staticResult = resultFor(log, 'src/checkout/price.js');
+
+    expect(staticResult.ruleId).toBe('SEC001');
+    expect(staticResult.locations[0].physicalLocation.region).toEqual({ startLine: 12, startColumn: 9 });
+    expect(resultFor(log, 'src/checkout/order.js').ruleId).toBe('AI-SEC/CWE-602');
+    expect(resultFor(log, 'src/cart/Cart.jsx').ruleId).toBe('AI-PERF');
+  });
+
+  test('leaves out findings without a file', () => {
+    expect(run.results.map(result => result.message.text)).not.toContainEqual(
+      expect.stringContaining('Dependency versions are not pinned')
+    );
+  });
+});
@@ -0,0 +1,79 @@
+import { analyzeSource } from '../staticAnalyzer';
+
+const rulesOf = (content, path = 'src/jobs.js') => analyzeSource(path, content).findings.map(finding => finding.rule_id);
+
+describe('loop rules', () => {
+  test('report await, RegExp and DOM queries in the loop body', () => {
+    const source = [
+      'async function sync(items, words) {',
+      '  for (const item of items) {',
+      '    await save(item);',
+      '  }',
+      '  while (words.length) {',
+      '    const pattern = new RegExp(words.pop());',
+      "    document.querySelector('#status').textContent = pattern.source;",
+      '  }',
+      '}'
+    ].join('\n');
+
+    expect(rulesOf(source)).toEqual(['PERF001', 'PERF002', 'PERF003']);
+  });
+
+  test('leave the loop head alone', () => {
+    const source = [
+      'async function sync() {',
+      '  for (const item of await load()) {',
+      '    process(item);',
+      '  }',
+      "  for (let pattern = new RegExp('^a'), i = 0; i < 3; i++) {",
+      '    process(pattern);',
+      '  }',
+      "  for (const key in document.querySelector('#form').dataset) {",
+      '    process(key);',
+      '  }',
+      '}'
+    ].join('\n');
+
+    expect(rulesOf(source)).toEqual([]);
+  });
+
+  test('report the head of an inner loop that is itself in a loop body', () => {
+    const source = [
+      'async function sync(groups) {',
+      '  for (const group of groups) {',
+      '    for (const item of await load(group)) {',
+      '      process(item);',
+      '    }',
+      '  }',
+      '}'
+    ].join('\n');
+
+    expect(analyzeSource('src/jobs.js', source).findings).toEqual([
+      expect.objectContaining({ rule_id: 'PERF001', line: 3 })
+    ]);
+  });
+
+  test('stop at a function boundary inside the loop', () => {
+    const source = [
+      'async function sync(items) {',
+      '  for (const item of items) {',
+      '    queue.push(async () => { await save(item); });',
+      '  }',
+      '}'
+    ].join('\n');
+
+    expect(rulesOf(source)).toEqual([]);
+  });
+
+  test('allow await in a for await loop', () => {
+    const source = [
+      'async function drain(stream) {',
+      '  for await (const chunk of stream) {',
+      '    await write(chunk);',
+      '  }',
+      '}'
+    ].join('\n');
+
+    expect(rulesOf(source)).toEqual([]);
+  });
+});
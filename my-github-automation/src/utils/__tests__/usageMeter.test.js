@@ -0,0 +1,81 @@
+import { BudgetExceededError, createUsageMeter, estimateCost, formatCost, summarizeUsage } from '../usageMeter';
+
+// 250k prompt and 50k completion tokens on gpt-4.1 ($2 / $8 per million) cost $0.90
+const call = { provider: 'openai', model: 'gpt-4.1', usage: { prompt_tokens: 250000, completion_tokens: 50000 }, purpose: 'file_analysis' };
+
+describe('estimateCost', () => {
+  test('prices prompt and completion tokens per million', () => {
+    expect(estimateCost(call.usage, { pricing: { input: 2, output: 8 } })).toBeCloseTo(0.9);
+    expect(estimateCost(null, { pricing: { input: 2, output: 8 } })).toBe(0);
+  });
+});
+
+describe('createUsageMeter', () => {
+  test('totals calls per run and per model', () => {
+    const meter = createUsageMeter();
+
+    meter.record(call);
+    meter.record({ ...call, model: 'gpt-4o-mini', usage: { prompt_tokens: 1000, completion_tokens: 500 } });
+
+    const summary = meter.summary();
+    expect(summary).toMatchObject({ calls: 2, prompt_tokens: 251000, completion_tokens: 50500, total_tokens: 301500, budget: 0 });
+    expect(summary.cost).toBeCloseTo(0.90045);
+    expect(Object.keys(summary.by_model)).toEqual(['openai/gpt-4.1', 'openai/gpt-4o-mini']);
+  });
+
+  test('refuses the next call once the spend reaches the budget', () => {
+    const meter = createUsageMeter({ budget: 1.5 });
+
+    meter.checkBudget();
+    meter.record(call);
+    meter.checkBudget();
+    meter.record(call);
+
+    expect(() => meter.checkBudget()).toThrow(BudgetExceededError);
+    expect(() => meter.checkBudget()).toThrow('AI budget of $1.50 for this run is used up');
+  });
+
+  test('never stops a run without a budget', () => {
+    const meter = createUsageMeter({ budget: 0 });
+    for (let index = 0; index < 20; index++) meter.record(call);
+
+    expect(() => meter.checkBudget()).not.toThrow();
+  });
+
+  test('stops every item of a bulk run once the shared budget is used up', () => {
+    const bulk = createUsageMeter({ budget: 1 });
+    const first = createUsageMeter({ parent: bulk });
+    const second = createUsageMeter({ parent: bulk });
+
+    first.record(call);
+    second.record(call);
+
+    expect(() => first.checkBudget()).toThrow(BudgetExceededError);
+    expect(second.summary().calls).toBe(1);
+    expect(bulk.summary().calls).toBe(2);
+  });
+});
+
+describe('summarizeUsage', () => {
+  test('rolls up stored usage overall and per repository', () => {
+    const entries = [
+      { repo: 'acme/app', metadata: { ai_usage: { calls: 3, prompt_tokens: 300, completion_tokens: 30, cost: 0.2 } } },
+      { repo: 'acme/app', metadata: { ai_usage: { calls: 1, prompt_tokens: 100, completion_tokens: 10, cost: 0.1 } } },
+      { repo: 'acme/api', metadata: {} }
+    ];
+
+    const { total, byRepository } = summarizeUsage(entries);
+
+    expect(total).toMatchObject({ calls: 4, total_tokens: 440 });
+    expect(byRepository['acme/app'].cost).toBeCloseTo(0.3);
+    expect(byRepository['acme/api']).toBeUndefined();
+  });
+});
+
+describe('formatCost', () => {
+  test('shows fractions of a cent with four decimals', () => {
+    expect(formatCost(0.0042)).toBe('$0.0042');
+    expect(formatCost(1.5)).toBe('$1.50');
+    expect(formatCost(0)).toBe('$0.00');
+  });
+});
@@ -0,0 +1,68 @@
+// src/utils/aiClient.js
+/**
+ * Chat completion client for the backend AI proxy.
+ *
+ * Provider API keys stay on the server (see llmProviders); the browser authenticates to the proxy with the
+ * user's GitHub token, which the proxy also uses to apply per-user quotas. The client
+ * mirrors the openai SDK's chat.completions.create so call sites read the same.
+ */
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:8000';
+
+export class AIProxyError extends Error {
+  constructor(message, { status, type, retryAfter } = {}) {
+    super(message);
+    this.name = 'AIProxyError';
+    this.status = status;
+    this.type = type;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * POST to the proxy and unwrap its error envelope
+ */
+const proxyRequest = async (path, githubToken, { method = 'GET', body, signal } = {}) => {
+  const response = await fetch(`${API_BASE}/api/ai${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GitHub-Token': githubToken
+    },
+    body: body && JSON.stringify(body),
+    signal
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const retryAfter = response.headers.get('Retry-After');
+    throw new AIProxyError(data.error?.message || `AI proxy request failed with status ${response.status}`, {
+      status: response.status,
+      type: data.error?.type,
+      retryAfter: retryAfter ? Number(retryAfter) : undefined
+    });
+  }
+  return data;
+};
+
+/**
+ * Create a client bound to a GitHub token
+ */
+export const createAIClient = ({ githubToken }) => {
+  if (!githubToken) throw new Error('A GitHub token is required to use the AI proxy');
+
+  return {
+    chat: {
+      completions: {
+        create: (params, { signal } = {}) => proxyRequest('/chat/completions', githubToken, {
+          method: 'POST',
+          body: params,
+          signal
+        })
+      }
+    },
+
+    // Today's usage and the limits that apply to this user
+    getUsage: () => proxyRequest('/usage', githubToken)
+  };
+};
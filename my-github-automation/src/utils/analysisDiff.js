@@ -0,0 +1,147 @@
+// src/utils/analysisDiff.js
+/**
+ * Comparison of two stored analyses of a repository.
+ *
+ * Findings are matched per section and file. Line numbers move and the model words the
+ * same problem differently from run to run, so a finding matches, in order of preference:
+ * one with the same description (ignoring case, numbers and punctuation), one from the
+ * same rule or CWE nearest to its line, or one whose description shares most of its words.
+ * Unmatched findings of the newer analysis are new; unmatched ones of the older are resolved.
+ */
+
+export const COMPARED_SECTIONS = [
+  { key: 'bugs_detected', label: 'Bugs' },
+  { key: 'security_concerns', label: 'Security concerns' },
+  { key: 'performance_issues', label: 'Performance issues' },
+  { key: 'improvements_suggested', label: 'Improvements' },
+  { key: 'documentation_gaps', label: 'Documentation gaps' }
+];
+
+// Quality metrics compared, and which way is better
+export const COMPARED_METRICS = [
+  { key: 'maintainability', label: 'Maintainability', higherIsBetter: true },
+  { key: 'readability', label: 'Readability', higherIsBetter: true },
+  { key: 'complexity', label: 'Complexity', higherIsBetter: false },
+  { key: 'duplication', label: 'Duplication', higherIsBetter: false }
+];
+
+// Share of words two descriptions must have in common to describe the same finding
+export const SIMILARITY_THRESHOLD = 0.6;
+
+/**
+ * Description reduced to what identifies the problem: lowercase words without numbers or punctuation
+ */
+export const normalizeDescription = (description = '') => String(description)
+  .toLowerCase()
+  .replace(/\d+/g, ' ')
+  .replace(/[^a-z]+/g, ' ')
+  .trim();
+
+const wordSet = (description) => new Set(normalizeDescription(description).split(' ').filter(word => word.length > 2));
+
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / (a.size + b.size - shared);
+};
+
+const ruleOf = (finding) => finding.rule_id || finding.cwe_id || null;
+
+// The severity of a finding in whichever field its section uses
+export const findingSeverity = (finding) => finding.severity || finding.impact || finding.priority || 'low';
+
+/**
+ * Match the findings of one section: { added, resolved, unchanged: [{ before, after }] }
+ */
+export const matchFindings = (beforeFindings = [], afterFindings = []) => {
+  const before = beforeFindings.map(finding => ({ finding, text: normalizeDescription(finding.description), words: wordSet(finding.description) }));
+  const after = afterFindings.map(finding => ({ finding, text: normalizeDescription(finding.description), words: wordSet(finding.description) }));
+  const matchedBefore = new Set();
+  const matched = new Map();
+
+  const candidates = (item) => before.filter(other => !matchedBefore.has(other) && (other.finding.file || '') === (item.finding.file || ''));
+  const pair = (item, other) => {
+    matchedBefore.add(other);
+    matched.set(item, other);
+  };
+
+  const passes = [
+    (item, pool) => pool.find(other => other.text === item.text),
+    (item, pool) => {
+      const rule = ruleOf(item.finding);
+      if (!rule) return undefined;
+      const sameRule = pool.filter(other => ruleOf(other.finding) === rule);
+      const distance = (other) => Math.abs((other.finding.line || 0) - (item.finding.line || 0));
+      return sameRule.sort((a, b) => distance(a) - distance(b))[0];
+    },
+    (item, pool) => {
+      const scored = pool
+        .map(other => ({ other, score: similarity(item.words, other.words) }))
+        .filter(({ score }) => score >= SIMILARITY_THRESHOLD)
+        .sort((a, b) => b.score - a.score);
+      return scored[0]?.other;
+    }
+  ];
+
+  for (const pass of passes) {
+    for (const item of after) {
+      if (matched.has(item)) continue;
+      const other = pass(item, candidates(item));
+      if (other) pair(item, other);
+    }
+  }
+
+  return {
+    added: after.filter(item => !matched.has(item)).map(item => item.finding),
+    resolved: before.filter(item => !matchedBefore.has(item)).map(item => item.finding),
+    unchanged: after.filter(item => matched.has(item)).map(item => ({ before: matched.get(item).finding, after: item.finding }))
+  };
+};
+
+// { before, after, delta, improved }; improved is null when either value is missing or nothing changed
+const compareValues = (before, after, higherIsBetter) => {
+  const delta = typeof before === 'number' && typeof after === 'number' ? after - before : null;
+  return {
+    before: before ?? null,
+    after: after ?? null,
+    delta,
+    improved: delta === null || delta === 0 ? null : (delta > 0) === higherIsBetter
+  };
+};
+
+const describeAnalysis = (analysis) => ({
+  id: analysis.id,
+  created_at: analysis.created_at || analysis.timestamp,
+  commit_sha: analysis.commit_sha || null,
+  analysis_type: analysis.analysis_type
+});
+
+/**
+ * Compare two analyses of the same repository, before being the older:
+ * { before, after, health, metrics, sections, totals }
+ */
+export const diffAnalyses = (before, after) => {
+  const sections = COMPARED_SECTIONS.map(section => ({
+    ...section,
+    ...matchFindings(before[section.key], after[section.key])
+  }));
+
+  const beforeMetrics = before.code_quality_metrics || {};
+  const afterMetrics = after.code_quality_metrics || {};
+
+  return {
+    before: describeAnalysis(before),
+    after: describeAnalysis(after),
+    health: compareValues(before.overall_health_score, after.overall_health_score, true),
+    metrics: COMPARED_METRICS.map(metric => ({
+      ...metric,
+      ...compareValues(beforeMetrics[metric.key], afterMetrics[metric.key], metric.higherIsBetter)
+    })),
+    sections,
+    totals: {
+      added: sections.reduce((sum, section) => sum + section.added.length, 0),
+      resolved: sections.reduce((sum, section) => sum + section.resolved.length, 0),
+      unchanged: sections.reduce((sum, section) => sum + section.unchanged.length, 0)
+    }
+  };
+};
@@ -0,0 +1,149 @@
+// src/utils/analysisJob.js
+/**
+ * Analysis runs as jobs: named steps with progress counts, cancellation through an
+ * AbortController whose signal is passed to every GitHub and AI request, and checkpoints
+ * so an interrupted run picks up where it stopped.
+ *
+ * A checkpoint is kept per repository until the run completes. It holds the fetched tree,
+ * the file contents loaded so far and the files the model has already reviewed.
+ */
+
+import { createPersistentBackend, MemoryStorageBackend } from './cacheStorage';
+
+export const JOB_STEPS = [
+  { id: 'fetch_tree', label: 'Fetch tree' },
+  { id: 'fetch_blobs', label: 'Fetch file contents' },
+  { id: 'static_analysis', label: 'Static analysis' },
+  { id: 'ai_review', label: 'AI review' },
+  { id: 'persist', label: 'Save results' }
+];
+
+// Checkpoints older than this are ignored; the branch has likely moved on
+const CHECKPOINT_TTL = 24 * 60 * 60 * 1000;
+
+export class AnalysisCancelledError extends Error {
+  constructor(message = 'Analysis was cancelled') {
+    super(message);
+    this.name = 'AnalysisCancelledError';
+  }
+}
+
+// Aborted fetches surface as AbortError; checks between steps throw AnalysisCancelledError
+export const isCancellation = (error) => error?.name === 'AbortError' || error instanceof AnalysisCancelledError;
+
+/**
+ * Create a job for one analysis run. onChange receives a new state object on every update.
+ */
+export const createAnalysisJob = ({ repo, resumed = false, onChange = () => {} }) => {
+  const controller = new AbortController();
+  let state = {
+    id: `analysis-${Date.now()}`,
+    repo,
+    resumed,
+    status: 'running',
+    error: null,
+    startedAt: new Date().toISOString(),
+    steps: JOB_STEPS.map(step => ({ ...step, status: 'pending', completed: 0, total: null, detail: null }))
+  };
+
+  const update = (changes) => {
+    state = { ...state, ...changes };
+    onChange(state);
+  };
+
+  const updateStep = (stepId, changes) => update({
+    steps: state.steps.map(step => (step.id === stepId ? { ...step, ...changes } : step))
+  });
+
+  return {
+    signal: controller.signal,
+
+    getState: () => state,
+
+    startStep: (stepId, { total = null, completed = 0 } = {}) => {
+      if (controller.signal.aborted) throw new AnalysisCancelledError();
+      updateStep(stepId, { status: 'running', total, completed });
+    },
+
+    progress: (stepId, completed, detail = null) => updateStep(stepId, { completed, detail }),
+
+    // skipped marks work restored from a checkpoint
+    completeStep: (stepId, { skipped = false } = {}) => {
+      const step = state.steps.find(s => s.id === stepId);
+      updateStep(stepId, {
+        status: skipped ? 'skipped' : 'done',
+        completed: step.total ?? step.completed,
+        detail: null
+      });
+    },
+
+    throwIfCancelled: () => {
+      if (controller.signal.aborted) throw new AnalysisCancelledError();
+    },
+
+    cancel: () => controller.abort(),
+
+    // Close the job; the step that was running takes the final status
+    finish: (status, error = null) => update({
+      status,
+      error: error?.message || null,
+      finishedAt: new Date().toISOString(),
+      steps: state.steps.map(step => (step.status === 'running' ? { ...step, status, detail: null } : step))
+    })
+  };
+};
+
+const checkpointStore = createPersistentBackend('analysis-checkpoints') || new MemoryStorageBackend();
+
+// File contents are stored apart from progress so saving progress stays cheap
+const contentsKey = (repo) => `${repo}:contents`;
+
+/**
+ * Load the checkpoint of an interrupted run: { repo, repoMeta, structure, aiModel,
+ * fileAnalyses, analysisErrors, contents, updatedAt } or null
+ */
+export const loadCheckpoint = async (repo) => {
+  try {
+    const checkpoint = await checkpointStore.get(repo);
+    if (!checkpoint || Date.now() - checkpoint.updatedAt > CHECKPOINT_TTL) return null;
+
+    const contents = await checkpointStore.get(contentsKey(repo));
+    return { ...checkpoint, contents: contents || {} };
+  } catch (error) {
+    console.warn(`Failed to load analysis checkpoint for ${repo}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Save run progress; pass contents only when new file contents were loaded
+ */
+export const saveCheckpoint = async (repo, { contents, ...progress }) => {
+  try {
+    if (contents) await checkpointStore.set(contentsKey(repo), contents);
+    await checkpointStore.set(repo, { ...progress, repo, updatedAt: Date.now() });
+  } catch (error) {
+    console.warn(`Failed to save analysis checkpoint for ${repo}:`, error);
+  }
+};
+
+export const clearCheckpoint = async (repo) => {
+  try {
+    await checkpointStore.delete(repo);
+    await checkpointStore.delete(contentsKey(repo));
+  } catch (error) {
+    console.warn(`Failed to clear analysis checkpoint for ${repo}:`, error);
+  }
+};
+
+/**
+ * What a checkpoint holds, for offering a resume in the UI
+ */
+export const describeCheckpoint = (checkpoint) => checkpoint && {
+  repo: checkpoint.repo,
+  commitSha: checkpoint.structure?.commitSha,
+  totalFiles: checkpoint.structure?.files.length || 0,
+  filesLoaded: Object.keys(checkpoint.contents || {}).length,
+  filesReviewed: checkpoint.fileAnalyses?.length || 0,
+  updatedAt: checkpoint.updatedAt
+};
@@ -0,0 +1,307 @@
+// src/utils/analysisSchema.js
+/**
+ * JSON schema for per-file AI analysis, response validation, and merging of chunk
+ * results into file results and of file results into the repository-level shape
+ * rendered by AnalysisSection
+ */
+
+import { toAnalysisSections } from './staticAnalyzer';
+
+export const SEVERITY_LEVELS = ['critical', 'high', 'medium', 'low'];
+const EFFORT_LEVELS = ['low', 'medium', 'high'];
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+const score = { type: 'integer', minimum: 0, maximum: 100 };
+
+const objectSchema = (properties) => ({
+  type: 'object',
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false
+});
+
+const listOf = (properties) => ({ type: 'array', items: objectSchema(properties) });
+
+/**
+ * Strict schema sent as response_format; every property is required so the
+ * model cannot silently drop sections
+ */
+export const FILE_ANALYSIS_SCHEMA = objectSchema({
+  file_health_score: score,
+  architecture_notes: { type: 'string' },
+  bugs_detected: listOf({
+    description: { type: 'string' },
+    severity: { type: 'string', enum: SEVERITY_LEVELS },
+    line: { type: 'integer' },
+    solution: { type: 'string' }
+  }),
+  improvements_suggested: listOf({
+    description: { type: 'string' },
+    priority: { type: 'string', enum: SEVERITY_LEVELS },
+    effort: { type: 'string', enum: EFFORT_LEVELS },
+    line: { type: 'integer' }
+  }),
+  feature_ideas: listOf({
+    name: { type: 'string' },
+    description: { type: 'string' },
+    complexity: { type: 'string', enum: EFFORT_LEVELS },
+    priority: { type: 'string', enum: SEVERITY_LEVELS }
+  }),
+  security_concerns: listOf({
+    description: { type: 'string' },
+    severity: { type: 'string', enum: SEVERITY_LEVELS },
+    cwe_id: { type: 'string' },
+    line: { type: 'integer' },
+    mitigation: { type: 'string' }
+  }),
+  performance_issues: listOf({
+    description: { type: 'string' },
+    impact: { type: 'string', enum: EFFORT_LEVELS },
+    line: { type: 'integer' },
+    optimization: { type: 'string' }
+  }),
+  documentation_gaps: listOf({
+    description: { type: 'string' },
+    priority: { type: 'string', enum: SEVERITY_LEVELS }
+  }),
+  test_coverage: objectSchema({
+    has_tests: { type: 'boolean' },
+    missing_tests: stringArray,
+    test_quality: { type: 'string' }
+  }),
+  code_quality_metrics: objectSchema({
+    maintainability: score,
+    readability: score,
+    complexity: score,
+    duplication: score
+  }),
+  recommendations: objectSchema({
+    immediate_actions: stringArray,
+    short_term: stringArray,
+    long_term: stringArray
+  })
+});
+
+export const FILE_ANALYSIS_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'file_analysis',
+    strict: true,
+    schema: FILE_ANALYSIS_SCHEMA
+  }
+};
+
+/**
+ * Sections of the repository analysis that hold lists of findings
+ */
+export const FINDING_SECTIONS = [
+  'bugs_detected',
+  'improvements_suggested',
+  'feature_ideas',
+  'security_concerns',
+  'performance_issues',
+  'documentation_gaps'
+];
+
+/**
+ * Validate a value against the subset of JSON schema used above
+ */
+const validateNode = (value, schema, path, errors) => {
+  switch (schema.type) {
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      for (const key of schema.required) {
+        if (!(key in value)) {
+          errors.push(`${path}.${key} is required`);
+        } else {
+          validateNode(value[key], schema.properties[key], `${path}.${key}`, errors);
+        }
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`);
+        return;
+      }
+      value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        errors.push(`${path} must be an integer`);
+      } else if ((schema.minimum !== undefined && value < schema.minimum) ||
+                 (schema.maximum !== undefined && value > schema.maximum)) {
+        errors.push(`${path} is out of range`);
+      }
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${path} must be a string`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${path} must be a boolean`);
+      break;
+    default:
+      errors.push(`${path} has unsupported schema type ${schema.type}`);
+  }
+};
+
+/**
+ * Validate a parsed model response; throws listing the first few violations
+ */
+export const validateFileAnalysis = (analysis) => {
+  const errors = [];
+  validateNode(analysis, FILE_ANALYSIS_SCHEMA, 'analysis', errors);
+
+  if (errors.length > 0) {
+    throw new Error(`AI analysis failed validation: ${errors.slice(0, 5).join('; ')}`);
+  }
+
+  return analysis;
+};
+
+const severityRank = (item) => {
+  const rank = SEVERITY_LEVELS.indexOf(item.severity || item.priority);
+  return rank === -1 ? SEVERITY_LEVELS.length : rank;
+};
+
+const dedupeStrings = (strings) => {
+  const seen = new Set();
+  return strings.filter(text => {
+    const key = text.trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const weightedAverage = (entries, pick) => {
+  const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  if (totalWeight === 0) return null;
+  return Math.round(entries.reduce((sum, entry) => sum + pick(entry.analysis) * entry.weight, 0) / totalWeight);
+};
+
+const findingKey = (item) => `${item.line ?? ''}:${(item.description || item.name || '').trim().toLowerCase()}`;
+
+/**
+ * Merge validated analyses of one file's chunks into a single file analysis.
+ * chunkAnalyses: [{ analysis, weight }] with line numbers already mapped to the file;
+ * findings reported twice (for example on the header every chunk repeats) are kept once
+ */
+export const mergeChunkAnalyses = (chunkAnalyses) => {
+  if (chunkAnalyses.length === 1) return chunkAnalyses[0].analysis;
+
+  const merged = {};
+  for (const section of FINDING_SECTIONS) {
+    const seen = new Set();
+    merged[section] = chunkAnalyses
+      .flatMap(({ analysis }) => analysis[section])
+      .filter(item => {
+        const key = findingKey(item);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  const analyses = chunkAnalyses.map(({ analysis }) => analysis);
+  const qualities = analyses.map(analysis => analysis.test_coverage.test_quality).filter(quality => quality.trim());
+
+  return {
+    file_health_score: weightedAverage(chunkAnalyses, analysis => analysis.file_health_score),
+    architecture_notes: dedupeStrings(analyses.map(analysis => analysis.architecture_notes)).join(' '),
+    ...merged,
+    test_coverage: {
+      has_tests: analyses.some(analysis => analysis.test_coverage.has_tests),
+      missing_tests: dedupeStrings(analyses.flatMap(analysis => analysis.test_coverage.missing_tests)),
+      test_quality: qualities[0] || ''
+    },
+    code_quality_metrics: {
+      maintainability: weightedAverage(chunkAnalyses, analysis => analysis.code_quality_metrics.maintainability),
+      readability: weightedAverage(chunkAnalyses, analysis => analysis.code_quality_metrics.readability),
+      complexity: weightedAverage(chunkAnalyses, analysis => analysis.code_quality_metrics.complexity),
+      duplication: weightedAverage(chunkAnalyses, analysis => analysis.code_quality_metrics.duplication)
+    },
+    recommendations: {
+      immediate_actions: dedupeStrings(analyses.flatMap(analysis => analysis.recommendations.immediate_actions)),
+      short_term: dedupeStrings(analyses.flatMap(analysis => analysis.recommendations.short_term)),
+      long_term: dedupeStrings(analyses.flatMap(analysis => analysis.recommendations.long_term))
+    }
+  };
+};
+
+/**
+ * Merge validated per-file analyses into the repository-level analysis.
+ * fileAnalyses: [{ file: { path, size }, analysis }]
+ * staticAnalysis: optional result of analyzeFiles; its findings join the AI sections
+ * and its maintainability score is averaged with the model's
+ */
+export const mergeFileAnalyses = (fileAnalyses, staticAnalysis = null) => {
+  // Larger files weigh more in averaged scores; floor keeps tiny files relevant
+  const weighted = fileAnalyses.map(entry => ({
+    ...entry,
+    weight: Math.max(entry.file.size || 0, 1000)
+  }));
+
+  const staticSections = staticAnalysis ? toAnalysisSections(staticAnalysis.findings) : {};
+
+  const merged = {};
+  for (const section of FINDING_SECTIONS) {
+    merged[section] = weighted
+      .flatMap(({ file, analysis }) => analysis[section].map(item => ({ ...item, file: file.path })))
+      .concat(staticSections[section] || [])
+      .sort((a, b) => severityRank(a) - severityRank(b))
+      .map((item, index) => ({ id: `${section}-${index + 1}`, ...item }));
+  }
+
+  const withTests = weighted.filter(({ analysis }) => analysis.test_coverage.has_tests).length;
+  const qualityCounts = new Map();
+  for (const { analysis } of weighted) {
+    const quality = analysis.test_coverage.test_quality;
+    if (quality) qualityCounts.set(quality, (qualityCounts.get(quality) || 0) + 1);
+  }
+  const [mostCommonQuality] = [...qualityCounts.entries()].sort(([, a], [, b]) => b - a)[0] || [];
+
+  const aiMaintainability = weightedAverage(weighted, analysis => analysis.code_quality_metrics.maintainability);
+  const staticMaintainability = staticAnalysis?.metrics?.maintainability ?? null;
+
+  return {
+    overall_health_score: weightedAverage(weighted, analysis => analysis.file_health_score),
+    architecture_analysis: weighted
+      .filter(({ analysis }) => analysis.architecture_notes.trim())
+      .map(({ file, analysis }) => `${file.path}: ${analysis.architecture_notes.trim()}`)
+      .join('\n'),
+    ...merged,
+    test_coverage_analysis: {
+      estimated_coverage: weighted.length > 0 ? `${Math.round((withTests / weighted.length) * 100)}%` : 'unknown',
+      missing_tests: dedupeStrings(weighted.flatMap(({ analysis }) => analysis.test_coverage.missing_tests)),
+      test_quality: mostCommonQuality || 'unknown'
+    },
+    code_quality_metrics: {
+      maintainability: aiMaintainability === null || staticMaintainability === null
+        ? aiMaintainability ?? staticMaintainability
+        : Math.round((aiMaintainability + staticMaintainability) / 2),
+      readability: weightedAverage(weighted, analysis => analysis.code_quality_metrics.readability),
+      complexity: weightedAverage(weighted, analysis => analysis.code_quality_metrics.complexity),
+      duplication: weightedAverage(weighted, analysis => analysis.code_quality_metrics.duplication)
+    },
+    recommendations: {
+      immediate_actions: dedupeStrings(weighted.flatMap(({ analysis }) => analysis.recommendations.immediate_actions)),
+      short_term: dedupeStrings(weighted.flatMap(({ analysis }) => analysis.recommendations.short_term)),
+      long_term: dedupeStrings(weighted.flatMap(({ analysis }) => analysis.recommendations.long_term))
+    },
+    static_analysis: staticAnalysis && {
+      files_analyzed: staticAnalysis.files_analyzed.length,
+      parse_errors: staticAnalysis.parse_errors,
+      metrics: staticAnalysis.metrics,
+      maintainability_issues: (staticSections.maintainability_issues || [])
+        .sort((a, b) => severityRank(a) - severityRank(b))
+        .map((item, index) => ({ id: `maintainability_issues-${index + 1}`, ...item }))
+    }
+  };
+};
@@ -1,4 +1,7 @@
 // automationConfig.js
+import { DEFAULT_PROVIDER_ID, isRegisteredModel } from './llmProviders';
+import { REPORT_FORMATS } from './reportGenerator';
+
 export const DEFAULT_AUTOMATION_CONFIG = {
   // Rate limiting
   maxIssuesPerRun: 3,
@@ -9,11 +12,17 @@ export const DEFAULT_AUTOMATION_CONFIG = {
   // API configuration
   rateLimitBuffer: 100, // Keep 100 requests in reserve
   requestDelay: 1000, // 1 second between requests
+  batchConcurrency: 3, // repositories analyzed at once in batch mode
+  maxBatchRepositories: 50,
   
   // Analysis settings
   analysisDepth: 'medium', // 'light', 'medium', 'deep'
+  priorityThreshold: 'medium', // lowest severity that makes a pull request review request changes
   enableAIAnalysis: true,
+  aiProvider: DEFAULT_PROVIDER_ID, // any provider registered in llmProviders
   aiModel: 'gpt-4o-mini',
+  aiBudgetPerRun: 0, // estimated USD per run; 0 means unlimited
+  incrementalAnalysis: true, // re-analyze only files changed since the last stored analysis
   
   // Automation features
   autoCreateIssues: true,
@@ -35,7 +44,7 @@ export const DEFAULT_AUTOMATION_CONFIG = {
   
   // Reporting
   generateReports: true,
-  reportFormat: 'markdown', // 'json', 'markdown', 'html'
+  reportFormat: 'markdown', // 'markdown', 'html', 'json', 'sarif'
   
   // Testing
   runTestsAfterAnalysis: false,
@@ -51,6 +60,44 @@ export const DEFAULT_AUTOMATION_CONFIG = {
   signCommits: false
 };
 
+// Whether a repository path falls under one of the ignore patterns.
+// Plain names match any path segment ('node_modules'); patterns with a slash match a path prefix ('docs/api').
+export const matchesIgnorePattern = (path, ignorePatterns = DEFAULT_AUTOMATION_CONFIG.ignorePatterns) => {
+  const segments = path.split('/');
+  return ignorePatterns.some(pattern => (
+    pattern.includes('/')
+      ? path === pattern || path.startsWith(`${pattern.replace(/\/$/, '')}/`)
+      : segments.includes(pattern)
+  ));
+};
+
+// Fill {placeholders} in commitMessageTemplate; unknown placeholders are left as written
+export const formatCommitMessage = (template = DEFAULT_AUTOMATION_CONFIG.commitMessageTemplate, values = {}) => (
+  template.replace(/\{(\w+)\}/g, (placeholder, key) => (values[key] !== undefined ? String(values[key]) : placeholder))
+);
+
+// Pick the tree entries an analysis should read, applying type, ignore, size and count limits
+export const selectAnalyzableFiles = (treeEntries, config = DEFAULT_AUTOMATION_CONFIG) => {
+  const skipped = { ignored: 0, unsupportedType: 0, tooLarge: 0, overLimit: 0 };
+  const selected = [];
+  
+  for (const entry of treeEntries) {
+    if (matchesIgnorePattern(entry.path, config.ignorePatterns)) {
+      skipped.ignored++;
+    } else if (!config.analyzeFileTypes.some(ext => entry.path.toLowerCase().endsWith(ext))) {
+      skipped.unsupportedType++;
+    } else if (entry.size > config.maxFileSize) {
+      skipped.tooLarge++;
+    } else if (selected.length >= config.maxFilesPerAnalysis) {
+      skipped.overLimit++;
+    } else {
+      selected.push(entry);
+    }
+  }
+  
+  return { selected, skipped };
+};
+
 // Configuration validator
 export const validateConfig = (config) => {
   const errors = [];
@@ -63,187 +110,150 @@ export const validateConfig = (config) => {
     errors.push('maxImprovementsPerRun must be between 1 and 20');
   }
   
+  if (config.batchConcurrency < 1 || config.batchConcurrency > 10) {
+    errors.push('batchConcurrency must be between 1 and 10');
+  }
+  
+  if (config.maxBatchRepositories < 1 || config.maxBatchRepositories > 1000) {
+    errors.push('maxBatchRepositories must be between 1 and 1000');
+  }
+  
   if (!['light', 'medium', 'deep'].includes(config.analysisDepth)) {
     errors.push('analysisDepth must be light, medium, or deep');
   }
   
-  if (!['gpt-4o', 'gpt-4o-mini', 'gpt-3.5-turbo'].includes(config.aiModel)) {
-    errors.push('aiModel must be a supported OpenAI model');
+  if (!isRegisteredModel(config.aiProvider, config.aiModel)) {
+    errors.push(`aiModel ${config.aiProvider}/${config.aiModel} is not a registered model`);
+  }
+  
+  if (!REPORT_FORMATS[config.reportFormat]) {
+    errors.push(`reportFormat must be one of ${Object.keys(REPORT_FORMATS).join(', ')}`);
+  }
+  
+  if (!(Number(config.aiBudgetPerRun) >= 0)) {
+    errors.push('aiBudgetPerRun must be zero (unlimited) or a positive amount');
   }
   
   return errors;
 };
 
-// Testing utilities
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:8000';
+
+const TEST_RUN_POLL_INTERVAL = 3000;
+const TEST_RUN_TIMEOUT = 15 * 60 * 1000;
+
+// Parse a backend response, throwing the backend's error message on failure
+const parseApiResponse = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || `Backend request failed with status ${response.status}`);
+  }
+  return data;
+};
+
+// Testing utilities: runs execute the analyzed commit's tests in a backend sandbox
 export const TestRunner = {
-  // Run Jest tests
-  runJestTests: async (projectPath) => {
-    try {
-      // In a real implementation, this would execute Jest
-      console.log('Running Jest tests...');
-      
-      // Simulate test execution
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      return {
-        success: true,
-        passed: 25,
-        failed: 2,
-        coverage: 78.5,
-        duration: 2.1
-      };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  // Queue a test and lint run; resolves with the queued run record
+  startRun: async ({ owner, repo, ref, commitSha, frameworks, githubToken }) => {
+    const response = await fetch(`${API_BASE}/api/test-runs`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(githubToken && { 'X-GitHub-Token': githubToken })
+      },
+      body: JSON.stringify({
+        repository: `${owner}/${repo}`,
+        ref,
+        commit_sha: commitSha,
+        frameworks
+      })
+    });
+    const data = await parseApiResponse(response);
+    return data.test_run;
   },
   
-  // Run Python tests
-  runPythonTests: async (projectPath) => {
-    try {
-      console.log('Running Python tests...');
-      
-      // Simulate pytest execution
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      return {
-        success: true,
-        passed: 18,
-        failed: 1,
-        skipped: 3,
-        coverage: 85.2,
-        duration: 1.8
-      };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+  // Fetch the current state of a run
+  getRun: async (runId) => {
+    const response = await fetch(`${API_BASE}/api/test-runs/${runId}`);
+    const data = await parseApiResponse(response);
+    return data.test_run;
   },
   
-  // Lint code
-  lintCode: async (files, linter = 'eslint') => {
-    try {
-      console.log(`Running ${linter}...`);
-      
-      const results = [];
-      
-      for (const file of files) {
-        // Simulate linting
-        const issues = Math.floor(Math.random() * 5);
-        results.push({
-          file: file.path,
-          issues,
-          severity: issues > 2 ? 'error' : issues > 0 ? 'warning' : 'clean'
-        });
+  // Poll until the run has completed or failed
+  waitForRun: async (runId, { interval = TEST_RUN_POLL_INTERVAL, timeout = TEST_RUN_TIMEOUT, onUpdate } = {}) => {
+    const deadline = Date.now() + timeout;
+    
+    while (Date.now() < deadline) {
+      const run = await TestRunner.getRun(runId);
+      if (onUpdate) onUpdate(run);
+      if (run.status === 'completed' || run.status === 'failed') {
+        return run;
       }
-      
-      return {
-        success: true,
-        totalFiles: files.length,
-        totalIssues: results.reduce((sum, r) => sum + r.issues, 0),
-        results
-      };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
+      await new Promise(resolve => setTimeout(resolve, interval));
     }
+    
+    throw new Error(`Test run ${runId} did not finish within ${Math.round(timeout / 60000)} minutes`);
+  },
+  
+  // Queue a run and wait for its results
+  runTests: async (options, waitOptions) => {
+    const run = await TestRunner.startRun(options);
+    return TestRunner.waitForRun(run.id, waitOptions);
   }
 };
 
-// Report generator
-export const ReportGenerator = {
-  generateMarkdownReport: (analysisResults) => {
-    const report = `# Code Analysis Report
-
-## Summary
-- **Repository**: ${analysisResults.repository?.owner}/${analysisResults.repository?.repo}
-- **Analysis Date**: ${new Date(analysisResults.timestamp).toLocaleString()}
-- **Files Analyzed**: ${analysisResults.summary?.total_files_analyzed || 0}
-- **Issues Found**: ${analysisResults.summary?.issues_found || 0}
-- **AI Suggestions**: ${analysisResults.summary?.ai_suggestions || 0}
-
-## Security Issues
-${analysisResults.structure_analysis?.issues
-  .filter(issue => issue.security.length > 0)
-  .map(issue => `- **${issue.fileName}**: ${issue.security.length} security issues`)
-  .join('\n') || 'No security issues found'}
-
-## Performance Issues
-${analysisResults.structure_analysis?.issues
-  .filter(issue => issue.performance.length > 0)
-  .map(issue => `- **${issue.fileName}**: ${issue.performance.length} performance issues`)
-  .join('\n') || 'No performance issues found'}
+export const SCHEDULE_FREQUENCIES = ['daily', 'weekly'];
+export const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 
-## AI Recommendations
-${analysisResults.ai_analysis?.map(analysis => 
-  `### ${analysis.fileName}
-- **Severity**: ${analysis.severity}
-- **Suggestions**: ${analysis.suggestions?.join(', ') || 'None'}`
-).join('\n') || 'No AI recommendations available'}
-
-## Next Steps
-1. Address critical security issues immediately
-2. Review and implement high-priority improvements
-3. Consider performance optimizations
-4. Schedule regular code reviews
-
----
-*Generated by GitHub Auto-Analysis Tool*
-`;
-    
-    return report;
+// Recurring analyses run headlessly by the backend scheduler; hours and weekdays are UTC
+export const AnalysisScheduler = {
+  // Tracked repositories, each with its schedule (or null) and last analysis time
+  listRepositories: async () => {
+    const response = await fetch(`${API_BASE}/api/schedules`);
+    const data = await parseApiResponse(response);
+    return data.repositories;
   },
   
-  generateJSONReport: (analysisResults) => {
-    return JSON.stringify(analysisResults, null, 2);
+  // Create or replace a repository's schedule; resolves with the saved schedule and its next run
+  saveSchedule: async (repositoryId, { frequency, hour, weekday, enabled = true, aiProvider, aiModel, maxFiles }) => {
+    const response = await fetch(`${API_BASE}/api/repositories/${repositoryId}/schedule`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        frequency,
+        hour,
+        weekday,
+        enabled,
+        ai_provider: aiProvider,
+        ai_model: aiModel,
+        max_files: maxFiles
+      })
+    });
+    const data = await parseApiResponse(response);
+    return data.schedule;
   },
   
-  generateHTMLReport: (analysisResults) => {
-    return `<!DOCTYPE html>
-<html>
-<head>
-    <title>Code Analysis Report</title>
-    <style>
-        body { font-family: Arial, sans-serif; margin: 40px; }
-        .header { background: #f4f4f4; padding: 20px; border-radius: 8px; }
-        .section { margin: 20px 0; }
-        .issue { background: #fff3cd; padding: 10px; border-left: 4px solid #ffc107; margin: 10px 0; }
-        .success { background: #d4edda; border-left-color: #28a745; }
-        .error { background: #f8d7da; border-left-color: #dc3545; }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1>Code Analysis Report</h1>
-        <p><strong>Repository:</strong> ${analysisResults.repository?.owner}/${analysisResults.repository?.repo}</p>
-        <p><strong>Date:</strong> ${new Date(analysisResults.timestamp).toLocaleString()}</p>
-    </div>
-    
-    <div class="section">
-        <h2>Summary</h2>
-        <ul>
-            <li>Files Analyzed: ${analysisResults.summary?.total_files_analyzed || 0}</li>
-            <li>Issues Found: ${analysisResults.summary?.issues_found || 0}</li>
-            <li>AI Suggestions: ${analysisResults.summary?.ai_suggestions || 0}</li>
-        </ul>
-    </div>
-    
-    <div class="section">
-        <h2>Issues</h2>
-        ${analysisResults.structure_analysis?.issues.map(issue => `
-            <div class="issue">
-                <h3>${issue.fileName}</h3>
-                <p>Security: ${issue.security.length}, Performance: ${issue.performance.length}, Maintainability: ${issue.maintainability.length}</p>
-            </div>
-        `).join('') || '<p>No issues found</p>'}
-    </div>
-</body>
-</html>`;
+  deleteSchedule: async (repositoryId) => {
+    const response = await fetch(`${API_BASE}/api/repositories/${repositoryId}/schedule`, { method: 'DELETE' });
+    await parseApiResponse(response);
+  },
+  
+  // Start a scheduled analysis now without moving the next regular run
+  runNow: async (repositoryId) => {
+    const response = await fetch(`${API_BASE}/api/repositories/${repositoryId}/schedule/run`, { method: 'POST' });
+    const data = await parseApiResponse(response);
+    return data.schedule;
+  }
+};
+
+// Log of GitHub webhook deliveries received by the backend and the analyses they triggered
+export const WebhookDeliveries = {
+  // Most recent first; pass a repository full name to narrow the log to it
+  list: async ({ repository, limit = 50 } = {}) => {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (repository) params.set('repository', repository);
+    const response = await fetch(`${API_BASE}/api/webhooks/deliveries?${params}`);
+    const data = await parseApiResponse(response);
+    return data.deliveries;
   }
 };
\ No newline at end of file
@@ -2,12 +2,15 @@
 /**
  * Advanced caching system with TTL, size limits, and LRU eviction
  */
+import { createPersistentBackend } from './cacheStorage';
 
 class Cache {
   constructor(options = {}) {
     this.maxSize = options.maxSize || 100; // Maximum number of entries
     this.defaultTTL = options.defaultTTL || 5 * 60 * 1000; // 5 minutes
     this.maxMemorySize = options.maxMemorySize || 50 * 1024 * 1024; // 50MB
+    this.backend = options.backend || null; // Optional persistent storage (see cacheStorage.js)
+    this.maxPersistedSize = options.maxPersistedSize || this.maxSize * 10; // Entries kept on disk
     this.storage = new Map();
     this.accessOrder = new Map(); // For LRU tracking
     this.memoryUsage = 0;
@@ -15,10 +18,21 @@ class Cache {
       hits: 0,
       misses: 0,
       evictions: 0,
-      sets: 0
+      sets: 0,
+      diskHits: 0
     };
   }
 
+  /**
+   * Write-through to the persistent backend; failures only cost persistence
+   */
+  persist(operation, ...args) {
+    if (!this.backend) return;
+    this.backend[operation](...args).catch(error => {
+      console.warn(`Cache backend ${operation} failed:`, error);
+    });
+  }
+
   /**
    * Calculate approximate memory size of a value
    */
@@ -50,7 +64,7 @@ class Cache {
   }
 
   /**
-   * Evict least recently used items
+   * Evict least recently used items from memory; the persistent backend keeps them
    */
   evictLRU() {
     const entries = Array.from(this.accessOrder.entries());
@@ -58,7 +72,7 @@ class Cache {
     
     // Evict oldest entries
     for (const [key] of entries.slice(0, Math.ceil(this.maxSize * 0.1))) {
-      this.delete(key);
+      this.removeFromMemory(key);
       this.stats.evictions++;
     }
   }
@@ -76,18 +90,10 @@ class Cache {
   }
 
   /**
-   * Set a value in cache
+   * Place an entry in memory, applying expiry cleanup, LRU eviction and memory accounting
    */
-  set(key, value, ttl = this.defaultTTL) {
-    if (!key) throw new Error('Cache key is required');
-    
-    const size = this.getMemorySize(value);
-    
-    // Check memory limits
-    if (size > this.maxMemorySize) {
-      console.warn(`Cache item too large: ${size} bytes. Skipping cache.`);
-      return false;
-    }
+  insertEntry(key, entry) {
+    const size = entry.size;
     
     // Clean up if needed
     this.cleanupExpired();
@@ -111,27 +117,46 @@ class Cache {
       this.memoryUsage -= this.getMemorySize(oldEntry.value);
     }
     
-    // Add new entry
+    this.storage.set(key, entry);
+    this.memoryUsage += size;
+    this.updateAccessOrder(key);
+  }
+
+  /**
+   * Set a value in cache
+   */
+  set(key, value, ttl = this.defaultTTL) {
+    if (!key) throw new Error('Cache key is required');
+    
+    const size = this.getMemorySize(value);
+    
+    // Check memory limits
+    if (size > this.maxMemorySize) {
+      console.warn(`Cache item too large: ${size} bytes. Skipping cache.`);
+      return false;
+    }
+    
+    const now = Date.now();
     const entry = {
       value,
-      createdAt: Date.now(),
-      expiresAt: ttl > 0 ? Date.now() + ttl : null,
+      createdAt: now,
+      expiresAt: ttl > 0 ? now + ttl : null,
       size,
-      accessCount: 0
+      accessCount: 0,
+      lastAccessedAt: now
     };
     
-    this.storage.set(key, entry);
-    this.memoryUsage += size;
-    this.updateAccessOrder(key);
+    this.insertEntry(key, entry);
     this.stats.sets++;
+    this.persist('set', key, entry);
     
     return true;
   }
 
   /**
-   * Get a value from cache
+   * Get the live entry for a key, or null on a miss; a cached null value still has an entry
    */
-  get(key) {
+  getEntry(key) {
     if (!key) return null;
     
     const entry = this.storage.get(key);
@@ -150,21 +175,40 @@ class Cache {
     
     // Update access tracking
     entry.accessCount++;
+    entry.lastAccessedAt = Date.now();
     this.updateAccessOrder(key);
     this.stats.hits++;
     
-    return entry.value;
+    return entry;
   }
 
   /**
-   * Delete a value from cache
+   * Get a value from cache
    */
-  delete(key) {
+  get(key) {
+    const entry = this.getEntry(key);
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Drop an entry from memory only
+   */
+  removeFromMemory(key) {
     const entry = this.storage.get(key);
-    if (entry) {
-      this.memoryUsage -= entry.size;
-      this.storage.delete(key);
-      this.accessOrder.delete(key);
+    if (!entry) return false;
+    
+    this.memoryUsage -= entry.size;
+    this.storage.delete(key);
+    this.accessOrder.delete(key);
+    return true;
+  }
+
+  /**
+   * Delete a value from cache, in memory and in the persistent backend
+   */
+  delete(key) {
+    if (this.removeFromMemory(key)) {
+      this.persist('delete', key);
       return true;
     }
     return false;
@@ -193,7 +237,8 @@ class Cache {
     this.storage.clear();
     this.accessOrder.clear();
     this.memoryUsage = 0;
-    this.stats = { hits: 0, misses: 0, evictions: 0, sets: 0 };
+    this.stats = { hits: 0, misses: 0, evictions: 0, sets: 0, diskHits: 0 };
+    this.persist('clear');
   }
 
   /**
@@ -213,14 +258,28 @@ class Cache {
    * Get or set with function (cache-aside pattern)
    */
   async getOrSet(key, fetchFunction, ttl = this.defaultTTL) {
-    let value = this.get(key);
+    const entry = this.getEntry(key);
     
-    if (value !== null) {
-      return value;
+    if (entry) {
+      return entry.value;
+    }
+    
+    // Memory miss: the persistent backend may still have it from an earlier session
+    if (this.backend) {
+      try {
+        const stored = await this.backend.get(key);
+        if (stored && (!stored.expiresAt || stored.expiresAt >= Date.now())) {
+          this.insertEntry(key, { ...stored, lastAccessedAt: Date.now() });
+          this.stats.diskHits++;
+          return stored.value;
+        }
+      } catch (error) {
+        console.warn(`Cache backend read failed for key ${key}:`, error);
+      }
     }
     
     try {
-      value = await fetchFunction();
+      const value = await fetchFunction();
       this.set(key, value, ttl);
       return value;
     } catch (error) {
@@ -257,9 +316,49 @@ class Cache {
   }
 
   /**
-   * Cache warming - preload data
+   * Load persisted entries into memory, most recently used last so LRU order survives.
+   * Expired entries and the least recently used ones past maxPersistedSize are dropped from
+   * disk; memory limits apply exactly as for set(), evicting from memory only.
+   */
+  async hydrate() {
+    if (!this.backend) return { loaded: 0, expired: 0, pruned: 0 };
+    
+    const now = Date.now();
+    const records = await this.backend.load();
+    let loaded = 0;
+    let expired = 0;
+    
+    records.sort((a, b) => (a.entry.lastAccessedAt || a.entry.createdAt) - (b.entry.lastAccessedAt || b.entry.createdAt));
+    
+    const live = records.filter(({ key, entry }) => {
+      if (!entry.expiresAt || entry.expiresAt >= now) return true;
+      expired++;
+      this.persist('delete', key);
+      return false;
+    });
+    const pruned = Math.max(0, live.length - this.maxPersistedSize);
+    for (const { key } of live.slice(0, pruned)) {
+      this.persist('delete', key);
+    }
+    
+    for (const { key, entry } of live.slice(pruned)) {
+      if (entry.size <= this.maxMemorySize) {
+        this.insertEntry(key, entry);
+        loaded++;
+      }
+    }
+    
+    return { loaded, expired, pruned };
+  }
+
+  /**
+   * Cache warming - preload data; with no warming functions, hydrate from the persistent backend
    */
   async warm(warmingFunctions) {
+    if (!warmingFunctions) {
+      return this.hydrate();
+    }
+    
     const promises = Object.entries(warmingFunctions).map(async ([key, fn]) => {
       try {
         const value = await fn();
@@ -288,19 +387,51 @@ export const repoCache = new Cache({
   maxMemorySize: 30 * 1024 * 1024 // 30MB
 });
 
+// AI results and file contents are persisted so they survive page reloads
 export const analysisCache = new Cache({
   maxSize: 100,
   defaultTTL: 60 * 60 * 1000, // 1 hour
-  maxMemorySize: 50 * 1024 * 1024 // 50MB
+  maxMemorySize: 50 * 1024 * 1024, // 50MB
+  maxPersistedSize: 5000,
+  backend: createPersistentBackend('analysis')
 });
 
+// File contents keyed by blob SHA never go stale, so they only age out slowly
+export const contentCache = new Cache({
+  maxSize: 2000,
+  defaultTTL: 24 * 60 * 60 * 1000, // 24 hours
+  maxMemorySize: 50 * 1024 * 1024, // 50MB
+  maxPersistedSize: 20000,
+  backend: createPersistentBackend('content')
+});
+
+// AI analyses are keyed by content hash, so they stay valid until the file changes
+export const AI_ANALYSIS_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Fast non-cryptographic 53-bit string hash (cyrb53), used for content-addressed keys
+ */
+export const hashContent = (content, seed = 0) => {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < content.length; i++) {
+    const ch = content.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+};
+
 // Cache key generators
 export const cacheKeys = {
   repoData: (owner, repo) => `repo:${owner}/${repo}`,
   repoStructure: (owner, repo, branch = 'main') => `structure:${owner}/${repo}:${branch}`,
+  repoInsights: (owner, repo) => `insights:${owner}/${repo}`,
   fileContent: (owner, repo, path, sha) => `file:${owner}/${repo}:${path}:${sha}`,
   analysis: (owner, repo, analysisType) => `analysis:${owner}/${repo}:${analysisType}`,
-  aiAnalysis: (content, model) => `ai:${model}:${content.substring(0, 100)}`, // First 100 chars as key
+  aiAnalysis: (content, model) => `ai:${model}:${hashContent(content)}:${content.length}`,
   rateLimitStatus: (service) => `ratelimit:${service}`,
   userPermissions: (owner, repo, user) => `permissions:${owner}/${repo}:${user}`
 };
@@ -314,13 +445,13 @@ export const withCache = (cache, keyGenerator, ttl) => {
       const key = keyGenerator(...args);
       
       // Try to get from cache first
-      let result = cache.get(key);
-      if (result !== null) {
-        return result;
+      const entry = cache.getEntry(key);
+      if (entry) {
+        return entry.value;
       }
       
       // Execute original method
-      result = await originalMethod.apply(this, args);
+      const result = await originalMethod.apply(this, args);
       
       // Cache the result
       cache.set(key, result, ttl);
@@ -349,6 +480,7 @@ export const startCacheCleanup = (interval = 5 * 60 * 1000) => { // 5 minutes
     apiCache.cleanupExpired();
     repoCache.cleanupExpired();
     analysisCache.cleanupExpired();
+    contentCache.cleanupExpired();
   };
   
   // Initial cleanup
@@ -361,5 +493,19 @@ export const startCacheCleanup = (interval = 5 * 60 * 1000) => { // 5 minutes
   return () => clearInterval(intervalId);
 };
 
+// Hydrate the persisted caches from disk; call once at startup
+export const warmPersistentCaches = () => Promise.all([
+  analysisCache.warm(),
+  contentCache.warm()
+]);
+
+// Stats for every shared cache, for display
+export const getCacheStats = () => ({
+  api: apiCache.getStats(),
+  repo: repoCache.getStats(),
+  analysis: analysisCache.getStats(),
+  content: contentCache.getStats()
+});
+
 // Export the main Cache class for custom instances
 export { Cache };
\ No newline at end of file
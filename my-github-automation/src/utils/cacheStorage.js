@@ -0,0 +1,134 @@
+// src/utils/cacheStorage.js
+/**
+ * Persistent storage backends for Cache.
+ *
+ * A backend stores serialized cache entries ({ value, createdAt, expiresAt, size, lastAccessedAt })
+ * by key. All methods are async; Cache keeps its in-memory Map as the working set and writes
+ * through to the backend, reading from it only when warming or on a memory miss.
+ */
+
+/**
+ * In-memory backend with the same interface, for environments without IndexedDB and for tests
+ */
+export class MemoryStorageBackend {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async load() {
+    return Array.from(this.entries, ([key, entry]) => ({ key, entry }));
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * IndexedDB backend; one database per cache so stores never need schema migrations
+ */
+export class IndexedDBStorageBackend {
+  constructor(name) {
+    if (!name) throw new Error('IndexedDB backend name is required');
+    this.dbName = `github-automation-cache:${name}`;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and on first use create) the database
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+            request.result.createObjectStore(STORE_NAME);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error(`IndexedDB ${this.dbName} is blocked by another tab`));
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run fn against the object store inside a transaction and resolve with its request result
+   */
+  async withStore(mode, fn) {
+    const db = await this.open();
+    const transaction = db.transaction(STORE_NAME, mode);
+    const result = await promisifyRequest(fn(transaction.objectStore(STORE_NAME)));
+
+    if (mode === 'readwrite') {
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+
+    return result;
+  }
+
+  async load() {
+    const db = await this.open();
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const [keys, entries] = await Promise.all([
+      promisifyRequest(store.getAllKeys()),
+      promisifyRequest(store.getAll())
+    ]);
+    return keys.map((key, index) => ({ key, entry: entries[index] }));
+  }
+
+  async get(key) {
+    const entry = await this.withStore('readonly', store => store.get(key));
+    return entry || null;
+  }
+
+  async set(key, entry) {
+    await this.withStore('readwrite', store => store.put(entry, key));
+  }
+
+  async delete(key) {
+    await this.withStore('readwrite', store => store.delete(key));
+  }
+
+  async clear() {
+    await this.withStore('readwrite', store => store.clear());
+  }
+}
+
+export const isIndexedDBAvailable = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+/**
+ * IndexedDB backend when the browser has it, otherwise none (the cache stays memory-only)
+ */
+export const createPersistentBackend = (name) => (
+  isIndexedDBAvailable() ? new IndexedDBStorageBackend(name) : null
+);
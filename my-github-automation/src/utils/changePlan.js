@@ -0,0 +1,158 @@
+// src/utils/changePlan.js
+/**
+ * Change plans: every write an automation action intends to make to the target
+ * repository, collected up front so it can be reviewed before anything is applied
+ */
+
+export const CHANGE_TYPES = {
+  BRANCH: 'branch',
+  FILE_UPDATE: 'file_update',
+  COMMIT: 'commit',
+  ISSUE: 'issue',
+  ISSUE_UPDATE: 'issue_update',
+  ISSUE_CLOSE: 'issue_close',
+  PULL_REQUEST: 'pull_request',
+  REVIEW: 'review',
+  SARIF_UPLOAD: 'sarif_upload'
+};
+
+let planCounter = 0;
+
+/**
+ * Create an empty plan.
+ * entry is the automation history entry recorded once the plan is applied.
+ */
+export const createChangePlan = ({ title, owner, repo, entry = null }) => {
+  planCounter++;
+  return {
+    id: `plan-${Date.now()}-${planCounter}`,
+    title,
+    repository: { owner, repo },
+    entry,
+    changes: [],
+    createdAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Return a new plan with the change appended
+ */
+export const addChange = (plan, change) => {
+  if (!Object.values(CHANGE_TYPES).includes(change.type)) {
+    throw new Error(`Unknown change type: ${change.type}`);
+  }
+
+  return {
+    ...plan,
+    changes: [...plan.changes, { id: `${plan.id}-${plan.changes.length + 1}`, ...change }]
+  };
+};
+
+/**
+ * One-line human readable description of a change
+ */
+export const describeChange = (change) => {
+  switch (change.type) {
+    case CHANGE_TYPES.BRANCH:
+      return `Create branch ${change.name} from ${change.from}`;
+    case CHANGE_TYPES.FILE_UPDATE:
+      return `${change.sha ? 'Update' : 'Create'} ${change.path} on ${change.branch}`;
+    case CHANGE_TYPES.COMMIT:
+      return `Commit ${change.files.length} file(s) to ${change.branch}: ${change.files.map(file => file.path).join(', ')}`;
+    case CHANGE_TYPES.ISSUE:
+      return `Open issue "${change.title}"`;
+    case CHANGE_TYPES.ISSUE_UPDATE:
+      return `Update issue #${change.number} "${change.title}"`;
+    case CHANGE_TYPES.ISSUE_CLOSE:
+      return `Close issue #${change.number} "${change.title}" as ${change.stateReason === 'not_planned' ? 'not planned' : 'completed'}`;
+    case CHANGE_TYPES.PULL_REQUEST:
+      return `Open pull request "${change.title}" (${change.head} → ${change.base})`;
+    case CHANGE_TYPES.REVIEW:
+      return `Post a ${change.event === 'REQUEST_CHANGES' ? 'changes-requested' : 'comment'} review on #${change.pullNumber} with ${change.comments.length} inline comment(s)`;
+    case CHANGE_TYPES.SARIF_UPLOAD:
+      return `Upload ${change.resultCount} code scanning result(s) for ${change.commitSha.slice(0, 7)} on ${change.ref}`;
+    default:
+      return change.type;
+  }
+};
+
+/**
+ * Apply a plan in order through the given GitHub API functions.
+ * Stops at the first failure; the returned results say which changes were applied.
+ */
+export const applyChangePlan = async (plan, api) => {
+  const { owner, repo } = plan.repository;
+  const results = [];
+
+  for (const change of plan.changes) {
+    try {
+      let result;
+
+      switch (change.type) {
+        case CHANGE_TYPES.BRANCH:
+          result = await api.createBranch(owner, repo, change.name, change.from);
+          break;
+        case CHANGE_TYPES.FILE_UPDATE:
+          result = await api.updateFile(owner, repo, change.path, change.content, change.message, change.sha, change.branch);
+          break;
+        case CHANGE_TYPES.COMMIT:
+          // One atomic commit; a null content deletes the file
+          result = await api.batchFileOperations(owner, repo, change.files.map(file => ({
+            type: file.content === null ? 'delete' : file.sha ? 'update' : 'create',
+            path: file.path,
+            content: file.content,
+            sha: file.sha
+          })), { atomic: true, branch: change.branch, message: change.message });
+          break;
+        case CHANGE_TYPES.ISSUE:
+          result = await api.createGitHubIssue(owner, repo, change.title, change.body, change.labels);
+          break;
+        case CHANGE_TYPES.ISSUE_UPDATE:
+          result = await api.updateGitHubIssue(owner, repo, change.number, { title: change.title, body: change.body });
+          break;
+        case CHANGE_TYPES.ISSUE_CLOSE:
+          // The comment goes first so it explains the closure in the issue's timeline
+          if (change.comment) await api.commentOnIssue(owner, repo, change.number, change.comment);
+          result = await api.updateGitHubIssue(owner, repo, change.number, {
+            state: 'closed',
+            state_reason: change.stateReason || 'completed'
+          });
+          break;
+        case CHANGE_TYPES.PULL_REQUEST:
+          result = await api.createPullRequest(owner, repo, {
+            title: change.title,
+            head: change.head,
+            base: change.base,
+            body: change.body
+          });
+          break;
+        case CHANGE_TYPES.REVIEW:
+          result = await api.createPullRequestReview(owner, repo, change.pullNumber, {
+            commitId: change.commitId,
+            event: change.event,
+            body: change.body,
+            comments: change.comments
+          });
+          break;
+        case CHANGE_TYPES.SARIF_UPLOAD:
+          result = await api.uploadCodeScanningSarif(owner, repo, {
+            commitSha: change.commitSha,
+            ref: change.ref,
+            sarif: change.sarif
+          });
+          break;
+        default:
+          throw new Error(`Unknown change type: ${change.type}`);
+      }
+
+      results.push({ change, success: true, result });
+    } catch (error) {
+      results.push({ change, success: false, error: error.message });
+      const appliedError = new Error(`${describeChange(change)} failed: ${error.message}`);
+      appliedError.results = results;
+      throw appliedError;
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,265 @@
+// src/utils/codeChunker.js
+/**
+ * Split source files into chunks that fit a model's context window.
+ *
+ * Files are cut at top-level declarations (functions, classes and other statements):
+ * JavaScript and TypeScript from the AST, Python and brace languages from indentation
+ * and brace depth. A class too large for one chunk is cut between its members; anything
+ * still too large is cut by lines. Declarations are packed greedily, and every chunk
+ * starts with the file header (imports, package and include lines) so the model sees
+ * what the code refers to.
+ *
+ * Chunk lines are numbered from 1 as the model sees them; lineMap maps them back to
+ * line numbers of the original file.
+ */
+
+import { isStaticallyAnalyzable, parseSource } from './staticAnalyzer';
+
+const CHARS_PER_TOKEN = 4;
+const LINE_NUMBER_TOKENS = 2; // the "123: " prefix on every line
+const DEFAULT_CONTEXT_WINDOW = 8192;
+// Room left for the system prompt, the schema and the model's answer
+const RESERVED_TOKENS = 8000;
+const MIN_CHUNK_TOKENS = 1000;
+
+export const estimateTokens = (text) => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+/**
+ * Tokens available for the numbered source in one request
+ */
+export const chunkTokenBudget = (contextWindow = DEFAULT_CONTEXT_WINDOW) => (
+  Math.max(contextWindow - RESERVED_TOKENS, MIN_CHUNK_TOKENS)
+);
+
+const CLASS_TYPES = new Set(['ClassDeclaration', 'ClassExpression']);
+
+const isRequireCall = (node) => node?.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require';
+
+const isHeaderStatement = (node) => (
+  node.type === 'ImportDeclaration'
+  || (node.type === 'VariableDeclaration' && node.declarations.every(declaration => (
+    isRequireCall(declaration.init) || isRequireCall(declaration.init?.object)
+  )))
+  || (node.type === 'ExpressionStatement' && isRequireCall(node.expression))
+);
+
+// The class a top-level statement declares, if any
+const declaredClass = (node) => {
+  if (CLASS_TYPES.has(node.type)) return node;
+  if (node.declaration && CLASS_TYPES.has(node.declaration.type)) return node.declaration;
+  if (node.type === 'VariableDeclaration' && node.declarations.length === 1) {
+    const init = node.declarations[0].init;
+    if (init && CLASS_TYPES.has(init.type)) return init;
+  }
+  return null;
+};
+
+/**
+ * Header end line and top-level units from the AST: [{ start, end, splitPoints }],
+ * where splitPoints are the end lines of class members
+ */
+const findAstUnits = (path, content) => {
+  const { program } = parseSource(path, content);
+
+  let headerEnd = program.directives.reduce((end, directive) => Math.max(end, directive.loc.end.line), 0);
+  let index = 0;
+  while (index < program.body.length && isHeaderStatement(program.body[index])) {
+    headerEnd = program.body[index].loc.end.line;
+    index++;
+  }
+
+  const units = [];
+  for (const node of program.body.slice(index)) {
+    const previousEnd = units.length > 0 ? units[units.length - 1].end : headerEnd;
+    // Statements sharing a line with the previous one stay in its unit
+    if (node.loc.end.line <= previousEnd) continue;
+
+    const classNode = declaredClass(node);
+    units.push({
+      start: previousEnd + 1,
+      end: node.loc.end.line,
+      splitPoints: classNode ? classNode.body.body.map(member => member.loc.end.line) : []
+    });
+  }
+
+  return { headerEnd, units };
+};
+
+const HEADER_LINE = /^\s*(import|from\s+\S+\s+import|package|#\s*include|using|use|extern\s+crate|require)\b/;
+const COMMENT_LINE = /^\s*(\/\/|\/\*|\*|#(?!\s*include)|#\[|@)/;
+const PYTHON_DECLARATION = /^(@|def\s|async\s+def\s|class\s)/;
+
+// Brace depth change of a line, ignoring strings and line comments
+const braceDelta = (line) => {
+  const code = line
+    .replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`(?:[^`\\]|\\.)*`/g, '')
+    .replace(/\/\/.*$/, '');
+  return (code.match(/\{/g) || []).length - (code.match(/\}/g) || []).length;
+};
+
+/**
+ * Header end line and top-level units for languages without a parser here: Python
+ * declarations start at column 0, brace languages start where the brace depth is 0
+ */
+const findHeuristicUnits = (path, lines) => {
+  const isPython = path.toLowerCase().endsWith('.py');
+  const starts = [];
+  let depth = 0;
+  let previous = '';
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed) {
+      const startsUnit = isPython
+        ? PYTHON_DECLARATION.test(line) && !previous.startsWith('@')
+        : depth === 0 && !/^\s/.test(line) && !/^[{}()\]]/.test(trimmed) && !COMMENT_LINE.test(line)
+          && !HEADER_LINE.test(line) && /(^|[;})])\s*$/.test(previous.trim());
+      if (startsUnit) starts.push(index + 1);
+      // Comments and annotations do not end the statement before them
+      if (isPython || !COMMENT_LINE.test(line)) previous = line;
+    }
+    if (!isPython) depth = Math.max(depth + braceDelta(line), 0);
+  });
+
+  // Leading comments, decorators and annotations belong to the declaration below them
+  const unitStarts = starts.map(start => {
+    let line = start;
+    while (line > 1 && lines[line - 2].trim() && COMMENT_LINE.test(lines[line - 2])) line--;
+    return line;
+  });
+
+  const firstStart = unitStarts[0] || lines.length + 1;
+  let headerEnd = 0;
+  for (let line = 1; line < firstStart; line++) {
+    if (!HEADER_LINE.test(lines[line - 1])) continue;
+    headerEnd = line;
+    // Grouped imports such as Go's import ( ... ) or Python's from x import ( ... )
+    if (/\(\s*$/.test(lines[line - 1])) {
+      while (headerEnd < firstStart - 1 && !/^\s*\)/.test(lines[headerEnd - 1])) headerEnd++;
+      line = headerEnd;
+    }
+  }
+
+  const units = [];
+  const boundaries = [headerEnd + 1, ...unitStarts.filter(start => start > headerEnd + 1)];
+  boundaries.forEach((start, index) => {
+    const end = index + 1 < boundaries.length ? boundaries[index + 1] - 1 : lines.length;
+    if (end >= start) units.push({ start, end, splitPoints: [] });
+  });
+
+  return { headerEnd, units };
+};
+
+/**
+ * Cut a unit that does not fit the budget at its class member boundaries, then by lines
+ */
+const splitUnit = (unit, budget, rangeTokens) => {
+  if (rangeTokens(unit.start, unit.end) <= budget) return [unit];
+
+  const pieces = [];
+  let start = unit.start;
+  for (const point of [...unit.splitPoints, unit.end]) {
+    if (point < start || point > unit.end) continue;
+    pieces.push({ start, end: point });
+    start = point + 1;
+  }
+
+  return pieces.flatMap(piece => {
+    if (rangeTokens(piece.start, piece.end) <= budget) return [piece];
+
+    const slices = [];
+    let sliceStart = piece.start;
+    for (let line = piece.start; line <= piece.end; line++) {
+      if (line > sliceStart && rangeTokens(sliceStart, line) > budget) {
+        slices.push({ start: sliceStart, end: line - 1 });
+        sliceStart = line;
+      }
+    }
+    slices.push({ start: sliceStart, end: piece.end });
+    return slices;
+  });
+};
+
+const numberLines = (lines) => lines.map((line, index) => `${index + 1}: ${line}`).join('\n');
+
+// startLine/endLine describe the code the chunk covers; lineMap also holds the repeated header
+const buildChunk = (lines, lineNumbers, body) => ({
+  startLine: body.start,
+  endLine: body.end,
+  lineMap: lineNumbers,
+  text: numberLines(lineNumbers.map(line => lines[line - 1]))
+});
+
+const range = (start, end) => Array.from({ length: Math.max(end - start + 1, 0) }, (_, index) => start + index);
+
+/**
+ * Split a file into chunks for a model with the given context window.
+ * Returns [{ index, total, startLine, endLine, lineMap, text }]; a file that fits is one chunk.
+ */
+export const chunkSourceFile = (path, content, { contextWindow } = {}) => {
+  const lines = content.split('\n');
+  const budget = chunkTokenBudget(contextWindow);
+
+  // prefix[n] = tokens of lines 1..n
+  const prefix = [0];
+  lines.forEach((line, index) => {
+    prefix.push(prefix[index] + estimateTokens(line) + LINE_NUMBER_TOKENS);
+  });
+  const rangeTokens = (start, end) => (end < start ? 0 : prefix[end] - prefix[start - 1]);
+
+  if (rangeTokens(1, lines.length) <= budget) {
+    return [{ index: 0, total: 1, ...buildChunk(lines, range(1, lines.length), { start: 1, end: lines.length }) }];
+  }
+
+  let structure;
+  try {
+    structure = isStaticallyAnalyzable(path) ? findAstUnits(path, content) : findHeuristicUnits(path, lines);
+  } catch (error) {
+    // Unparseable sources still get heuristic cuts
+    structure = findHeuristicUnits(path, lines);
+  }
+
+  // A header taking more than half the budget is not repeated
+  let { headerEnd, units } = structure;
+  if (rangeTokens(1, headerEnd) > budget / 2) {
+    units = [{ start: 1, end: headerEnd, splitPoints: [] }, ...units];
+    headerEnd = 0;
+  }
+  const bodyBudget = budget - rangeTokens(1, headerEnd);
+
+  // Trailing lines after the last declaration join it
+  if (units.length > 0) units[units.length - 1].end = lines.length;
+  else units = [{ start: headerEnd + 1, end: lines.length, splitPoints: [] }];
+
+  const packed = [];
+  for (const piece of units.flatMap(unit => splitUnit(unit, bodyBudget, rangeTokens))) {
+    const current = packed[packed.length - 1];
+    if (current && rangeTokens(current.start, piece.end) <= bodyBudget) {
+      current.end = piece.end;
+    } else {
+      packed.push({ ...piece });
+    }
+  }
+
+  return packed.map((body, index) => ({
+    index,
+    total: packed.length,
+    ...buildChunk(lines, [...range(1, headerEnd), ...range(body.start, body.end)], body)
+  }));
+};
+
+/**
+ * Rewrite the line fields of a chunk's analysis to original file lines;
+ * lines outside the chunk become 0 (not tied to a line)
+ */
+export const mapChunkLines = (analysis, chunk) => {
+  const mapLine = (line) => (line >= 1 && line <= chunk.lineMap.length ? chunk.lineMap[line - 1] : 0);
+
+  const mapped = { ...analysis };
+  for (const [key, value] of Object.entries(analysis)) {
+    if (Array.isArray(value) && value.some(item => item && typeof item === 'object' && 'line' in item)) {
+      mapped[key] = value.map(item => ('line' in item ? { ...item, line: mapLine(item.line) } : item));
+    }
+  }
+  return mapped;
+};
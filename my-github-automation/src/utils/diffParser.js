@@ -0,0 +1,133 @@
+// src/utils/diffParser.js
+/**
+ * Unified diff parsing for pull request reviews.
+ *
+ * GitHub returns the patch of every changed file as unified diff hunks. Review comments
+ * can only target lines shown in a hunk, so every added and context line keeps its
+ * new-file line number. The changed hunks are also what the model reviews: they are
+ * packed into chunks shaped like chunkSourceFile's, numbered with new-file lines.
+ */
+
+import { chunkTokenBudget, estimateTokens } from './codeChunker';
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+const LINE_PREFIX_TOKENS = 3; // the "123:+ " prefix on every line
+const HUNK_SEPARATOR = '...';
+
+/**
+ * Parse a file patch into hunks: [{ oldStart, oldLines, newStart, newLines, lines }], where
+ * lines are [{ type: 'add' | 'delete' | 'context', content, oldLine, newLine }]
+ */
+export const parsePatch = (patch = '') => {
+  const hunks = [];
+  let current = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const raw of patch.split('\n')) {
+    const header = raw.match(HUNK_HEADER);
+    if (header) {
+      oldLine = Number(header[1]);
+      newLine = Number(header[3]);
+      current = {
+        oldStart: oldLine,
+        oldLines: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: newLine,
+        newLines: header[4] === undefined ? 1 : Number(header[4]),
+        lines: []
+      };
+      hunks.push(current);
+      continue;
+    }
+
+    // Skip "\ No newline at end of file" markers and anything before the first hunk
+    if (!current || raw === '' || raw.startsWith('\\')) continue;
+
+    const content = raw.slice(1);
+    if (raw[0] === '+') {
+      current.lines.push({ type: 'add', content, oldLine: null, newLine: newLine++ });
+    } else if (raw[0] === '-') {
+      current.lines.push({ type: 'delete', content, oldLine: oldLine++, newLine: null });
+    } else {
+      current.lines.push({ type: 'context', content, oldLine: oldLine++, newLine: newLine++ });
+    }
+  }
+
+  return hunks;
+};
+
+/**
+ * New-file line numbers of parsed hunks: { added, commentable }, where commentable holds
+ * every line a review comment may target (added and context lines)
+ */
+export const getDiffLines = (hunks) => {
+  const added = new Set();
+  const commentable = new Set();
+
+  for (const line of hunks.flatMap(hunk => hunk.lines)) {
+    if (line.newLine === null) continue;
+    commentable.add(line.newLine);
+    if (line.type === 'add') added.add(line.newLine);
+  }
+
+  return { added, commentable };
+};
+
+const lineTokens = (line) => estimateTokens(line.content) + LINE_PREFIX_TOKENS;
+
+const formatLine = (line) => `${line.newLine}:${line.type === 'add' ? '+' : ' '} ${line.content}`;
+
+/**
+ * Model input for the changed hunks of a file: [{ index, total, startLine, endLine, lineMap, text, diff }].
+ * Deleted lines are left out; added lines are marked "+". Hunks are packed greedily and a
+ * hunk too large for one chunk is cut by lines. lineMap maps only the lines a chunk shows,
+ * so mapChunkLines turns findings anywhere else into 0 (not tied to a line).
+ */
+export const buildHunkChunks = (hunks, { contextWindow } = {}) => {
+  const budget = chunkTokenBudget(contextWindow);
+
+  const segments = [];
+  for (const hunk of hunks) {
+    let segment = { lines: [], tokens: 0 };
+    for (const line of hunk.lines.filter(item => item.newLine !== null)) {
+      if (segment.lines.length > 0 && segment.tokens + lineTokens(line) > budget) {
+        segments.push(segment);
+        segment = { lines: [], tokens: 0 };
+      }
+      segment.lines.push(line);
+      segment.tokens += lineTokens(line);
+    }
+    // A hunk that only deletes has nothing to review
+    if (segment.lines.length > 0) segments.push(segment);
+  }
+
+  const packed = [];
+  for (const segment of segments) {
+    const current = packed[packed.length - 1];
+    if (current && current.tokens + segment.tokens <= budget) {
+      current.segments.push(segment.lines);
+      current.tokens += segment.tokens;
+    } else {
+      packed.push({ segments: [segment.lines], tokens: segment.tokens });
+    }
+  }
+
+  return packed.map(({ segments: chunkSegments }, index) => {
+    const lines = chunkSegments.flat();
+    const endLine = lines[lines.length - 1].newLine;
+    const lineMap = new Array(endLine).fill(0);
+    lines.forEach(line => {
+      lineMap[line.newLine - 1] = line.newLine;
+    });
+
+    return {
+      index,
+      total: packed.length,
+      startLine: lines[0].newLine,
+      endLine,
+      lineMap,
+      text: chunkSegments.map(segment => segment.map(formatLine).join('\n')).join(`\n${HUNK_SEPARATOR}\n`),
+      diff: true
+    };
+  });
+};
@@ -0,0 +1,117 @@
+// src/utils/findingFingerprint.js
+/**
+ * Stable fingerprints for analysis findings.
+ *
+ * A fingerprint identifies a problem across runs, so the issue filed for it can be found
+ * again. It is built from the rule that reported the finding (the static rule, the CWE or
+ * the analysis section), the file, the normalized code on the finding's line and the
+ * symbol declared nearest above it. Line numbers and the model's wording are left out:
+ * they change between runs while the problem stays the same. Findings are fingerprinted
+ * while their file's content is at hand and keep the fingerprint in stored results.
+ */
+
+import { hashContent } from './cache';
+import { normalizeDescription } from './analysisDiff';
+
+export const FINGERPRINTED_SECTIONS = [
+  'bugs_detected',
+  'improvements_suggested',
+  'security_concerns',
+  'performance_issues',
+  'documentation_gaps'
+];
+
+const MARKER_PATTERN = /<!-- finding-fingerprint: ([0-9a-f]+) -->/g;
+
+// Declarations a symbol is taken from, in JS/TS, Python, Go, Rust, Java and C-like code
+const SYMBOL_PATTERNS = [
+  /\b(?:function\*?|def|func|fn|class|interface|struct|enum)\s+([A-Za-z_$][\w$]*)/,
+  /\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/,
+  /^\s*(?:(?:public|private|protected|static|async|override|final)\s+)*(?:[\w<>[\]]+\s+)?([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*\{/
+];
+
+// Control flow that the method pattern above would otherwise take for a declaration
+const NOT_SYMBOLS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'else', 'do', 'with']);
+
+/**
+ * Code of a line with whitespace collapsed, so reindenting does not change it
+ */
+export const normalizeSnippet = (line = '') => line.replace(/\s+/g, ' ').trim();
+
+/**
+ * Name declared on the line (1-based) or nearest above it; '' when there is none
+ */
+export const findEnclosingSymbol = (lines, line) => {
+  for (let index = Math.min(line, lines.length) - 1; index >= 0; index--) {
+    for (const pattern of SYMBOL_PATTERNS) {
+      const name = lines[index].match(pattern)?.[1];
+      if (name && !NOT_SYMBOLS.has(name)) return name;
+    }
+  }
+  return '';
+};
+
+/**
+ * Fingerprint of a finding from its rule, file, code snippet and symbol. A finding not
+ * tied to a line has no snippet; its normalized description stands in for it.
+ */
+export const fingerprintFinding = ({ rule, file, snippet = '', symbol = '', description = '' }) => {
+  const parts = [rule, file, snippet || normalizeDescription(description), symbol];
+  return hashContent(parts.join('\n'));
+};
+
+const fingerprintItem = (item, rule, path, lines) => {
+  const line = item.line > 0 && item.line <= lines.length ? item.line : 0;
+  return {
+    ...item,
+    fingerprint: fingerprintFinding({
+      rule,
+      file: path,
+      snippet: line ? normalizeSnippet(lines[line - 1]) : '',
+      symbol: line ? findEnclosingSymbol(lines, line) : '',
+      description: item.description || item.message
+    })
+  };
+};
+
+/**
+ * The file analysis with a fingerprint on every finding; content is the analyzed source
+ */
+export const fingerprintFileAnalysis = (analysis, path, content = '') => {
+  const lines = content.split('\n');
+  const stamped = { ...analysis };
+  for (const section of FINGERPRINTED_SECTIONS) {
+    if (!Array.isArray(analysis[section])) continue;
+    stamped[section] = analysis[section].map(item => fingerprintItem(item, item.cwe_id || section, path, lines));
+  }
+  return stamped;
+};
+
+/**
+ * Whether every finding of a file analysis has its fingerprint. Results the server's
+ * scheduled and webhook runs stored have none.
+ */
+export const hasFingerprints = (analysis) => FINGERPRINTED_SECTIONS.every(section => (
+  (analysis?.[section] || []).every(item => item.fingerprint)
+));
+
+/**
+ * An analyzeSource result with a fingerprint on every finding
+ */
+export const fingerprintStaticResult = (result, content = '') => {
+  const lines = content.split('\n');
+  return {
+    ...result,
+    findings: result.findings.map(finding => fingerprintItem(finding, finding.rule_id, result.path, lines))
+  };
+};
+
+/**
+ * Hidden marker that embeds a fingerprint in an issue body
+ */
+export const fingerprintMarker = (fingerprint) => `<!-- finding-fingerprint: ${fingerprint} -->`;
+
+/**
+ * Fingerprints embedded in an issue body
+ */
+export const extractFingerprints = (body = '') => [...(body || '').matchAll(MARKER_PATTERN)].map(match => match[1]);
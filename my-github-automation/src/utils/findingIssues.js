@@ -0,0 +1,189 @@
+// src/utils/findingIssues.js
+/**
+ * GitHub issues filed for analysis findings.
+ *
+ * Every issue embeds the fingerprint of its finding. Before filing, the open issues filed
+ * by earlier runs (labelled "automated") are indexed by fingerprint: a finding that already
+ * has one updates it when the details changed and is skipped otherwise, so repeated runs
+ * never file the same problem twice. The analysis report has a fingerprint of its own and
+ * is updated in place the same way.
+ *
+ * The sync also runs the other way. An open issue whose finding a later analysis of its file
+ * no longer reports is closed as fixed, and an issue a person closed as not planned ("won't
+ * fix") suppresses its finding in every later run until the issue is reopened. Static rule
+ * findings count as re-analyzed wherever the static pass ran, AI findings only in files the
+ * model reviewed.
+ */
+
+import { SEVERITY_LEVELS } from './analysisSchema';
+import { collectReviewFindings, meetsThreshold } from './pullRequestReview';
+import { FINGERPRINTED_SECTIONS, fingerprintFinding, fingerprintMarker, extractFingerprints, hasFingerprints } from './findingFingerprint';
+
+export const AUTOMATED_LABEL = 'automated';
+
+export const REPORT_ISSUE_TITLE = 'Automated Analysis';
+
+export const REPORT_FINGERPRINT = fingerprintFinding({ rule: 'analysis-report', file: '' });
+
+// GitHub's state_reason of an issue closed as not planned
+export const WONT_FIX_REASON = 'not_planned';
+
+const TITLE_LENGTH = 80;
+
+const FILE_MARKER_PATTERN = /<!-- finding-file: (.+?) -->/;
+
+// Marks issues filed for static rule findings, which the static pass re-checks on every run
+const STATIC_MARKER = '<!-- finding-source: static -->';
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text);
+
+/**
+ * Issues by the fingerprints embedded in their bodies; pull requests are left out
+ */
+export const indexIssuesByFingerprint = (issues) => {
+  const index = new Map();
+  for (const issue of issues.filter(item => !item.pull_request)) {
+    for (const fingerprint of extractFingerprints(issue.body)) {
+      if (!index.has(fingerprint)) index.set(fingerprint, issue);
+    }
+  }
+  return index;
+};
+
+/**
+ * File of the finding an issue was filed for, from its body; null for other issues
+ */
+export const extractFindingFile = (body = '') => (body || '').match(FILE_MARKER_PATTERN)?.[1] || null;
+
+/**
+ * Body of an issue with the fingerprint marker appended
+ */
+export const withFingerprint = (body, fingerprint) => `${body}\n\n${fingerprintMarker(fingerprint)}`;
+
+/**
+ * The issue for one finding of collectReviewFindings: { title, body, labels, fingerprint }
+ */
+export const buildFindingIssue = (finding) => {
+  const location = finding.line ? `${finding.file}:${finding.line}` : finding.file;
+  const tags = [finding.severity, finding.cwe_id, finding.rule_id].filter(Boolean).join(', ');
+  const body = [
+    `**${finding.label}** (${tags}) in \`${location}\``,
+    '',
+    finding.description,
+    ...(finding.advice ? ['', `**Suggested fix:** ${finding.advice}`] : []),
+    '',
+    '---',
+    '_Filed by automated analysis. Later runs update this issue while the finding is reported and close it once it is fixed; keep the markers below so they can find it. Close it as not planned to stop reporting the finding._',
+    `<!-- finding-file: ${finding.file} -->`,
+    ...(finding.rule_id ? [STATIC_MARKER] : [])
+  ].join('\n');
+
+  return {
+    title: truncate(`${finding.label}: ${finding.description}`, TITLE_LENGTH),
+    body: withFingerprint(body, finding.fingerprint),
+    labels: [AUTOMATED_LABEL, finding.label.toLowerCase()],
+    fingerprint: finding.fingerprint
+  };
+};
+
+/**
+ * What to do with the findings at or above threshold, most severe first:
+ * { create, update, unchanged, deferred }. Findings with an open issue update it when its
+ * title or body differ and are unchanged otherwise; at most maxNew issues are created and
+ * the rest are deferred to a later run.
+ */
+export const planFindingIssues = ({ analysis, openIssues, threshold, maxNew }) => {
+  const existing = indexIssuesByFingerprint(openIssues);
+  const findings = collectReviewFindings(analysis)
+    .filter(finding => finding.fingerprint && meetsThreshold(finding.severity, threshold))
+    .sort((a, b) => SEVERITY_LEVELS.indexOf(a.severity) - SEVERITY_LEVELS.indexOf(b.severity));
+
+  const plan = { create: [], update: [], unchanged: [], deferred: 0 };
+  const seen = new Set();
+  for (const finding of findings) {
+    if (seen.has(finding.fingerprint)) continue;
+    seen.add(finding.fingerprint);
+
+    const issue = buildFindingIssue(finding);
+    const filed = existing.get(finding.fingerprint);
+    if (filed) {
+      const changed = filed.title !== issue.title || filed.body !== issue.body;
+      (changed ? plan.update : plan.unchanged).push({ ...issue, number: filed.number });
+    } else if (plan.create.length < maxNew) {
+      plan.create.push(issue);
+    } else {
+      plan.deferred++;
+    }
+  }
+
+  return plan;
+};
+
+/**
+ * Issues closed as won't fix, by the fingerprints they carry
+ */
+export const findWontFixIssues = (issues) => indexIssuesByFingerprint(
+  issues.filter(issue => issue.state === 'closed' && issue.state_reason === WONT_FIX_REASON)
+);
+
+/**
+ * The analysis without the findings whose issue was closed as won't fix; they are listed
+ * in suppressed_findings as [{ section, description, file, line, fingerprint, issue_number }]
+ */
+export const suppressWontFixFindings = (analysis, wontFixIssues) => {
+  const suppressed = [];
+  const filtered = { ...analysis };
+  for (const section of FINGERPRINTED_SECTIONS) {
+    if (!Array.isArray(analysis[section])) continue;
+    filtered[section] = analysis[section].filter(item => {
+      const issue = item.fingerprint && wontFixIssues.get(item.fingerprint);
+      if (!issue) return true;
+      suppressed.push({
+        section,
+        description: item.description,
+        file: item.file,
+        line: item.line || 0,
+        fingerprint: item.fingerprint,
+        issue_number: issue.number
+      });
+      return false;
+    });
+  }
+  return { ...filtered, suppressed_findings: suppressed };
+};
+
+/**
+ * Open finding issues the analysis shows to be fixed: their file was analyzed and none of
+ * their fingerprints is reported any more. An issue of a static rule finding needs its file in
+ * the static pass (static_files_analyzed), any other issue its file among the files the model
+ * reviewed (files_analyzed) with a fingerprinted result in file_results. Issues of files this
+ * run did not analyze, or carried over from a result without fingerprints, stay open.
+ */
+export const findResolvedIssues = ({ analysis, openIssues }) => {
+  const reported = new Set([
+    ...FINGERPRINTED_SECTIONS.flatMap(section => (analysis[section] || []).map(item => item.fingerprint)),
+    ...(analysis.suppressed_findings || []).map(item => item.fingerprint)
+  ].filter(Boolean));
+  const unfingerprinted = new Set((analysis.file_results || [])
+    .filter(result => !hasFingerprints(result.analysis))
+    .map(result => result.path));
+  const analyzed = new Set((analysis.files_analyzed || []).filter(path => !unfingerprinted.has(path)));
+  const staticallyAnalyzed = new Set(analysis.static_files_analyzed);
+
+  return openIssues.filter(issue => {
+    const file = extractFindingFile(issue.body);
+    const fingerprints = extractFingerprints(issue.body);
+    const reanalyzed = (issue.body || '').includes(STATIC_MARKER) ? staticallyAnalyzed.has(file) : analyzed.has(file);
+    return !issue.pull_request && file && reanalyzed &&
+      fingerprints.length > 0 && !fingerprints.some(fingerprint => reported.has(fingerprint));
+  });
+};
+
+/**
+ * Comment left on an issue closed because the analysis of commitSha no longer reports its
+ * finding. commitSha is the analyzed head, not necessarily the commit that fixed it.
+ */
+export const buildResolutionComment = (issue, commitSha) => (
+  `No longer reported by the analysis of ${commitSha.slice(0, 7)} in \`${extractFindingFile(issue.body)}\`. ` +
+  'Closing automatically; reopen the issue if the problem is still there.'
+);
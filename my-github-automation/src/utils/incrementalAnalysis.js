@@ -0,0 +1,63 @@
+// src/utils/incrementalAnalysis.js
+/**
+ * Incremental repository analysis.
+ *
+ * Every stored analysis records the commit it covered and a result per analyzed file. A
+ * later run on the same branch compares that commit with HEAD: files added or modified
+ * since then are analyzed again, every other file keeps its stored result and is neither
+ * fetched nor sent to the model.
+ */
+
+// GitHub lists at most this many files in a comparison; a longer list is cut off
+export const COMPARE_FILE_LIMIT = 300;
+
+/**
+ * Paths added, modified or renamed between the compared commits, from a compareCommits
+ * response; null when the comparison cannot list every change: the base is not an
+ * ancestor of HEAD (history was rewritten) or the file list was cut off
+ */
+export const changedPathsFromComparison = (comparison) => {
+  if (!comparison || !['ahead', 'identical'].includes(comparison.status)) return null;
+
+  const files = comparison.files || [];
+  if (files.length >= COMPARE_FILE_LIMIT) return null;
+
+  return new Set(files.filter(file => file.status !== 'removed').map(file => file.filename));
+};
+
+/**
+ * Split the files of a run into stored results to carry over and files to analyze:
+ * { reused: Map(path → file result), changed: [file] }.
+ * A stored result is carried over when the same model produced it and the file did not
+ * change: it is missing from changedPaths or, without changedPaths, its blob is the same.
+ */
+export const planIncrementalRun = ({ files, baseline, changedPaths = null, model }) => {
+  const stored = new Map((baseline?.file_results || []).map(result => [result.path, result]));
+  const reused = new Map();
+  const changed = [];
+
+  for (const file of files) {
+    const result = stored.get(file.path);
+    const unchanged = result && result.model === model &&
+      (changedPaths ? !changedPaths.has(file.path) : result.sha === file.sha);
+    if (unchanged) {
+      reused.set(file.path, result);
+    } else {
+      changed.push(file);
+    }
+  }
+
+  return { reused, changed };
+};
+
+/**
+ * The stored result of one analyzed file; static is its analyzeSource result, if any
+ */
+export const toFileResult = (file, { model, analysis, staticResult = null }) => ({
+  path: file.path,
+  sha: file.sha,
+  size: file.size,
+  model,
+  analysis,
+  static: staticResult
+});
@@ -0,0 +1,141 @@
+// src/utils/llmProviders.js
+/**
+ * Registry of LLM providers and models the analyzer can use.
+ *
+ * Every provider speaks the OpenAI chat completions protocol through the backend proxy,
+ * which holds the credentials and is the source of truth for what is registered. Each
+ * model declares its context window, pricing (USD per million tokens) and how it
+ * supports JSON output:
+ * - json_schema: strict structured outputs via response_format
+ * - json_object: JSON mode without a schema; the schema is described in the prompt
+ * - none: no response_format at all; the prompt asks for bare JSON
+ */
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:8000';
+
+export const JSON_MODES = ['json_schema', 'json_object', 'none'];
+
+export const DEFAULT_PROVIDER_ID = 'openai';
+
+// Mirrors DEFAULT_PROVIDERS in the backend's ai_providers.py so settings work before the backend answers
+const DEFAULT_PROVIDERS = [
+  {
+    id: 'openai',
+    name: 'OpenAI',
+    available: true,
+    models: [
+      { id: 'gpt-4o', contextWindow: 128000, pricing: { input: 2.5, output: 10 }, jsonMode: 'json_schema' },
+      { id: 'gpt-4o-mini', contextWindow: 128000, pricing: { input: 0.15, output: 0.6 }, jsonMode: 'json_schema' },
+      { id: 'gpt-4.1', contextWindow: 1047576, pricing: { input: 2, output: 8 }, jsonMode: 'json_schema' },
+      { id: 'gpt-4.1-mini', contextWindow: 1047576, pricing: { input: 0.4, output: 1.6 }, jsonMode: 'json_schema' },
+      { id: 'gpt-3.5-turbo', contextWindow: 16385, pricing: { input: 0.5, output: 1.5 }, jsonMode: 'json_object' }
+    ]
+  }
+];
+
+const providers = new Map(DEFAULT_PROVIDERS.map(provider => [provider.id, provider]));
+
+const normalizeModel = (providerId, model) => {
+  const jsonMode = model.jsonMode ?? model.json_mode ?? 'none';
+  if (!model.id) throw new Error(`Provider ${providerId} has a model without an id`);
+  if (!JSON_MODES.includes(jsonMode)) {
+    throw new Error(`Model ${providerId}/${model.id} has unknown JSON mode ${jsonMode}`);
+  }
+
+  return {
+    id: model.id,
+    contextWindow: Number(model.contextWindow ?? model.context_window ?? 8192),
+    pricing: {
+      input: Number(model.pricing?.input ?? 0),
+      output: Number(model.pricing?.output ?? 0)
+    },
+    jsonMode
+  };
+};
+
+/**
+ * Add or replace a provider; accepts the backend's snake_case fields as well as camelCase
+ */
+export const registerProvider = (provider) => {
+  if (!provider?.id || provider.id.includes('/')) {
+    throw new Error('A provider needs an id without "/"');
+  }
+  if (!Array.isArray(provider.models) || provider.models.length === 0) {
+    throw new Error(`Provider ${provider.id} declares no models`);
+  }
+
+  const normalized = {
+    id: provider.id,
+    name: provider.name || provider.id,
+    available: provider.available !== false,
+    models: provider.models.map(model => normalizeModel(provider.id, model))
+  };
+  providers.set(normalized.id, normalized);
+  return normalized;
+};
+
+export const getProviders = () => [...providers.values()];
+
+export const getProvider = (providerId) => providers.get(providerId) || null;
+
+export const getModel = (providerId, modelId) => (
+  getProvider(providerId)?.models.find(model => model.id === modelId) || null
+);
+
+export const isRegisteredModel = (providerId, modelId) => Boolean(getModel(providerId, modelId));
+
+/**
+ * Replace the registry with what the backend proxy can actually serve
+ */
+export const loadProvidersFromBackend = async ({ signal } = {}) => {
+  const response = await fetch(`${API_BASE}/api/ai/providers`, { signal });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) {
+    throw new Error(data.error?.message || `Loading AI providers failed with status ${response.status}`);
+  }
+
+  providers.clear();
+  data.providers.forEach(registerProvider);
+  return getProviders();
+};
+
+/**
+ * Request fields for a JSON answer from a model, adapted to its JSON mode.
+ * responseFormat is what a json_schema model would get; models without structured
+ * outputs get the schema described in the system prompt instead.
+ */
+export const buildJsonRequest = (model, { systemPrompt, responseFormat }) => {
+  const schema = responseFormat?.type === 'json_schema' ? responseFormat.json_schema.schema : null;
+  const schemaInstructions = schema
+    ? `\n\nThe JSON object must match this JSON Schema exactly:\n${JSON.stringify(schema)}`
+    : '';
+
+  switch (model?.jsonMode) {
+    case 'json_schema':
+      return { systemPrompt, response_format: responseFormat };
+    case 'json_object':
+      return { systemPrompt: systemPrompt + schemaInstructions, response_format: { type: 'json_object' } };
+    default:
+      return {
+        systemPrompt: `${systemPrompt}${schemaInstructions}\n\nRespond with a single JSON object and nothing else.`
+      };
+  }
+};
+
+/**
+ * Model output with any markdown code fence around the JSON removed
+ */
+export const extractJsonContent = (content = '') => {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+  return (fenced ? fenced[1] : content).trim();
+};
+
+/**
+ * Settings value for a model: "provider/model"; model ids may themselves contain "/"
+ */
+export const toModelKey = (providerId, modelId) => `${providerId}/${modelId}`;
+
+export const fromModelKey = (key) => {
+  const separator = key.indexOf('/');
+  return { aiProvider: key.slice(0, separator), aiModel: key.slice(separator + 1) };
+};
@@ -0,0 +1,85 @@
+// src/utils/portfolio.js
+/**
+ * Batch analysis across many repositories: search queries for an organization, topic or
+ * free-form search, a bounded-concurrency worker pool, and the per-repository summary
+ * rows shown in the portfolio table.
+ */
+
+export const BATCH_MODES = {
+  org: { label: 'Organization', placeholder: 'e.g., my-org' },
+  topic: { label: 'Topic', placeholder: 'e.g., machine-learning' },
+  query: { label: 'Search query', placeholder: 'e.g., language:python stars:>100' }
+};
+
+// GitHub logins and topics: letters, digits and single hyphens
+const NAME_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,98}[a-z0-9])?$/i;
+
+/**
+ * GitHub search query for a batch; archived repositories are left out of org and topic batches
+ */
+export const buildSearchQuery = (mode, value) => {
+  const term = (value || '').trim();
+  if (!term) throw new Error(`${BATCH_MODES[mode]?.label || 'Search'} is required`);
+
+  switch (mode) {
+    case 'org':
+      if (!NAME_PATTERN.test(term)) throw new Error(`Invalid organization name: ${term}`);
+      return `org:${term} archived:false`;
+    case 'topic':
+      if (!NAME_PATTERN.test(term)) throw new Error(`Invalid topic: ${term}`);
+      return `topic:${term.toLowerCase()} archived:false`;
+    case 'query':
+      return term;
+    default:
+      throw new Error(`Unknown batch mode: ${mode}`);
+  }
+};
+
+/**
+ * Run worker over items with at most `concurrency` in flight. Workers stop taking new
+ * items once the signal aborts; items never started are left to the caller.
+ */
+export const runWithConcurrency = async (items, concurrency, worker, { signal } = {}) => {
+  let next = 0;
+  const runWorker = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, runWorker);
+  await Promise.all(workers);
+};
+
+const countSevere = (items) => items.filter(item => ['critical', 'high'].includes(item.severity || item.priority)).length;
+
+/**
+ * Portfolio table row for a finished repository analysis
+ */
+export const summarizePortfolioEntry = (analysis) => ({
+  health: analysis.overall_health_score,
+  bugs: analysis.bugs_detected.length,
+  security: analysis.security_concerns.length,
+  performance: analysis.performance_issues.length,
+  improvements: analysis.improvements_suggested.length,
+  severe: countSevere(analysis.bugs_detected) + countSevere(analysis.security_concerns),
+  files: analysis.files_analyzed.length,
+  cost: analysis.ai_usage?.cost || 0
+});
+
+/**
+ * Sort batch entries by a summary column (or 'full_name'); entries without a summary go last
+ */
+export const sortPortfolio = (entries, key, direction = 'asc') => {
+  const sign = direction === 'asc' ? 1 : -1;
+  const valueOf = (entry) => (key === 'full_name' ? entry.full_name : entry.summary?.[key]);
+
+  return [...entries].sort((a, b) => {
+    const left = valueOf(a);
+    const right = valueOf(b);
+    if (left === undefined || left === null) return right === undefined || right === null ? 0 : 1;
+    if (right === undefined || right === null) return -1;
+    return (typeof left === 'string' ? left.localeCompare(right) : left - right) * sign;
+  });
+};
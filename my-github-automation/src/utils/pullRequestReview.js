@@ -0,0 +1,126 @@
+// src/utils/pullRequestReview.js
+/**
+ * Pull request reviews built from analysis findings.
+ *
+ * Findings on lines of the diff become inline review comments and the rest are listed
+ * in the review body. A finding at or above the configured priorityThreshold makes the
+ * review REQUEST_CHANGES; otherwise it is posted as a COMMENT.
+ */
+
+import { SEVERITY_LEVELS } from './analysisSchema';
+
+export const REVIEW_EVENTS = {
+  COMMENT: 'COMMENT',
+  REQUEST_CHANGES: 'REQUEST_CHANGES'
+};
+
+// Findings past this many are listed in the review body instead of commented inline
+export const MAX_REVIEW_COMMENTS = 50;
+
+const PULL_REQUEST_URL = /^https:\/\/github\.com\/([a-zA-Z0-9._-]+)\/([a-zA-Z0-9._-]+)\/pull\/(\d+)\/?$/;
+
+// Sections reviewed, and where their items keep severity and advice
+const REVIEW_SECTIONS = [
+  { key: 'bugs_detected', label: 'Bug', severity: item => item.severity, advice: item => item.solution },
+  { key: 'security_concerns', label: 'Security', severity: item => item.severity, advice: item => item.mitigation },
+  { key: 'performance_issues', label: 'Performance', severity: item => item.impact, advice: item => item.optimization },
+  { key: 'improvements_suggested', label: 'Improvement', severity: item => item.priority, advice: () => '' }
+];
+
+/**
+ * { owner, repo, number } of a pull request given as its URL, or as a number
+ * (optionally "#42") of the given repository
+ */
+export const parsePullRequestReference = (input, repository = null) => {
+  const value = String(input || '').trim();
+
+  const url = value.match(PULL_REQUEST_URL);
+  if (url) return { owner: url[1], repo: url[2], number: Number(url[3]) };
+
+  const number = value.replace(/^#/, '');
+  if (/^\d+$/.test(number) && Number(number) > 0 && repository) {
+    return { owner: repository.owner, repo: repository.repo, number: Number(number) };
+  }
+
+  throw new Error('Enter a pull request URL, or the number of a pull request in the repository above');
+};
+
+/**
+ * Whether a severity reaches the threshold; critical is above every threshold
+ */
+export const meetsThreshold = (severity, threshold) => {
+  const rank = SEVERITY_LEVELS.indexOf(severity);
+  return rank !== -1 && rank <= SEVERITY_LEVELS.indexOf(threshold);
+};
+
+/**
+ * Reviewable findings of a merged analysis, most severe first within each section:
+ * [{ label, severity, file, line, description, advice, cwe_id, rule_id, fingerprint }]
+ */
+export const collectReviewFindings = (analysis) => REVIEW_SECTIONS.flatMap(section => (
+  (analysis[section.key] || []).map(item => ({
+    label: section.label,
+    severity: section.severity(item) || 'low',
+    file: item.file,
+    line: item.line || 0,
+    description: item.description,
+    advice: section.advice(item) || '',
+    cwe_id: item.cwe_id,
+    rule_id: item.rule_id,
+    fingerprint: item.fingerprint
+  }))
+));
+
+const findingTitle = (finding) => {
+  const tags = [finding.severity, finding.cwe_id, finding.rule_id].filter(Boolean).join(', ');
+  return `**${finding.label}** (${tags})`;
+};
+
+const formatComment = (finding) => [
+  `${findingTitle(finding)}: ${finding.description}`,
+  finding.advice
+].filter(Boolean).join('\n\n');
+
+const formatListItem = (finding) => {
+  const location = finding.line ? `${finding.file}:${finding.line}` : finding.file;
+  return `- ${findingTitle(finding)} \`${location}\`: ${finding.description}`;
+};
+
+/**
+ * The pulls.createReview request for a set of findings:
+ * { commitId, event, body, comments, blocking, outsideDiff }.
+ * diffLines maps each reviewed path to the set of lines its diff lets comments target.
+ */
+export const buildPullRequestReview = ({ findings, diffLines, threshold, filesReviewed, commitId }) => {
+  const inline = [];
+  const outsideDiff = [];
+  for (const finding of findings) {
+    const onDiff = finding.line > 0 && diffLines.get(finding.file)?.has(finding.line);
+    (onDiff && inline.length < MAX_REVIEW_COMMENTS ? inline : outsideDiff).push(finding);
+  }
+
+  const blocking = findings.filter(finding => meetsThreshold(finding.severity, threshold));
+  const event = blocking.length > 0 ? REVIEW_EVENTS.REQUEST_CHANGES : REVIEW_EVENTS.COMMENT;
+
+  const summary = findings.length === 0
+    ? `Automated review of the changes to ${filesReviewed} files found no problems.`
+    : `Automated review of the changes to ${filesReviewed} files: ${findings.length} findings, ${blocking.length} at or above the **${threshold}** threshold.`;
+  const body = [
+    summary,
+    ...(outsideDiff.length > 0 ? ['', 'Findings not tied to a line of the diff:', ...outsideDiff.map(formatListItem)] : [])
+  ].join('\n');
+
+  return {
+    commitId,
+    event,
+    body,
+    comments: inline.map(finding => ({
+      path: finding.file,
+      line: finding.line,
+      side: 'RIGHT',
+      body: formatComment(finding)
+    })),
+    blocking: blocking.length,
+    outsideDiff
+  };
+};
@@ -0,0 +1,296 @@
+// src/utils/reportGenerator.js
+/**
+ * Analysis reports in the formats of the reportFormat setting.
+ *
+ * The markdown and HTML reports cover what AnalysisSection shows: a summary, one table per
+ * finding section, the quality metrics, test coverage and recommendations. Both are rendered
+ * from the same list of blocks, so they cannot drift apart. Findings, file names and notes
+ * come from the model or the analyzed code, so both escape the HTML in them, and markdown
+ * table cells also escape what would end the cell.
+ */
+
+import { buildSarifLog } from './sarif';
+import { escapeHtml } from './security';
+import { COMPARED_METRICS } from './analysisDiff';
+import { formatCost } from './usageMeter';
+
+// Folder of the analyzed repository that exported reports are committed to
+export const REPORT_DOCS_FOLDER = 'docs';
+
+const EMPTY_CELL = '—';
+
+// file:line[:column] of a finding; empty for findings about the whole repository
+const findingLocation = (item) => {
+  if (!item.file) return '';
+  if (!item.line) return item.file;
+  return item.column ? `${item.file}:${item.line}:${item.column}` : `${item.file}:${item.line}`;
+};
+
+const findingDescription = (item) => (item.rule_id ? `${item.description} [${item.rule_id}]` : item.description);
+
+const location = { label: 'Location', value: findingLocation, code: true };
+const description = { label: 'Description', value: findingDescription };
+
+// Finding sections in the order AnalysisSection lists them, with the columns of their tables
+export const REPORT_SECTIONS = [
+  {
+    key: 'bugs_detected',
+    title: 'Bugs',
+    columns: [{ label: 'Severity', value: item => item.severity }, location, description, { label: 'Solution', value: item => item.solution }]
+  },
+  {
+    key: 'security_concerns',
+    title: 'Security Concerns',
+    columns: [
+      { label: 'Severity', value: item => item.severity },
+      { label: 'CWE', value: item => item.cwe_id },
+      location,
+      description,
+      { label: 'Mitigation', value: item => item.mitigation }
+    ]
+  },
+  {
+    key: 'performance_issues',
+    title: 'Performance Issues',
+    columns: [{ label: 'Impact', value: item => item.impact }, location, description, { label: 'Optimization', value: item => item.optimization }]
+  },
+  {
+    key: 'improvements_suggested',
+    title: 'Suggested Improvements',
+    columns: [{ label: 'Priority', value: item => item.priority }, { label: 'Effort', value: item => item.effort }, location, description]
+  },
+  {
+    key: 'feature_ideas',
+    title: 'Feature Ideas',
+    columns: [
+      { label: 'Priority', value: item => item.priority },
+      { label: 'Complexity', value: item => item.complexity },
+      { label: 'Feature', value: item => item.name },
+      { label: 'Description', value: item => item.description }
+    ]
+  },
+  {
+    key: 'documentation_gaps',
+    title: 'Documentation Gaps',
+    columns: [{ label: 'Priority', value: item => item.priority }, location, description]
+  },
+  {
+    key: 'maintainability_issues',
+    title: 'Maintainability Issues',
+    items: analysis => analysis.static_analysis?.maintainability_issues,
+    columns: [{ label: 'Severity', value: item => item.severity }, location, description]
+  }
+];
+
+const sectionItems = (analysis, section) => (section.items ? section.items(analysis) : analysis[section.key]) || [];
+
+const summaryRows = (analysis) => [
+  ['Repository', `${analysis.repository?.owner}/${analysis.repository?.repo}`],
+  ...(analysis.commit_sha ? [['Commit', `${analysis.commit_sha}${analysis.ref ? ` (${analysis.ref})` : ''}`]] : []),
+  ['Analyzed', analysis.timestamp],
+  ['Files analyzed', analysis.incremental
+    ? `${analysis.files_analyzed?.length || 0} (${analysis.incremental.files_reused} unchanged since ${analysis.incremental.base_commit_sha.slice(0, 7)})`
+    : analysis.files_analyzed?.length || 0],
+  ['Overall health score', analysis.overall_health_score === null || analysis.overall_health_score === undefined ? null : `${analysis.overall_health_score}%`],
+  ...REPORT_SECTIONS.map(section => [section.title, sectionItems(analysis, section).length]),
+  ...(analysis.suppressed_findings?.length > 0 ? [['Suppressed (closed as not planned)', analysis.suppressed_findings.length]] : []),
+  ...(analysis.ai_usage ? [['AI cost', formatCost(analysis.ai_usage.cost || 0)]] : [])
+];
+
+/**
+ * The report as a list of blocks, each { title } with one of table ({ columns, rows }),
+ * list or empty (the message shown when the block has no content)
+ */
+export const buildReportBlocks = (analysis) => {
+  const metrics = analysis.code_quality_metrics;
+  const staticMetrics = analysis.static_analysis?.metrics;
+  const coverage = analysis.test_coverage_analysis;
+  const recommendations = analysis.recommendations || {};
+
+  return [
+    { title: 'Summary', table: { columns: [{ label: 'Metric' }, { label: 'Value' }], rows: summaryRows(analysis) } },
+    analysis.architecture_analysis
+      ? { title: 'Architecture', list: analysis.architecture_analysis.split('\n').filter(line => line.trim()) }
+      : { title: 'Architecture', empty: 'No architecture notes.' },
+    ...REPORT_SECTIONS.map(section => {
+      const items = sectionItems(analysis, section);
+      return items.length > 0
+        ? {
+          title: section.title,
+          table: {
+            columns: section.columns,
+            rows: items.map(item => section.columns.map(column => column.value(item)))
+          }
+        }
+        : { title: section.title, empty: `No ${section.title.toLowerCase()} found.` };
+    }),
+    metrics
+      ? {
+        title: 'Code Quality Metrics',
+        table: {
+          columns: [{ label: 'Metric' }, { label: 'Score' }],
+          rows: COMPARED_METRICS.map(metric => [`${metric.label} (${metric.higherIsBetter ? 'higher' : 'lower'} is better)`, metrics[metric.key]])
+        }
+      }
+      : { title: 'Code Quality Metrics', empty: 'No quality metrics available.' },
+    staticMetrics
+      ? {
+        title: 'Static Analysis',
+        table: {
+          columns: [{ label: 'Metric' }, { label: 'Value' }],
+          rows: [
+            ['Files parsed', analysis.static_analysis.files_analyzed],
+            ['Functions', staticMetrics.functions],
+            ['Average complexity', staticMetrics.average_complexity],
+            ['Max complexity', staticMetrics.max_complexity],
+            ['Maintainability', staticMetrics.maintainability]
+          ]
+        }
+      }
+      : { title: 'Static Analysis', empty: 'No static analysis available.' },
+    coverage
+      ? {
+        title: 'Test Coverage',
+        table: {
+          columns: [{ label: 'Metric' }, { label: 'Value' }],
+          rows: [
+            ['Estimated coverage', coverage.estimated_coverage],
+            ['Test quality', coverage.test_quality],
+            ['Missing tests', coverage.missing_tests?.join(', ')]
+          ]
+        }
+      }
+      : { title: 'Test Coverage', empty: 'No test coverage analysis available.' },
+    ...[
+      ['Immediate Actions', recommendations.immediate_actions],
+      ['Short Term', recommendations.short_term],
+      ['Long Term', recommendations.long_term]
+    ].map(([title, items]) => (items?.length > 0
+      ? { title: `Recommendations: ${title}`, list: items }
+      : { title: `Recommendations: ${title}`, empty: 'None.' }))
+  ];
+};
+
+const cellText = (value) => (value === null || value === undefined || value === '' ? EMPTY_CELL : String(value));
+
+// Markdown renders inline HTML, except inside code spans
+const markdownText = (value) => escapeHtml(value).replace(/\r?\n/g, ' ');
+
+// A pipe ends a markdown table cell and a line break ends the row
+const markdownCell = (value, code) => {
+  const text = cellText(value);
+  if (code && text !== EMPTY_CELL) return `\`${text.replace(/\|/g, '\\|')}\``;
+  return escapeHtml(text).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+};
+
+const markdownBlock = (block) => {
+  const heading = `## ${block.title}`;
+  if (block.table) {
+    const { columns, rows } = block.table;
+    return [
+      heading,
+      '',
+      `| ${columns.map(column => column.label).join(' | ')} |`,
+      `| ${columns.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map((value, index) => markdownCell(value, columns[index].code)).join(' | ')} |`)
+    ].join('\n');
+  }
+  if (block.list) return [heading, '', ...block.list.map(item => `- ${markdownText(item)}`)].join('\n');
+  return [heading, '', `_${block.empty}_`].join('\n');
+};
+
+const htmlBlock = (block) => {
+  const heading = `<h2>${escapeHtml(block.title)}</h2>`;
+  if (block.table) {
+    const { columns, rows } = block.table;
+    const cell = (value, column) => {
+      const text = escapeHtml(cellText(value));
+      return `<td>${column.code && value ? `<code>${text}</code>` : text}</td>`;
+    };
+    return `<section>
+${heading}
+<table>
+<thead><tr>${columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map((value, index) => cell(value, columns[index])).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+</section>`;
+  }
+  if (block.list) return `<section>\n${heading}\n<ul>\n${block.list.map(item => `<li>${escapeHtml(item)}</li>`).join('\n')}\n</ul>\n</section>`;
+  return `<section>\n${heading}\n<p class="empty">${escapeHtml(block.empty)}</p>\n</section>`;
+};
+
+const reportTitle = (analysis) => `Code Analysis Report: ${analysis.repository?.owner}/${analysis.repository?.repo}`;
+
+// Report generator
+export const ReportGenerator = {
+  generateMarkdownReport: (analysisResults) => [
+    `# ${reportTitle(analysisResults)}`,
+    ...buildReportBlocks(analysisResults).map(markdownBlock),
+    '---\n*Generated by GitHub Auto-Analysis*\n'
+  ].join('\n\n'),
+
+  generateJSONReport: (analysisResults) => {
+    return JSON.stringify(analysisResults, null, 2);
+  },
+
+  // SARIF 2.1.0, for code scanning and other SARIF consumers
+  generateSARIFReport: (analysisResults) => {
+    return JSON.stringify(buildSarifLog(analysisResults), null, 2);
+  },
+
+  generateHTMLReport: (analysisResults) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(reportTitle(analysisResults))}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 40px; color: #1f2328; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 8px; }
+  th, td { border: 1px solid #d0d7de; padding: 6px 10px; text-align: left; vertical-align: top; }
+  td { white-space: pre-wrap; }
+  th { background: #f6f8fa; }
+  code { font-size: 0.9em; }
+  .empty { color: #656d76; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(reportTitle(analysisResults))}</h1>
+${buildReportBlocks(analysisResults).map(htmlBlock).join('\n')}
+<footer><p class="empty">Generated by GitHub Auto-Analysis</p></footer>
+</body>
+</html>
+`
+};
+
+// The reportFormat values, with the file each produces
+export const REPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', generate: ReportGenerator.generateMarkdownReport },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html', generate: ReportGenerator.generateHTMLReport },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', generate: ReportGenerator.generateJSONReport },
+  sarif: { label: 'SARIF', extension: 'sarif', mimeType: 'application/sarif+json', generate: ReportGenerator.generateSARIFReport }
+};
+
+/**
+ * Path in the analyzed repository a report of the format is committed to
+ */
+export const reportDocsPath = (format) => `${REPORT_DOCS_FOLDER}/analysis-report.${REPORT_FORMATS[format].extension}`;
+
+/**
+ * The report of an analysis in one of REPORT_FORMATS: { content, filename, docsPath, mimeType }.
+ * filename names the commit it describes; docsPath is the fixed path in REPORT_DOCS_FOLDER
+ * that each export overwrites, so the repository keeps the latest report.
+ */
+export const generateReport = (analysis, format) => {
+  const reportFormat = REPORT_FORMATS[format];
+  if (!reportFormat) throw new Error(`Unknown report format: ${format}`);
+
+  const revision = analysis.commit_sha ? `-${analysis.commit_sha.slice(0, 7)}` : '';
+  return {
+    content: reportFormat.generate(analysis),
+    filename: `${analysis.repository?.repo || 'repository'}-analysis${revision}.${reportFormat.extension}`,
+    docsPath: reportDocsPath(format),
+    mimeType: reportFormat.mimeType
+  };
+};
@@ -25,7 +25,11 @@ const DEFAULT_CONFIG = {
   },
   onRetry: (error, attempt) => {
     console.log(`Retry attempt ${attempt} after error:`, error.message);
-  }
+  },
+  // Optional (error, attempt) => ms override, e.g. to honor a server's retry-after
+  getRetryDelay: null,
+  // Optional AbortSignal that cuts the wait between attempts short
+  signal: null
 };
 
 /**
@@ -45,10 +49,22 @@ const calculateDelay = (attempt, config) => {
   return cappedDelay;
 };
 
+const abortReason = (signal) => signal.reason ?? new DOMException('The operation was aborted', 'AbortError');
+
 /**
- * Sleep utility
+ * Resolves after ms, or rejects with the signal's abort reason as soon as it aborts
  */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortReason(signal));
+    return;
+  }
+  const timeoutId = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timeoutId);
+    reject(abortReason(signal));
+  }, { once: true });
+});
 
 /**
  * Main retry function
@@ -80,8 +96,9 @@ export const retry = async (fn, config = {}) => {
       }
       
       // Calculate and wait for delay
-      const delay = calculateDelay(attempt, finalConfig);
-      await sleep(delay);
+      const overrideDelay = finalConfig.getRetryDelay ? finalConfig.getRetryDelay(error, attempt) : null;
+      const delay = overrideDelay ?? calculateDelay(attempt, finalConfig);
+      await sleep(delay, finalConfig.signal);
     }
   }
   
@@ -111,6 +128,8 @@ export class CircuitBreaker {
     this.failureThreshold = options.failureThreshold || 5;
     this.resetTimeout = options.resetTimeout || 60000; // 1 minute
     this.monitoringPeriod = options.monitoringPeriod || 10000; // 10 seconds
+    // Errors that say nothing about service health (e.g. a 404) should not trip the breaker
+    this.isFailure = options.isFailure || (() => true);
     
     this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
     this.failureCount = 0;
@@ -203,7 +222,11 @@ export class CircuitBreaker {
       this.recordSuccess(responseTime);
       return result;
     } catch (error) {
-      this.recordFailure(error);
+      if (this.isFailure(error)) {
+        this.recordFailure(error);
+      } else {
+        this.recordSuccess(Date.now() - startTime);
+      }
       throw error;
     }
 }   }
\ No newline at end of file
@@ -0,0 +1,159 @@
+// src/utils/sarif.js
+/**
+ * SARIF 2.1.0 export of an analysis, in the form GitHub code scanning accepts.
+ *
+ * Static findings keep their rule (SEC001, PERF002, ...) with its metadata from
+ * STATIC_RULES. AI findings get one rule per section, and security concerns one per CWE,
+ * so code scanning can group and filter them. CWE identifiers become external/cwe tags and
+ * severities become SARIF levels plus the security-severity score GitHub ranks alerts by.
+ * Findings without a file have no location code scanning could show and are left out.
+ */
+
+import { STATIC_RULES } from './staticAnalyzer';
+
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+export const SARIF_TOOL_NAME = 'GitHub Auto-Analysis';
+
+// Result fingerprint GitHub uses to track an alert across uploads
+const FINGERPRINT_KEY = 'findingFingerprint/v1';
+
+const LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+const SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.5', low: '3.0' };
+
+// Analysis sections exported, where their items keep severity and advice
+const SARIF_SECTIONS = [
+  { key: 'security_concerns', ruleId: 'AI-SEC', label: 'Security concern', category: 'security', severity: item => item.severity, advice: item => item.mitigation },
+  { key: 'bugs_detected', ruleId: 'AI-BUG', label: 'Bug', category: 'correctness', severity: item => item.severity, advice: item => item.solution },
+  { key: 'performance_issues', ruleId: 'AI-PERF', label: 'Performance issue', category: 'performance', severity: item => item.impact, advice: item => item.optimization },
+  { key: 'improvements_suggested', ruleId: 'AI-IMPROVE', label: 'Improvement', category: 'maintainability', severity: item => item.priority, advice: () => '' }
+];
+
+const MAINTAINABILITY_SECTION = { key: 'maintainability_issues', category: 'maintainability', severity: item => item.severity, advice: () => '' };
+
+const cweTag = (cweId) => `external/cwe/${cweId.toLowerCase()}`;
+
+// Rule tags; a CWE also marks the rule as security, which GitHub filters alerts by
+const ruleTags = (category, source, cweId) => [...new Set([category, source, ...(cweId ? ['security', cweTag(cweId)] : [])])];
+
+const staticRule = (ruleId) => {
+  const rule = STATIC_RULES[ruleId];
+  const advice = rule.mitigation || rule.optimization;
+  return {
+    id: ruleId,
+    name: rule.name,
+    shortDescription: { text: rule.name },
+    ...(advice && { help: { text: advice } }),
+    defaultConfiguration: { level: LEVELS[rule.severity] || 'warning' },
+    properties: {
+      tags: ruleTags(rule.category, 'static-analysis', rule.cwe_id),
+      precision: 'high',
+      ...(rule.category === 'security' && { 'security-severity': SECURITY_SEVERITY[rule.severity] })
+    }
+  };
+};
+
+const aiRule = (section, item) => {
+  const cweId = section.key === 'security_concerns' && item.cwe_id ? item.cwe_id : null;
+  return {
+    id: cweId ? `${section.ruleId}/${cweId}` : section.ruleId,
+    name: cweId ? `${section.label} (${cweId})` : section.label,
+    shortDescription: { text: cweId ? `${section.label} classified as ${cweId}` : `${section.label} reported by AI review` },
+    defaultConfiguration: { level: 'warning' },
+    properties: {
+      tags: ruleTags(section.category, 'ai-review', cweId),
+      precision: 'medium'
+    }
+  };
+};
+
+/**
+ * The region of a finding: its line and, for static findings, its column
+ */
+export const toRegion = (item) => ({
+  startLine: item.line,
+  ...(item.column > 0 && { startColumn: item.column })
+});
+
+/**
+ * The SARIF log of an analysis: one run with every located finding as a result
+ */
+export const buildSarifLog = (analysis) => {
+  const rules = [];
+  const ruleIndex = new Map();
+  const registerRule = (rule) => {
+    if (!ruleIndex.has(rule.id)) {
+      ruleIndex.set(rule.id, rules.length);
+      rules.push(rule);
+    }
+    return rule.id;
+  };
+
+  const results = [];
+  const addResult = (section, item) => {
+    if (!item.file) return;
+    const severity = section.severity(item) || 'low';
+    const ruleId = item.source === 'static' && STATIC_RULES[item.rule_id]
+      ? registerRule(staticRule(item.rule_id))
+      : registerRule(aiRule(section, item));
+    const advice = section.advice(item);
+
+    results.push({
+      ruleId,
+      ruleIndex: ruleIndex.get(ruleId),
+      level: LEVELS[severity] || 'warning',
+      message: { text: advice ? `${item.description}\n\nSuggested fix: ${advice}` : item.description },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: item.file, uriBaseId: '%SRCROOT%' },
+          ...(item.line > 0 && { region: toRegion(item) })
+        }
+      }],
+      ...(item.fingerprint && { partialFingerprints: { [FINGERPRINT_KEY]: item.fingerprint } }),
+      properties: {
+        severity,
+        ...(section.category === 'security' && { 'security-severity': SECURITY_SEVERITY[severity] })
+      }
+    });
+  };
+
+  for (const section of SARIF_SECTIONS) {
+    for (const item of analysis[section.key] || []) addResult(section, item);
+  }
+  for (const item of analysis.static_analysis?.maintainability_issues || []) addResult(MAINTAINABILITY_SECTION, item);
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: {
+        driver: {
+          name: SARIF_TOOL_NAME,
+          rules
+        }
+      },
+      ...(analysis.commit_sha && {
+        versionControlProvenance: [{
+          repositoryUri: `https://github.com/${analysis.repository?.owner}/${analysis.repository?.repo}`,
+          revisionId: analysis.commit_sha,
+          ...(analysis.ref && { branch: analysis.ref })
+        }]
+      }),
+      results
+    }]
+  };
+};
+
+/**
+ * Gzip and base64-encode a SARIF document, the encoding the code scanning upload API expects
+ */
+export const encodeSarif = async (sarif) => {
+  const stream = new Blob([sarif]).stream().pipeThrough(new CompressionStream('gzip'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  let binary = '';
+  // Chunked so String.fromCharCode never receives more arguments than the engine allows
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+};
@@ -199,6 +199,13 @@ export const sanitizeInput = (input, type = 'text') => {
   return sanitized;
 };
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for HTML element content and quoted attribute values
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
 /**
  * Content Security Policy helpers
  */
@@ -289,12 +296,13 @@ export const safeJSONParse = (jsonString, maxSize = 10 * 1024 * 1024) => { // 10
 };
 
 /**
- * Environment variable validation
+ * Environment variable validation.
+ * The OpenAI key is deliberately absent: it lives on the backend AI proxy and must never be
+ * bundled into the client.
  */
 export const validateEnvironment = () => {
   const required = [
-    'REACT_APP_GITHUB_TOKEN',
-    'REACT_APP_OPENAI_API_KEY'
+    'REACT_APP_GITHUB_TOKEN'
   ];
 
   const missing = required.filter(key => !process.env[key]);
@@ -303,10 +311,13 @@ export const validateEnvironment = () => {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
 
+  if (process.env.REACT_APP_OPENAI_API_KEY) {
+    console.warn('REACT_APP_OPENAI_API_KEY is set and will be visible in the bundle; configure OPENAI_API_KEY on the backend instead');
+  }
+
   // Validate each key
   try {
     validateApiKey(process.env.REACT_APP_GITHUB_TOKEN, 'github');
-    validateApiKey(process.env.REACT_APP_OPENAI_API_KEY, 'openai');
   } catch (error) {
     throw new Error(`Environment validation failed: ${error.message}`);
   }
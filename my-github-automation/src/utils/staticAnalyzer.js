@@ -0,0 +1,519 @@
+// src/utils/staticAnalyzer.js
+/**
+ * AST-based static analysis for JavaScript and TypeScript sources.
+ *
+ * Files are parsed with @babel/parser and walked once; rules look at real syntax nodes,
+ * so code in comments and strings never matches. Every finding has a rule id, severity,
+ * category and exact line/column.
+ */
+
+import { parse } from '@babel/parser';
+
+export const ANALYZABLE_EXTENSIONS = ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx'];
+
+// Thresholds for the maintainability rules
+const MAX_FUNCTION_LINES = 80;
+const MAX_NESTING_DEPTH = 4;
+const MAX_COMPLEXITY = 15;
+
+/**
+ * Rule metadata; checks live in the visitor below
+ */
+export const STATIC_RULES = {
+  'SEC001': {
+    name: 'no-eval',
+    category: 'security',
+    severity: 'critical',
+    cwe_id: 'CWE-95',
+    mitigation: 'Remove eval(); parse data with JSON.parse or dispatch on known values instead of executing strings.'
+  },
+  'SEC002': {
+    name: 'no-implied-eval',
+    category: 'security',
+    severity: 'high',
+    cwe_id: 'CWE-95',
+    mitigation: 'Pass a function instead of a string, and avoid the Function constructor.'
+  },
+  'SEC003': {
+    name: 'no-unsafe-html',
+    category: 'security',
+    severity: 'high',
+    cwe_id: 'CWE-79',
+    mitigation: 'Use textContent or framework rendering, or sanitize the markup before inserting it.'
+  },
+  'SEC004': {
+    name: 'no-document-write',
+    category: 'security',
+    severity: 'medium',
+    cwe_id: 'CWE-79',
+    mitigation: 'Build DOM nodes with createElement/textContent instead of document.write.'
+  },
+  'SEC005': {
+    name: 'hardcoded-secret',
+    category: 'security',
+    severity: 'high',
+    cwe_id: 'CWE-798',
+    mitigation: 'Load the value from environment configuration or a secret store.'
+  },
+  'SEC006': {
+    name: 'known-token-format',
+    category: 'security',
+    severity: 'critical',
+    cwe_id: 'CWE-798',
+    mitigation: 'Revoke the token now and load credentials from environment configuration.'
+  },
+  'PERF001': {
+    name: 'await-in-loop',
+    category: 'performance',
+    severity: 'medium',
+    optimization: 'Start the independent operations first and await them together with Promise.all.'
+  },
+  'PERF002': {
+    name: 'regexp-in-loop',
+    category: 'performance',
+    severity: 'low',
+    optimization: 'Construct the RegExp once outside the loop.'
+  },
+  'PERF003': {
+    name: 'dom-query-in-loop',
+    category: 'performance',
+    severity: 'medium',
+    optimization: 'Query the DOM once before the loop and reuse the result.'
+  },
+  'PERF004': {
+    name: 'sync-io',
+    category: 'performance',
+    severity: 'low',
+    optimization: 'Use the asynchronous fs API so the event loop is not blocked.'
+  },
+  'MAINT001': {
+    name: 'long-function',
+    category: 'maintainability',
+    severity: 'low'
+  },
+  'MAINT002': {
+    name: 'deep-nesting',
+    category: 'maintainability',
+    severity: 'medium'
+  },
+  'MAINT003': {
+    name: 'complex-function',
+    category: 'maintainability',
+    severity: 'medium'
+  },
+  'MAINT004': {
+    name: 'console-log',
+    category: 'maintainability',
+    severity: 'low'
+  },
+  'MAINT005': {
+    name: 'debugger-statement',
+    category: 'maintainability',
+    severity: 'medium'
+  }
+};
+
+const SKIP_KEYS = new Set(['loc', 'start', 'end', 'extra', 'range', 'leadingComments', 'trailingComments', 'innerComments']);
+
+const SECRET_NAME = /(password|passwd|secret|api[_-]?key|access[_-]?key|auth[_-]?token|private[_-]?key)/i;
+const PLACEHOLDER_VALUE = /^(your[_-]|xxx|changeme|example|placeholder|<|\$\{)/i;
+const TOKEN_FORMAT = /^(ghp_|gho_|ghs_|github_pat_|sk-[A-Za-z0-9]{20}|AKIA[0-9A-Z]{16}|xox[bpoas]-)/;
+const DOM_QUERIES = new Set(['querySelector', 'querySelectorAll', 'getElementById', 'getElementsByClassName', 'getElementsByTagName']);
+const HTML_PROPERTIES = new Set(['innerHTML', 'outerHTML']);
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ObjectMethod',
+  'ClassMethod',
+  'ClassPrivateMethod'
+]);
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+const NESTING_TYPES = new Set([...LOOP_TYPES, 'IfStatement', 'SwitchStatement', 'TryStatement']);
+
+const getExtension = (path) => path.split('.').pop().toLowerCase();
+
+export const isStaticallyAnalyzable = (path) => ANALYZABLE_EXTENSIONS.includes(getExtension(path));
+
+const parserPlugins = (path) => {
+  const extension = getExtension(path);
+  if (extension === 'ts') return ['typescript', 'decorators-legacy'];
+  if (extension === 'tsx') return ['typescript', 'jsx', 'decorators-legacy'];
+  return ['jsx'];
+};
+
+/**
+ * Parse a JavaScript or TypeScript source with the plugins its extension needs;
+ * syntax errors are recovered where possible and throw otherwise
+ */
+export const parseSource = (path, content) => parse(content, {
+  sourceType: 'unambiguous',
+  errorRecovery: true,
+  allowReturnOutsideFunction: true,
+  plugins: parserPlugins(path)
+});
+
+/**
+ * Depth-first walk calling enter/exit with the node and its ancestors (nearest last)
+ */
+const walk = (node, visitor, ancestors = []) => {
+  if (!node || typeof node.type !== 'string') return;
+
+  visitor.enter(node, ancestors);
+  ancestors.push(node);
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walk(item, visitor, ancestors));
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visitor, ancestors);
+    }
+  }
+  ancestors.pop();
+  visitor.exit(node);
+};
+
+const propertyName = (member) => {
+  if (!member.computed && member.property.type === 'Identifier') return member.property.name;
+  if (member.property.type === 'StringLiteral') return member.property.value;
+  return null;
+};
+
+/**
+ * Dotted name of a callee such as "eval", "document.write" or "window.setTimeout"
+ */
+const calleeName = (callee) => {
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') {
+    const object = calleeName(callee.object);
+    const property = propertyName(callee);
+    return object && property ? `${object}.${property}` : property;
+  }
+  if (callee.type === 'ThisExpression') return 'this';
+  return null;
+};
+
+const withoutGlobal = (name) => name && name.replace(/^(window|globalThis|self)\./, '');
+
+// Name a secret would be stored under: variable, assigned property or object key
+const bindingName = (node) => {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'MemberExpression') return propertyName(node);
+  return null;
+};
+
+const isStaticString = (node) => node && (
+  node.type === 'StringLiteral' ||
+  (node.type === 'TemplateLiteral' && node.expressions.length === 0)
+);
+
+const looksLikeSecret = (node) => (
+  node?.type === 'StringLiteral' &&
+  node.value.length >= 8 &&
+  !/\s/.test(node.value) &&
+  !PLACEHOLDER_VALUE.test(node.value)
+);
+
+/**
+ * Nearest loop whose body contains the node within the same function, if any. The loop head
+ * (for init, test and update, the iterated value of for-of/for-in) does not count.
+ */
+const enclosingLoop = (ancestors, node) => {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    if (FUNCTION_TYPES.has(ancestors[i].type)) return null;
+    const child = i + 1 < ancestors.length ? ancestors[i + 1] : node;
+    if (LOOP_TYPES.has(ancestors[i].type) && ancestors[i].body === child) return ancestors[i];
+  }
+  return null;
+};
+
+const functionName = (node, parent) => {
+  if (node.id?.name) return node.id.name;
+  if (node.key) return bindingName(node.key) || 'anonymous';
+  if (parent?.type === 'VariableDeclarator') return bindingName(parent.id) || 'anonymous';
+  if (parent?.type === 'AssignmentExpression') return bindingName(parent.left) || 'anonymous';
+  if (parent?.type === 'ObjectProperty' || parent?.type === 'ClassProperty') return bindingName(parent.key) || 'anonymous';
+  return 'anonymous';
+};
+
+const clampScore = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+/**
+ * Analyze one file. Returns { path, parsed, parseError, findings, metrics }.
+ */
+export const analyzeSource = (path, content) => {
+  const findings = [];
+  const functions = [];
+
+  let ast;
+  try {
+    ast = parseSource(path, content);
+  } catch (error) {
+    return { path, parsed: false, parseError: error.message, findings, metrics: null };
+  }
+
+  const report = (ruleId, node, message) => {
+    const rule = STATIC_RULES[ruleId];
+    findings.push({
+      rule_id: ruleId,
+      rule: rule.name,
+      category: rule.category,
+      severity: rule.severity,
+      file: path,
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1,
+      message,
+      ...(rule.cwe_id && { cwe_id: rule.cwe_id })
+    });
+  };
+
+  // Module-level code counts as a frame for nesting but is not reported as a function
+  const frames = [{ node: ast, name: null, complexity: 1, depth: 0, maxDepth: 0, nestingReported: false }];
+  const currentFrame = () => frames[frames.length - 1];
+  const nestingNodes = new WeakSet();
+
+  const checkCall = (node, ancestors) => {
+    const name = calleeName(node.callee);
+    const bareName = withoutGlobal(name);
+    const property = node.callee.type === 'MemberExpression' ? propertyName(node.callee) : null;
+    const loop = enclosingLoop(ancestors, node);
+
+    if (bareName === 'eval') {
+      report('SEC001', node, 'eval() executes arbitrary strings as code');
+    } else if ((bareName === 'setTimeout' || bareName === 'setInterval') &&
+               node.arguments[0] && (node.arguments[0].type === 'StringLiteral' || node.arguments[0].type === 'TemplateLiteral')) {
+      report('SEC002', node, `${bareName}() with a string argument evaluates it as code`);
+    } else if (bareName === 'document.write' || bareName === 'document.writeln') {
+      report('SEC004', node, `${bareName}() writes unescaped markup into the page`);
+    } else if (property === 'insertAdjacentHTML' && !isStaticString(node.arguments[1])) {
+      report('SEC003', node, 'insertAdjacentHTML() with dynamic markup can inject scripts');
+    } else if (name === 'console.log' || name === 'console.debug') {
+      report('MAINT004', node, `${name}() left in source`);
+    }
+
+    if (loop && property && DOM_QUERIES.has(property)) {
+      report('PERF003', node, `${property}() runs on every loop iteration`);
+    }
+
+    if (property && /Sync$/.test(property) && calleeName(node.callee.object) === 'fs') {
+      report('PERF004', node, `fs.${property}() blocks the event loop`);
+    }
+  };
+
+  const checkSecretAssignment = (nameNode, valueNode, node) => {
+    const name = bindingName(nameNode);
+    if (name && SECRET_NAME.test(name) && looksLikeSecret(valueNode)) {
+      report('SEC005', node, `"${name}" is assigned a hardcoded credential`);
+    }
+  };
+
+  walk(ast.program, {
+    enter(node, ancestors) {
+      const parent = ancestors[ancestors.length - 1];
+      const frame = currentFrame();
+
+      if (FUNCTION_TYPES.has(node.type)) {
+        frames.push({ node, name: functionName(node, parent), complexity: 1, depth: 0, maxDepth: 0, nestingReported: false });
+        return;
+      }
+
+      // An "else if" continues its chain instead of nesting deeper
+      const isElseIf = node.type === 'IfStatement' && parent?.type === 'IfStatement' && parent.alternate === node;
+      if (NESTING_TYPES.has(node.type) && !isElseIf) {
+        nestingNodes.add(node);
+        frame.depth++;
+        frame.maxDepth = Math.max(frame.maxDepth, frame.depth);
+        if (frame.depth > MAX_NESTING_DEPTH && !frame.nestingReported) {
+          frame.nestingReported = true;
+          report('MAINT002', node, `Control flow nested ${frame.depth} levels deep${frame.name ? ` in ${frame.name}()` : ''}`);
+        }
+      }
+
+      if (node.type === 'IfStatement' || node.type === 'ConditionalExpression' || node.type === 'CatchClause' ||
+          LOOP_TYPES.has(node.type) || (node.type === 'SwitchCase' && node.test) ||
+          (node.type === 'LogicalExpression' && ['&&', '||', '??'].includes(node.operator))) {
+        frame.complexity++;
+      }
+
+      switch (node.type) {
+        case 'CallExpression':
+        case 'OptionalCallExpression':
+          checkCall(node, ancestors);
+          break;
+        case 'NewExpression': {
+          const name = withoutGlobal(calleeName(node.callee));
+          if (name === 'Function') {
+            report('SEC002', node, 'The Function constructor evaluates strings as code');
+          } else if (name === 'RegExp' && enclosingLoop(ancestors, node)) {
+            report('PERF002', node, 'new RegExp() is compiled on every loop iteration');
+          }
+          break;
+        }
+        case 'AssignmentExpression':
+          if (node.left.type === 'MemberExpression' && HTML_PROPERTIES.has(propertyName(node.left)) && !isStaticString(node.right)) {
+            report('SEC003', node, `Assigning dynamic markup to ${propertyName(node.left)} can inject scripts`);
+          }
+          checkSecretAssignment(node.left, node.right, node);
+          break;
+        case 'VariableDeclarator':
+          checkSecretAssignment(node.id, node.init, node);
+          break;
+        case 'ObjectProperty':
+        case 'ClassProperty':
+          checkSecretAssignment(node.key, node.value, node);
+          break;
+        case 'JSXAttribute':
+          if (node.name.name === 'dangerouslySetInnerHTML') {
+            report('SEC003', node, 'dangerouslySetInnerHTML renders unescaped markup');
+          }
+          break;
+        case 'StringLiteral':
+          if (TOKEN_FORMAT.test(node.value)) {
+            report('SEC006', node, 'String literal matches a known access token format');
+          }
+          break;
+        case 'AwaitExpression': {
+          const loop = enclosingLoop(ancestors, node);
+          if (loop && !(loop.type === 'ForOfStatement' && loop.await)) {
+            report('PERF001', node, 'await inside a loop runs the iterations sequentially');
+          }
+          break;
+        }
+        case 'DebuggerStatement':
+          report('MAINT005', node, 'debugger statement left in source');
+          break;
+        default:
+          break;
+      }
+    },
+
+    exit(node) {
+      const frame = currentFrame();
+
+      if (frame.node === node && frames.length > 1) {
+        frames.pop();
+        const lines = node.loc.end.line - node.loc.start.line + 1;
+        functions.push({ name: frame.name, line: node.loc.start.line, lines, complexity: frame.complexity, maxDepth: frame.maxDepth });
+
+        if (lines > MAX_FUNCTION_LINES) {
+          report('MAINT001', node, `${frame.name}() is ${lines} lines long (limit ${MAX_FUNCTION_LINES})`);
+        }
+        if (frame.complexity > MAX_COMPLEXITY) {
+          report('MAINT003', node, `${frame.name}() has cyclomatic complexity ${frame.complexity} (limit ${MAX_COMPLEXITY})`);
+        }
+        return;
+      }
+
+      if (nestingNodes.has(node)) {
+        frame.depth--;
+      }
+    }
+  });
+
+  findings.sort((a, b) => a.line - b.line || a.column - b.column);
+
+  const complexities = functions.map(fn => fn.complexity);
+  const averageComplexity = complexities.length > 0
+    ? complexities.reduce((sum, value) => sum + value, 0) / complexities.length
+    : 1;
+  const maxNesting = Math.max(frames[0].maxDepth, ...functions.map(fn => fn.maxDepth));
+  const maintainabilityFindings = findings.filter(finding => finding.category === 'maintainability').length;
+
+  // Start from 100 and subtract capped penalties for complexity, nesting, long functions and other findings
+  const maintainability = clampScore(
+    100 -
+    Math.min(40, (averageComplexity - 1) * 4) -
+    Math.min(20, Math.max(0, maxNesting - 2) * 5) -
+    Math.min(20, functions.filter(fn => fn.lines > MAX_FUNCTION_LINES).length * 5) -
+    Math.min(20, maintainabilityFindings * 2)
+  );
+
+  return {
+    path,
+    parsed: true,
+    parseError: ast.errors?.length > 0 ? ast.errors[0].message : null,
+    findings,
+    metrics: {
+      lines: content.split('\n').length,
+      functions: functions.length,
+      average_complexity: Math.round(averageComplexity * 10) / 10,
+      max_complexity: Math.max(1, ...complexities),
+      max_nesting: maxNesting,
+      maintainability
+    }
+  };
+};
+
+/**
+ * Roll per-file results of analyzeSource up to the repository.
+ * Maintainability is weighted by file length like the AI scores are weighted by size.
+ */
+export const summarizeStaticResults = (results) => {
+  const parsed = results.filter(result => result.metrics);
+  const totalLines = parsed.reduce((sum, result) => sum + result.metrics.lines, 0);
+  const totalFunctions = parsed.reduce((sum, result) => sum + result.metrics.functions, 0);
+
+  return {
+    files_analyzed: parsed.map(result => result.path),
+    parse_errors: results
+      .filter(result => result.parseError)
+      .map(result => ({ file: result.path, error: result.parseError })),
+    findings: results.flatMap(result => result.findings),
+    metrics: parsed.length === 0 ? null : {
+      functions: totalFunctions,
+      average_complexity: totalFunctions > 0
+        ? Math.round(parsed.reduce((sum, result) => sum + result.metrics.average_complexity * result.metrics.functions, 0) / totalFunctions * 10) / 10
+        : 1,
+      max_complexity: Math.max(...parsed.map(result => result.metrics.max_complexity)),
+      max_nesting: Math.max(...parsed.map(result => result.metrics.max_nesting)),
+      maintainability: clampScore(parsed.reduce((sum, result) => sum + result.metrics.maintainability * result.metrics.lines, 0) / Math.max(totalLines, 1))
+    }
+  };
+};
+
+/**
+ * Analyze every JS/TS file in files ([{ path, content, size }]) and roll metrics up to the repository
+ */
+export const analyzeFiles = (files) => summarizeStaticResults(files
+  .filter(file => file.content && isStaticallyAnalyzable(file.path))
+  .map(file => analyzeSource(file.path, file.content)));
+
+const IMPACT_BY_SEVERITY = { critical: 'high', high: 'high', medium: 'medium', low: 'low' };
+
+/**
+ * Convert static findings into the analysis sections rendered next to the AI findings
+ */
+export const toAnalysisSections = (findings) => {
+  const byCategory = (category) => findings.filter(finding => finding.category === category);
+  const common = (finding) => ({
+    description: finding.message,
+    file: finding.file,
+    line: finding.line,
+    column: finding.column,
+    rule_id: finding.rule_id,
+    ...(finding.fingerprint && { fingerprint: finding.fingerprint }),
+    source: 'static'
+  });
+
+  return {
+    security_concerns: byCategory('security').map(finding => ({
+      ...common(finding),
+      severity: finding.severity,
+      cwe_id: finding.cwe_id,
+      mitigation: STATIC_RULES[finding.rule_id].mitigation
+    })),
+    performance_issues: byCategory('performance').map(finding => ({
+      ...common(finding),
+      impact: IMPACT_BY_SEVERITY[finding.severity],
+      optimization: STATIC_RULES[finding.rule_id].optimization
+    })),
+    maintainability_issues: byCategory('maintainability').map(finding => ({
+      ...common(finding),
+      severity: finding.severity
+    }))
+  };
+};
@@ -0,0 +1,113 @@
+// src/utils/usageMeter.js
+/**
+ * Token and cost accounting for AI calls.
+ *
+ * A meter is created per run (an analysis, a single action or a bulk run) and every
+ * completion made during that run is recorded on it. Costs are estimated from the
+ * pricing each model declares in llmProviders. When the run has a budget, the meter
+ * refuses further calls once the estimated spend reaches it.
+ */
+
+import { getModel } from './llmProviders';
+
+export class BudgetExceededError extends Error {
+  constructor(spent, budget) {
+    super(`AI budget of $${budget.toFixed(2)} for this run is used up ($${spent.toFixed(4)} spent)`);
+    this.name = 'BudgetExceededError';
+    this.spent = spent;
+    this.budget = budget;
+  }
+}
+
+const emptyTotals = () => ({
+  calls: 0,
+  prompt_tokens: 0,
+  completion_tokens: 0,
+  total_tokens: 0,
+  cost: 0
+});
+
+const addToTotals = (totals, record) => {
+  totals.calls += record.calls ?? 1;
+  totals.prompt_tokens += record.prompt_tokens;
+  totals.completion_tokens += record.completion_tokens;
+  totals.total_tokens += record.prompt_tokens + record.completion_tokens;
+  totals.cost += record.cost;
+  return totals;
+};
+
+/**
+ * Estimated USD cost of a completion's usage; pricing is per million tokens
+ */
+export const estimateCost = (usage, model) => {
+  if (!usage || !model) return 0;
+  return ((usage.prompt_tokens || 0) * model.pricing.input
+    + (usage.completion_tokens || 0) * model.pricing.output) / 1000000;
+};
+
+/**
+ * Create a meter for one run. budget is in USD; 0 or less means unlimited.
+ * A meter with a parent also records on the parent and stops when the parent's budget is
+ * used up, so a bulk run can keep per-item totals under one shared budget.
+ */
+export const createUsageMeter = ({ budget = 0, parent = null } = {}) => {
+  const records = [];
+  const totals = emptyTotals();
+
+  return {
+    budget,
+
+    // Throw BudgetExceededError when the next call would start over budget
+    checkBudget: () => {
+      if (budget > 0 && totals.cost >= budget) {
+        throw new BudgetExceededError(totals.cost, budget);
+      }
+      parent?.checkBudget();
+    },
+
+    // Record one completion's usage; returns the record
+    record: ({ provider, model, usage, purpose }) => {
+      const record = {
+        provider,
+        model,
+        purpose,
+        prompt_tokens: usage?.prompt_tokens || 0,
+        completion_tokens: usage?.completion_tokens || 0,
+        cost: estimateCost(usage, getModel(provider, model))
+      };
+      records.push(record);
+      addToTotals(totals, record);
+      parent?.record({ provider, model, usage, purpose });
+      return record;
+    },
+
+    // Run totals with a per-model breakdown, in the shape stored on automation entries
+    summary: () => {
+      const byModel = {};
+      for (const record of records) {
+        const key = `${record.provider}/${record.model}`;
+        addToTotals(byModel[key] || (byModel[key] = emptyTotals()), record);
+      }
+      return { ...totals, budget, by_model: byModel };
+    }
+  };
+};
+
+/**
+ * Roll up the ai_usage stored on automation entries, overall and per repository
+ */
+export const summarizeUsage = (entries) => {
+  const total = emptyTotals();
+  const byRepository = {};
+
+  for (const entry of entries) {
+    const usage = entry.metadata?.ai_usage;
+    if (!usage) continue;
+    addToTotals(total, usage);
+    addToTotals(byRepository[entry.repo] || (byRepository[entry.repo] = emptyTotals()), usage);
+  }
+
+  return { total, byRepository };
+};
+
+export const formatCost = (cost) => `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;